@@ -5,10 +5,11 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import readline from 'readline';
-import crypto from 'crypto';
 
 // Import logger
 import { logger } from './utils/logger.mjs';
+import { encryptSecret, decryptSecret } from './services/credential-vault.mjs';
+import { accountStore, encryptSecretFields } from './services/account-store.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -16,9 +17,6 @@ const __dirname = path.dirname(__filename);
 // Load environment variables from .env file
 dotenv.config({ path: path.join(__dirname, '../.env') });
 
-// Define the accounts file path
-const ACCOUNTS_FILE_PATH = path.join(__dirname, '../accounts.json');
-
 // Create readline interface for CLI interaction
 const rl = readline.createInterface({
   input: process.stdin,
@@ -87,55 +85,14 @@ function promptPassword(question) {
   });
 }
 
-// Helper function to encrypt sensitive data
-function encrypt(text) {
-  // This is a simple encryption for demonstration
-  // In production, use a more secure method with proper key management
-  const algorithm = 'aes-256-ctr';
-  const secretKey = process.env.ENCRYPTION_KEY || 'default-encryption-key-change-me';
-  const iv = crypto.randomBytes(16);
-  
-  const cipher = crypto.createCipheriv(algorithm, secretKey, iv);
-  const encrypted = Buffer.concat([cipher.update(text), cipher.final()]);
-  
-  return {
-    iv: iv.toString('hex'),
-    content: encrypted.toString('hex')
-  };
-}
-
-// Helper function to decrypt sensitive data
-function decrypt(hash) {
-  const algorithm = 'aes-256-ctr';
-  const secretKey = process.env.ENCRYPTION_KEY || 'default-encryption-key-change-me';
-  const decipher = crypto.createDecipheriv(
-    algorithm,
-    secretKey,
-    Buffer.from(hash.iv, 'hex')
-  );
-  
-  const decrpyted = Buffer.concat([
-    decipher.update(Buffer.from(hash.content, 'hex')),
-    decipher.final()
-  ]);
-  
-  return decrpyted.toString();
-}
-
-// Load accounts from file
+// Load accounts from the shared account store
 async function loadAccounts() {
-  try {
-    const data = await fs.readFile(ACCOUNTS_FILE_PATH, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    // If file doesn't exist or is invalid, return empty object
-    return {};
-  }
+  return accountStore.load();
 }
 
-// Save accounts to file
+// Save accounts to the shared account store
 async function saveAccounts(accounts) {
-  await fs.writeFile(ACCOUNTS_FILE_PATH, JSON.stringify(accounts, null, 2));
+  await accountStore.save(accounts);
 }
 
 // List all accounts
@@ -184,7 +141,7 @@ async function addAccount() {
   if (platform === 'x') {
     additionalCredentials.apiKey = await prompt('Enter API key (optional): ');
     additionalCredentials.apiSecret = await prompt('Enter API secret (optional): ');
-  } else if (platform === 'youtube') {
+  } else if (['youtube', 'reddit', 'tiktok'].includes(platform)) {
     additionalCredentials.clientId = await prompt('Enter client ID (optional): ');
     additionalCredentials.clientSecret = await prompt('Enter client secret (optional): ');
   } else if (platform === 'facebook') {
@@ -192,18 +149,18 @@ async function addAccount() {
     additionalCredentials.appSecret = await prompt('Enter app secret (optional): ');
   }
   
-  // Encrypt sensitive data
-  const encryptedPassword = encrypt(password);
-  
   // Create account object
   const account = {
     username,
-    password: encryptedPassword,
+    password,
     active: false,
     dateAdded: new Date().toISOString(),
     ...additionalCredentials
   };
   
+  // Encrypt the password and API secrets
+  encryptSecretFields(account);
+  
   // Load existing accounts
   const accounts = await loadAccounts();
   
@@ -260,7 +217,7 @@ async function updateAccount() {
   const updatePassword = (await prompt('Update password? (y/n): ')).toLowerCase() === 'y';
   if (updatePassword) {
     const password = await promptPassword('Enter new password: ');
-    account.password = encrypt(password);
+    account.password = encryptSecret(password);
   }
   
   // Update additional fields based on platform
@@ -274,7 +231,7 @@ async function updateAccount() {
     if (updateApiSecret) {
       account.apiSecret = await prompt('Enter new API secret: ');
     }
-  } else if (platform === 'youtube') {
+  } else if (['youtube', 'reddit', 'tiktok'].includes(platform)) {
     const updateClientId = (await prompt('Update client ID? (y/n): ')).toLowerCase() === 'y';
     if (updateClientId) {
       account.clientId = await prompt('Enter new client ID: ');
@@ -296,6 +253,9 @@ async function updateAccount() {
     }
   }
   
+  // Encrypt the new API secrets
+  encryptSecretFields(account);
+  
   // Save accounts
   await saveAccounts(accounts);
   
@@ -435,28 +395,28 @@ async function exportToEnv() {
     // Set platform-specific environment variables
     if (platform === 'linkedin') {
       envVars['LINKEDIN_USERNAME'] = activeAccount.username;
-      envVars['LINKEDIN_PASSWORD'] = decrypt(activeAccount.password);
+      envVars['LINKEDIN_PASSWORD'] = decryptSecret(activeAccount.password);
     } else if (platform === 'x') {
       envVars['X_USERNAME'] = activeAccount.username;
-      envVars['X_PASSWORD'] = decrypt(activeAccount.password);
-      if (activeAccount.apiKey) envVars['X_API_KEY'] = activeAccount.apiKey;
-      if (activeAccount.apiSecret) envVars['X_API_SECRET'] = activeAccount.apiSecret;
+      envVars['X_PASSWORD'] = decryptSecret(activeAccount.password);
+      if (activeAccount.apiKey) envVars['X_API_KEY'] = accountStore.decryptField(activeAccount, 'apiKey');
+      if (activeAccount.apiSecret) envVars['X_API_SECRET'] = accountStore.decryptField(activeAccount, 'apiSecret');
     } else if (platform === 'tiktok') {
       envVars['TIKTOK_USERNAME'] = activeAccount.username;
-      envVars['TIKTOK_PASSWORD'] = decrypt(activeAccount.password);
+      envVars['TIKTOK_PASSWORD'] = decryptSecret(activeAccount.password);
     } else if (platform === 'youtube') {
       envVars['YOUTUBE_USERNAME'] = activeAccount.username;
-      envVars['YOUTUBE_PASSWORD'] = decrypt(activeAccount.password);
+      envVars['YOUTUBE_PASSWORD'] = decryptSecret(activeAccount.password);
       if (activeAccount.clientId) envVars['YOUTUBE_CLIENT_ID'] = activeAccount.clientId;
-      if (activeAccount.clientSecret) envVars['YOUTUBE_CLIENT_SECRET'] = activeAccount.clientSecret;
+      if (activeAccount.clientSecret) envVars['YOUTUBE_CLIENT_SECRET'] = accountStore.decryptField(activeAccount, 'clientSecret');
     } else if (platform === 'facebook') {
       envVars['FACEBOOK_USERNAME'] = activeAccount.username;
-      envVars['FACEBOOK_PASSWORD'] = decrypt(activeAccount.password);
+      envVars['FACEBOOK_PASSWORD'] = decryptSecret(activeAccount.password);
       if (activeAccount.appId) envVars['FACEBOOK_APP_ID'] = activeAccount.appId;
-      if (activeAccount.appSecret) envVars['FACEBOOK_APP_SECRET'] = activeAccount.appSecret;
+      if (activeAccount.appSecret) envVars['FACEBOOK_APP_SECRET'] = accountStore.decryptField(activeAccount, 'appSecret');
     } else if (platform === 'reddit') {
       envVars['REDDIT_USERNAME'] = activeAccount.username;
-      envVars['REDDIT_PASSWORD'] = decrypt(activeAccount.password);
+      envVars['REDDIT_PASSWORD'] = decryptSecret(activeAccount.password);
     }
   }
   
@@ -5,13 +5,22 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { logger } from './utils/logger.mjs';
+import { platformRegistry } from './platforms/registry.mjs';
+import { config } from './utils/config.mjs';
+import { shutdown } from './services/shutdown.mjs';
+import { printJsonError } from './utils/json-output.mjs';
 
 // Import command modules
 import { runNetworkingBot } from './commands/run.mjs';
 import { manageAccounts } from './commands/accounts.mjs';
 import { createProfiles } from './commands/profiles.mjs';
-import { configureBot } from './commands/config.mjs';
+import { configureBot, validateConfigFiles } from './commands/config.mjs';
 import { runSetup } from './commands/setup.mjs';
+import { manageSuppression } from './commands/suppress.mjs';
+import { reviewMessages } from './commands/review.mjs';
+import { manageIdentities } from './commands/identities.mjs';
+import { manageAudit } from './commands/audit.mjs';
+import { manageData } from './commands/data.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -40,12 +49,26 @@ async function setupCLI() {
     .description('🤖 Networking Bot - Automate social media outreach and account management')
     .version(version, '-v, --version', 'display version number');
 
+  // Apply settings.logging before any command runs. `config validate` only reads
+  // files, so it must not create or migrate config.json on the way in. With --json,
+  // stdout is for the JSON report only.
+  program.hook('preAction', (thisCommand, actionCommand) => {
+    if (actionCommand.opts().json) {
+      logger.useStderr();
+    }
+    if (actionCommand.name() !== 'validate') {
+      logger.configure(config.load().settings?.logging);
+    }
+  });
+
   // Run command - main bot operation
   program
     .command('run')
-    .description('🚀 Start the networking bot to find and message potential users')
-    .option('-p, --platform <platform>', 'run only specific platform (tiktok, x, youtube, facebook, reddit, linkedin)')
+    .description('🚀 Run the networking bot once to find and message potential users')
+    .option('-p, --platform <platform>', `run only specific platform (${platformRegistry.names().join(', ')})`)
     .option('-d, --dry-run', 'run in dry-run mode (no actual messages sent)')
+    .option('-r, --review', 'queue new messages for human approval instead of sending them')
+    .option('--campaign <name>', 'run one campaign from config.json with its own search terms, templates and budget')
     .option('-c, --config <path>', 'path to config file (deprecated - config now stored in ~/.config/networking-bots/)')
     .action(async (options) => {
       try {
@@ -56,6 +79,22 @@ async function setupCLI() {
       }
     });
 
+  // Daemon command - run on a schedule
+  program
+    .command('daemon')
+    .description('🕰️ Keep running the bot on the schedules in config.json (settings.schedule and campaign schedules)')
+    .option('--once', 'run the jobs that are due, then exit (for system cron)')
+    .option('-s, --status', 'show whether the daemon is running, each job\'s next run and recent runs')
+    .action(async (options) => {
+      try {
+        const { startDaemon } = await import('./commands/daemon.mjs');
+        await startDaemon(options);
+      } catch (error) {
+        logger.error(`Failed to run daemon: ${error.message}`);
+        process.exit(1);
+      }
+    });
+
   // Accounts command - manage social media accounts
   program
     .command('accounts')
@@ -65,13 +104,17 @@ async function setupCLI() {
     .option('-u, --update', 'update an existing account')
     .option('-d, --delete', 'delete an account')
     .option('-s, --set-active', 'set active account for a platform')
+    .option('--attest', 'record the owner, purpose and ownership attestation of an account')
+    .option('--resume', 'use an account paused after a platform warning again, once reviewed')
     .option('-e, --export', 'export active accounts to .env file')
+    .option('-r, --rekey', 're-encrypt stored credentials with the current ENCRYPTION_KEY')
+    .option('--json', 'list accounts as JSON, without credentials')
     .action(async (options) => {
       try {
-        await manageAccounts(options);
+        process.exitCode = await manageAccounts(options);
       } catch (error) {
         logger.error(`Failed to manage accounts: ${error.message}`);
-        process.exit(1);
+        process.exit(options.json ? printJsonError('accounts', error) : 1);
       }
     });
 
@@ -92,18 +135,37 @@ async function setupCLI() {
     });
 
   // Config command - manage bot configuration
-  program
+  const configCommand = program
     .command('config')
     .description('⚙️  Manage bot configuration')
     .option('-s, --show', 'show current configuration')
     .option('-e, --edit', 'edit configuration interactively')
     .option('-i, --init', 'initialize default configuration')
     .option('-p, --platform <platform>', 'configure specific platform')
+    .option('--json', 'show the configuration as JSON, secrets redacted')
     .action(async (options) => {
       try {
-        await configureBot(options);
+        process.exitCode = await configureBot(options);
       } catch (error) {
         logger.error(`Failed to manage configuration: ${error.message}`);
+        process.exit(options.json ? printJsonError('config', error) : 1);
+      }
+    });
+
+  configCommand
+    .command('validate')
+    .description('check config.json and env.json; exits non-zero on errors')
+    .option('-f, --file <path>', 'config.json to check instead of your own')
+    .option('--env <path>', 'env.json to check instead of your own')
+    .option('--strict', 'treat warnings as errors')
+    .action(async (options) => {
+      try {
+        const valid = await validateConfigFiles(options);
+        if (!valid) {
+          process.exit(1);
+        }
+      } catch (error) {
+        logger.error(`Failed to validate configuration: ${error.message}`);
         process.exit(1);
       }
     });
@@ -128,12 +190,198 @@ async function setupCLI() {
     .description('📊 Show bot status and statistics')
     .option('-p, --platform <platform>', 'show status for specific platform')
     .option('-d, --detailed', 'show detailed statistics')
+    .option('--json', 'print status as JSON; exits 2 when there are warnings')
     .action(async (options) => {
       try {
         const { showStatus } = await import('./commands/status.mjs');
-        await showStatus(options);
+        process.exitCode = await showStatus(options);
       } catch (error) {
         logger.error(`Failed to show status: ${error.message}`);
+        process.exit(options.json ? printJsonError('status', error) : 1);
+      }
+    });
+
+  // Review command - approve, edit or reject queued messages
+  program
+    .command('review')
+    .description('📝 Review messages queued by `nbot run --review`')
+    .option('-l, --list', 'list the review queue without reviewing')
+    .option('-p, --platform <platform>', 'only review messages for a specific platform')
+    .action(async (options) => {
+      try {
+        await reviewMessages(options);
+      } catch (error) {
+        logger.error(`Failed to review messages: ${error.message}`);
+        process.exit(1);
+      }
+    });
+
+  // Suppress command - manage the global do-not-contact list
+  const suppress = program
+    .command('suppress')
+    .description('🚫 Manage the global do-not-contact (suppression) list');
+
+  suppress
+    .command('add <identifier>')
+    .description('never contact this handle or profile URL again')
+    .option('-p, --platform <platform>', 'only suppress on a specific platform')
+    .option('-r, --reason <reason>', 'reason for the suppression')
+    .option('-l, --linked <identities>', 'comma-separated handles/URLs of the same person')
+    .action(async (identifier, options) => {
+      try {
+        await manageSuppression('add', identifier, options);
+      } catch (error) {
+        logger.error(`Failed to add suppression: ${error.message}`);
+        process.exit(1);
+      }
+    });
+
+  suppress
+    .command('remove <identifier>')
+    .description('remove a handle or profile URL from the suppression list')
+    .option('-p, --platform <platform>', 'only remove the entry for a specific platform')
+    .action(async (identifier, options) => {
+      try {
+        await manageSuppression('remove', identifier, options);
+      } catch (error) {
+        logger.error(`Failed to remove suppression: ${error.message}`);
+        process.exit(1);
+      }
+    });
+
+  suppress
+    .command('list')
+    .description('list suppressed recipients')
+    .option('-p, --platform <platform>', 'show entries that apply to a specific platform')
+    .action(async (options) => {
+      try {
+        await manageSuppression('list', null, options);
+      } catch (error) {
+        logger.error(`Failed to list suppressions: ${error.message}`);
+        process.exit(1);
+      }
+    });
+
+  suppress
+    .command('import <file>')
+    .description('import identifiers from a text file (one per line) or JSON array')
+    .option('-p, --platform <platform>', 'apply imported entries to a specific platform')
+    .option('-r, --reason <reason>', 'reason recorded for every imported entry')
+    .action(async (file, options) => {
+      try {
+        await manageSuppression('import', file, options);
+      } catch (error) {
+        logger.error(`Failed to import suppressions: ${error.message}`);
+        process.exit(1);
+      }
+    });
+
+  // Identities command - link accounts that belong to the same person
+  const identities = program
+    .command('identities')
+    .description('🔗 Link accounts of the same person across platforms');
+
+  identities
+    .command('link <identities...>')
+    .description('link two or more identities (platform:handle or profile URL) as one person')
+    .option('-n, --note <note>', 'note about how the link was established')
+    .action(async (identifiers, options) => {
+      try {
+        await manageIdentities('link', identifiers, options);
+      } catch (error) {
+        logger.error(`Failed to link identities: ${error.message}`);
+        process.exit(1);
+      }
+    });
+
+  identities
+    .command('unlink <identity>')
+    .description('remove an identity from its link group')
+    .action(async (identifier) => {
+      try {
+        await manageIdentities('unlink', [identifier]);
+      } catch (error) {
+        logger.error(`Failed to unlink identity: ${error.message}`);
+        process.exit(1);
+      }
+    });
+
+  identities
+    .command('list')
+    .description('list linked identities')
+    .action(async () => {
+      try {
+        await manageIdentities('list');
+      } catch (error) {
+        logger.error(`Failed to list identities: ${error.message}`);
+        process.exit(1);
+      }
+    });
+
+  // Audit command - who sent what to whom
+  const audit = program
+    .command('audit')
+    .description('🧾 Inspect the tamper-evident log of every message sent');
+
+  audit
+    .command('verify')
+    .description('check the audit log for edited, removed or missing entries; exits non-zero if any')
+    .action(async () => {
+      try {
+        const intact = await manageAudit('verify');
+        if (!intact) {
+          process.exit(1);
+        }
+      } catch (error) {
+        logger.error(`Failed to verify audit log: ${error.message}`);
+        process.exit(1);
+      }
+    });
+
+  audit
+    .command('list')
+    .description('show audit entries, newest last')
+    .option('-p, --platform <platform>', 'only entries for a specific platform')
+    .option('-r, --recipient <recipient>', 'only messages to this recipient')
+    .option('-n, --limit <count>', 'number of entries to show', '20')
+    .action(async (options) => {
+      try {
+        await manageAudit('list', options);
+      } catch (error) {
+        logger.error(`Failed to list audit entries: ${error.message}`);
+        process.exit(1);
+      }
+    });
+
+  // Data command - access and erasure requests from the people the bot contacts
+  const data = program
+    .command('data')
+    .description('🗂️ Export or erase everything stored about one person');
+
+  data
+    .command('export')
+    .description('collect every record about a person into one JSON file')
+    .requiredOption('-s, --subject <identity>', 'handle, platform:handle or profile URL of the person')
+    .option('-o, --output <file>', 'file to write (default: nbot-data-export-<timestamp>.json)')
+    .action(async (options) => {
+      try {
+        await manageData('export', options);
+      } catch (error) {
+        logger.error(`Failed to export data: ${error.message}`);
+        process.exit(1);
+      }
+    });
+
+  data
+    .command('forget')
+    .description('erase every record about a person and never contact them again')
+    .requiredOption('-s, --subject <identity>', 'handle, platform:handle or profile URL of the person')
+    .option('-y, --yes', 'do not ask for confirmation')
+    .action(async (options) => {
+      try {
+        await manageData('forget', options);
+      } catch (error) {
+        logger.error(`Failed to forget data subject: ${error.message}`);
         process.exit(1);
       }
     });
@@ -143,13 +391,21 @@ async function setupCLI() {
     console.log('');
     console.log('Examples:');
     console.log('  $ nbot setup                  # Run initial setup wizard');
-    console.log('  $ nbot run                    # Start the networking bot');
+    console.log('  $ nbot run                    # Run the networking bot once');
     console.log('  $ nbot run -p linkedin        # Run only LinkedIn bot');
+    console.log('  $ nbot daemon                 # Keep running on the configured schedule');
+    console.log('  $ nbot run --review           # Queue messages for approval');
+    console.log('  $ nbot review                 # Approve, edit or reject queued messages');
     console.log('  $ nbot accounts --list        # List all accounts');
     console.log('  $ nbot accounts --add         # Add a new account');
+    console.log('  $ nbot accounts --attest      # Record who owns an account');
     console.log('  $ nbot create-profiles -n 5   # Create 5 synthetic profiles');
     console.log('  $ nbot config --show          # Show current configuration');
     console.log('  $ nbot status                 # Show bot status');
+    console.log('  $ nbot status --json          # Status for dashboards and scripts');
+    console.log('  $ nbot suppress add @someone  # Never contact @someone again');
+    console.log('  $ nbot audit verify           # Check the audit log for tampering');
+    console.log('  $ nbot data export -s @jane   # Everything stored about @jane, as JSON');
     console.log('');
     console.log('For more information, visit: https://github.com/profullstack/networking-bots');
   });
@@ -188,16 +444,8 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  logger.log('\n👋 Shutting down gracefully...');
-  process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-  logger.log('\n👋 Shutting down gracefully...');
-  process.exit(0);
-});
+// Graceful shutdown: lets the current send finish and closes browsers before exiting
+shutdown.install();
 
 // Start the CLI
 main();
\ No newline at end of file
@@ -2,9 +2,22 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import readline from 'readline';
-import crypto from 'crypto';
 import dotenv from 'dotenv';
 import { logger } from '../utils/logger.mjs';
+import {
+  encryptSecret,
+  decryptSecret,
+  decryptLegacySecret,
+  getPassphrase,
+  isEncryptedPayload,
+  isLegacyPayload,
+  LEGACY_DEFAULT_KEY
+} from '../services/credential-vault.mjs';
+import { accountStore, accountProblem, encryptSecretFields } from '../services/account-store.mjs';
+import { currentOperator } from '../services/audit-log.mjs';
+import { platformRegistry } from '../platforms/registry.mjs';
+import { config } from '../utils/config.mjs';
+import { printJson } from '../utils/json-output.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,11 +25,8 @@ const __dirname = path.dirname(__filename);
 // Load environment variables from .env file
 dotenv.config({ path: path.join(__dirname, '../../.env') });
 
-// Define the accounts file path
-const ACCOUNTS_FILE_PATH = path.join(__dirname, '../../accounts.json');
-
 // Supported platforms
-const SUPPORTED_PLATFORMS = ['linkedin', 'x', 'tiktok', 'youtube', 'facebook', 'reddit'];
+const SUPPORTED_PLATFORMS = platformRegistry.names();
 
 /**
  * Create readline interface for CLI interaction
@@ -94,67 +104,11 @@ function promptPassword(rl, question) {
   });
 }
 
-/**
- * Helper function to encrypt sensitive data
- */
-function encrypt(text) {
-  const algorithm = 'aes-256-ctr';
-  const secretKey = process.env.ENCRYPTION_KEY || 'default-encryption-key-change-me';
-  const iv = crypto.randomBytes(16);
-  
-  const cipher = crypto.createCipheriv(algorithm, secretKey, iv);
-  const encrypted = Buffer.concat([cipher.update(text), cipher.final()]);
-  
-  return {
-    iv: iv.toString('hex'),
-    content: encrypted.toString('hex')
-  };
-}
-
-/**
- * Helper function to decrypt sensitive data
- */
-function decrypt(hash) {
-  const algorithm = 'aes-256-ctr';
-  const secretKey = process.env.ENCRYPTION_KEY || 'default-encryption-key-change-me';
-  const decipher = crypto.createDecipheriv(
-    algorithm,
-    secretKey,
-    Buffer.from(hash.iv, 'hex')
-  );
-  
-  const decrypted = Buffer.concat([
-    decipher.update(Buffer.from(hash.content, 'hex')),
-    decipher.final()
-  ]);
-  
-  return decrypted.toString();
-}
-
-/**
- * Load accounts from file
- */
-async function loadAccounts() {
-  try {
-    const data = await fs.readFile(ACCOUNTS_FILE_PATH, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return {};
-  }
-}
-
-/**
- * Save accounts to file
- */
-async function saveAccounts(accounts) {
-  await fs.writeFile(ACCOUNTS_FILE_PATH, JSON.stringify(accounts, null, 2));
-}
-
 /**
  * List all accounts
  */
 async function listAccounts() {
-  const accounts = await loadAccounts();
+  const accounts = await accountStore.load();
   const platforms = Object.keys(accounts);
   
   if (platforms.length === 0) {
@@ -180,16 +134,172 @@ async function listAccounts() {
       const status = account.active ? '🟢 ACTIVE' : '⚪ INACTIVE';
       const dateAdded = account.dateAdded ? new Date(account.dateAdded).toLocaleDateString() : 'Unknown';
       logger.log(`  ${i + 1}. ${account.username} ${status} (Added: ${dateAdded})`);
+      logger.log(`     Owner: ${account.owner || 'unknown'} - Purpose: ${account.purpose || 'unknown'}`);
+      if (account.status === 'paused') {
+        logger.log(`     ⏸️ PAUSED after a ${account.pauseKind}: ${account.pauseReason}`);
+      } else if (account.attested) {
+        logger.log(`     ✅ Attested by ${account.attestedBy || 'unknown'} on ${new Date(account.attestedAt).toLocaleDateString()}`);
+      } else {
+        logger.log('     ❌ Not attested: nbot run will not use it');
+      }
     }
   }
   
-  logger.log('\n💡 Use --set-active to change active accounts');
+  logger.log('\n💡 Use --set-active to change active accounts, --attest to attest one and --resume to review a paused one');
+}
+
+/**
+ * Accounts for `nbot accounts --list --json`, without credentials
+ * @returns {Promise<Object>} See "JSON Output" in CLI_USAGE.md
+ */
+export async function getAccountsReport() {
+  const accounts = await accountStore.load();
+  const botConfig = config.load();
+  const names = [...new Set([...platformRegistry.names(), ...Object.keys(accounts)])];
+  
+  const platforms = names.map(name => {
+    const platformAccounts = (accounts[name] || []).map(account => accountStore.describe(account));
+    return {
+      name,
+      enabled: botConfig.platforms[name]?.enabled === true,
+      activeAccount: platformAccounts.find(account => account.active)?.username || null,
+      accounts: platformAccounts
+    };
+  });
+  
+  const warnings = platforms
+    .filter(platform => platform.enabled)
+    .map(platform => {
+      if (!platform.activeAccount) return `No active account for ${platform.name}`;
+      const problem = accountProblem((accounts[platform.name] || []).find(account => account.active));
+      return problem && `${platform.name} ${problem}`;
+    })
+    .filter(Boolean);
+  
+  return { platforms, warnings };
+}
+
+/**
+ * Ask for the account owner and purpose, and for the attestation
+ * @returns {Promise<Object>} owner, purpose and attested, plus attestedBy and attestedAt when attested
+ */
+async function promptAttestation(rl, platform, username) {
+  let owner = '';
+  while (!owner) {
+    owner = await prompt(rl, 'Enter the person who owns and is responsible for this account: ');
+  }
+  let purpose = '';
+  while (!purpose) {
+    purpose = await prompt(rl, 'Enter what this account is used for: ');
+  }
+  
+  const answer = await prompt(rl, `Do you attest that ${username} is our real, verified ${platform} business presence, owned by ${owner}? (y/N): `);
+  if (answer.toLowerCase() !== 'y') {
+    return { owner, purpose, attested: false };
+  }
+  return { owner, purpose, attested: true, attestedBy: currentOperator(), attestedAt: new Date().toISOString() };
+}
+
+/**
+ * Let the user pick one account of a platform
+ * @param {Function} [filter] - Only offer accounts it returns true for
+ * @returns {Promise<{platform: string, account: Object}|null>} null when nothing was chosen
+ */
+async function chooseAccount(rl, filter = () => true) {
+  const platform = await prompt(rl, `Enter platform (${SUPPORTED_PLATFORMS.join(', ')}): `);
+  
+  if (!SUPPORTED_PLATFORMS.includes(platform)) {
+    logger.error('❌ Invalid platform. Please choose from the available options.');
+    return null;
+  }
+  
+  const accounts = await accountStore.load();
+  const candidates = (accounts[platform] || []).filter(filter);
+  if (candidates.length === 0) {
+    logger.error(`❌ No matching accounts found for ${platform}.`);
+    return null;
+  }
+  
+  logger.log(`\n🔹 ${platform.toUpperCase()} ACCOUNTS:`);
+  candidates.forEach((account, i) => {
+    const status = account.status === 'paused' ? `⏸️ PAUSED (${account.pauseKind}: ${account.pauseReason})` : (account.attested ? '✅ attested' : '❌ not attested');
+    logger.log(`  ${i + 1}. ${account.username} ${status}`);
+  });
+  
+  const index = parseInt(await prompt(rl, '\nEnter account number: ')) - 1;
+  if (isNaN(index) || index < 0 || index >= candidates.length) {
+    logger.error('❌ Invalid account number.');
+    return null;
+  }
+  
+  return { platform, account: candidates[index] };
+}
+
+/**
+ * Record the owner, purpose and attestation of an existing account
+ */
+async function attestAccountInteractive() {
+  const rl = createReadlineInterface();
+  
+  try {
+    logger.log('\n📝 ATTEST ACCOUNT OWNERSHIP');
+    logger.log('='.repeat(30));
+    
+    const chosen = await chooseAccount(rl);
+    if (!chosen) return;
+    
+    const { platform, account } = chosen;
+    const attestation = await promptAttestation(rl, platform, account.username);
+    if (!attestation.attested) {
+      logger.log('❎ Not attested. nbot run will not use this account.');
+      return;
+    }
+    
+    await accountStore.attest(platform, account.username, attestation);
+    logger.log(`✅ ${account.username} on ${platform} attested by ${attestation.attestedBy}.`);
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Use a paused account again once a human has reviewed it on the platform
+ */
+async function resumeAccountInteractive() {
+  const rl = createReadlineInterface();
+  
+  try {
+    logger.log('\n▶️ REVIEW PAUSED ACCOUNT');
+    logger.log('='.repeat(30));
+    
+    const chosen = await chooseAccount(rl, account => account.status === 'paused');
+    if (!chosen) return;
+    
+    const { platform, account } = chosen;
+    logger.log(`\n${account.username} was paused on ${new Date(account.pausedAt).toLocaleString()} after a ${account.pauseKind}:`);
+    logger.log(`  ${account.pauseReason}`);
+    logger.log('Log in to the platform and resolve it (appeal, verification, acknowledging the warning) before resuming.');
+    
+    const answer = await prompt(rl, 'Have you reviewed the account and resolved the issue? (y/N): ');
+    if (answer.toLowerCase() !== 'y') {
+      logger.log('⏸️ The account stays paused.');
+      return;
+    }
+    
+    await accountStore.resume(platform, account.username, currentOperator());
+    logger.log(`✅ ${account.username} on ${platform} will be used again.`);
+  } finally {
+    rl.close();
+  }
 }
 
 /**
  * Add a new account interactively
  */
 async function addAccountInteractive() {
+  // Fail before asking for credentials if they can't be stored safely
+  getPassphrase();
+  
   const rl = createReadlineInterface();
   
   try {
@@ -214,7 +324,7 @@ async function addAccountInteractive() {
       const apiSecret = await prompt(rl, 'Enter API secret (optional, press Enter to skip): ');
       if (apiKey) additionalCredentials.apiKey = apiKey;
       if (apiSecret) additionalCredentials.apiSecret = apiSecret;
-    } else if (platform === 'youtube') {
+    } else if (['youtube', 'reddit', 'tiktok'].includes(platform)) {
       const clientId = await prompt(rl, 'Enter client ID (optional, press Enter to skip): ');
       const clientSecret = await prompt(rl, 'Enter client secret (optional, press Enter to skip): ');
       if (clientId) additionalCredentials.clientId = clientId;
@@ -226,33 +336,36 @@ async function addAccountInteractive() {
       if (appSecret) additionalCredentials.appSecret = appSecret;
     }
     
-    // Encrypt sensitive data
-    const encryptedPassword = encrypt(password);
+    // Who is responsible for the account, and whether it is our real presence
+    const attestation = await promptAttestation(rl, platform, username);
     
     // Create account object
     const account = {
       username,
-      password: encryptedPassword,
+      password,
       active: false,
       dateAdded: new Date().toISOString(),
+      ...attestation,
       ...additionalCredentials
     };
     
-    // Load existing accounts
-    const accounts = await loadAccounts();
+    // Encrypt the password and API secrets
+    encryptSecretFields(account);
     
-    // Initialize platform array if it doesn't exist
-    if (!accounts[platform]) {
-      accounts[platform] = [];
-    }
-    
-    // Add new account
-    accounts[platform].push(account);
-    
-    // Save accounts
-    await saveAccounts(accounts);
+    // Add the account while holding the accounts lock
+    await accountStore.update(accounts => {
+      // Initialize platform array if it doesn't exist
+      if (!accounts[platform]) {
+        accounts[platform] = [];
+      }
+      
+      accounts[platform].push(account);
+    });
     
     logger.log(`✅ Account ${username} added successfully to ${platform}.`);
+    if (!attestation.attested) {
+      logger.log('⚠️ nbot run will not use this account until it is attested: nbot accounts --attest');
+    }
     logger.log('💡 Use --set-active to make this account active');
     
   } finally {
@@ -278,7 +391,7 @@ async function setActiveAccountInteractive() {
     }
     
     // Load accounts
-    const accounts = await loadAccounts();
+    const accounts = await accountStore.load();
     
     // Check if platform exists
     if (!accounts[platform] || accounts[platform].length === 0) {
@@ -303,18 +416,16 @@ async function setActiveAccountInteractive() {
       return;
     }
     
-    // Set all accounts for this platform to inactive
-    for (const acc of accounts[platform]) {
-      acc.active = false;
-    }
-    
-    // Set selected account to active
-    accounts[platform][index].active = true;
+    const { username } = accounts[platform][index];
     
-    // Save accounts
-    await saveAccounts(accounts);
+    // Re-read under the lock so changes made meanwhile by another process are kept
+    await accountStore.update(current => {
+      for (const acc of current[platform] || []) {
+        acc.active = acc.username === username;
+      }
+    });
     
-    logger.log(`✅ Account ${accounts[platform][index].username} set as active for ${platform}.`);
+    logger.log(`✅ Account ${username} set as active for ${platform}.`);
     
   } finally {
     rl.close();
@@ -325,7 +436,7 @@ async function setActiveAccountInteractive() {
  * Export account credentials to .env file
  */
 async function exportToEnv() {
-  const accounts = await loadAccounts();
+  const accounts = await accountStore.load();
   const platforms = Object.keys(accounts);
   
   if (platforms.length === 0) {
@@ -365,28 +476,28 @@ async function exportToEnv() {
     // Set platform-specific environment variables
     if (platform === 'linkedin') {
       envVars['LINKEDIN_USERNAME'] = activeAccount.username;
-      envVars['LINKEDIN_PASSWORD'] = decrypt(activeAccount.password);
+      envVars['LINKEDIN_PASSWORD'] = decryptSecret(activeAccount.password);
     } else if (platform === 'x') {
       envVars['X_USERNAME'] = activeAccount.username;
-      envVars['X_PASSWORD'] = decrypt(activeAccount.password);
-      if (activeAccount.apiKey) envVars['X_API_KEY'] = activeAccount.apiKey;
-      if (activeAccount.apiSecret) envVars['X_API_SECRET'] = activeAccount.apiSecret;
+      envVars['X_PASSWORD'] = decryptSecret(activeAccount.password);
+      if (activeAccount.apiKey) envVars['X_API_KEY'] = accountStore.decryptField(activeAccount, 'apiKey');
+      if (activeAccount.apiSecret) envVars['X_API_SECRET'] = accountStore.decryptField(activeAccount, 'apiSecret');
     } else if (platform === 'tiktok') {
       envVars['TIKTOK_USERNAME'] = activeAccount.username;
-      envVars['TIKTOK_PASSWORD'] = decrypt(activeAccount.password);
+      envVars['TIKTOK_PASSWORD'] = decryptSecret(activeAccount.password);
     } else if (platform === 'youtube') {
       envVars['YOUTUBE_USERNAME'] = activeAccount.username;
-      envVars['YOUTUBE_PASSWORD'] = decrypt(activeAccount.password);
+      envVars['YOUTUBE_PASSWORD'] = decryptSecret(activeAccount.password);
       if (activeAccount.clientId) envVars['YOUTUBE_CLIENT_ID'] = activeAccount.clientId;
-      if (activeAccount.clientSecret) envVars['YOUTUBE_CLIENT_SECRET'] = activeAccount.clientSecret;
+      if (activeAccount.clientSecret) envVars['YOUTUBE_CLIENT_SECRET'] = accountStore.decryptField(activeAccount, 'clientSecret');
     } else if (platform === 'facebook') {
       envVars['FACEBOOK_USERNAME'] = activeAccount.username;
-      envVars['FACEBOOK_PASSWORD'] = decrypt(activeAccount.password);
+      envVars['FACEBOOK_PASSWORD'] = decryptSecret(activeAccount.password);
       if (activeAccount.appId) envVars['FACEBOOK_APP_ID'] = activeAccount.appId;
-      if (activeAccount.appSecret) envVars['FACEBOOK_APP_SECRET'] = activeAccount.appSecret;
+      if (activeAccount.appSecret) envVars['FACEBOOK_APP_SECRET'] = accountStore.decryptField(activeAccount, 'appSecret');
     } else if (platform === 'reddit') {
       envVars['REDDIT_USERNAME'] = activeAccount.username;
-      envVars['REDDIT_PASSWORD'] = decrypt(activeAccount.password);
+      envVars['REDDIT_PASSWORD'] = decryptSecret(activeAccount.password);
     }
   }
   
@@ -415,21 +526,111 @@ async function exportToEnv() {
   logger.log(`\n✅ Exported ${exportedCount} active accounts to .env file successfully.`);
 }
 
+/**
+ * Decrypt a stored secret that may use the legacy format or a previous key
+ */
+function decryptForRekey(payload, previousKey) {
+  if (isLegacyPayload(payload)) {
+    return decryptLegacySecret(payload, previousKey || LEGACY_DEFAULT_KEY);
+  }
+  
+  try {
+    return decryptSecret(payload);
+  } catch (error) {
+    if (!previousKey) throw error;
+    return decryptSecret(payload, { passphrase: previousKey });
+  }
+}
+
+/**
+ * Re-encrypt every stored credential with the current encryption key, and
+ * encrypt secrets that were stored in plain text
+ */
+async function rekeyAccounts() {
+  // Validate the new key before touching anything
+  getPassphrase();
+  
+  const rl = createReadlineInterface();
+  let previousKey;
+  
+  try {
+    logger.log('\n🔑 REKEY STORED CREDENTIALS');
+    logger.log('='.repeat(30));
+    logger.log('Credentials will be re-encrypted with the current ENCRYPTION_KEY.');
+    previousKey = await promptPassword(rl, 'Enter the previous encryption key (press Enter if none was set): ');
+  } finally {
+    rl.close();
+  }
+  
+  const backupPath = `${accountStore.filePath}.pre-rekey.bak`;
+  let rekeyed = 0;
+  let encrypted = 0;
+  let failed = 0;
+  
+  await accountStore.withLock(async () => {
+    const accounts = await accountStore.load();
+    
+    for (const [platform, platformAccounts] of Object.entries(accounts)) {
+      for (const account of platformAccounts) {
+        for (const [field, value] of Object.entries(account)) {
+          if (!isEncryptedPayload(value)) continue;
+          
+          try {
+            account[field] = encryptSecret(decryptForRekey(value, previousKey));
+            rekeyed++;
+          } catch (error) {
+            failed++;
+            logger.error(`❌ Could not re-encrypt ${field} of ${account.username} (${platform}): ${error.message}`);
+          }
+        }
+        
+        // Older versions stored API keys and secrets without encrypting them
+        encrypted += encryptSecretFields(account);
+      }
+    }
+    
+    if (rekeyed === 0 && encrypted === 0) return;
+    
+    // Legacy ciphertexts have no integrity check, so keep a copy in case the previous key was wrong
+    await fs.copyFile(accountStore.filePath, backupPath);
+    await accountStore.write(accounts);
+  });
+  
+  if (rekeyed === 0 && encrypted === 0) {
+    logger.log('📭 No credentials were re-encrypted.');
+    return;
+  }
+  
+  logger.log(`\n✅ Re-encrypted ${rekeyed} credential(s)${failed ? `, ${failed} failed` : ''}.`);
+  if (encrypted > 0) {
+    logger.log(`🔒 Encrypted ${encrypted} secret(s) that were stored in plain text.`);
+  }
+  logger.log(`💾 Previous file saved to ${backupPath}. Delete it once the accounts work.`);
+}
+
 /**
  * Main accounts management function
  */
 export async function manageAccounts(options = {}) {
-  const { list, add, update, delete: deleteAccount, setActive, export: exportAccounts } = options;
+  const { list, add, update, delete: deleteAccount, setActive, attest, resume, export: exportAccounts, rekey, json } = options;
   
   try {
-    if (list) {
+    if (json) {
+      return printJson('accounts', await getAccountsReport());
+    } else if (list) {
       await listAccounts();
     } else if (add) {
       await addAccountInteractive();
     } else if (setActive) {
       await setActiveAccountInteractive();
+    } else if (attest) {
+      await attestAccountInteractive();
+    } else if (resume) {
+      await resumeAccountInteractive();
     } else if (exportAccounts) {
       await exportToEnv();
+    } else if (rekey) {
+      await rekeyAccounts();
     } else {
       // Interactive mode - show menu
       await showAccountsMenu();
@@ -455,10 +656,12 @@ async function showAccountsMenu() {
       logger.log('1. 📋 List accounts');
       logger.log('2. ➕ Add account');
       logger.log('3. 🎯 Set active account');
-      logger.log('4. 📤 Export active accounts to .env');
-      logger.log('5. 🚪 Exit');
+      logger.log('4. 📝 Attest account ownership');
+      logger.log('5. ▶️ Review paused account');
+      logger.log('6. 📤 Export active accounts to .env');
+      logger.log('7. 🚪 Exit');
       
-      const choice = await prompt(rl, '\nEnter your choice (1-5): ');
+      const choice = await prompt(rl, '\nEnter your choice (1-7): ');
       
       switch (choice) {
         case '1':
@@ -473,9 +676,17 @@ async function showAccountsMenu() {
           await setActiveAccountInteractive();
           return;
         case '4':
+          rl.close();
+          await attestAccountInteractive();
+          return;
+        case '5':
+          rl.close();
+          await resumeAccountInteractive();
+          return;
+        case '6':
           await exportToEnv();
           break;
-        case '5':
+        case '7':
           logger.log('👋 Exiting account manager. Goodbye!');
           return;
         default:
@@ -0,0 +1,88 @@
+import dayjs from 'dayjs';
+import { logger } from '../utils/logger.mjs';
+import { auditLog } from '../services/audit-log.mjs';
+
+/**
+ * Check the audit log for edits and gaps
+ * @returns {Promise<boolean>} True when the chain is intact
+ */
+async function verifyAuditLog() {
+  const { entries, issues } = await auditLog.verify();
+
+  if (issues.length === 0) {
+    logger.log(`✅ ${auditLog.filePath}: ${entries} entr${entries === 1 ? 'y' : 'ies'}, chain intact`);
+    return true;
+  }
+
+  logger.log(`\n📄 ${auditLog.filePath}`);
+  for (const issue of issues) {
+    const where = [issue.line !== null ? `line ${issue.line}` : null, issue.seq !== null ? `entry ${issue.seq}` : null]
+      .filter(Boolean)
+      .join(', ');
+    logger.log(`  ❌ ${where}: ${issue.problem}`);
+  }
+  logger.log(`\n❌ ${issues.length} problem(s) in ${entries} entr${entries === 1 ? 'y' : 'ies'}. The audit log has been tampered with or damaged.`);
+  return false;
+}
+
+/**
+ * Show audit entries, newest last
+ */
+async function listAuditEntries(options) {
+  const { platform = null, recipient = null, limit = 20 } = options;
+  const entries = (await auditLog.list()).filter(entry =>
+    (!platform || entry.platform === platform) &&
+    (!recipient || entry.recipient === recipient)
+  );
+
+  if (entries.length === 0) {
+    logger.log('📭 No audit entries found.');
+    return;
+  }
+
+  const shown = entries.slice(-Number(limit));
+  logger.log(`\n🧾 AUDIT LOG (${shown.length} of ${entries.length})`);
+  logger.log('='.repeat(50));
+  for (const entry of shown) {
+    if (entry.action === 'erasure') {
+      logger.log(`  #${entry.seq} ${dayjs(entry.time).format('YYYY-MM-DD HH:mm:ss')} 🧹 erased the recipient and error of entr${entry.erased.length === 1 ? 'y' : 'ies'} ${entry.erased.map(item => `#${item.seq}`).join(', ')}`);
+      logger.log(`      operator: ${entry.operator}`);
+      continue;
+    }
+
+    const icon = { sent: '✅', failed: '❌', unconfirmed: '❔' }[entry.result] || '•';
+    const approval = entry.approval ? `, approved${entry.approval.reviewedBy ? ` by ${entry.approval.reviewedBy}` : ''} (${entry.approval.reviewItem})` : '';
+    logger.log(
+      `  #${entry.seq} ${dayjs(entry.time).format('YYYY-MM-DD HH:mm:ss')} ${icon} ${entry.result} ${entry.platform} → {recipient}`,
+      { recipient: entry.recipient ?? '[forgotten]' }
+    );
+    logger.log(`      account: ${entry.account || 'unknown'}, operator: ${entry.operator}${approval}`);
+    logger.log(`      message sha256: ${entry.messageHash || 'unknown'}${entry.campaign ? `, campaign: ${entry.campaign}` : ''}${entry.runId ? `, run: ${entry.runId}` : ''}`);
+    if (entry.error) {
+      logger.log(`      error: ${entry.error}`);
+    }
+  }
+}
+
+/**
+ * Main audit log function
+ * @param {string} action - verify or list
+ * @param {Object} [options] - Command options
+ * @returns {Promise<boolean|undefined>} For verify: whether the chain is intact
+ */
+export async function manageAudit(action, options = {}) {
+  try {
+    switch (action) {
+      case 'verify':
+        return await verifyAuditLog();
+      case 'list':
+        await listAuditEntries(options);
+        break;
+      default:
+        logger.error(`❌ Unknown audit action: ${action}`);
+    }
+  } catch (error) {
+    logger.error(`❌ Audit log error: ${error.message}`);
+    throw error;
+  }
+}
@@ -1,6 +1,13 @@
 import { createInterface } from 'readline';
-import { logger } from '../utils/logger.mjs';
+import { logger, redact } from '../utils/logger.mjs';
 import { config } from '../utils/config.mjs';
+import { platformRegistry } from '../platforms/registry.mjs';
+import { messageTemplates } from '../services/message-templates.mjs';
+import { listCampaigns } from '../services/campaigns.mjs';
+import { quietHours } from '../services/quiet-hours.mjs';
+import { resolveProvider } from '../services/llm.mjs';
+import { validateConfig, formatIssue } from '../utils/config-schema.mjs';
+import { printJson } from '../utils/json-output.mjs';
 
 /**
  * Create readline interface for CLI interaction
@@ -90,12 +97,36 @@ async function showConfig() {
   
   // Show platforms
   logger.log('\n🔹 PLATFORMS:');
-  for (const [platform, settings] of Object.entries(currentConfig.platforms)) {
+  for (const adapter of platformRegistry.list()) {
+    const settings = currentConfig.platforms[adapter.name] || {};
     const status = settings.enabled ? '🟢 ENABLED' : '🔴 DISABLED';
-    logger.log(`  ${platform}: ${status}`);
+    logger.log(`  ${adapter.name}: ${status} (${adapter.capabilities.join(', ')})`);
     if (settings.message) {
       logger.log(`    Message: "${settings.message.substring(0, 60)}${settings.message.length > 60 ? '...' : ''}"`);
     }
+    if (settings.messages && Object.keys(settings.messages).length > 0) {
+      logger.log(`    Variants: ${Object.keys(settings.messages).join(', ')}`);
+    }
+  }
+  
+  for (const platform of Object.keys(currentConfig.platforms)) {
+    if (!platformRegistry.has(platform)) {
+      logger.warn(`  ⚠️ ${platform}: configured but no such platform is available`);
+    }
+  }
+  
+  // Show campaigns
+  const campaigns = listCampaigns(currentConfig);
+  if (campaigns.length > 0) {
+    logger.log('\n🎯 CAMPAIGNS:');
+    for (const campaign of campaigns) {
+      const { active, reason } = campaign.isActive();
+      logger.log(`  ${campaign.name}: ${active ? '🟢 ACTIVE' : `⏸️ INACTIVE (${reason})`}${campaign.owner ? ` - owner: ${campaign.owner}` : ''}`);
+      logger.log(`    Platforms: ${campaign.platforms ? campaign.platforms.join(', ') : 'all enabled'}`);
+      if (campaign.maxMessagesPerDay !== null) {
+        logger.log(`    Max messages/day: ${campaign.maxMessagesPerDay}`);
+      }
+    }
   }
   
   // Show search terms
@@ -109,10 +140,52 @@ async function showConfig() {
   // Show settings
   logger.log('\n⚙️  SETTINGS:');
   const settings = currentConfig.settings || {};
-  logger.log(`  Working Hours: ${settings.respectWorkingHours ? 'Enabled' : 'Disabled'}`);
+  quietHours.configure(settings);
+  logger.log(`  Working Hours: ${quietHours.windowFor()?.describe() || 'Disabled'}`);
   logger.log(`  Max Messages/Day: ${settings.maxMessagesPerDay || 'Not set'}`);
   logger.log(`  Delay Between Messages: ${(settings.delayBetweenMessages || 0) / 60000} minutes`);
   logger.log(`  Retry Attempts: ${settings.retryAttempts || 'Not set'}`);
+  logger.log(`  Compliance Mode: ${settings.complianceMode || 'off'}`);
+}
+
+/**
+ * Configuration for `nbot config --show --json`. Secrets (API keys, tokens) are redacted.
+ * @returns {Object} See "JSON Output" in CLI_USAGE.md
+ */
+export function getConfigReport() {
+  const currentConfig = config.load();
+  quietHours.configure(currentConfig.settings);
+  
+  const platforms = platformRegistry.list().map(adapter => ({
+    name: adapter.name,
+    enabled: currentConfig.platforms[adapter.name]?.enabled === true,
+    capabilities: adapter.capabilities,
+    integration: adapter.integration,
+    searchTerms: currentConfig.searchTerms?.[adapter.name] || []
+  }));
+  
+  const campaigns = listCampaigns(currentConfig).map(campaign => {
+    const { active, reason } = campaign.isActive();
+    return { name: campaign.name, active, reason: active ? null : reason, platforms: campaign.platforms };
+  });
+  
+  const issues = validateConfig(currentConfig);
+  const warnings = [
+    ...issues.map(formatIssue),
+    ...Object.keys(currentConfig.platforms)
+      .filter(name => !platformRegistry.has(name))
+      .map(name => `platforms.${name}: configured but no such platform is available`)
+  ];
+  
+  return {
+    configPath: config.getConfigPath(),
+    version: currentConfig.version,
+    platforms,
+    campaigns,
+    sendingHours: quietHours.windowFor()?.describe() || null,
+    config: redact(currentConfig, false),
+    warnings
+  };
 }
 
 /**
@@ -137,6 +210,40 @@ async function initConfig() {
   logger.log('💡 Use: nbot config --edit to customize your settings');
 }
 
+/**
+ * Ask for a message template until it is valid or the user gives up
+ * @returns {Promise<string|null>} The new template, or null to keep the current one
+ */
+async function promptTemplate(rl, question) {
+  while (true) {
+    const template = await prompt(rl, question);
+    if (!template) {
+      return null;
+    }
+
+    const errors = messageTemplates.validate(template);
+    if (errors.length === 0) {
+      return template;
+    }
+
+    errors.forEach(error => logger.log(`❌ ${error}`));
+    logger.log('💡 Use variables like {{topic}} or {{displayName|there}}');
+  }
+}
+
+/**
+ * Log template and campaign problems in a config
+ * @returns {boolean} True when the config can be saved
+ */
+function checkTemplates(currentConfig) {
+  const errors = [
+    ...messageTemplates.validateConfig(currentConfig),
+    ...listCampaigns(currentConfig).flatMap(campaign => campaign.validate(platformRegistry.names()))
+  ];
+  errors.forEach(error => logger.log(`❌ ${error}`));
+  return errors.length === 0;
+}
+
 /**
  * Edit configuration interactively
  */
@@ -170,6 +277,10 @@ async function editConfig() {
           currentConfig = await editGeneralSettings(rl, currentConfig);
           break;
         case '4':
+          if (!checkTemplates(currentConfig)) {
+            logger.log('❌ Fix the problems above before saving.');
+            break;
+          }
           config.save(currentConfig);
           logger.log('✅ Configuration saved successfully!');
           return;
@@ -219,11 +330,20 @@ async function editPlatformSettings(rl, currentConfig) {
   
   // Edit message
   logger.log(`\nCurrent message: "${platformConfig.message}"`);
-  const newMessage = await prompt(rl, 'Enter new message (or press Enter to keep current): ');
+  const newMessage = await promptTemplate(rl, 'Enter new message (or press Enter to keep current): ');
   if (newMessage) {
     platformConfig.message = newMessage;
   }
   
+  // Edit automation disclosure
+  logger.log(`\nCurrent disclosure: ${platformConfig.disclosure ? `"${platformConfig.disclosure}"` : 'none'}`);
+  const newDisclosure = await prompt(rl, 'Enter disclosure added to every message, required for sending, "-" for none (or press Enter to keep current): ');
+  if (newDisclosure === '-') {
+    delete platformConfig.disclosure;
+  } else if (newDisclosure) {
+    platformConfig.disclosure = newDisclosure;
+  }
+  
   logger.log(`✅ Updated ${selectedPlatform} settings.`);
   return currentConfig;
 }
@@ -293,6 +413,13 @@ async function editGeneralSettings(rl, currentConfig) {
     settings.delayBetweenMessages = parseFloat(delay) * 60000;
   }
   
+  // Compliance mode
+  const currentMode = settings.complianceMode || 'off';
+  const officialOnly = await prompt(rl, `Only start platforms backed by an official API (compliance mode: ${currentMode})? (y/n, Enter to keep): `);
+  if (['y', 'n'].includes(officialOnly.toLowerCase())) {
+    settings.complianceMode = officialOnly.toLowerCase() === 'y' ? 'official-api-only' : 'off';
+  }
+  
   currentConfig.settings = settings;
   logger.log('✅ Updated general settings.');
   
@@ -305,8 +432,9 @@ async function editGeneralSettings(rl, currentConfig) {
 async function configurePlatform(platform) {
   let currentConfig = config.load();
   
-  if (!currentConfig.platforms[platform]) {
+  if (!currentConfig.platforms[platform] || !platformRegistry.has(platform)) {
     logger.error(`❌ Platform '${platform}' not found in configuration.`);
+    logger.log(`💡 Available platforms: ${platformRegistry.names().join(', ')}`);
     return;
   }
   
@@ -327,7 +455,7 @@ async function configurePlatform(platform) {
     const enable = await prompt(rl, '\nEnable this platform? (y/N): ');
     platformConfig.enabled = enable.toLowerCase() === 'y';
     
-    const message = await prompt(rl, 'Enter message template: ');
+    const message = await promptTemplate(rl, 'Enter message template: ');
     if (message) {
       platformConfig.message = message;
     }
@@ -337,6 +465,11 @@ async function configurePlatform(platform) {
       currentConfig.searchTerms[platform] = terms.split(',').map(term => term.trim()).filter(term => term);
     }
     
+    if (!checkTemplates(currentConfig)) {
+      logger.log('❌ Not saved. Fix the templates above with: nbot config --edit');
+      return;
+    }
+    
     config.save(currentConfig);
     logger.log(`✅ ${platform} configuration updated successfully!`);
     
@@ -345,14 +478,77 @@ async function configurePlatform(platform) {
   }
 }
 
+/**
+ * Check config.json and env.json against the schema, plus templates and the LLM provider
+ * @param {Object} [options]
+ * @param {string} [options.file] - config.json to check instead of the user's own
+ * @param {string} [options.env] - env.json to check instead of the user's own
+ * @param {boolean} [options.strict] - Treat warnings as errors
+ * @returns {Promise<boolean>} True when there are no errors
+ */
+export async function validateConfigFiles(options = {}) {
+  const { file, env, strict = false } = options;
+  const result = config.validateFiles({
+    configPath: file || config.getConfigPath(),
+    envPath: env || config.getEnvPath()
+  });
+  
+  const configIssues = [...result.config];
+  if (result.botConfig) {
+    configIssues.push(...messageTemplates.validateConfig(result.botConfig).map(message => ({ path: 'templates', message, level: 'error' })));
+    
+    const provider = result.botConfig.settings?.llm?.provider;
+    if (typeof provider === 'string' && provider) {
+      try {
+        resolveProvider(provider, result.botConfig.settings.llm);
+      } catch (error) {
+        configIssues.push({ path: 'settings.llm.provider', message: error.message, level: 'error' });
+      }
+    }
+  }
+  
+  const envPath = env || config.getEnvPath();
+  const envIssues = result.env ?? (env ? [{ path: envPath, message: 'file not found', level: 'error' }] : null);
+  const sections = [
+    [file || config.getConfigPath(), configIssues],
+    [envPath, envIssues]
+  ];
+  
+  let errors = 0;
+  let warnings = 0;
+  for (const [path, issues] of sections) {
+    if (issues === null) {
+      logger.log(`⏭️ ${path} (not found, skipped)`);
+      continue;
+    }
+    
+    if (issues.length === 0) {
+      logger.log(`✅ ${path}`);
+      continue;
+    }
+    
+    logger.log(`\n📄 ${path}`);
+    for (const issue of issues) {
+      const isError = issue.level === 'error' || strict;
+      isError ? errors++ : warnings++;
+      logger.log(`  ${isError ? '❌' : '⚠️'} ${formatIssue(issue)}`);
+    }
+  }
+  
+  logger.log(`\n${errors > 0 ? '❌' : '✅'} ${errors} error(s), ${warnings} warning(s)`);
+  return errors === 0;
+}
+
 /**
  * Main configuration management function
  */
 export async function configureBot(options = {}) {
-  const { show, edit, init, platform } = options;
+  const { show, edit, init, platform, json } = options;
   
   try {
-    if (init) {
+    if (json) {
+      return printJson('config', getConfigReport());
+    } else if (init) {
       await initConfig();
     } else if (show) {
       await showConfig();
@@ -0,0 +1,183 @@
+import dayjs from 'dayjs';
+import { createLogger } from '../utils/logger.mjs';
+import { config } from '../utils/config.mjs';
+import { listJobs } from '../services/scheduler.mjs';
+import { runHistory } from '../services/run-history.mjs';
+import { daemonLock, runLock } from '../services/run-lock.mjs';
+import { quietHours } from '../services/quiet-hours.mjs';
+import { getCampaign } from '../services/campaigns.mjs';
+import { shutdown } from '../services/shutdown.mjs';
+import { runNetworkingBot } from './run.mjs';
+
+const logger = createLogger('daemon');
+
+// setTimeout cannot wait longer than ~24.8 days; longer waits are done in steps
+const MAX_WAIT = 24 * 60 * 60 * 1000;
+
+const formatTime = time => dayjs(time).format('YYYY-MM-DD HH:mm');
+
+/**
+ * Move a due time out of the job's quiet hours, so the daemon waits for sending
+ * hours instead of starting a run that cannot send
+ */
+function outsideQuietHours(job, due, botConfig) {
+  const campaign = job.campaign ? getCampaign(botConfig, job.campaign) : null;
+  const window = quietHours.windowFor(campaign);
+  return window ? window.nextOpen(due) : due;
+}
+
+/**
+ * When each job is due, resuming from the run history so a restarted daemon
+ * keeps its schedule. A job that has never run, or whose next run was missed
+ * while the daemon was down, is due now; a cron job that has never run waits
+ * for its first matching time. An interrupted run is picked up right away.
+ * Runs are postponed past quiet hours.
+ * @param {import('../services/scheduler.mjs').ScheduledJob[]} jobs
+ * @param {Object} botConfig - Full config.json contents
+ * @param {Date} [now]
+ * @returns {Promise<Array<{job: Object, due: Date, lastRun: Object|null}>>}
+ */
+export async function planJobs(jobs, botConfig, now = new Date()) {
+  quietHours.configure(botConfig.settings);
+
+  const plan = [];
+
+  for (const job of jobs) {
+    const lastRun = await runHistory.lastRun(job.name);
+    let due;
+    if (lastRun?.status === 'interrupted') {
+      due = now;
+    } else if (lastRun) {
+      due = job.nextRun(new Date(lastRun.startedAt));
+    } else {
+      due = job.cron ? job.nextRun(now) : now;
+    }
+    plan.push({ job, due: outsideQuietHours(job, due < now ? now : due, botConfig), lastRun });
+  }
+
+  return plan;
+}
+
+/**
+ * Run one job. Failures are recorded in the run history and logged; they do
+ * not stop the daemon.
+ * @returns {Promise<Date>} When the run started
+ */
+async function runJob(job) {
+  const startedAt = new Date();
+  logger.log(`\n▶️ Running job ${job.name}`);
+
+  try {
+    await runNetworkingBot({ campaign: job.campaign, job: job.name });
+  } catch (error) {
+    logger.error(`❌ Job ${job.name} failed: ${error.message}`);
+  }
+
+  return startedAt;
+}
+
+/**
+ * Show the daemon, the schedule of each job and recent runs
+ */
+async function showDaemonStatus() {
+  const daemon = daemonLock.holder();
+  const running = runLock.holder();
+
+  logger.log('\n🕰️ DAEMON STATUS');
+  logger.log('='.repeat(40));
+  logger.log(daemon
+    ? `  Running: pid ${daemon.pid}, since ${formatTime(daemon.startedAt)}`
+    : '  Not running');
+  if (running) {
+    logger.log(`  Run in progress: pid ${running.pid} (${running.command}), since ${formatTime(running.startedAt)}`);
+  }
+
+  const botConfig = config.load();
+  const plan = await planJobs(listJobs(botConfig), botConfig);
+  logger.log('\n📅 JOBS:');
+  if (plan.length === 0) {
+    logger.log('  No jobs scheduled. Set settings.schedule or a campaign schedule in config.json.');
+  }
+  for (const { job, due, lastRun } of plan) {
+    logger.log(`  ${job.name}: ${job.describe()}`);
+    logger.log(`    Last run: ${lastRun ? `${formatTime(lastRun.startedAt)} (${lastRun.status})` : 'never'}`);
+    logger.log(`    Next run: ${formatTime(due)}`);
+  }
+
+  const recent = await runHistory.list({ limit: 10 });
+  logger.log('\n📜 RECENT RUNS:');
+  if (recent.length === 0) {
+    logger.log('  No runs yet');
+  }
+  for (const run of recent.reverse()) {
+    const duration = run.endedAt ? ` in ${dayjs(run.endedAt).diff(run.startedAt, 'second')}s` : '';
+    const counts = `sent ${run.sent}, failed ${run.failed}, queued ${run.queued}${run.postponed ? `, postponed ${run.postponed}` : ''}`;
+    logger.log(`  ${formatTime(run.startedAt)} ${run.job} ${run.status}${duration}: ${counts}${run.platforms.length ? ` [${run.platforms.join(', ')}]` : ''}`);
+    if (run.reason) {
+      logger.log(`    ${run.reason}`);
+    }
+    for (const error of run.errors) {
+      logger.log(`    ⚠️ ${error}`);
+    }
+  }
+}
+
+/**
+ * Run the bot on the schedules in config.json until stopped
+ * @param {Object} [options]
+ * @param {boolean} [options.once] - Run the jobs that are due, then exit
+ * @param {boolean} [options.status] - Show the schedule and run history instead of running
+ */
+export async function startDaemon(options = {}) {
+  const { once = false, status = false } = options;
+
+  try {
+    if (status) {
+      await showDaemonStatus();
+      return;
+    }
+
+    const lock = daemonLock.acquire(`nbot daemon${once ? ' --once' : ''}`);
+    if (!lock.acquired) {
+      throw new Error(`Daemon is already running (pid ${lock.holder?.pid}, since ${formatTime(lock.holder?.startedAt)})`);
+    }
+
+    try {
+      const botConfig = config.load();
+      const plan = await planJobs(listJobs(botConfig), botConfig);
+      if (plan.length === 0) {
+        logger.warn('⚠️ No jobs scheduled. Set settings.schedule or a campaign schedule in config.json.');
+        return;
+      }
+
+      logger.log(`🕰️ Daemon started (pid ${process.pid}) with ${plan.length} job(s):`);
+      for (const { job, due } of plan) {
+        logger.log(`  ${job.name}: ${job.describe()}, next run ${formatTime(due)}`);
+      }
+
+      while (plan.length > 0 && !shutdown.requested) {
+        const next = plan.reduce((earliest, entry) => (entry.due < earliest.due ? entry : earliest));
+        const delay = next.due.getTime() - Date.now();
+
+        if (delay > 0) {
+          if (once) break;
+          logger.log(`\n⏰ Next run: ${next.job.name} at ${formatTime(next.due)}`);
+          if (!(await shutdown.sleep(Math.min(delay, MAX_WAIT)))) break;
+          continue;
+        }
+
+        const startedAt = await runJob(next.job);
+        if (once) {
+          plan.splice(plan.indexOf(next), 1);
+        } else {
+          next.due = outsideQuietHours(next.job, next.job.nextRun(startedAt), botConfig);
+        }
+      }
+    } finally {
+      daemonLock.release();
+    }
+  } catch (error) {
+    logger.error(`❌ Daemon error: ${error.message}`);
+    throw error;
+  }
+}
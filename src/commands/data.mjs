@@ -0,0 +1,90 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createInterface } from 'readline';
+import dayjs from 'dayjs';
+import { logger } from '../utils/logger.mjs';
+import { dataSubjects, countRecords } from '../services/data-subjects.mjs';
+
+/**
+ * Helper function to prompt for input
+ */
+function prompt(question) {
+  const rl = createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+/**
+ * Print how many records each store holds
+ */
+function showCounts(counts) {
+  for (const [store, count] of Object.entries(counts)) {
+    if (count > 0) {
+      logger.log(`  ${store}: ${count}`);
+    }
+  }
+}
+
+/**
+ * Write every record about a person to one JSON file
+ */
+async function exportSubject(options) {
+  const bundle = await dataSubjects.export(options.subject);
+  const filePath = path.resolve(options.output || `nbot-data-export-${dayjs().format('YYYYMMDD-HHmmss')}.json`);
+  await fs.writeFile(filePath, `${JSON.stringify(bundle, null, 2)}\n`, { mode: 0o600 });
+
+  const counts = countRecords(bundle.records);
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  logger.log(`📦 Exported ${total} record(s) about {recipient} to ${filePath}`, { recipient: options.subject });
+  showCounts(counts);
+}
+
+/**
+ * Erase every record about a person, after confirmation unless --yes
+ */
+async function forgetSubject(options) {
+  if (!options.yes) {
+    const { records } = await dataSubjects.collect(options.subject);
+    const counts = countRecords(records);
+    logger.log('\n🧹 This permanently erases these records. The person stays on the suppression list as a salted hash.');
+    showCounts(counts);
+
+    const answer = await prompt('Type "forget" to continue: ');
+    if (answer !== 'forget') {
+      logger.log('❎ Nothing was erased.');
+      return;
+    }
+  }
+
+  const counts = await dataSubjects.forget(options.subject);
+  logger.log('✅ Erased:');
+  showCounts(counts);
+  logger.log('🚫 They will never be contacted again. Run `nbot audit verify` to confirm the audit log is intact.');
+}
+
+/**
+ * Main data subject request function
+ * @param {string} action - export or forget
+ * @param {Object} options - Command options: subject, output (export), yes (forget)
+ */
+export async function manageData(action, options = {}) {
+  try {
+    switch (action) {
+      case 'export':
+        await exportSubject(options);
+        break;
+      case 'forget':
+        await forgetSubject(options);
+        break;
+      default:
+        logger.error(`❌ Unknown data action: ${action}`);
+    }
+  } catch (error) {
+    logger.error(`❌ Data request error: ${error.message}`);
+    throw error;
+  }
+}
@@ -0,0 +1,83 @@
+import dayjs from 'dayjs';
+import { logger } from '../utils/logger.mjs';
+import { identityLinks } from '../services/identity-links.mjs';
+
+/**
+ * Format an identity for display
+ */
+function formatIdentity(identity) {
+  return identity.platform ? `${identity.platform}:${identity.value}` : identity.value;
+}
+
+/**
+ * Link identities that belong to the same person
+ */
+async function linkIdentities(identifiers, options) {
+  const group = await identityLinks.link(identifiers, options.note || '');
+  logger.log(`🔗 Linked as one person: ${group.identities.map(formatIdentity).join(', ')}`);
+}
+
+/**
+ * Remove an identity from its link group
+ */
+async function unlinkIdentity(identifier) {
+  const removed = await identityLinks.unlink(identifier);
+
+  if (!removed) {
+    logger.warn(`⚠️ ${identifier} is not linked to anyone`);
+    return;
+  }
+
+  logger.log(`✅ Unlinked ${identifier}`);
+}
+
+/**
+ * List linked identities
+ */
+async function listIdentities() {
+  const groups = await identityLinks.list();
+
+  if (groups.length === 0) {
+    logger.log('📭 No linked identities.');
+    logger.log('💡 Use: nbot identities link x:someone reddit:someone');
+    return;
+  }
+
+  logger.log('\n🔗 LINKED IDENTITIES');
+  logger.log('='.repeat(40));
+
+  groups.forEach((group, index) => {
+    const created = dayjs(group.createdAt).format('YYYY-MM-DD');
+    logger.log(`  ${index + 1}. ${group.identities.map(formatIdentity).join(', ')} (linked ${created})`);
+    if (group.note) {
+      logger.log(`     Note: ${group.note}`);
+    }
+  });
+}
+
+/**
+ * Main identity link management function
+ * @param {string} action - link, unlink or list
+ * @param {string[]} [identifiers] - "platform:handle" strings or profile URLs
+ * @param {Object} [options] - Command options
+ */
+export async function manageIdentities(action, identifiers = [], options = {}) {
+  try {
+    switch (action) {
+      case 'link':
+        await linkIdentities(identifiers, options);
+        break;
+      case 'unlink':
+        await unlinkIdentity(identifiers[0]);
+        break;
+      case 'list':
+        await listIdentities();
+        break;
+      default:
+        logger.error(`❌ Unknown identities action: ${action}`);
+    }
+  } catch (error) {
+    logger.error(`❌ Identity link error: ${error.message}`);
+    throw error;
+  }
+}
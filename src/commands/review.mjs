@@ -0,0 +1,175 @@
+import { createInterface } from 'readline';
+import dayjs from 'dayjs';
+import { logger } from '../utils/logger.mjs';
+import { config } from '../utils/config.mjs';
+import { reviewQueue } from '../services/review-queue.mjs';
+import { messageGuardrails, formatViolations } from '../services/message-guardrails.mjs';
+import { withDisclosure } from '../services/message-templates.mjs';
+
+/**
+ * Create readline interface for CLI interaction
+ */
+function createReadlineInterface() {
+  return createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal: true
+  });
+}
+
+/**
+ * Helper function to prompt for input
+ */
+function prompt(rl, question) {
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      resolve(answer.trim());
+    });
+  });
+}
+
+/**
+ * Print a single queue item
+ */
+function showItem(item, index, total) {
+  logger.log(`\n📨 [${index + 1}/${total}] ${item.platform} → ${item.recipient}`);
+  logger.log(`  Queued: ${dayjs(item.createdAt).format('YYYY-MM-DD HH:mm')}`);
+  if (item.sourcePost) {
+    logger.log(`  Source: ${item.sourcePost.title || ''} ${item.sourcePost.url || ''}`.trimEnd());
+  }
+  logger.log('  Message:');
+  item.message.split('\n').forEach(line => logger.log(`    ${line}`));
+
+  const check = messageGuardrails.validate(item.message, { platform: item.platform, disclosure: item.disclosure });
+  if (!check.ok) {
+    logger.log(`  🛡️ Guardrails: ${formatViolations(check.violations)}`);
+  }
+}
+
+/**
+ * Approve an item if its message passes the guardrails
+ * @returns {Promise<boolean>} True when approved
+ */
+async function approveChecked(item, editedMessage = null) {
+  // The edit prompt is single line, so an edited message gets the disclosure back
+  const message = editedMessage === null ? item.message : withDisclosure(editedMessage, item.disclosure);
+  const check = messageGuardrails.validate(message, { platform: item.platform, disclosure: item.disclosure });
+  if (!check.ok) {
+    logger.log(`🛡️ Not approved: ${formatViolations(check.violations)}. Edit the message first.`);
+    return false;
+  }
+
+  await reviewQueue.approve(item.id, editedMessage === null ? null : message);
+  return true;
+}
+
+/**
+ * List queued items grouped by status
+ */
+async function listQueue(platform) {
+  const items = await reviewQueue.list({ platform });
+
+  if (items.length === 0) {
+    logger.log('📭 Review queue is empty.');
+    return;
+  }
+
+  logger.log('\n📝 REVIEW QUEUE');
+  logger.log('='.repeat(40));
+
+  for (const status of ['pending', 'approved', 'rejected', 'sent', 'failed']) {
+    const group = items.filter(item => item.status === status);
+    if (group.length === 0) continue;
+
+    logger.log(`\n🔹 ${status.toUpperCase()} (${group.length})`);
+    group.forEach(item => {
+      const date = dayjs(item.createdAt).format('YYYY-MM-DD HH:mm');
+      const suffix = item.error ? ` - ${item.error}` : '';
+      logger.log(`  ${item.id.substring(0, 8)} ${item.platform} → ${item.recipient} (${date})${suffix}`);
+    });
+  }
+}
+
+/**
+ * Walk through pending items and approve, edit or reject each one
+ */
+async function reviewPending(platform) {
+  const pending = await reviewQueue.list({ status: 'pending', platform });
+
+  if (pending.length === 0) {
+    logger.log('📭 No messages waiting for review.');
+    return;
+  }
+
+  logger.log('\n📝 REVIEW PENDING MESSAGES');
+  logger.log('='.repeat(40));
+  logger.log('Approved messages are delivered on the next `nbot run`.');
+
+  messageGuardrails.configure(config.load().settings);
+
+  const rl = createReadlineInterface();
+  const counts = { approved: 0, rejected: 0, skipped: 0 };
+
+  try {
+    for (let i = 0; i < pending.length; i++) {
+      const item = pending[i];
+      showItem(item, i, pending.length);
+
+      const choice = (await prompt(rl, '\n[a]pprove, [e]dit, [r]eject, [s]kip, [q]uit: ')).toLowerCase();
+
+      if (choice === 'a') {
+        if (await approveChecked(item)) {
+          counts.approved++;
+          logger.log('✅ Approved');
+        } else {
+          counts.skipped++;
+        }
+      } else if (choice === 'e') {
+        const edited = await prompt(rl, 'Enter the new message (single line, empty to cancel): ');
+        if (edited) {
+          if (await approveChecked(item, edited)) {
+            counts.approved++;
+            logger.log('✅ Edited and approved');
+          } else {
+            counts.skipped++;
+          }
+        } else {
+          counts.skipped++;
+          logger.log('⏭️ Edit cancelled, left pending');
+        }
+      } else if (choice === 'r') {
+        await reviewQueue.reject(item.id);
+        counts.rejected++;
+        logger.log('🗑️ Rejected');
+      } else if (choice === 'q') {
+        counts.skipped += pending.length - i;
+        break;
+      } else {
+        counts.skipped++;
+        logger.log('⏭️ Skipped');
+      }
+    }
+  } finally {
+    rl.close();
+  }
+
+  logger.log(`\n✅ Approved: ${counts.approved}, 🗑️ Rejected: ${counts.rejected}, ⏭️ Left pending: ${counts.skipped}`);
+}
+
+/**
+ * Main review command function
+ */
+export async function reviewMessages(options = {}) {
+  const { list = false, platform = null } = options;
+
+  try {
+    if (list) {
+      await listQueue(platform);
+    } else {
+      await reviewPending(platform);
+    }
+  } catch (error) {
+    logger.error(`❌ Review error: ${error.message}`);
+    throw error;
+  }
+}
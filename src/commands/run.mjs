@@ -1,26 +1,43 @@
-import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
-import { setTimeout as wait } from 'timers/promises';
 import dayjs from 'dayjs';
 import dotenv from 'dotenv';
-import { logger } from '../utils/logger.mjs';
+import { createLogger } from '../utils/logger.mjs';
 import { config } from '../utils/config.mjs';
 
-// Import platform modules
-import * as tiktok from '../platforms/tiktok.mjs';
-import * as x from '../platforms/x.mjs';
-import * as youtube from '../platforms/youtube.mjs';
-import * as facebook from '../platforms/facebook.mjs';
-import * as reddit from '../platforms/reddit.mjs';
-import * as linkedin from '../platforms/linkedin.mjs';
+// Import platform adapters
+import { platformRegistry } from '../platforms/registry.mjs';
+import { createCandidate, sendFailed, accountIssue } from '../platforms/adapter.mjs';
 
 // Import services
 import { proxyManager } from '../services/proxy-manager.mjs';
 import { rateLimiter } from '../services/rate-limiter.mjs';
+import { suppressionList } from '../services/suppression-list.mjs';
+import { replyMonitor } from '../services/reply-monitor.mjs';
+import { reviewQueue } from '../services/review-queue.mjs';
+import { generatePersonalizedMessage } from '../services/ai.mjs';
+import { contactLedger, hashMessage } from '../services/contact-ledger.mjs';
+import { sendBudget } from '../services/send-budget.mjs';
+import { contactFrequency } from '../services/contact-frequency.mjs';
+import { accountStore } from '../services/account-store.mjs';
+import { messageGuardrails, formatViolations } from '../services/message-guardrails.mjs';
+import { messageTemplates, withDisclosure } from '../services/message-templates.mjs';
+import { getCampaign } from '../services/campaigns.mjs';
+import { quietHours, inferTimezone } from '../services/quiet-hours.mjs';
+import { runHistory } from '../services/run-history.mjs';
+import { runLock } from '../services/run-lock.mjs';
+import { runCheckpoint } from '../services/run-checkpoint.mjs';
+import { shutdown } from '../services/shutdown.mjs';
+import { auditLog } from '../services/audit-log.mjs';
 
 // Import utilities
-import { loadMessagedUsers, saveMessagedUsers, migrateMessagedUsers } from '../utils.mjs';
+import { loadMessagedUsers, migrateMessagedUsers } from '../utils.mjs';
+
+const logger = createLogger('run');
+
+// Run in progress in this process, settled by the shutdown hook if it cannot finish
+let activeRun = null;
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,16 +45,6 @@ const __dirname = path.dirname(__filename);
 // Load environment variables from .env file
 dotenv.config({ path: path.join(__dirname, '../../.env') });
 
-// Map platform names to their modules
-const platforms = {
-  tiktok,
-  x,
-  youtube,
-  facebook,
-  reddit,
-  linkedin
-};
-
 /**
  * Load configuration using the new config utility
  */
@@ -46,29 +53,27 @@ async function loadConfig() {
 }
 
 /**
- * Load accounts from accounts.json
+ * Pause the platform's active account when its module reported that the
+ * platform suspended, warned or challenged it (an AccountIssueError). It stays
+ * paused until a human reviews it.
+ * @param {string} platformName
+ * @param {{kind: string, reason: string}|null} issue - From accountIssue() or a send result
+ * @returns {Promise<boolean>} True when the account was paused
  */
-async function loadAccountsData() {
-  try {
-    const accountsPath = path.join(__dirname, '../../accounts.json');
-    const data = await fs.readFile(accountsPath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return {};
+async function pauseOnAccountIssue(platformName, issue) {
+  const account = issue && await accountStore.getActiveAccount(platformName);
+  if (!account) {
+    return false;
   }
+  
+  await accountStore.pause(platformName, account.username, issue);
+  logger.error(`⏸️ ${platformName} account ${account.username} is paused until someone reviews it: nbot accounts --resume`);
+  return true;
 }
 
 /**
- * Get active account for a platform
- */
-async function getActiveAccount(platform) {
-  const accounts = await loadAccountsData();
-  if (!accounts[platform]) return null;
-  return accounts[platform].find(acc => acc.active) || null;
-}
-
-/**
- * Initialize services and platforms
+ * Initialize services and platforms. Platforms whose active account is missing,
+ * has no ownership attestation or is paused are not started.
  */
 async function initialize(config, enabledPlatforms = null) {
   logger.log('🔧 Initializing services...');
@@ -94,15 +99,23 @@ async function initialize(config, enabledPlatforms = null) {
   
   logger.log('🔧 Initializing platforms...');
   
-  const platformsToInit = enabledPlatforms || Object.keys(platforms);
+  const platformsToInit = enabledPlatforms || platformRegistry.names();
   
   for (const name of platformsToInit) {
     if (config.platforms[name]?.enabled) {
+      const { problem } = await accountStore.checkActiveAccount(name);
+      if (problem) {
+        logger.error(`❌ Not starting ${name}: ${name} ${problem}`);
+        config.platforms[name].enabled = false;
+        continue;
+      }
+      
       try {
-        await platforms[name].initialize();
+        await platformRegistry.get(name).initialize({ complianceMode: config.settings?.complianceMode || 'off' });
         logger.log(`✅ ${name} initialized`);
       } catch (error) {
         logger.error(`❌ Failed to initialize ${name}: ${error.message}`);
+        await pauseOnAccountIssue(name, accountIssue(error));
         // Disable the platform if initialization fails
         config.platforms[name].enabled = false;
       }
@@ -113,33 +126,290 @@ async function initialize(config, enabledPlatforms = null) {
 }
 
 /**
- * Run the bot for a specific platform
+ * Whether the cross-platform frequency cap allows messaging this person
+ * @param {string} platformName - Platform name
+ * @param {Candidate|string} candidate - Candidate, or a bare recipient id
+ */
+async function isWithinContactFrequency(platformName, candidate) {
+  const { id, displayName } = createCandidate(platformName, candidate);
+  const frequency = await contactFrequency.check(platformName, id, { displayName });
+  if (!frequency.allowed) {
+    logger.log(`🔁 Skipping {recipient}: ${frequency.reason}`, { recipient: id });
+  }
+  return frequency.allowed;
+}
+
+/**
+ * Send a message within the send budget and record the attempt in the contact ledger
+ * and the audit log. Messages that fail the guardrails are refused without contacting the platform.
+ * @param {PlatformAdapter} adapter - Platform adapter
+ * @param {Candidate|string} candidate - Candidate, or a bare recipient id
+ * @param {string} message - Final message text
+ * @param {Object} [context]
+ * @param {string|null} [context.campaign] - Campaign name recorded in the ledger
+ * @param {Object|null} [context.approval] - Review queue item the message was approved in, for the audit log
+ * @param {string|null} [context.disclosure] - Automation disclosure the message must end with
+ * @returns {Promise<SendResult|null>} null when shutdown started before anything was sent
+ */
+async function sendAndRecord(adapter, candidate, message, { campaign = null, approval = null, disclosure = null } = {}) {
+  const check = messageGuardrails.validate(message, { platform: adapter.name, disclosure });
+  if (!check.ok) {
+    return sendFailed(`Blocked by message guardrails: ${formatViolations(check.violations)}`, { retryable: false });
+  }
+  
+  const recipient = createCandidate(adapter.name, candidate);
+  const account = (await accountStore.getActiveAccount(adapter.name))?.username || null;
+  const contact = { recipient: recipient.id, platform: adapter.name, account, message, displayName: recipient.displayName, campaign };
+  
+  if (!(await sendBudget.waitForNextSend())) {
+    return null;
+  }
+  
+  runCheckpoint.sendStarted({ platform: adapter.name, recipient: recipient.id, campaign, account, messageHash: hashMessage(message) });
+  const result = await sendBudget.withRetries(() => adapter.sendMessage(recipient, message));
+  
+  const entry = await contactLedger.record({ ...contact, outcome: result.ok ? 'sent' : 'failed', error: result.error });
+  runCheckpoint.sendFinished(result);
+  await auditLog.record({
+    platform: adapter.name,
+    recipient: recipient.id,
+    account,
+    messageHash: entry.messageHash,
+    result: entry.outcome,
+    error: result.error,
+    approval,
+    campaign,
+    runId: activeRun?.id || null,
+    ledgerEntry: entry.id
+  });
+  
+  if (!result.ok) {
+    await pauseOnAccountIssue(adapter.name, result.accountIssue);
+  }
+  return result;
+}
+
+/**
+ * Deliver the oldest message a human approved with `nbot review`, or that was
+ * postponed for the recipient's quiet hours and is now due.
+ * Campaign runs only deliver messages drafted for that campaign. Messages without the
+ * platform's current disclosure are refused by the guardrails.
+ * @returns {Promise<boolean>} True if an approved item was handled this run
+ */
+async function deliverApprovedMessage(adapter, messaged, { dryRun = false, campaign = null, window = null, disclosure = null, run }) {
+  const platformName = adapter.name;
+  const now = new Date();
+  const approved = (await reviewQueue.list({ status: 'approved', platform: platformName }))
+    .filter(item => (item.campaign || null) === (campaign?.name || null))
+    .filter(item => !item.sendAfter || new Date(item.sendAfter) <= now);
+  
+  for (const item of approved) {
+    if (window?.recipientTimezone && item.timezone) {
+      const local = window.check(now, item.timezone);
+      if (!local.open) {
+        if (!dryRun) await reviewQueue.deferUntil(item.id, local.until);
+        logger.log(`🌙 Holding message to {recipient} until ${dayjs(local.until).format('YYYY-MM-DD HH:mm')}: ${local.reason}`, { recipient: item.recipient });
+        continue;
+      }
+    }
+    
+    if (messaged.includes(item.recipient) || await suppressionList.isSuppressed(item.recipient, platformName)) {
+      logger.log('🚫 Dropping approved message to {recipient}: already messaged or suppressed', { recipient: item.recipient });
+      await reviewQueue.markFailed(item.id, 'Recipient already messaged or suppressed');
+      continue;
+    }
+    
+    if (!(await isWithinContactFrequency(platformName, item.recipient))) {
+      await reviewQueue.markFailed(item.id, 'Recipient was contacted recently on another platform');
+      continue;
+    }
+    
+    if (dryRun) {
+      logger.log(`🧪 [DRY RUN] Would deliver approved message to {recipient} on ${platformName}`, { recipient: item.recipient });
+      logger.log('📝 Message: {message}', { message: item.message });
+      return true;
+    }
+    
+    const approval = { reviewItem: item.id, reviewedBy: item.reviewedBy || null, reviewedAt: item.reviewedAt };
+    const result = await sendAndRecord(adapter, item.recipient, item.message, { campaign: item.campaign, approval, disclosure });
+    
+    // Shutting down: the item stays approved for the next run
+    if (!result) {
+      run.status = 'interrupted';
+      return true;
+    }
+    
+    result.ok ? run.sent++ : run.failed++;
+    if (result.ok) {
+      await reviewQueue.markSent(item.id);
+      logger.log(`✅ Delivered approved message to {recipient} on ${platformName}`, { recipient: item.recipient });
+    } else {
+      await reviewQueue.markFailed(item.id, result.error);
+      logger.error(`❌ Failed to deliver approved message to {recipient}: ${result.error}`, { recipient: item.recipient });
+    }
+    
+    return true;
+  }
+  
+  return false;
+}
+
+/**
+ * Choose the text for a candidate: the platform template filled in from the candidate,
+ * or an AI rewrite of it when personalizing. A rewrite that fails the guardrails falls
+ * back to the template. The automation disclosure is appended to whichever is chosen,
+ * after generation, so it counts toward the length limit and the LLM cannot change it.
+ * @param {Candidate} candidate
+ * @param {Object} platformConfig - Platform settings from config.json
+ * @param {Object} [options]
+ * @param {boolean} [options.personalize] - Ask the LLM for a personalized rewrite
+ * @returns {Promise<{message: string, violations: Object[], disclosure: string|null}>} violations is empty when the message may be sent
  */
-async function runPlatform(platformName, config, dryRun = false) {
+async function composeMessage(candidate, platformConfig, { personalize = false } = {}) {
+  const rendered = messageTemplates.renderFor(platformConfig, candidate);
+  const disclosure = messageTemplates.disclosureFor(platformConfig);
+  const template = withDisclosure(rendered.text, disclosure);
+  
+  // Strict templates never go out with a variable left unfilled
+  if (rendered.unresolved.length > 0 && messageTemplates.strict) {
+    const violation = { rule: 'unresolved-variable', message: `No value for ${rendered.unresolved.map(name => `{{${name}}}`).join(', ')}` };
+    logger.warn(`🧩 ${candidate.platform} template for {recipient}: ${violation.message}`, { recipient: candidate.id });
+    return { message: template, violations: [violation], disclosure };
+  }
+  
+  if (personalize) {
+    try {
+      const generated = await generatePersonalizedMessage({
+        platform: candidate.platform,
+        username: candidate.id,
+        seedPrompt: rendered.text,
+        subFound: candidate.source?.subreddit,
+        maxLength: messageGuardrails.maxLengthFor(candidate.platform) - (disclosure ? disclosure.length + 2 : 0)
+      });
+      
+      const message = withDisclosure(generated, disclosure);
+      const check = messageGuardrails.validate(message, { platform: candidate.platform, disclosure });
+      if (check.ok) {
+        return { message, violations: [], disclosure };
+      }
+      logger.warn(`🛡️ Rejected generated message for {recipient}: ${formatViolations(check.violations)}. Using the template.`, { recipient: candidate.id });
+    } catch (error) {
+      logger.warn(`⚠️ Could not personalize message for {recipient}: ${error.message}. Using the template.`, { recipient: candidate.id });
+    }
+  }
+  
+  const check = messageGuardrails.validate(template, { platform: candidate.platform, disclosure });
+  if (!check.ok) {
+    logger.warn(`🛡️ ${candidate.platform} message template fails guardrails: ${formatViolations(check.violations)}`);
+  }
+  return { message: template, violations: check.violations, disclosure };
+}
+
+/**
+ * Put a composed message in the review queue
+ * @param {Candidate} candidate
+ * @param {{message: string, violations: Object[], disclosure: string|null}} composed - Result of composeMessage
+ * @param {Campaign|null} [campaign] - Campaign being run
+ */
+async function proposeMessage(candidate, composed, campaign = null) {
+  const item = await reviewQueue.enqueue({
+    platform: candidate.platform,
+    recipient: candidate.id,
+    message: composed.message,
+    sourcePost: candidate.source,
+    violations: composed.violations,
+    campaign: campaign?.name || null,
+    timezone: inferTimezone(candidate),
+    disclosure: composed.disclosure
+  });
+  
+  logger.log(`📝 Queued message to {recipient} on ${candidate.platform} for review (${item.id})`, { recipient: candidate.id });
+  logger.log('💡 Use: nbot review');
+}
+
+/**
+ * Run the bot for a specific platform. When shutdown starts before the platform is
+ * done, nothing new is started and the run is marked interrupted.
+ */
+async function runPlatform(platformName, config, options = {}) {
+  const { dryRun = false, review = false, campaign = null, run } = options;
+
   if (!config.platforms[platformName]?.enabled) {
     return;
   }
   
   logger.log(`\n🔄 Running ${platformName} bot...`);
-  const platform = platforms[platformName];
+  const adapter = platformRegistry.get(platformName);
   const messaged = await loadMessagedUsers(platformName);
   
   try {
-    // Check if we're within working hours (if enabled)
-    if (config.settings?.respectWorkingHours) {
-      const hour = new Date().getHours();
-      if (hour < 8 || hour > 22) {
-        logger.log('⏰ Outside working hours (8 AM - 10 PM). Skipping this run.');
+    // Nothing goes out during quiet hours; candidates are left for a later run
+    const window = quietHours.windowFor(campaign);
+    const open = window?.check();
+    if (open && !open.open) {
+      logger.log(`🌙 Outside sending hours: ${open.reason}. Postponed until ${dayjs(open.until).format('YYYY-MM-DD HH:mm')}.`);
+      run.postponed++;
+      return;
+    }
+    
+    // Check for replies first so new opt-outs are honored in this run
+    try {
+      await replyMonitor.poll(platformName, adapter);
+    } catch (error) {
+      logger.warn(`⚠️ Could not check ${platformName} replies: ${error.message}`);
+      if (await pauseOnAccountIssue(platformName, accountIssue(error))) {
+        run.errors.push(`${platformName}: ${error.message}`);
         return;
       }
     }
     
+    // Never start a send once the daily budget is spent (review mode only queues)
+    const budget = await sendBudget.check(platformName, campaign);
+    if (!budget.allowed && !review) {
+      logger.log(`🛑 ${budget.reason}. Skipping ${platformName}.`);
+      return;
+    }
+    
+    const platformConfig = campaign
+      ? campaign.platformConfig(platformName, config.platforms[platformName])
+      : config.platforms[platformName];
+    const disclosure = messageTemplates.disclosureFor(platformConfig);
+    if (!disclosure) {
+      const where = campaign ? `${platformName} in campaign ${campaign.name}` : platformName;
+      logger.error(`❌ No automation disclosure is configured for ${where}. Nothing is sent until one is set (nbot config --edit).`);
+      run.errors.push(`${platformName}: no automation disclosure configured`);
+      return;
+    }
+    
+    // Approved messages from the review queue go out before any new outreach
+    if (budget.allowed && await deliverApprovedMessage(adapter, messaged, { dryRun, campaign, window, disclosure, run })) {
+      return;
+    }
+    
+    if (shutdown.requested) {
+      run.status = 'interrupted';
+      return;
+    }
+    
     // Find potential users based on search terms
-    const candidates = await platform.findPotentialUsers(config.searchTerms[platformName]);
+    const searchTerms = campaign
+      ? campaign.searchTermsFor(platformName, config.searchTerms[platformName])
+      : config.searchTerms[platformName];
+    const candidates = await adapter.findCandidates(searchTerms);
     logger.log(`🔍 Found ${candidates.length} potential users on ${platformName}`);
     
-    // Filter out already messaged users
-    const filtered = candidates.filter(user => !messaged.includes(user));
+    // Filter out already messaged users and anyone who asked not to be contacted
+    const filtered = [];
+    for (const candidate of candidates) {
+      if (messaged.includes(candidate.id)) continue;
+      if (await reviewQueue.hasOpenItem(platformName, candidate.id)) continue;
+      if (await suppressionList.isSuppressed([candidate.id, candidate.profileUrl], platformName)) {
+        logger.log('🚫 Skipping suppressed user: {recipient}', { recipient: candidate.id });
+        continue;
+      }
+      if (!(await isWithinContactFrequency(platformName, candidate))) continue;
+      filtered.push(candidate);
+    }
     
     logger.log(`✨ ${filtered.length} new candidates on ${platformName}`);
     
@@ -151,22 +421,71 @@ async function runPlatform(platformName, config, dryRun = false) {
     // Message only one user per platform per run
     const nextUser = filtered[0];
     
+    // Review mode always drafts a personalized message for the reviewer to edit
+    const composed = await composeMessage(nextUser, platformConfig, {
+      personalize: review || platformConfig.personalize === true
+    });
+    
+    if (review) {
+      await proposeMessage(nextUser, composed, campaign);
+      run.queued++;
+      return;
+    }
+    
+    // Wait for the recipient's morning instead of messaging them at night
+    const timezone = inferTimezone(nextUser);
+    const local = window?.recipientTimezone && timezone ? window.check(new Date(), timezone) : null;
+    if (local && !local.open && composed.violations.length === 0) {
+      const sendAfter = dayjs(local.until).format('YYYY-MM-DD HH:mm');
+      if (dryRun) {
+        logger.log(`🧪 [DRY RUN] Would postpone the message to {recipient} until ${sendAfter}: ${local.reason}`, { recipient: nextUser.id });
+        return;
+      }
+      await reviewQueue.postpone({
+        platform: platformName,
+        recipient: nextUser.id,
+        message: composed.message,
+        sourcePost: nextUser.source,
+        campaign: campaign?.name || null,
+        timezone,
+        disclosure
+      }, local.until);
+      logger.log(`🌙 Postponed the message to {recipient} until ${sendAfter}: ${local.reason}`, { recipient: nextUser.id });
+      run.postponed++;
+      return;
+    }
+    
     if (dryRun) {
-      logger.log(`🧪 [DRY RUN] Would message user: ${nextUser} on ${platformName}`);
-      logger.log(`📝 Message: ${config.platforms[platformName].message || 'No message configured'}`);
+      const action = composed.violations.length > 0 ? 'queue for review a message to' : 'message';
+      logger.log(`🧪 [DRY RUN] Would ${action} user: {recipient} on ${platformName}`, { recipient: nextUser.id });
+      logger.log('📝 Message: {message}', { message: composed.message || 'No message configured' });
       return;
     }
     
-    const success = await platform.messageUser(nextUser, config.platforms[platformName].message);
+    // Messages that fail the guardrails go to a human instead of the recipient
+    if (composed.violations.length > 0) {
+      await proposeMessage(nextUser, composed, campaign);
+      run.queued++;
+      return;
+    }
     
-    // Only save to messaged list if successful
-    if (success) {
-      messaged.push(nextUser);
-      await saveMessagedUsers(platformName, messaged);
-      logger.log(`✅ Added ${nextUser} to messaged ${platformName} users list`);
+    const result = shutdown.requested ? null : await sendAndRecord(adapter, nextUser, composed.message, { campaign: campaign?.name, disclosure });
+    if (!result) {
+      run.status = 'interrupted';
+      return;
+    }
+    
+    result.ok ? run.sent++ : run.failed++;
+    if (result.ok) {
+      logger.log(`✅ Recorded {recipient} in the ${platformName} contact ledger`, { recipient: nextUser.id });
+    } else {
+      logger.error(`❌ Could not message {recipient} on ${platformName}: ${result.error}`, { recipient: nextUser.id });
+      run.errors.push(`${platformName}: ${result.error}`);
     }
   } catch (error) {
     logger.error(`❌ Error running ${platformName} bot: ${error.message}`);
+    run.errors.push(`${platformName}: ${error.message}`);
+    await pauseOnAccountIssue(platformName, accountIssue(error));
   }
 }
 
@@ -176,23 +495,166 @@ async function runPlatform(platformName, config, dryRun = false) {
 async function cleanup() {
   logger.log('🧹 Cleaning up resources...');
   
-  for (const [name, platform] of Object.entries(platforms)) {
-    if (platform.cleanup && typeof platform.cleanup === 'function') {
-      try {
-        await platform.cleanup();
-        logger.log(`✅ ${name} cleaned up`);
-      } catch (error) {
-        logger.error(`❌ Error cleaning up ${name}: ${error.message}`);
-      }
+  for (const adapter of platformRegistry.list()) {
+    if (!adapter.module) continue;
+    
+    try {
+      await adapter.cleanup();
+      logger.log(`✅ ${adapter.name} cleaned up`);
+    } catch (error) {
+      logger.error(`❌ Error cleaning up ${adapter.name}: ${error.message}`);
     }
   }
 }
 
 /**
- * Main run function for the networking bot
+ * Run the bot once. Only one run happens at a time: if `nbot run` or the daemon
+ * is already running, this run is skipped. Every run is recorded in the run
+ * history, and everything logged during it carries its run id and campaign.
+ * On shutdown the run stops starting new sends and is recorded as interrupted.
+ * @param {Object} [options]
+ * @param {string} [options.platform] - Only run this platform
+ * @param {string} [options.campaign] - Campaign name
+ * @param {boolean} [options.dryRun]
+ * @param {boolean} [options.review]
+ * @param {string} [options.job] - Scheduled job that started the run; "manual" for `nbot run`
+ * @returns {Promise<import('../services/run-history.mjs').RunRecord>}
  */
-export async function runNetworkingBot(options = {}) {
-  const { platform: targetPlatform, dryRun = false } = options;
+export function runNetworkingBot(options = {}) {
+  const runId = crypto.randomUUID().substring(0, 8);
+  return logger.withContext({ runId, campaign: options.campaign || undefined }, () => shutdown.track('the current run', () => recordRun(runId, options)));
+}
+
+async function recordRun(runId, options) {
+  const { job = 'manual', campaign = null, dryRun = false } = options;
+  const run = {
+    id: runId,
+    job,
+    campaign,
+    status: 'completed',
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    platforms: [],
+    sent: 0,
+    failed: 0,
+    queued: 0,
+    postponed: 0,
+    errors: []
+  };
+  if (dryRun) {
+    run.dryRun = true;
+  }
+  
+  const lock = runLock.acquire(`${job}${campaign ? ` (${campaign})` : ''}`);
+  if (!lock.acquired) {
+    const reason = `Another run is in progress (pid ${lock.holder?.pid}, ${lock.holder?.command || 'unknown'})`;
+    logger.warn(`⏭️ ${reason}. Skipping this run.`);
+    return runHistory.record({ ...run, status: 'skipped', reason, endedAt: new Date().toISOString() });
+  }
+  
+  activeRun = run;
+  try {
+    await runBot(options, run);
+  } catch (error) {
+    run.status = 'failed';
+    run.errors.push(error.message);
+    throw error;
+  } finally {
+    runLock.release();
+    if (activeRun === run) {
+      activeRun = null;
+      run.endedAt = new Date().toISOString();
+      await runHistory.record(run);
+    }
+  }
+  
+  return run;
+}
+
+/**
+ * Record a send that started but was never confirmed. It counts as sent, so the
+ * recipient is not messaged twice.
+ * @param {Object} inFlight - Checkpoint inFlight entry
+ * @param {string} runId - Run that started the send
+ */
+async function recordUnconfirmedSend({ platform, recipient, campaign, account = null, messageHash = null, startedAt }, runId) {
+  const recorded = await contactLedger.getEntries({ platform, recipient, since: startedAt });
+  if (recorded.length > 0) return;
+  
+  logger.warn(`⚠️ Delivery to {recipient} on ${platform} was never confirmed. Recording it as sent so they are not messaged twice.`, { recipient });
+  const entry = await contactLedger.record({ recipient, platform, account, campaign, unconfirmed: true });
+  await auditLog.record({ platform, recipient, account, messageHash, result: 'unconfirmed', campaign, runId, ledgerEntry: entry.id });
+}
+
+/**
+ * Account for the previous run if it did not finish: report what it delivered,
+ * settle a send it left in flight and, when its process died, add it to the run history.
+ * @returns {Promise<Object|null>} Its checkpoint, when it was interrupted
+ */
+async function recoverInterruptedRun() {
+  const previous = runCheckpoint.read();
+  if (!previous || !['running', 'interrupted'].includes(previous.status)) {
+    return null;
+  }
+  
+  const crashed = previous.status === 'running';
+  // Counts only: recipients are personal data, and the ledger has the details
+  const perPlatform = {};
+  for (const send of previous.delivered) {
+    perPlatform[send.platform] = (perPlatform[send.platform] || 0) + 1;
+  }
+  const delivered = Object.entries(perPlatform).map(([platform, count]) => `${count} on ${platform}`);
+  logger.warn(`⚠️ Run ${previous.runId} (${previous.job}) ${crashed ? 'stopped unexpectedly' : 'was interrupted'} at ${dayjs(previous.updatedAt).format('YYYY-MM-DD HH:mm')}.`);
+  logger.log(`  Delivered: ${delivered.length > 0 ? delivered.join(', ') : 'nothing'}`);
+  
+  if (previous.inFlight) {
+    await recordUnconfirmedSend(previous.inFlight, previous.runId);
+  }
+  
+  if (crashed) {
+    await runHistory.record({
+      id: previous.runId,
+      job: previous.job,
+      campaign: previous.campaign,
+      status: 'interrupted',
+      startedAt: previous.startedAt,
+      endedAt: previous.updatedAt,
+      platforms: Object.keys(previous.platforms).filter(name => previous.platforms[name] !== 'pending'),
+      sent: previous.delivered.length,
+      failed: previous.failed.length,
+      queued: 0,
+      postponed: 0,
+      errors: [],
+      reason: 'The process stopped during the run'
+    });
+  }
+  
+  runCheckpoint.acknowledge(previous);
+  return previous;
+}
+
+/**
+ * Shutdown hook for a run that did not wind down within the grace period:
+ * settle its in-flight send and record it as interrupted
+ */
+async function abandonActiveRun() {
+  const run = activeRun;
+  if (!run) return;
+  activeRun = null;
+  runLock.release();
+  
+  const checkpoint = runCheckpoint.finish('interrupted');
+  if (checkpoint?.inFlight) {
+    await recordUnconfirmedSend(checkpoint.inFlight, checkpoint.runId);
+  }
+  
+  run.status = 'interrupted';
+  run.endedAt = new Date().toISOString();
+  await runHistory.record(run);
+}
+
+async function runBot(options, run) {
+  const { platform: targetPlatform, campaign: campaignName = null, dryRun = false, review = false } = options;
   
   logger.log(`\n🤖 Starting networking bot at ${dayjs().format('YYYY-MM-DD HH:mm')}`);
   
@@ -200,17 +662,54 @@ export async function runNetworkingBot(options = {}) {
     logger.log('🧪 Running in DRY RUN mode - no actual messages will be sent');
   }
   
+  if (review) {
+    logger.log('📝 Running in REVIEW mode - new messages are queued for approval instead of sent');
+  }
+  
   try {
     // Load configuration
     const botConfig = await loadConfig();
+    sendBudget.configure(botConfig.settings);
+    contactFrequency.configure(botConfig.settings);
+    quietHours.configure(botConfig.settings);
+    messageGuardrails.configure(botConfig.settings);
+    messageTemplates.configure(botConfig.settings);
+    
+    const campaign = campaignName ? getCampaign(botConfig, campaignName) : null;
+    if (campaign) {
+      const window = campaign.isActive();
+      if (!window.active) {
+        logger.log(`⏸️ ${window.reason}. Nothing to do.`);
+        run.status = 'skipped';
+        run.reason = window.reason;
+        return;
+      }
+      logger.log(`🎯 Running campaign ${campaign.name}${campaign.owner ? ` (owner: ${campaign.owner})` : ''}`);
+    }
     
-    // Migrate existing messaged.json to platform-specific files
+    // Migrate legacy messaged*.json files into the contact ledger
     await migrateMessagedUsers();
     
+    if (targetPlatform && !platformRegistry.has(targetPlatform)) {
+      throw new Error(`Unknown platform: ${targetPlatform}. Available: ${platformRegistry.names().join(', ')}`);
+    }
+    
     // Determine which platforms to run
-    const platformsToRun = targetPlatform
+    let platformsToRun = (targetPlatform
       ? [targetPlatform]
-      : Object.keys(platforms).filter(name => botConfig.platforms[name]?.enabled);
+      : platformRegistry.names().filter(name => botConfig.platforms[name]?.enabled))
+      .filter(name => !campaign || campaign.includesPlatform(name));
+    
+    // Pick up where an interrupted run of the same job left off (dry runs leave no trace)
+    const previous = dryRun ? null : await recoverInterruptedRun();
+    if (previous && previous.job === run.job && previous.campaign === run.campaign && !targetPlatform) {
+      const finished = platformsToRun.filter(name => previous.platforms[name] === 'done');
+      if (finished.length > 0) {
+        logger.log(`▶️ Resuming run ${previous.runId}: ${finished.join(', ')} already done`);
+        platformsToRun = platformsToRun.filter(name => !finished.includes(name));
+        run.resumedFrom = previous.runId;
+      }
+    }
     
     if (platformsToRun.length === 0) {
       logger.warn('⚠️ No platforms enabled or specified. Please configure platforms first.');
@@ -221,50 +720,59 @@ export async function runNetworkingBot(options = {}) {
     // Initialize services and platforms
     await initialize(botConfig, platformsToRun);
     
-    // Run each platform sequentially
+    if (!dryRun) {
+      runCheckpoint.begin(run, platformsToRun);
+    }
+    
+    // Run each platform sequentially, starting nothing new once shutdown begins
     for (const platformName of platformsToRun) {
+      if (shutdown.requested) {
+        run.status = 'interrupted';
+        break;
+      }
+      
+      if (!review && await sendBudget.isExhausted()) {
+        logger.log(`🛑 Daily message budget of ${sendBudget.maxMessagesPerDay} spent. No more messages until tomorrow.`);
+        break;
+      }
+      
       if (botConfig.platforms[platformName]?.enabled) {
-        await runPlatform(platformName, botConfig, dryRun);
+        run.platforms.push(platformName);
+        runCheckpoint.setPlatform(platformName, 'running');
+        await logger.withContext({ platform: platformName }, () => runPlatform(platformName, botConfig, { dryRun, review, campaign, run }));
+        if (run.status === 'interrupted') break;
+        runCheckpoint.setPlatform(platformName, 'done');
         
         // Add a delay between platforms to avoid detection (skip in dry run)
         if (!dryRun && platformsToRun.indexOf(platformName) < platformsToRun.length - 1) {
           const delay = 5 * 60 * 1000; // 5 minutes
           logger.log(`⏱️ Waiting ${delay/60000} minutes before next platform...`);
-          await wait(delay);
+          await shutdown.sleep(delay);
         }
       }
     }
     
-    if (!dryRun && !targetPlatform) {
-      // Calculate next run time with some randomness to appear more human-like
-      const baseDelay = 60 * 60 * 1000; // 1 hour base
-      const randomDelay = Math.floor(Math.random() * 30 * 60 * 1000); // Random up to 30 minutes
-      const totalDelay = baseDelay + randomDelay;
-      const nextRunTime = new Date(Date.now() + totalDelay);
-      
-      logger.log(`\n⏰ Next run scheduled for ${nextRunTime.toLocaleTimeString()}`);
-      logger.log('💡 Press Ctrl+C to stop the bot');
-      
-      await wait(totalDelay);
-      await runNetworkingBot(options); // Recursive call for continuous operation
+    runCheckpoint.finish(run.status === 'interrupted' ? 'interrupted' : 'completed');
+    
+    // Close browsers and sessions; the next run starts fresh
+    await cleanup();
+    
+    if (run.status === 'interrupted') {
+      logger.log('⏹️ Run interrupted. The next run picks up the platforms that were not done.');
+    }
+    logger.log(`\n📊 Sent ${run.sent}, failed ${run.failed}, queued for review ${run.queued}, postponed ${run.postponed}`);
+    if (run.job === 'manual') {
+      logger.log('💡 Use: nbot daemon to keep running on a schedule');
     }
     
   } catch (error) {
     logger.error(`💥 Fatal error: ${error.message}`);
+    runCheckpoint.finish('failed');
     await cleanup();
     throw error;
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', async () => {
-  logger.log('\n👋 Shutting down networking bot...');
-  await cleanup();
-  process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-  logger.log('\n👋 Shutting down networking bot...');
-  await cleanup();
-  process.exit(0);
-});
\ No newline at end of file
+// On shutdown, settle a run that is still going, then close browsers (hooks run last-registered first)
+shutdown.onShutdown('close platforms', cleanup);
+shutdown.onShutdown('interrupt run', abandonActiveRun);
\ No newline at end of file
@@ -2,6 +2,7 @@ import { createInterface } from 'readline';
 import { writeFileSync, existsSync } from 'fs';
 import { logger } from '../utils/logger.mjs';
 import { config } from '../utils/config.mjs';
+import { messageTemplates } from '../services/message-templates.mjs';
 
 /**
  * Environment variable definitions with descriptions and validation
@@ -35,85 +36,9 @@ const ENV_VARIABLES = {
     default: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
     required: false,
     type: 'string'
-  },
-  
-  // X.com credentials
-  X_USERNAME: {
-    description: 'X.com (Twitter) username',
-    default: '',
-    required: false,
-    type: 'string',
-    sensitive: false
-  },
-  X_PASSWORD: {
-    description: 'X.com (Twitter) password',
-    default: '',
-    required: false,
-    type: 'string',
-    sensitive: true
-  },
-  
-  // TikTok credentials
-  TIKTOK_USERNAME: {
-    description: 'TikTok username (optional)',
-    default: '',
-    required: false,
-    type: 'string',
-    sensitive: false
-  },
-  TIKTOK_PASSWORD: {
-    description: 'TikTok password (optional)',
-    default: '',
-    required: false,
-    type: 'string',
-    sensitive: true
-  },
-  TIKTOK_CLIENT_ID: {
-    description: 'TikTok API Client ID (optional)',
-    default: '',
-    required: false,
-    type: 'string',
-    sensitive: true
-  },
-  TIKTOK_CLIENT_SECRET: {
-    description: 'TikTok API Client Secret (optional)',
-    default: '',
-    required: false,
-    type: 'string',
-    sensitive: true
-  },
-  
-  // YouTube API credentials
-  YOUTUBE_CLIENT_ID: {
-    description: 'YouTube API Client ID (optional)',
-    default: '',
-    required: false,
-    type: 'string',
-    sensitive: true
-  },
-  YOUTUBE_CLIENT_SECRET: {
-    description: 'YouTube API Client Secret (optional)',
-    default: '',
-    required: false,
-    type: 'string',
-    sensitive: true
-  },
-  
-  // Facebook API credentials
-  FACEBOOK_APP_ID: {
-    description: 'Facebook App ID (optional)',
-    default: '',
-    required: false,
-    type: 'string',
-    sensitive: true
-  },
-  FACEBOOK_APP_SECRET: {
-    description: 'Facebook App Secret (optional)',
-    default: '',
-    required: false,
-    type: 'string',
-    sensitive: true
   }
+
+  // Platform credentials are not environment variables: `nbot accounts --add` stores them encrypted
 };
 
 /**
@@ -259,6 +184,7 @@ async function setupEnvironmentVariables(rl) {
   // Save environment variables
   config.updateEnvBatch(envVars);
   logger.log(`\n✅ Environment variables saved to ${config.getEnvPath()}`);
+  logger.log('💡 Platform logins are not environment variables. Add them with: nbot accounts --add');
 }
 
 /**
@@ -328,10 +254,22 @@ async function setupPlatformConfiguration(rl) {
       // Configure message template
       logger.log(`\nCurrent message: "${currentConfig.platforms[platform].message}"`);
       const newMessage = await prompt(rl, 'Enter new message template (or press Enter to keep current): ');
-      if (newMessage) {
+      const templateErrors = newMessage ? messageTemplates.validate(newMessage) : [];
+      if (templateErrors.length > 0) {
+        templateErrors.forEach(error => logger.log(`❌ ${error}`));
+        logger.log('⏭️ Keeping the current message. Change it later with: nbot config --edit');
+      } else if (newMessage) {
         currentConfig.platforms[platform].message = newMessage;
       }
       
+      // Nothing is sent without an automation disclosure
+      const currentDisclosure = currentConfig.platforms[platform].disclosure;
+      logger.log(`\nCurrent disclosure: ${currentDisclosure ? `"${currentDisclosure}"` : 'none (required for sending)'}`);
+      const newDisclosure = await prompt(rl, 'Enter disclosure added to every message, e.g. "Sent by Acme via automation" (or press Enter to keep current): ');
+      if (newDisclosure) {
+        currentConfig.platforms[platform].disclosure = newDisclosure;
+      }
+      
       // Configure search terms
       const currentTerms = currentConfig.searchTerms[platform] || [];
       logger.log(`\nCurrent search terms: ${currentTerms.join(', ') || 'None'}`);
@@ -347,7 +285,8 @@ async function setupPlatformConfiguration(rl) {
   
   const settings = currentConfig.settings;
   
-  const workingHours = await prompt(rl, `Respect working hours (8 AM - 10 PM)? Current: ${settings.respectWorkingHours} (y/N): `);
+  const quiet = settings.quietHours || {};
+  const workingHours = await prompt(rl, `Respect working hours (no messages ${quiet.start || '22:00'}-${quiet.end || '08:00'})? Current: ${settings.respectWorkingHours} (y/N): `);
   if (workingHours.toLowerCase() === 'y') {
     settings.respectWorkingHours = true;
   } else if (workingHours.toLowerCase() === 'n') {
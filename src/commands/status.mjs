@@ -1,16 +1,21 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import dayjs from 'dayjs';
 import { logger } from '../utils/logger.mjs';
-import { loadMessagedUsers } from '../utils.mjs';
+import { loadMessagedUsers, migrateMessagedUsers } from '../utils.mjs';
 import { config } from '../utils/config.mjs';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { replyMonitor } from '../services/reply-monitor.mjs';
+import { contactLedger } from '../services/contact-ledger.mjs';
+import { sendBudget } from '../services/send-budget.mjs';
+import { accountStore, accountProblem } from '../services/account-store.mjs';
+import { platformRegistry } from '../platforms/registry.mjs';
+import { listCampaigns } from '../services/campaigns.mjs';
+import { messageTemplates } from '../services/message-templates.mjs';
+import { quietHours } from '../services/quiet-hours.mjs';
+import { rateLimiter } from '../services/rate-limiter.mjs';
+import { runHistory } from '../services/run-history.mjs';
+import { printJson } from '../utils/json-output.mjs';
 
 // Supported platforms
-const PLATFORMS = ['tiktok', 'x', 'youtube', 'facebook', 'reddit', 'linkedin'];
+const PLATFORMS = platformRegistry.names();
 
 /**
  * Load configuration using the new config utility
@@ -20,44 +25,125 @@ async function loadConfig() {
 }
 
 /**
- * Load accounts from file
+ * Warnings for enabled platforms, alone or in a campaign, that nbot run skips
+ * because no automation disclosure is configured
+ * @param {Object} botConfig
+ * @param {string} [platform] - Only this platform
+ * @returns {string[]}
  */
-async function loadAccounts() {
-  try {
-    const accountsPath = path.join(__dirname, '../../accounts.json');
-    const data = await fs.readFile(accountsPath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return {};
-  }
+function disclosureWarnings(botConfig, platform = null) {
+  return messageTemplates.missingDisclosures(botConfig)
+    .filter(entry => !platform || entry.platform === platform)
+    .map(({ platform: name, campaign }) => (campaign
+      ? `No automation disclosure for ${name} in campaign ${campaign}, so nothing is sent there`
+      : `No automation disclosure for ${name}, so nbot run sends nothing there`));
 }
 
 /**
- * Get platform statistics
+ * Get platform statistics from the contact ledger
  */
 async function getPlatformStats(platform) {
   try {
     const messagedUsers = await loadMessagedUsers(platform);
-    const today = dayjs().format('YYYY-MM-DD');
-    
-    // Count messages sent today (this is a simplified approach)
-    // In a real implementation, you'd want to store timestamps
-    const messagesToday = 0; // Placeholder - would need timestamp tracking
+    const lastActivity = await contactLedger.lastActivity(platform);
     
     return {
       totalMessaged: messagedUsers.length,
-      messagesToday,
-      lastActivity: messagedUsers.length > 0 ? 'Recent' : 'None'
+      messagesToday: await contactLedger.countToday(platform),
+      messagesThisWeek: await contactLedger.countThisWeek(platform),
+      lastActivity: lastActivity ? dayjs(lastActivity).format('YYYY-MM-DD HH:mm') : 'None'
     };
   } catch (error) {
     return {
       totalMessaged: 0,
       messagesToday: 0,
+      messagesThisWeek: 0,
       lastActivity: 'None'
     };
   }
 }
 
+/**
+ * Show reply counts and positive replies awaiting follow-up
+ */
+async function showReplies(platform = null) {
+  const replies = await replyMonitor.getReplies({ platform });
+  const positive = replies.filter(reply => reply.classification === 'positive');
+  const optOuts = replies.filter(reply => reply.classification === 'opt-out');
+  
+  logger.log('\n💬 REPLIES:');
+  logger.log(`  Total replies: ${replies.length}`);
+  logger.log(`  Positive: ${positive.length}`);
+  logger.log(`  Opt-outs: ${optOuts.length}`);
+  
+  if (positive.length > 0) {
+    logger.log('\n  🎉 Positive replies to follow up:');
+    positive.slice(-10).reverse().forEach(reply => {
+      const received = dayjs(reply.receivedAt).format('YYYY-MM-DD HH:mm');
+      const preview = reply.text.length > 60 ? `${reply.text.substring(0, 60)}...` : reply.text;
+      logger.log(`    • ${reply.from} (${reply.platform}, ${received}): "${preview}"`);
+    });
+  }
+}
+
+/**
+ * Summarize ledger entries: sends, failures and replies
+ */
+function summarizeEntries(entries) {
+  const live = entries.filter(entry => !entry.migrated);
+  const sent = live.filter(entry => entry.outcome === 'sent');
+  const today = dayjs().startOf('day');
+  
+  return {
+    sent: sent.length,
+    sentToday: sent.filter(entry => !dayjs(entry.timestamp).isBefore(today)).length,
+    failed: live.filter(entry => entry.outcome === 'failed').length,
+    positive: sent.filter(entry => entry.replyState === 'positive').length,
+    optOuts: sent.filter(entry => entry.replyState === 'opt-out').length
+  };
+}
+
+/**
+ * Show results per campaign, including sends made outside any campaign
+ */
+async function showCampaigns(botConfig, platform = null) {
+  const campaigns = listCampaigns(botConfig);
+  const entries = await contactLedger.getEntries({ platform });
+  const names = new Set(entries.map(entry => entry.campaign).filter(Boolean));
+  
+  if (campaigns.length === 0 && names.size === 0) {
+    return;
+  }
+  
+  logger.log('\n🎯 CAMPAIGNS:');
+  
+  const describe = (stats, dailyBudget = null) =>
+    `${stats.sent} sent (${stats.sentToday}${dailyBudget !== null ? `/${dailyBudget}` : ''} today), ${stats.failed} failed, ${stats.positive} positive, ${stats.optOuts} opt-outs`;
+  
+  for (const campaign of campaigns) {
+    const stats = summarizeEntries(entries.filter(entry => entry.campaign === campaign.name));
+    names.delete(campaign.name);
+    if (platform && !campaign.includesPlatform(platform) && stats.sent + stats.failed === 0) continue;
+    
+    const { active } = campaign.isActive();
+    const window = campaign.startDate || campaign.endDate
+      ? ` ${campaign.startDate || '…'} → ${campaign.endDate || '…'}`
+      : '';
+    const owner = campaign.owner ? `, owner: ${campaign.owner}` : '';
+    
+    logger.log(`  ${campaign.name}: ${active ? '🟢 Active' : '⏸️ Inactive'}${window}${owner}`);
+    logger.log(`    ${describe(stats, campaign.maxMessagesPerDay)}`);
+  }
+  
+  // Campaigns that were removed from config.json but still have history
+  for (const name of names) {
+    logger.log(`  ${name}: 🗑️ No longer configured`);
+    logger.log(`    ${describe(summarizeEntries(entries.filter(entry => entry.campaign === name)))}`);
+  }
+  
+  logger.log(`  (no campaign): ${describe(summarizeEntries(entries.filter(entry => !entry.campaign)))}`);
+}
+
 /**
  * Show overall bot status
  */
@@ -70,7 +156,7 @@ async function showOverallStatus() {
   const botConfig = await loadConfig();
   
   // Load accounts
-  const accounts = await loadAccounts();
+  const accounts = await accountStore.load();
   
   // Show configuration status
   logger.log('\n⚙️  CONFIGURATION:');
@@ -79,13 +165,23 @@ async function showOverallStatus() {
     .map(([platform, _]) => platform);
   
   logger.log(`  Enabled platforms: ${enabledPlatforms.length > 0 ? enabledPlatforms.join(', ') : 'None'}`);
-  logger.log(`  Working hours: ${botConfig.settings?.respectWorkingHours ? 'Enabled' : 'Disabled'}`);
+  quietHours.configure(botConfig.settings);
+  logger.log(`  Working hours: ${quietHours.windowFor()?.describe() || 'Disabled'}`);
   logger.log(`  Max messages/day: ${botConfig.settings?.maxMessagesPerDay || 'Not set'}`);
   
+  // Show how each platform is integrated, and what the compliance mode blocks
+  const complianceMode = botConfig.settings?.complianceMode || 'off';
+  logger.log(`\n🔌 INTEGRATIONS (compliance mode: ${complianceMode}):`);
+  for (const adapter of platformRegistry.list()) {
+    const blocked = adapter.allowedIn(complianceMode) ? '' : ' - ⛔ blocked by compliance mode';
+    logger.log(`  ${adapter.name}: ${adapter.integrationLabel}${blocked}`);
+  }
+  
   // Show account status
   logger.log('\n👤 ACCOUNTS:');
   let totalAccounts = 0;
   let activeAccounts = 0;
+  const unusableAccounts = [];
   
   for (const platform of PLATFORMS) {
     const platformAccounts = accounts[platform] || [];
@@ -95,9 +191,17 @@ async function showOverallStatus() {
     if (activeAccount) activeAccounts++;
     
     if (platformAccounts.length > 0) {
-      const status = activeAccount ? '🟢 Active' : '🔴 No active account';
+      let status = activeAccount ? '🟢 Active' : '🔴 No active account';
+      if (activeAccount?.status === 'paused') {
+        status = `⏸️ ${activeAccount.username} paused`;
+      } else if (activeAccount && accountProblem(activeAccount)) {
+        status = `❌ ${activeAccount.username} not attested`;
+      }
       logger.log(`  ${platform}: ${platformAccounts.length} account(s) - ${status}`);
     }
+    if (activeAccount && accountProblem(activeAccount) && enabledPlatforms.includes(platform)) {
+      unusableAccounts.push(`${platform} ${accountProblem(activeAccount)}`);
+    }
   }
   
   logger.log(`\n  Total accounts: ${totalAccounts}`);
@@ -110,11 +214,20 @@ async function showOverallStatus() {
   for (const platform of enabledPlatforms) {
     const stats = await getPlatformStats(platform);
     totalMessaged += stats.totalMessaged;
-    logger.log(`  ${platform}: ${stats.totalMessaged} users messaged`);
+    logger.log(`  ${platform}: ${stats.totalMessaged} users messaged (${stats.messagesToday} today, ${stats.messagesThisWeek} this week)`);
   }
   
+  const lastActivity = await contactLedger.lastActivity();
   logger.log(`\n  Total users messaged: ${totalMessaged}`);
-  logger.log(`  Last run: ${dayjs().format('YYYY-MM-DD HH:mm')}`);
+  sendBudget.configure(botConfig.settings);
+  logger.log(`  Messages today: ${await contactLedger.countToday()} (${await sendBudget.remainingToday()} of ${sendBudget.maxMessagesPerDay} left)`);
+  logger.log(`  Messages this week: ${await contactLedger.countThisWeek()}`);
+  logger.log(`  Last activity: ${lastActivity ? dayjs(lastActivity).format('YYYY-MM-DD HH:mm') : 'None'}`);
+  
+  await showCampaigns(botConfig);
+  
+  // Show replies that need a human follow-up
+  await showReplies();
   
   // Show warnings
   const warnings = [];
@@ -127,6 +240,13 @@ async function showOverallStatus() {
   if (enabledPlatforms.length > activeAccounts) {
     warnings.push('Some enabled platforms have no active accounts');
   }
+  warnings.push(...unusableAccounts);
+  warnings.push(...disclosureWarnings(botConfig));
+  for (const name of enabledPlatforms) {
+    if (platformRegistry.has(name) && !platformRegistry.get(name).allowedIn(complianceMode)) {
+      warnings.push(`${name} is enabled but compliance mode ${complianceMode} will not start it`);
+    }
+  }
   
   if (warnings.length > 0) {
     logger.log('\n⚠️  WARNINGS:');
@@ -171,13 +291,16 @@ async function showPlatformStatus(platform, detailed = false) {
   // Show platform configuration
   logger.log('\n⚙️  CONFIGURATION:');
   logger.log(`  Status: ${platformConfig.enabled ? '🟢 Enabled' : '🔴 Disabled'}`);
+  const adapter = platformRegistry.get(platform);
+  const complianceMode = botConfig.settings?.complianceMode || 'off';
+  logger.log(`  Integration: ${adapter.integrationLabel}${adapter.allowedIn(complianceMode) ? '' : ` (⛔ blocked by compliance mode ${complianceMode})`}`);
   logger.log(`  Message: "${platformConfig.message || 'Not set'}"`);
   
   const searchTerms = botConfig.searchTerms?.[platform] || [];
   logger.log(`  Search terms: ${searchTerms.length > 0 ? searchTerms.join(', ') : 'None'}`);
   
   // Show account information
-  const accounts = await loadAccounts();
+  const accounts = await accountStore.load();
   const platformAccounts = accounts[platform] || [];
   const activeAccount = platformAccounts.find(acc => acc.active);
   
@@ -189,6 +312,10 @@ async function showPlatformStatus(platform, detailed = false) {
     if (activeAccount) {
       logger.log(`  Active account: ${activeAccount.username}`);
       logger.log(`  Added: ${activeAccount.dateAdded ? dayjs(activeAccount.dateAdded).format('YYYY-MM-DD') : 'Unknown'}`);
+      logger.log(`  Owner: ${activeAccount.owner || 'Unknown'}`);
+      logger.log(`  Purpose: ${activeAccount.purpose || 'Unknown'}`);
+      const problem = accountProblem(activeAccount);
+      logger.log(problem ? `  ❌ Not used by nbot run: ${problem}` : `  ✅ Attested by ${activeAccount.attestedBy || 'unknown'}`);
     } else {
       logger.log('  ❌ No active account set');
     }
@@ -199,23 +326,30 @@ async function showPlatformStatus(platform, detailed = false) {
   logger.log('\n📈 ACTIVITY:');
   logger.log(`  Total users messaged: ${stats.totalMessaged}`);
   logger.log(`  Messages today: ${stats.messagesToday}`);
+  logger.log(`  Messages this week: ${stats.messagesThisWeek}`);
   logger.log(`  Last activity: ${stats.lastActivity}`);
   
+  await showCampaigns(botConfig, platform);
+  
+  await showReplies(platform);
+  
   if (detailed) {
     // Show detailed statistics
     logger.log('\n📋 DETAILED STATS:');
     
     try {
-      const messagedUsers = await loadMessagedUsers(platform);
-      if (messagedUsers.length > 0) {
-        logger.log(`  Recent users messaged:`);
-        const recentUsers = messagedUsers.slice(-5).reverse();
-        recentUsers.forEach((user, index) => {
-          logger.log(`    ${index + 1}. ${user}`);
+      const entries = await contactLedger.getEntries({ platform });
+      if (entries.length > 0) {
+        logger.log(`  Recent contact attempts:`);
+        const recentEntries = entries.slice(-5).reverse();
+        recentEntries.forEach((entry, index) => {
+          const when = entry.migrated ? 'migrated' : dayjs(entry.timestamp).format('YYYY-MM-DD HH:mm');
+          const via = `${entry.account ? ` via ${entry.account}` : ''}${entry.campaign ? ` [${entry.campaign}]` : ''}`;
+          logger.log(`    ${index + 1}. ${entry.recipient} - ${entry.outcome}${via} (${when}, reply: ${entry.replyState})`);
         });
         
-        if (messagedUsers.length > 5) {
-          logger.log(`    ... and ${messagedUsers.length - 5} more`);
+        if (entries.length > 5) {
+          logger.log(`    ... and ${entries.length - 5} more`);
         }
       } else {
         logger.log('  No users messaged yet');
@@ -229,6 +363,8 @@ async function showPlatformStatus(platform, detailed = false) {
   const warnings = [];
   if (!platformConfig.enabled) {
     warnings.push('Platform is disabled');
+  } else if (!adapter.allowedIn(complianceMode)) {
+    warnings.push(`Compliance mode ${complianceMode} will not start this platform`);
   }
   if (!activeAccount) {
     warnings.push('No active account configured');
@@ -239,6 +375,7 @@ async function showPlatformStatus(platform, detailed = false) {
   if (!platformConfig.message) {
     warnings.push('No message template configured');
   }
+  warnings.push(...disclosureWarnings(botConfig, platform));
   
   if (warnings.length > 0) {
     logger.log('\n⚠️  WARNINGS:');
@@ -246,13 +383,131 @@ async function showPlatformStatus(platform, detailed = false) {
   }
 }
 
+/**
+ * Status for `nbot status --json`: per-platform enablement, active account,
+ * send counts and rate limits, the overall budget and the last run
+ * @param {Object} [options]
+ * @param {string} [options.platform] - Only this platform
+ * @returns {Promise<Object>} See "JSON Output" in CLI_USAGE.md
+ * @throws {Error} On an unknown platform
+ */
+export async function getStatusReport(options = {}) {
+  const { platform = null } = options;
+  const names = platformRegistry.names();
+  if (platform && !names.includes(platform)) {
+    throw new Error(`Invalid platform: ${platform}. Available platforms: ${names.join(', ')}`);
+  }
+  
+  const botConfig = await loadConfig();
+  const accounts = await accountStore.load();
+  const limits = await rateLimiter.getState();
+  sendBudget.configure(botConfig.settings);
+  quietHours.configure(botConfig.settings);
+  const complianceMode = botConfig.settings?.complianceMode || 'off';
+  
+  const platforms = [];
+  for (const name of platform ? [platform] : names) {
+    const platformAccounts = accounts[name] || [];
+    const activeAccount = platformAccounts.find(account => account.active) || null;
+    const adapter = platformRegistry.get(name);
+    
+    platforms.push({
+      name,
+      enabled: botConfig.platforms[name]?.enabled === true,
+      integration: adapter.integration,
+      allowedByComplianceMode: adapter.allowedIn(complianceMode),
+      activeAccount: activeAccount?.username || null,
+      accountStatus: activeAccount ? (activeAccount.status || 'ready') : null,
+      accountProblem: activeAccount ? accountProblem(activeAccount) : null,
+      accounts: platformAccounts.length,
+      sends: {
+        today: await contactLedger.countToday(name),
+        thisWeek: await contactLedger.countThisWeek(name),
+        total: (await loadMessagedUsers(name)).length
+      },
+      lastActivity: await contactLedger.lastActivity(name),
+      rateLimits: {
+        search: limits.actions[`${name}_search`] || null,
+        message: limits.actions[`${name}_message`] || null
+      }
+    });
+  }
+  
+  const enabled = platforms.filter(entry => entry.enabled);
+  const lastRun = await runHistory.lastRun();
+  
+  const warnings = [];
+  if (enabled.length === 0) {
+    warnings.push(platform ? 'Platform is disabled' : 'No platforms enabled');
+  }
+  for (const entry of enabled) {
+    if (!entry.allowedByComplianceMode) {
+      warnings.push(`${entry.name} is enabled but compliance mode ${complianceMode} will not start it`);
+    }
+    if (!entry.activeAccount) {
+      warnings.push(`No active account for ${entry.name}`);
+    } else if (entry.accountProblem) {
+      warnings.push(`${entry.name} ${entry.accountProblem}`);
+    }
+    if ((botConfig.searchTerms?.[entry.name] || []).length === 0) {
+      warnings.push(`No search terms for ${entry.name}`);
+    }
+  }
+  warnings.push(...disclosureWarnings(botConfig, platform));
+  if (lastRun?.status === 'failed') {
+    warnings.push(`Last run failed: ${lastRun.errors[lastRun.errors.length - 1] || 'unknown error'}`);
+  }
+  
+  return {
+    configPath: config.getConfigPath(),
+    complianceMode,
+    platforms,
+    sends: {
+      today: await contactLedger.countToday(platform),
+      thisWeek: await contactLedger.countThisWeek(platform),
+      dailyLimit: sendBudget.maxMessagesPerDay,
+      remainingToday: await sendBudget.remainingToday(),
+      lastActivity: await contactLedger.lastActivity(platform)
+    },
+    sendingHours: quietHours.windowFor()?.describe() || null,
+    rateLimiter: {
+      consecutiveFailures: limits.consecutiveFailures,
+      backoffMultiplier: limits.backoffMultiplier
+    },
+    lastRun: lastRun ? {
+      id: lastRun.id,
+      job: lastRun.job,
+      campaign: lastRun.campaign,
+      status: lastRun.status,
+      startedAt: lastRun.startedAt,
+      endedAt: lastRun.endedAt,
+      sent: lastRun.sent,
+      failed: lastRun.failed,
+      errors: lastRun.errors
+    } : null,
+    warnings
+  };
+}
+
 /**
  * Main status function
+ * @param {Object} [options]
+ * @param {string} [options.platform]
+ * @param {boolean} [options.detailed]
+ * @param {boolean} [options.json] - Print getStatusReport() as JSON instead
+ * @returns {Promise<number|undefined>} Exit code with --json
  */
 export async function showStatus(options = {}) {
-  const { platform, detailed = false } = options;
+  const { platform, detailed = false, json = false } = options;
   
   try {
+    // Make sure counts include users from legacy messaged*.json files
+    await migrateMessagedUsers();
+    
+    if (json) {
+      return printJson('status', await getStatusReport({ platform }));
+    }
+    
     if (platform) {
       await showPlatformStatus(platform, detailed);
     } else {
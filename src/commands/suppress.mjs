@@ -0,0 +1,121 @@
+import path from 'path';
+import dayjs from 'dayjs';
+import { logger } from '../utils/logger.mjs';
+import { suppressionList } from '../services/suppression-list.mjs';
+
+/**
+ * Parse a comma-separated list of linked identities
+ */
+function parseLinked(linked) {
+  if (!linked) return [];
+  return linked.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Add a recipient to the suppression list
+ */
+async function addSuppression(identifier, options) {
+  const entry = await suppressionList.add(identifier, {
+    platform: options.platform || null,
+    reason: options.reason || '',
+    linked: parseLinked(options.linked)
+  });
+
+  if (!entry) {
+    logger.error('❌ Invalid identifier. Provide a handle or profile URL.');
+    return;
+  }
+
+  const scope = entry.platform ? `on ${entry.platform}` : 'on all platforms';
+  logger.log(`🚫 ${entry.identifier} will never be contacted again ${scope}`);
+  if (entry.linked.length > 0) {
+    logger.log(`🔗 Linked identities: ${entry.linked.map(link => link.value).join(', ')}`);
+  }
+}
+
+/**
+ * Remove a recipient from the suppression list
+ */
+async function removeSuppression(identifier, options) {
+  const removed = await suppressionList.remove(identifier, options.platform || null);
+
+  if (removed === 0) {
+    logger.warn(`⚠️ ${identifier} is not on the suppression list`);
+    return;
+  }
+
+  logger.log(`✅ Removed ${removed} suppression entr${removed === 1 ? 'y' : 'ies'} for ${identifier}`);
+}
+
+/**
+ * List suppressed recipients
+ */
+async function listSuppressions(options) {
+  const entries = await suppressionList.list(options.platform || null);
+
+  if (entries.length === 0) {
+    logger.log('📭 Suppression list is empty.');
+    return;
+  }
+
+  logger.log('\n🚫 SUPPRESSION LIST');
+  logger.log('='.repeat(40));
+
+  entries.forEach((entry, index) => {
+    const scope = entry.platform || 'all platforms';
+    const added = dayjs(entry.addedAt).format('YYYY-MM-DD');
+    const who = entry.hashes ? `forgotten person (${entry.hashes.length} hashed identit${entry.hashes.length === 1 ? 'y' : 'ies'})` : entry.identifier;
+    logger.log(`  ${index + 1}. ${who} (${scope}, added ${added}, ${entry.source})`);
+    if (entry.reason) {
+      logger.log(`     Reason: ${entry.reason}`);
+    }
+    if (entry.linked?.length > 0) {
+      logger.log(`     Linked: ${entry.linked.map(link => link.value).join(', ')}`);
+    }
+  });
+
+  logger.log(`\n  Total: ${entries.length}`);
+}
+
+/**
+ * Import recipients from a file
+ */
+async function importSuppressions(file, options) {
+  const filePath = path.resolve(file);
+  const imported = await suppressionList.importFile(filePath, {
+    platform: options.platform || null,
+    reason: options.reason || ''
+  });
+
+  logger.log(`✅ Imported ${imported} identifier(s) from ${filePath}`);
+}
+
+/**
+ * Main suppression list management function
+ * @param {string} action - add, remove, list or import
+ * @param {string} [target] - Identifier (add/remove) or file path (import)
+ * @param {Object} [options] - Command options
+ */
+export async function manageSuppression(action, target, options = {}) {
+  try {
+    switch (action) {
+      case 'add':
+        await addSuppression(target, options);
+        break;
+      case 'remove':
+        await removeSuppression(target, options);
+        break;
+      case 'list':
+        await listSuppressions(options);
+        break;
+      case 'import':
+        await importSuppressions(target, options);
+        break;
+      default:
+        logger.error(`❌ Unknown suppression action: ${action}`);
+    }
+  } catch (error) {
+    logger.error(`❌ Suppression list error: ${error.message}`);
+    throw error;
+  }
+}
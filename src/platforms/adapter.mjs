@@ -0,0 +1,297 @@
+/**
+ * Platform adapter contract.
+ *
+ * Platform modules in this directory export initialize(), findPotentialUsers(),
+ * messageUser() and optionally cleanup(), fetchReplies(), acknowledgeReplies() and
+ * getCandidateContext().
+ * PlatformAdapter wraps a module so callers get declared capabilities, candidate
+ * objects instead of raw strings and a normalized result for every send.
+ */
+
+export const CAPABILITIES = {
+  SEARCH: 'search',
+  DIRECT_MESSAGE: 'dm',
+  READ_REPLIES: 'replies'
+};
+
+/**
+ * How a platform module talks to the platform. Only OFFICIAL_API is within
+ * every platform's terms; driving a logged-in browser session usually is not.
+ */
+export const INTEGRATIONS = {
+  OFFICIAL_API: 'official-api',
+  BROWSER: 'browser-automation',
+  MIXED: 'official-api+browser'
+};
+
+export const INTEGRATION_LABELS = {
+  [INTEGRATIONS.OFFICIAL_API]: 'Official API',
+  [INTEGRATIONS.BROWSER]: 'Browser automation',
+  [INTEGRATIONS.MIXED]: 'Official API + browser automation'
+};
+
+// settings.complianceMode: "official-api-only" refuses to start platforms that aren't purely official-API
+export const COMPLIANCE_MODES = ['off', 'official-api-only'];
+
+// Errors that won't go away by sending again
+const PERMANENT_ERROR_PATTERN = /limit reached|rate limit|not initialized|suspended|blocked|not found|doesn't exist/i;
+
+export const ACCOUNT_ISSUE_KINDS = ['suspension', 'challenge', 'warning'];
+
+/**
+ * Thrown by a platform module when the platform shows that it suspended,
+ * challenged or warned our own account. This is the only error that pauses
+ * the account; other errors, whatever their text, only fail the action.
+ */
+export class AccountIssueError extends Error {
+  /**
+   * @param {string} message - What the platform showed
+   * @param {Object} details
+   * @param {string} details.kind - suspension, challenge or warning
+   */
+  constructor(message, { kind }) {
+    if (!ACCOUNT_ISSUE_KINDS.includes(kind)) {
+      throw new Error(`Unknown account issue kind: ${kind}`);
+    }
+    super(message);
+    this.name = 'AccountIssueError';
+    this.kind = kind;
+    this.retryable = false;
+  }
+}
+
+/**
+ * @typedef {Object} Candidate
+ * @property {string} id - Identifier the platform messages (username, profile URL, channel ID, ...)
+ * @property {string} platform - Platform name
+ * @property {string|null} displayName - Display name, when the platform provides it
+ * @property {string|null} profileUrl - Profile URL, when known
+ * @property {Object|null} source - Post or search result the candidate was found through
+ * @property {string|null} timezone - IANA timezone, when the platform provides it
+ * @property {string|null} location - Location from the profile, when the platform provides it
+ */
+
+/**
+ * @typedef {Object} SendResult
+ * @property {boolean} ok - True when the platform confirmed delivery
+ * @property {string|null} error - Failure reason
+ * @property {boolean} retryable - Whether sending again may succeed
+ * @property {{kind: string, reason: string}|null} accountIssue - Set when the platform flagged our account
+ */
+
+/**
+ * Build a candidate from a raw search result
+ * @param {string} platform - Platform name
+ * @param {string|Object} value - Identifier string or partial candidate
+ * @returns {Candidate}
+ */
+export function createCandidate(platform, value) {
+  const fields = typeof value === 'string' ? { id: value } : value;
+
+  return {
+    id: fields.id,
+    platform,
+    displayName: fields.displayName || null,
+    profileUrl: fields.profileUrl || (/^https?:\/\//.test(fields.id) ? fields.id : null),
+    source: fields.source || null,
+    timezone: fields.timezone || null,
+    location: fields.location || null
+  };
+}
+
+/**
+ * The account issue an error reports, when a platform module threw an AccountIssueError
+ * @param {*} error - Anything a platform module threw
+ * @returns {{kind: string, reason: string}|null} kind is suspension, challenge or warning
+ */
+export function accountIssue(error) {
+  return error instanceof AccountIssueError ? { kind: error.kind, reason: error.message } : null;
+}
+
+/**
+ * Successful send result
+ * @returns {SendResult}
+ */
+export function sendSucceeded() {
+  return { ok: true, error: null, retryable: false, accountIssue: null };
+}
+
+/**
+ * Failed send result
+ * @param {Error|string} error - Error or failure reason
+ * @returns {SendResult}
+ */
+export function sendFailed(error, { retryable } = {}) {
+  const message = error instanceof Error ? error.message : String(error);
+
+  if (typeof retryable !== 'boolean') {
+    retryable = typeof error?.retryable === 'boolean'
+      ? error.retryable
+      : !PERMANENT_ERROR_PATTERN.test(message);
+  }
+
+  return { ok: false, error: message, retryable, accountIssue: accountIssue(error) };
+}
+
+/**
+ * Base class for platform adapters. The platform module is imported lazily,
+ * so listing platforms doesn't load browsers or API clients.
+ */
+export class PlatformAdapter {
+  /**
+   * @param {Object} definition
+   * @param {string} definition.name - Platform name used in config and the ledger
+   * @param {string} definition.label - Human-readable name
+   * @param {string[]} definition.capabilities - Values from CAPABILITIES
+   * @param {Function} definition.load - Returns a promise for the platform module
+   * @param {Object} [definition.defaults] - Default platform config ({enabled, message, personalize})
+   * @param {number} [definition.maxMessageLength] - Longest direct message the platform accepts
+   * @param {string} [definition.integration] - Value from INTEGRATIONS; assumed browser automation unless declared
+   */
+  constructor({ name, label, capabilities = [], load, defaults = {}, maxMessageLength = null, integration = INTEGRATIONS.BROWSER }) {
+    this.name = name;
+    this.label = label || name;
+    this.capabilities = capabilities;
+    this.integration = integration;
+    this.maxMessageLength = maxMessageLength;
+    this.load = load;
+    this.defaults = { enabled: true, message: '', ...defaults };
+    this.module = null;
+  }
+
+  supports(capability) {
+    return this.capabilities.includes(capability);
+  }
+
+  requireCapability(capability) {
+    if (!this.supports(capability)) {
+      throw new Error(`${this.label} does not support ${capability}`);
+    }
+  }
+
+  async getModule() {
+    if (!this.module) {
+      this.module = await this.load();
+    }
+    return this.module;
+  }
+
+  get integrationLabel() {
+    return INTEGRATION_LABELS[this.integration] || this.integration;
+  }
+
+  /**
+   * Whether a compliance mode allows starting this platform
+   * @param {string} [complianceMode] - Value from COMPLIANCE_MODES
+   */
+  allowedIn(complianceMode = 'off') {
+    return complianceMode !== 'official-api-only' || this.integration === INTEGRATIONS.OFFICIAL_API;
+  }
+
+  /**
+   * Start the platform module
+   * @param {Object} [options]
+   * @param {string} [options.complianceMode] - settings.complianceMode; read from config.json when not given
+   * @throws {Error} When the compliance mode does not allow this platform, before anything is loaded
+   */
+  async initialize({ complianceMode } = {}) {
+    if (complianceMode === undefined) {
+      // Imported here: config.mjs imports the registry, which imports this module
+      const { config } = await import('../utils/config.mjs');
+      complianceMode = config.getSettings()?.complianceMode;
+    }
+    if (!this.allowedIn(complianceMode)) {
+      throw new Error(`${this.label} is not backed only by an official API (${this.integrationLabel}); complianceMode "${complianceMode}" does not allow it`);
+    }
+
+    const module = await this.getModule();
+    const result = await module.initialize();
+
+    if (result === false) {
+      throw new Error(`${this.label} initialization failed`);
+    }
+  }
+
+  /**
+   * Search for people to contact
+   * @param {string[]} searchTerms
+   * @returns {Promise<Candidate[]>}
+   */
+  async findCandidates(searchTerms = []) {
+    this.requireCapability(CAPABILITIES.SEARCH);
+    const module = await this.getModule();
+    const results = await module.findPotentialUsers(searchTerms) || [];
+
+    return results.filter(Boolean).map(result => this.toCandidate(module, result));
+  }
+
+  toCandidate(module, result) {
+    if (typeof result !== 'string') {
+      return createCandidate(this.name, result);
+    }
+
+    const context = typeof module.getCandidateContext === 'function'
+      ? module.getCandidateContext(result)
+      : null;
+    const { displayName, timezone, location, ...source } = context || {};
+
+    return createCandidate(this.name, {
+      id: result,
+      displayName,
+      timezone,
+      location,
+      source: Object.keys(source).length > 0 ? source : null
+    });
+  }
+
+  /**
+   * Send a direct message. Never throws; failures are reported in the result.
+   * @param {Candidate|string} recipient - Candidate or platform identifier
+   * @param {string} message - Message text
+   * @param {Object} [options] - Passed through to the platform module
+   * @returns {Promise<SendResult>}
+   */
+  async sendMessage(recipient, message, options = {}) {
+    if (!this.supports(CAPABILITIES.DIRECT_MESSAGE)) {
+      return sendFailed(`${this.label} does not support direct messages`, { retryable: false });
+    }
+
+    const id = typeof recipient === 'string' ? recipient : recipient.id;
+
+    try {
+      const module = await this.getModule();
+      const delivered = await module.messageUser(id, message, options);
+      return delivered ? sendSucceeded() : sendFailed('Platform did not confirm delivery', { retryable: false });
+    } catch (error) {
+      return sendFailed(error);
+    }
+  }
+
+  /**
+   * Fetch replies received since the last call
+   * @returns {Promise<Array<{id: string, from: string, subject: string, text: string, receivedAt: string}>>}
+   */
+  async fetchReplies() {
+    this.requireCapability(CAPABILITIES.READ_REPLIES);
+    const module = await this.getModule();
+    return module.fetchReplies();
+  }
+
+  /**
+   * Tell the platform replies were recorded, so they are not fetched again.
+   * Platforms whose fetchReplies only returns new replies don't need it.
+   * @param {string[]} ids - Reply ids from fetchReplies
+   */
+  async acknowledgeReplies(ids) {
+    const module = await this.getModule();
+    if (ids.length > 0 && typeof module.acknowledgeReplies === 'function') {
+      await module.acknowledgeReplies(ids);
+    }
+  }
+
+  async cleanup() {
+    if (this.module && typeof this.module.cleanup === 'function') {
+      await this.module.cleanup();
+    }
+  }
+}
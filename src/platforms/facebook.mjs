@@ -3,22 +3,52 @@ import StealthPlugin from 'puppeteer-extra-plugin-stealth';
 import { setTimeout as wait } from 'timers/promises';
 import dayjs from 'dayjs';
 import axios from 'axios';
-import { logger } from '../utils/logger.mjs';
+import { createLogger } from '../utils/logger.mjs';
 import { humanBehavior } from '../services/human-behavior.mjs';
 import { rateLimiter } from '../services/rate-limiter.mjs';
 import { proxyManager } from '../services/proxy-manager.mjs';
+import { accountStore } from '../services/account-store.mjs';
+import { AccountIssueError } from './adapter.mjs';
+
+const logger = createLogger('facebook');
 
 let browser;
 let page;
 let fbApiAccessToken;
 
+// Search term each candidate was found with, for message templates
+const candidateTerms = new Map();
+
+// Graph API errors about our own account: a block for policy violations, and a checkpoint
+// Facebook wants the account holder to clear. The browser never logs in, so only the
+// Graph API can report these.
+const ACCOUNT_ISSUE_ERRORS = [
+  { kind: 'warning', code: 368, subcode: null, text: 'temporarily blocked for policy violations' },
+  { kind: 'challenge', code: 190, subcode: 459, text: 'checkpointed, log in to facebook.com to clear it' }
+];
+
+/**
+ * The account issue a Graph API error reports, if any
+ * @param {Error} error - Error thrown by axios
+ * @returns {AccountIssueError|null}
+ */
+export function detectAccountIssue(error) {
+  const graphError = error?.response?.data?.error;
+  if (!graphError) return null;
+  const match = ACCOUNT_ISSUE_ERRORS.find(issue => issue.code === graphError.code
+    && (issue.subcode === null || issue.subcode === graphError.error_subcode));
+  return match ? new AccountIssueError(`Facebook: ${match.text}`, { kind: match.kind }) : null;
+}
+
 // Initialize Facebook API client
 async function initFacebookAPI() {
-  const appId = process.env.FACEBOOK_APP_ID;
-  const appSecret = process.env.FACEBOOK_APP_SECRET;
+  // The attested active account; credentials in the environment are not used
+  const activeAccount = await accountStore.getActiveCredentials('facebook');
+  const appId = activeAccount?.appId;
+  const appSecret = activeAccount?.appSecret;
   
   if (!appId || !appSecret) {
-    logger.warn('Facebook API credentials not found in environment variables');
+    logger.warn('The active Facebook account has no app ID and app secret. Add an account with them: nbot accounts --add');
     return null;
   }
   
@@ -202,6 +232,7 @@ export async function findPotentialUsers(searchTerms) {
         if (foundUsers.length > 0) {
           logger.log(`Found ${foundUsers.length} potential users for term "${term}"`);
           users.push(...foundUsers);
+          foundUsers.forEach(user => candidateTerms.set(user, term));
         }
         
         // Increment search count
@@ -242,6 +273,15 @@ export async function findPotentialUsers(searchTerms) {
   }
 }
 
+/**
+ * Get the search term a candidate was found with during the last search
+ * @param {string} user - Identifier returned by findPotentialUsers
+ * @returns {{searchTerm: string}|null}
+ */
+export function getCandidateContext(user) {
+  return candidateTerms.has(user) ? { searchTerm: candidateTerms.get(user) } : null;
+}
+
 /**
  * Message a Facebook user
  * @param {string} userId - Facebook user ID or username to message
@@ -261,7 +301,7 @@ export async function messageUser(userId, message) {
       return false;
     }
     
-    logger.log(`Attempting to message Facebook user: ${userId}`);
+    logger.log('Attempting to message Facebook user: {recipient}', { recipient: userId });
     
     // Determine the profile URL based on the userId format
     let profileUrl;
@@ -290,7 +330,7 @@ export async function messageUser(userId, message) {
     });
     
     if (!messageButtonExists) {
-      logger.warn(`Could not find message button for user ${userId}`);
+      logger.warn('Could not find message button for user {recipient}', { recipient: userId });
       return false;
     }
     
@@ -313,7 +353,7 @@ export async function messageUser(userId, message) {
     });
     
     if (!messageDialogOpen) {
-      logger.warn(`Message dialog did not open for user ${userId}`);
+      logger.warn('Message dialog did not open for user {recipient}', { recipient: userId });
       return false;
     }
     
@@ -412,6 +452,9 @@ export async function messageUser(userId, message) {
         }
       } catch (apiError) {
         logger.error(`Error using Facebook API for messaging: ${apiError.message}`);
+        // The account itself was flagged: falling back to the browser would not help
+        const issue = detectAccountIssue(apiError);
+        if (issue) throw issue;
         logger.log('Falling back to browser-based messaging method');
         // Continue with browser-based messaging as fallback
       }
@@ -420,11 +463,13 @@ export async function messageUser(userId, message) {
     // Increment message count
     await rateLimiter.incrementActionCount('facebook_message');
     
-    logger.log(`Message sent to Facebook user ${userId}`);
+    logger.log('Message sent to Facebook user {recipient}', { recipient: userId });
     return true;
     
   } catch (error) {
-    logger.error(`Error messaging Facebook user ${userId}: ${error.message}`);
+    logger.error(`Error messaging Facebook user {recipient}: ${error.message}`, { recipient: userId });
+    // Pass it on so the account is paused
+    if (error instanceof AccountIssueError) throw error;
     return false;
   }
 }
@@ -489,12 +534,13 @@ export async function verifyAccessToken(accessToken) {
  * @returns {Promise<string|null>} - New access token or null if refresh failed
  */
 export async function refreshAccessToken() {
-  const appId = process.env.FACEBOOK_APP_ID;
-  const appSecret = process.env.FACEBOOK_APP_SECRET;
+  const activeAccount = await accountStore.getActiveCredentials('facebook');
+  const appId = activeAccount?.appId;
+  const appSecret = activeAccount?.appSecret;
   const refreshToken = process.env.FACEBOOK_REFRESH_TOKEN;
   
   if (!appId || !appSecret) {
-    logger.error('Facebook API credentials not found in environment variables');
+    logger.error('The active Facebook account has no app ID and app secret');
     return null;
   }
   
@@ -1,89 +1,45 @@
 import puppeteer from 'puppeteer-extra';
 import StealthPlugin from 'puppeteer-extra-plugin-stealth';
-import { logger } from '../utils/logger.mjs';
+import { createLogger } from '../utils/logger.mjs';
 import { humanBehavior } from '../services/human-behavior.mjs';
 import { rateLimiter } from '../services/rate-limiter.mjs';
 import { proxyManager } from '../services/proxy-manager.mjs';
+import { accountStore } from '../services/account-store.mjs';
+import { AccountIssueError } from './adapter.mjs';
+
+const logger = createLogger('linkedin');
 
 let browser;
 let page;
 
-// Load accounts from accounts.json
-async function loadAccountsData() {
-  try {
-    const fs = await import('fs/promises');
-    const path = await import('path');
-    const { fileURLToPath } = await import('url');
-    
-    const __filename = fileURLToPath(import.meta.url);
-    const __dirname = path.dirname(__filename);
-    
-    const accountsPath = path.join(__dirname, '../../accounts.json');
-    const data = await fs.readFile(accountsPath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    // If file doesn't exist or is invalid, return empty object
-    return {};
-  }
-}
+// Search term each profile was found with, for message templates
+const candidateTerms = new Map();
 
-// Get active account for LinkedIn
-async function getActiveLinkedInAccount() {
-  const accounts = await loadAccountsData();
-  if (!accounts.linkedin) return null;
-  return accounts.linkedin.find(acc => acc.active) || null;
-}
+// What LinkedIn shows about our own account. Only checked on our own pages,
+// since a recipient's profile can say the same about them.
+const ACCOUNT_ISSUE_PAGES = [
+  { kind: 'suspension', url: '/checkpoint/restricted', text: 'Your account has been restricted' },
+  { kind: 'challenge', url: '/checkpoint/challenge', text: 'do a quick security check' }
+];
 
-// Decrypt password
-function decrypt(hash) {
-  if (!hash || !hash.iv || !hash.content) {
-    return null;
-  }
-  
-  const crypto = require('crypto');
-  const algorithm = 'aes-256-ctr';
-  const secretKey = process.env.ENCRYPTION_KEY || 'default-encryption-key-change-me';
-  
-  try {
-    const decipher = crypto.createDecipheriv(
-      algorithm,
-      secretKey,
-      Buffer.from(hash.iv, 'hex')
-    );
-    
-    const decrypted = Buffer.concat([
-      decipher.update(Buffer.from(hash.content, 'hex')),
-      decipher.final()
-    ]);
-    
-    return decrypted.toString();
-  } catch (error) {
-    logger.error('Failed to decrypt password:', error.message);
-    return null;
-  }
+// The account issue a LinkedIn page shows, if any; pass '' as text for pages that are not our own
+function detectAccountIssue(url, text) {
+  const match = ACCOUNT_ISSUE_PAGES.find(issue => url.includes(issue.url) || (text && text.includes(issue.text)));
+  return match ? new AccountIssueError(`LinkedIn: ${match.text}`, { kind: match.kind }) : null;
 }
 
 // Initialize LinkedIn browser automation
 async function initLinkedInAPI() {
-  // Try to get credentials from account management system first
-  let username, password;
-  
-  const activeAccount = await getActiveLinkedInAccount();
-  if (activeAccount) {
-    username = activeAccount.username;
-    password = decrypt(activeAccount.password);
-    logger.log(`Using account ${username} from account management system`);
-  } else {
-    // Fall back to environment variables
-    username = process.env.LINKEDIN_USERNAME;
-    password = process.env.LINKEDIN_PASSWORD;
-    logger.log('Using LinkedIn credentials from environment variables');
-  }
+  // The attested active account; credentials in the environment are not used
+  const activeAccount = await accountStore.getActiveCredentials('linkedin');
+  const username = activeAccount?.username;
+  const password = activeAccount?.password;
   
   if (!username || !password) {
-    logger.warn('LinkedIn credentials not found in account management system or environment variables');
+    logger.warn('The active LinkedIn account has no username or password');
     return null;
   }
+  logger.log(`Using account ${username} from account management system`);
   try {
     puppeteer.use(StealthPlugin());
     // Use proxy if available
@@ -102,6 +58,12 @@ async function initLinkedInAPI() {
       page.click('button[type=submit]'),
       page.waitForNavigation({ waitUntil: 'networkidle2' })
     ]);
+    // A restricted account or a security check lands somewhere other than the
+    // feed. The feed shows other people's posts, so its text is not read.
+    const landedOn = page.url();
+    const pageText = landedOn.includes('/feed') ? '' : await page.evaluate(() => document.body?.innerText || '');
+    const issue = detectAccountIssue(landedOn, pageText);
+    if (issue) throw issue;
     // Check login success
     if (page.url().includes('/feed')) {
       logger.log('Successfully logged into LinkedIn.');
@@ -112,6 +74,8 @@ async function initLinkedInAPI() {
     }
   } catch (err) {
     logger.error('LinkedIn login automation failed:', err.message);
+    // The account itself was flagged: pass it on so the account is paused
+    if (err instanceof AccountIssueError) throw err;
     return false;
   }
 }
@@ -138,22 +102,32 @@ async function findPotentialUsers(searchTerms) {
     );
     // Add unique users only
     users.forEach(u => { if (!results.includes(u)) results.push(u); });
+    users.forEach(u => candidateTerms.set(u, term));
     await humanBehavior.simulatePageView(page);
   }
   logger.log(`Found ${results.length} potential users.`);
   return results;
 }
 
+// Search term a profile URL was found with during the last search
+function getCandidateContext(profileUrl) {
+  return candidateTerms.has(profileUrl) ? { searchTerm: candidateTerms.get(profileUrl) } : null;
+}
+
 // Message a LinkedIn user by profile URL
 async function messageUser(profileUrl, message) {
   if (!page) {
     logger.warn('LinkedIn page not initialized. Call initLinkedInAPI first.');
     return false;
   }
-  logger.log(`Messaging LinkedIn user at ${profileUrl}: ${message}`);
+  logger.log('Messaging LinkedIn user at {recipient}: {message}', { recipient: profileUrl, message });
   try {
     await rateLimiter.wait('linkedin_message');
     await page.goto(profileUrl, { waitUntil: 'networkidle2' });
+    // A flagged account is sent to a checkpoint instead of the profile. Only the
+    // URL is checked: the profile text is about the recipient.
+    const redirected = detectAccountIssue(page.url(), '');
+    if (redirected) throw redirected;
     await humanBehavior.simulatePageView(page);
     // Click the Message button
     await page.waitForSelector('button[aria-label^="Message"]', { timeout: 10000 });
@@ -165,6 +139,7 @@ async function messageUser(profileUrl, message) {
     return true;
   } catch (err) {
     logger.error('Failed to message LinkedIn user:', err.message);
+    if (err instanceof AccountIssueError) throw err;
     return false;
   }
 }
@@ -182,4 +157,4 @@ export async function initialize() {
   return !!success;
 }
 
-export { findPotentialUsers, messageUser, cleanup };
+export { findPotentialUsers, getCandidateContext, messageUser, cleanup, detectAccountIssue };
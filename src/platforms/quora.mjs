@@ -3,25 +3,33 @@ import StealthPlugin from 'puppeteer-extra-plugin-stealth';
 import { setTimeout as wait } from 'timers/promises';
 import dayjs from 'dayjs';
 import axios from 'axios';
-import { logger } from '../utils/logger.mjs';
+import { createLogger } from '../utils/logger.mjs';
 import { humanBehavior } from '../services/human-behavior.mjs';
 import { rateLimiter } from '../services/rate-limiter.mjs';
 import { proxyManager } from '../services/proxy-manager.mjs';
+import { accountStore } from '../services/account-store.mjs';
+
+const logger = createLogger('quora');
 
 let browser;
 let page;
 let isLoggedIn = false;
 
+// Search term each candidate was found with, for message templates
+const candidateTerms = new Map();
+
 /**
  * Initialize Quora API client if credentials are available
  * Note: Quora doesn't have an official public API, so this is mainly for future expansion
  */
 async function initQuoraAPI() {
-  const apiKey = process.env.QUORA_API_KEY;
-  const apiSecret = process.env.QUORA_API_SECRET;
+  // The attested active account; credentials in the environment are not used
+  const activeAccount = await accountStore.getActiveCredentials('quora');
+  const apiKey = activeAccount?.apiKey;
+  const apiSecret = activeAccount?.apiSecret;
   
   if (!apiKey || !apiSecret) {
-    logger.warn('Quora API credentials not found in environment variables');
+    logger.warn('The active Quora account has no API credentials');
     return null;
   }
   
@@ -46,11 +54,13 @@ async function initQuoraAPI() {
  * @returns {Promise<boolean>} Login success status
  */
 async function loginToQuora() {
-  const username = process.env.QUORA_USERNAME;
-  const password = process.env.QUORA_PASSWORD;
+  // The attested active account; credentials in the environment are not used
+  const activeAccount = await accountStore.getActiveCredentials('quora');
+  const username = activeAccount?.username;
+  const password = activeAccount?.password;
   
   if (!username || !password) {
-    logger.warn('Quora login credentials not found in environment variables');
+    logger.warn('The active Quora account has no username or password');
     return false;
   }
   
@@ -125,7 +135,8 @@ async function loginToQuora() {
 }
 
 /**
- * Initialize Quora platform
+ * Initialize Quora platform. Quora's notices about a suspended or blocked account
+ * are not detected, so an account issue here never pauses the account.
  * @returns {Promise<boolean>} Initialization success status
  */
 export async function initialize() {
@@ -299,6 +310,7 @@ export async function findPotentialUsers(searchTerms) {
         if (foundUsers.length > 0) {
           logger.log(`Found ${foundUsers.length} potential users for term "${term}"`);
           users.push(...foundUsers);
+          foundUsers.forEach(user => candidateTerms.set(user, term));
         }
         
         // Increment search count
@@ -335,6 +347,15 @@ export async function findPotentialUsers(searchTerms) {
   }
 }
 
+/**
+ * Get the search term a candidate was found with during the last search
+ * @param {string} user - Identifier returned by findPotentialUsers
+ * @returns {{searchTerm: string}|null}
+ */
+export function getCandidateContext(user) {
+  return candidateTerms.has(user) ? { searchTerm: candidateTerms.get(user) } : null;
+}
+
 /**
  * Message a Quora user
  * @param {string} username - Quora username to message
@@ -346,7 +367,7 @@ export async function messageUser(username, message) {
     throw new Error('Quora browser not initialized');
   }
   
-  logger.log(`[${dayjs().format('HH:mm')}] Attempting to message Quora user: ${username}`);
+  logger.log(`[${dayjs().format('HH:mm')}] Attempting to message Quora user: {recipient}`, { recipient: username });
   
   try {
     // Check if logged in - messaging requires login
@@ -381,7 +402,7 @@ export async function messageUser(username, message) {
     });
     
     if (!profileExists) {
-      logger.warn(`Quora user ${username} not found`);
+      logger.warn('Quora user {recipient} not found', { recipient: username });
       return false;
     }
     
@@ -401,7 +422,7 @@ export async function messageUser(username, message) {
     
     if (!messageButtonExists) {
       // If we can't find a direct message button, try to interact with the user through a different approach
-      logger.warn(`Could not find message button for Quora user ${username}`);
+      logger.warn('Could not find message button for Quora user {recipient}', { recipient: username });
       
       // Try to find a way to follow the user instead
       const followButtonExists = await page.evaluate(() => {
@@ -418,20 +439,20 @@ export async function messageUser(username, message) {
       });
       
       if (followButtonExists) {
-        logger.log(`Followed Quora user ${username}`);
+        logger.log('Followed Quora user {recipient}', { recipient: username });
         await wait(2000);
         
         // Since we can't message directly, try to comment on a post instead
         return await commentOnUserPost(username, message);
       } else {
-        logger.warn(`Could not interact with Quora user ${username}`);
+        logger.warn('Could not interact with Quora user {recipient}', { recipient: username });
         return false;
       }
     }
     
     // Wait for the message dialog to appear
     await page.waitForSelector('.modal-dialog, .modal-content, textarea, div[contenteditable=true]', { timeout: 10000 })
-      .catch(() => logger.warn(`Message dialog for ${username} did not appear`));
+      .catch(() => logger.warn('Message dialog for {recipient} did not appear', { recipient: username }));
     
     await wait(1000);
     
@@ -454,7 +475,7 @@ export async function messageUser(username, message) {
     });
     
     if (!messageInputSelector) {
-      logger.warn(`Could not find message input for Quora user ${username}`);
+      logger.warn('Could not find message input for Quora user {recipient}', { recipient: username });
       return false;
     }
     
@@ -479,7 +500,7 @@ export async function messageUser(username, message) {
     });
     
     if (!sendSuccess) {
-      logger.warn(`Could not find send button for Quora user ${username}`);
+      logger.warn('Could not find send button for Quora user {recipient}', { recipient: username });
       return false;
     }
     
@@ -489,11 +510,11 @@ export async function messageUser(username, message) {
     // Increment message count
     await rateLimiter.incrementActionCount('quora_message');
     
-    logger.log(`\u2705 Message sent to Quora user ${username}`);
+    logger.log('\u2705 Message sent to Quora user {recipient}', { recipient: username });
     return true;
     
   } catch (error) {
-    logger.error(`Error messaging Quora user ${username}: ${error.message}`);
+    logger.error(`Error messaging Quora user {recipient}: ${error.message}`, { recipient: username });
     
     // Check if we're being rate limited
     await rateLimiter.checkForRateLimit(page);
@@ -510,7 +531,7 @@ export async function messageUser(username, message) {
  */
 async function commentOnUserPost(username, message) {
   try {
-    logger.log(`Attempting to comment on a post by ${username}`);
+    logger.log('Attempting to comment on a post by {recipient}', { recipient: username });
     
     // Find the first post/answer by the user
     const postFound = await page.evaluate(() => {
@@ -527,7 +548,7 @@ async function commentOnUserPost(username, message) {
     });
     
     if (!postFound) {
-      logger.warn(`No posts found for Quora user ${username}`);
+      logger.warn('No posts found for Quora user {recipient}', { recipient: username });
       return false;
     }
     
@@ -552,7 +573,7 @@ async function commentOnUserPost(username, message) {
     });
     
     if (!commentButtonFound) {
-      logger.warn(`Could not find comment button for ${username}'s post`);
+      logger.warn(`Could not find comment button for {recipient}'s post`, { recipient: username });
       return false;
     }
     
@@ -579,7 +600,7 @@ async function commentOnUserPost(username, message) {
     });
     
     if (!commentInputSelector) {
-      logger.warn(`Could not find comment input for ${username}'s post`);
+      logger.warn(`Could not find comment input for {recipient}'s post`, { recipient: username });
       return false;
     }
     
@@ -604,19 +625,19 @@ async function commentOnUserPost(username, message) {
     });
     
     if (commentSubmitted) {
-      logger.log(`\u2705 Commented on ${username}'s post`);
+      logger.log(`\u2705 Commented on {recipient}'s post`, { recipient: username });
       
       // Increment message count (uses same limit as direct messages)
       await rateLimiter.incrementActionCount('quora_message');
       
       return true;
     } else {
-      logger.warn(`Could not submit comment on ${username}'s post`);
+      logger.warn(`Could not submit comment on {recipient}'s post`, { recipient: username });
       return false;
     }
     
   } catch (error) {
-    logger.error(`Error commenting on ${username}'s post: ${error.message}`);
+    logger.error(`Error commenting on {recipient}'s post: ${error.message}`, { recipient: username });
     return false;
   }
 }
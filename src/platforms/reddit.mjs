@@ -1,20 +1,37 @@
 import snoowrap from 'snoowrap';
 import dayjs from 'dayjs';
-import { logger } from '../utils/logger.mjs';
-import { generatePersonalizedMessage } from '../services/ai.mjs';
+import { createLogger } from '../utils/logger.mjs';
+import { accountStore } from '../services/account-store.mjs';
+import { AccountIssueError } from './adapter.mjs';
+
+const logger = createLogger('reddit');
 
 let r;
+// Post each candidate was found through, keyed by username
+const candidatePosts = new Map();
+
+export async function initRedditAPI() {
+  // The attested active account; credentials in the environment are not used
+  const activeAccount = await accountStore.getActiveCredentials('reddit');
 
-export function initRedditAPI() {
   r = new snoowrap({
     userAgent: 'networking-bot/1.0',
-    clientId: process.env.REDDIT_CLIENT_ID,
-    clientSecret: process.env.REDDIT_CLIENT_SECRET,
-    username: process.env.REDDIT_USERNAME,
-    password: process.env.REDDIT_PASSWORD
+    clientId: activeAccount?.clientId,
+    clientSecret: activeAccount?.clientSecret,
+    username: activeAccount?.username,
+    password: activeAccount?.password
   });
 }
 
+/**
+ * Which of the OR-ed search terms a post matched, if it can be told from its text
+ */
+function matchSearchTerm(post, searchTerms) {
+  const text = `${post.title || ''} ${post.selftext || ''}`.toLowerCase();
+  return searchTerms.find(term => text.includes(term.toLowerCase()))
+    || (searchTerms.length === 1 ? searchTerms[0] : null);
+}
+
 export async function findPotentialUsers(searchTerms) {
   const query = searchTerms.join(' OR ');
   const searchResults = await r.search({
@@ -25,45 +42,108 @@ export async function findPotentialUsers(searchTerms) {
   });
 
   // Filter out bot accounts and return unique usernames
-  return searchResults
-    .filter(post => !post.author.name.toLowerCase().includes('bot'))
-    .map(post => post.author.name);
-}
+  const posts = searchResults.filter(post => !post.author.name.toLowerCase().includes('bot'));
 
-export async function messageUser(user, message) {
-  logger.log(`[${dayjs().format('HH:mm')}] Messaging Reddit user: ${user}`);
-  try {
-    const userContext = {
-      platform: 'reddit',
-      username: user,
-      seedPrompt: message
-    };
+  for (const post of posts) {
+    candidatePosts.set(post.author.name, {
+      searchTerm: matchSearchTerm(post, searchTerms),
+      title: post.title,
+      url: `https://www.reddit.com${post.permalink}`,
+      subreddit: post.subreddit?.display_name || null
+    });
+  }
 
-    const personalizedMessage = await generatePersonalizedMessage(userContext)
-      .catch(() => message); // Fallback to default message if AI fails
+  return posts.map(post => post.author.name);
+}
 
-    logger.log(personalizedMessage);
+/**
+ * Get the post a candidate was found through during the last search
+ * @param {string} user - Reddit username
+ * @returns {{searchTerm: string|null, title: string, url: string, subreddit: string|null}|null}
+ */
+export function getCandidateContext(user) {
+  return candidatePosts.get(user) || null;
+}
 
+/**
+ * Send a private message to a Reddit user. The text is sent as is; personalization
+ * and guardrail checks happen in the run loop before this is called.
+ * @param {string} user - Reddit username
+ * @param {string} message - Final message text
+ * @returns {Promise<boolean>} True when the message was sent
+ */
+export async function messageUser(user, message) {
+  logger.log(`[${dayjs().format('HH:mm')}] Messaging Reddit user: {recipient}`, { recipient: user });
+  try {
     await r.composeMessage({
       to: user,
       subject: 'Tech Founder Networking Group',
-      text: personalizedMessage
+      text: message
     });
 
-    logger.log(`✅ Messaged Reddit user ${user}`);
+    logger.log('✅ Messaged Reddit user {recipient}', { recipient: user });
+    return true;
   } catch (error) {
-    logger.error(`Error messaging Reddit user ${user}: ${error.message}`);
+    logger.error(`Error messaging Reddit user {recipient}: ${error.message}`, { recipient: user });
     throw error;
   }
 }
 
+/**
+ * Fetch unread private-message replies from the Reddit inbox and mark them as read
+ * @returns {Promise<Array<{id: string, from: string, subject: string, text: string, receivedAt: string}>>}
+ */
+export async function fetchReplies() {
+  const messages = await r.getUnreadMessages({ limit: 100 });
+  const replies = messages
+    .filter(message => !message.was_comment && message.author)
+    .map(message => ({
+      id: message.name,
+      from: message.author.name,
+      subject: message.subject,
+      text: message.body,
+      receivedAt: dayjs.unix(message.created_utc).toISOString()
+    }));
+
+  // Nothing else in the inbox is processed; replies are marked read by acknowledgeReplies once recorded
+  const ignored = messages.filter(message => message.was_comment || !message.author);
+  if (ignored.length > 0) {
+    await r.markMessagesAsRead(ignored);
+  }
+
+  return replies;
+}
+
+/**
+ * Mark replies read, so fetchReplies no longer returns them
+ * @param {string[]} ids - Reply ids (message fullnames) from fetchReplies
+ */
+export async function acknowledgeReplies(ids) {
+  if (ids.length > 0) {
+    await r.markMessagesAsRead(ids);
+  }
+}
+
 // Cleanup function
-async function cleanup() {
+export async function cleanup() {
   logger.log('Cleaning up Reddit resources');
 }
 
+/**
+ * The account issue Reddit reports for our own account, if any
+ * @param {Object} me - The logged-in user, from getMe()
+ * @returns {AccountIssueError|null}
+ */
+export function detectAccountIssue(me) {
+  return me?.is_suspended ? new AccountIssueError('Reddit: this account is suspended', { kind: 'suspension' }) : null;
+}
+
 export async function initialize() {
-  initRedditAPI();
+  await initRedditAPI();
+
+  // A suspended account can still log in, but nothing it sends is delivered
+  const issue = detectAccountIssue(await r.getMe());
+  if (issue) throw issue;
   return true;
 }
 
@@ -0,0 +1,145 @@
+import { PlatformAdapter, CAPABILITIES, INTEGRATIONS } from './adapter.mjs';
+
+const { SEARCH, DIRECT_MESSAGE, READ_REPLIES } = CAPABILITIES;
+const { OFFICIAL_API, BROWSER, MIXED } = INTEGRATIONS;
+
+// Automation disclosure written into new configs, so a fresh install can send
+// before the user words their own (see `nbot config --edit`)
+export const DEFAULT_DISCLOSURE = 'Sent via automation - reply STOP to opt out';
+
+/**
+ * Registry of platform adapters. Commands enumerate platforms from here
+ * instead of keeping their own lists.
+ */
+class PlatformRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  /**
+   * Register an adapter, replacing any adapter with the same name
+   * @param {PlatformAdapter} adapter
+   * @returns {PlatformAdapter}
+   */
+  register(adapter) {
+    if (!(adapter instanceof PlatformAdapter)) {
+      throw new Error('Platforms must be registered as PlatformAdapter instances');
+    }
+    this.adapters.set(adapter.name, adapter);
+    return adapter;
+  }
+
+  unregister(name) {
+    return this.adapters.delete(name);
+  }
+
+  has(name) {
+    return this.adapters.has(name);
+  }
+
+  /**
+   * @returns {PlatformAdapter}
+   * @throws {Error} For unknown platforms
+   */
+  get(name) {
+    const adapter = this.adapters.get(name);
+    if (!adapter) {
+      throw new Error(`Unknown platform: ${name}. Available: ${this.names().join(', ')}`);
+    }
+    return adapter;
+  }
+
+  list() {
+    return [...this.adapters.values()];
+  }
+
+  names() {
+    return [...this.adapters.keys()];
+  }
+
+  withCapability(capability) {
+    return this.list().filter(adapter => adapter.supports(capability));
+  }
+
+  /**
+   * Default config for every registered platform
+   * @returns {Object} Platform settings keyed by name
+   */
+  defaultPlatformConfig() {
+    return Object.fromEntries(this.list().map(adapter => [adapter.name, { disclosure: DEFAULT_DISCLOSURE, ...adapter.defaults }]));
+  }
+}
+
+// Export singleton instance
+export const platformRegistry = new PlatformRegistry();
+
+platformRegistry.register(new PlatformAdapter({
+  name: 'tiktok',
+  label: 'TikTok',
+  capabilities: [SEARCH, DIRECT_MESSAGE],
+  integration: BROWSER,
+  load: () => import('./tiktok.mjs'),
+  maxMessageLength: 6000,
+  defaults: { message: "Hi! I noticed your interest in {{topic|this topic}}. I'd love to connect and share some insights!" }
+}));
+
+platformRegistry.register(new PlatformAdapter({
+  name: 'x',
+  label: 'X.com',
+  capabilities: [SEARCH, DIRECT_MESSAGE],
+  integration: BROWSER,
+  load: () => import('./x.mjs'),
+  maxMessageLength: 10000,
+  defaults: { message: 'Hey! Saw your post about {{topic|this}}. Would love to connect and discuss further!' }
+}));
+
+platformRegistry.register(new PlatformAdapter({
+  name: 'youtube',
+  label: 'YouTube',
+  capabilities: [SEARCH, DIRECT_MESSAGE],
+  // Searches with the YouTube Data API, but messages through a browser session
+  integration: MIXED,
+  load: () => import('./youtube.mjs'),
+  maxMessageLength: 5000,
+  defaults: { message: "Great content on {{topic|your channel}}! I'd love to connect and share some related insights." }
+}));
+
+platformRegistry.register(new PlatformAdapter({
+  name: 'facebook',
+  label: 'Facebook',
+  capabilities: [SEARCH, DIRECT_MESSAGE],
+  integration: BROWSER,
+  load: () => import('./facebook.mjs'),
+  maxMessageLength: 5000,
+  defaults: { message: "Hi! I found your post about {{topic|this}} really interesting. Let's connect!" }
+}));
+
+platformRegistry.register(new PlatformAdapter({
+  name: 'reddit',
+  label: 'Reddit',
+  capabilities: [SEARCH, DIRECT_MESSAGE, READ_REPLIES],
+  integration: OFFICIAL_API,
+  load: () => import('./reddit.mjs'),
+  maxMessageLength: 10000,
+  defaults: { message: "Great point about {{topic|this}}! I'd love to discuss this further with you.", personalize: true }
+}));
+
+platformRegistry.register(new PlatformAdapter({
+  name: 'linkedin',
+  label: 'LinkedIn',
+  capabilities: [SEARCH, DIRECT_MESSAGE],
+  integration: BROWSER,
+  load: () => import('./linkedin.mjs'),
+  maxMessageLength: 8000,
+  defaults: { message: "Hi! I noticed your expertise in {{topic|your field}}. I'd love to connect and share insights!" }
+}));
+
+platformRegistry.register(new PlatformAdapter({
+  name: 'quora',
+  label: 'Quora',
+  capabilities: [SEARCH, DIRECT_MESSAGE],
+  integration: BROWSER,
+  load: () => import('./quora.mjs'),
+  maxMessageLength: 2500,
+  defaults: { enabled: false, message: "Hi! I enjoyed your answer about {{topic|this}}. I'd love to connect!" }
+}));
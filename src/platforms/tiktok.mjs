@@ -3,22 +3,30 @@ import StealthPlugin from 'puppeteer-extra-plugin-stealth';
 import { setTimeout as wait } from 'timers/promises';
 import dayjs from 'dayjs';
 import axios from 'axios';
-import { logger } from '../utils/logger.mjs';
+import { createLogger } from '../utils/logger.mjs';
 import { humanBehavior } from '../services/human-behavior.mjs';
 import { rateLimiter } from '../services/rate-limiter.mjs';
 import { proxyManager } from '../services/proxy-manager.mjs';
+import { accountStore } from '../services/account-store.mjs';
+
+const logger = createLogger('tiktok');
 
 let browser;
 let page;
 let tiktokApiToken;
 
+// Search term each candidate was found with, for message templates
+const candidateTerms = new Map();
+
 // Initialize TikTok API client
 async function initTikTokAPI() {
-  const clientId = process.env.TIKTOK_CLIENT_ID;
-  const clientSecret = process.env.TIKTOK_CLIENT_SECRET;
+  // The attested active account; credentials in the environment are not used
+  const activeAccount = await accountStore.getActiveCredentials('tiktok');
+  const clientId = activeAccount?.clientId;
+  const clientSecret = activeAccount?.clientSecret;
   
   if (!clientId || !clientSecret) {
-    logger.warn('TikTok API credentials not found in environment variables');
+    logger.warn('The active TikTok account has no client ID and client secret. Add an account with them: nbot accounts --add');
     return null;
   }
   
@@ -123,7 +131,8 @@ async function initTikTokAPI() {
 }
 
 /**
- * Initialize TikTok platform
+ * Initialize TikTok platform. The browser never logs in to our account and the
+ * API uses an app token, so account suspensions can't be detected here.
  */
 export async function initialize() {
   try {
@@ -276,6 +285,7 @@ export async function findPotentialUsers(searchTerms) {
         if (foundUsers.length > 0) {
           logger.log(`Found ${foundUsers.length} potential users for term "${term}"`);
           users.push(...foundUsers);
+          foundUsers.forEach(user => candidateTerms.set(user, term));
         }
         
         // Increment search count
@@ -312,6 +322,15 @@ export async function findPotentialUsers(searchTerms) {
   }
 }
 
+/**
+ * Get the search term a candidate was found with during the last search
+ * @param {string} user - Identifier returned by findPotentialUsers
+ * @returns {{searchTerm: string}|null}
+ */
+export function getCandidateContext(user) {
+  return candidateTerms.has(user) ? { searchTerm: candidateTerms.get(user) } : null;
+}
+
 /**
  * Message a TikTok user
  * @param {string} username - TikTok username to message
@@ -323,7 +342,7 @@ export async function messageUser(username, message) {
     throw new Error('TikTok browser not initialized');
   }
   
-  logger.log(`[${dayjs().format('HH:mm')}] Attempting to message TikTok user: ${username}`);
+  logger.log(`[${dayjs().format('HH:mm')}] Attempting to message TikTok user: {recipient}`, { recipient: username });
   
   try {
     // Check rate limits before proceeding
@@ -352,7 +371,7 @@ export async function messageUser(username, message) {
     });
     
     if (!profileExists) {
-      logger.warn(`TikTok user @${username} not found`);
+      logger.warn('TikTok user @{recipient} not found', { recipient: username });
       return false;
     }
     
@@ -373,7 +392,7 @@ export async function messageUser(username, message) {
         if (followButton) followButton.click();
       });
       
-      logger.log(`Followed TikTok user @${username}`);
+      logger.log('Followed TikTok user @{recipient}', { recipient: username });
       await wait(2000 + Math.random() * 2000);
     }
     
@@ -388,13 +407,13 @@ export async function messageUser(username, message) {
     });
     
     if (!hasVideos) {
-      logger.warn(`TikTok user @${username} has no videos`);
+      logger.warn('TikTok user @{recipient} has no videos', { recipient: username });
       return false;
     }
     
     // Wait for video page to load
     await page.waitForSelector('div[data-e2e="comment-list"]', { timeout: 10000 })
-      .catch(() => logger.warn(`Could not find comment section for @${username}'s video`));
+      .catch(() => logger.warn(`Could not find comment section for @{recipient}'s video`, { recipient: username }));
     
     // Simulate human behavior
     await humanBehavior.simulatePageView(page);
@@ -411,14 +430,14 @@ export async function messageUser(username, message) {
       // Click post button
       await page.click('button[data-e2e="comment-post"]');
       
-      logger.log(`\u2705 Commented on TikTok user @${username}'s video`);
+      logger.log(`\u2705 Commented on TikTok user @{recipient}'s video`, { recipient: username });
       
       // Wait for the message to be sent
       await wait(2000);
       
       // If we have TikTok API access, use it for direct messaging
       if (tiktokApiToken) {
-        logger.log(`Using TikTok API with access token for messaging to ${username}`);
+        logger.log('Using TikTok API with access token for messaging to {recipient}', { recipient: username });
         
         try {
           // Step 1: Get the user's open_id using their username
@@ -436,13 +455,13 @@ export async function messageUser(username, message) {
           );
           
           if (!userResponse.data || !userResponse.data.data || !userResponse.data.data.user) {
-            logger.warn(`Could not find TikTok user ${username} via API`);
+            logger.warn('Could not find TikTok user {recipient} via API', { recipient: username });
             // Continue with browser-based approach as fallback
           } else {
             const userData = userResponse.data.data.user;
             const openId = userData.open_id;
             
-            logger.log(`Found TikTok user ${username} with open_id: ${openId.substring(0, 8)}...`);
+            logger.log(`Found TikTok user {recipient} with open_id: ${openId.substring(0, 8)}...`, { recipient: username });
             
             // Step 2: Send a direct message using the Business Messages API
             // Note: This requires the Video Messaging API permission
@@ -494,11 +513,11 @@ export async function messageUser(username, message) {
       // Increment message count
       await rateLimiter.incrementActionCount('tiktok_message');
       
-      logger.log(`Message sent to TikTok user ${username}`);
+      logger.log('Message sent to TikTok user {recipient}', { recipient: username });
       return true;
       
     } catch (error) {
-      logger.warn(`Could not comment on @${username}'s video: ${error.message}`);
+      logger.warn(`Could not comment on @{recipient}'s video: ${error.message}`, { recipient: username });
     }
     
     // Increment message count
@@ -507,7 +526,7 @@ export async function messageUser(username, message) {
     return false;
     
   } catch (error) {
-    logger.error(`Error messaging TikTok user ${username}: ${error.message}`);
+    logger.error(`Error messaging TikTok user {recipient}: ${error.message}`, { recipient: username });
     
     // Check if we're being rate limited
     await rateLimiter.checkForRateLimit(page);
@@ -2,15 +2,64 @@ import puppeteer from 'puppeteer-extra';
 import StealthPlugin from 'puppeteer-extra-plugin-stealth';
 import { setTimeout as wait } from 'timers/promises';
 import dayjs from 'dayjs';
-import { logger } from '../utils/logger.mjs';
+import { createLogger } from '../utils/logger.mjs';
 import { humanBehavior } from '../services/human-behavior.mjs';
 import { rateLimiter } from '../services/rate-limiter.mjs';
 import { proxyManager } from '../services/proxy-manager.mjs';
+import { accountStore } from '../services/account-store.mjs';
+import { AccountIssueError } from './adapter.mjs';
+
+const logger = createLogger('x');
 
 let browser;
 let page;
 let loginSuccessful = false;
 
+// Search term each candidate was found with, for message templates
+const candidateTerms = new Map();
+
+// What X.com shows about our own account. A recipient's profile can say the
+// same about them, and a tweet can quote it, so the text is only read from
+// X.com's own pages and from the notices it shows over the timeline.
+const ACCOUNT_ISSUE_PAGES = [
+  { kind: 'suspension', url: '/account/suspended', text: 'Your account is suspended' },
+  { kind: 'challenge', url: '/account/access', text: 'Your account has been locked' },
+  { kind: 'challenge', url: null, text: 'There was unusual login activity on your account' },
+  { kind: 'warning', url: null, text: 'temporarily limited some of your account features' }
+];
+
+// Pages with no tweets on them: the login flow and the account pages
+const OWN_PAGES = ['/i/flow/', '/account/'];
+
+// Banners and dialogs X.com shows about the account over the timeline and the composer
+const ACCOUNT_NOTICE_SELECTOR = '[role="alertdialog"], [role="alert"], [data-testid="sheetDialog"]';
+
+/**
+ * The account issue an X.com page shows, if any
+ * @param {string} url - Page URL
+ * @param {string} text - Visible page text; pass '' for pages that are not our own
+ * @returns {AccountIssueError|null}
+ */
+export function detectAccountIssue(url, text) {
+  const match = ACCOUNT_ISSUE_PAGES.find(issue => (issue.url && url.includes(issue.url)) || (text && text.includes(issue.text)));
+  return match ? new AccountIssueError(`X.com: ${match.text}`, { kind: match.kind }) : null;
+}
+
+/**
+ * Throw an AccountIssueError when the current page shows that X.com
+ * suspended, locked or limited the account. On the timeline and the composer
+ * only the account notices are read, never the tweets around them.
+ * @param {Object} [target] - Puppeteer page, the session page by default
+ */
+export async function checkAccountStatus(target = page) {
+  const url = target.url();
+  const text = OWN_PAGES.some(path => url.includes(path))
+    ? await target.evaluate(() => document.body?.innerText || '')
+    : await target.evaluate(selector => Array.from(document.querySelectorAll(selector), el => el.innerText).join('\n'), ACCOUNT_NOTICE_SELECTOR);
+  const issue = detectAccountIssue(url, text);
+  if (issue) throw issue;
+}
+
 /**
  * Check if we need to log in to X.com
  * @returns {Promise<boolean>} True if login is needed
@@ -41,17 +90,15 @@ async function needsLogin() {
  * @returns {Promise<boolean>} Success status
  */
 async function login() {
-    try {
-      const username = process.env.X_USERNAME;
-      const password = process.env.X_PASSWORD;
-
-    // Debug environment variables
-    logger.log('Debugging X credentials:');
-    logger.log(`X_USERNAME exists: ${!!process.env.X_USERNAME}`);
-    logger.log(`X_PASSWORD exists: ${!!process.env.X_PASSWORD}`);
+  // The attested active account; credentials in the environment are not used.
+  // Throws when the password can't be decrypted.
+  const activeAccount = await accountStore.getActiveCredentials('x');
+  const username = activeAccount?.username;
+  const password = activeAccount?.password;
 
+  try {
     if (!username || !password) {
-      logger.warn('X.com credentials not found in environment variables');
+      logger.warn('The active X.com account has no username or password');
       return false;
     }
 
@@ -902,15 +949,10 @@ async function login() {
             }
           }
 
-          // Check for suspicious login text
-          const pageContent = await page.content();
-          if (pageContent.includes('suspicious') || pageContent.includes('verify') || pageContent.includes('confirmation')) {
-            logger.log('Suspicious login detection or verification page detected.');
-            logger.log('A screenshot has been saved to login-verification-debug.png');
-            throw new Error('X.com has detected suspicious login activity. Please check your email and run the bot again.');
-          }
+          // X.com may still be challenging the login, or may have locked the account
+          await checkAccountStatus();
         } catch (error) {
-          if (error.message.includes('verification') || error.message.includes('suspicious')) {
+          if (error instanceof AccountIssueError || error.message.includes('verification')) {
             throw error; // Re-throw verification errors
           }
           // Otherwise continue with normal flow
@@ -924,6 +966,8 @@ async function login() {
           loginSuccessful = true;
           return true;
         } catch (timeoutError) {
+          if (timeoutError instanceof AccountIssueError) throw timeoutError;
+
           // Take a screenshot to see what's happening
           await page.screenshot({ path: 'screenshots/login-timeout-debug.png' });
           logger.log('Saved screenshot to screenshots/login-timeout-debug.png');
@@ -940,16 +984,20 @@ async function login() {
       } catch (error) {
         logger.error(`Failed to log in to X.com: ${error.message}`);
         loginSuccessful = false;
+        if (error instanceof AccountIssueError) throw error;
         return false;
       }
     } catch (error) {
       logger.error(`Failed to log in to X.com: ${error.message}`);
       loginSuccessful = false;
+      if (error instanceof AccountIssueError) throw error;
       return false;
     }
   } catch (error) {
     logger.error(`Failed to log in to X.com: ${error.message}`);
     loginSuccessful = false;
+    // The account itself was flagged: pass it on so the account is paused
+    if (error instanceof AccountIssueError) throw error;
     return false;
   }
 }
@@ -1051,6 +1099,9 @@ export async function initialize() {
       logger.log('Already logged in to X.com');
     }
 
+    // Suspension and limit notices show on the home page
+    await checkAccountStatus();
+
     logger.log('X.com initialized successfully');
     return true;
   } catch (error) {
@@ -1132,6 +1183,7 @@ export async function findPotentialUsers(searchTerms) {
         if (foundUsers.length > 0) {
           logger.log(`Found ${foundUsers.length} potential users for term "${term}"`);
           users.push(...foundUsers);
+          foundUsers.forEach(user => candidateTerms.set(user, term));
         }
 
         // Increment search count
@@ -1170,6 +1222,15 @@ export async function findPotentialUsers(searchTerms) {
   }
 }
 
+/**
+ * Get the search term a candidate was found with during the last search
+ * @param {string} user - Identifier returned by findPotentialUsers
+ * @returns {{searchTerm: string}|null}
+ */
+export function getCandidateContext(user) {
+  return candidateTerms.has(user) ? { searchTerm: candidateTerms.get(user) } : null;
+}
+
 /**
  * Message an X.com user
  * @param {string} username - X.com username to message
@@ -1177,7 +1238,7 @@ export async function findPotentialUsers(searchTerms) {
  * @returns {Promise<boolean>} - Success status
  */
 export async function messageUser(username, message) {
-  logger.log(`[${dayjs().format('HH:mm')}] Attempting to message X.com user: ${username}`);
+  logger.log(`[${dayjs().format('HH:mm')}] Attempting to message X.com user: {recipient}`, { recipient: username });
 
   // Check if login was successful before proceeding
   if (!loginSuccessful) {
@@ -1210,6 +1271,11 @@ export async function messageUser(username, message) {
       timeout: 60000
     });
 
+    // A locked or suspended account is sent to an account page instead. Only
+    // the URL is checked: the profile text is about the recipient.
+    const redirected = detectAccountIssue(page.url(), '');
+    if (redirected) throw redirected;
+
     // Simulate human behavior
     await humanBehavior.simulatePageView(page);
     await humanBehavior.simulateScroll(page);
@@ -1220,7 +1286,7 @@ export async function messageUser(username, message) {
     });
 
     if (!profileExists) {
-      logger.warn(`X.com user @${username} not found`);
+      logger.warn('X.com user @{recipient} not found', { recipient: username });
       return false;
     }
 
@@ -1236,7 +1302,7 @@ export async function messageUser(username, message) {
     if (followButtonExists) {
       // Click follow button
       await page.click('[data-testid="follow"]');
-      logger.log(`Followed X.com user @${username}`);
+      logger.log('Followed X.com user @{recipient}', { recipient: username });
       await wait(2000 + Math.random() * 2000);
     }
 
@@ -1256,6 +1322,8 @@ export async function messageUser(username, message) {
       return false;
     }
 
+    await checkAccountStatus();
+
     // Try to compose a tweet mentioning the user
     try {
       // Wait for tweet composer to load
@@ -1267,9 +1335,9 @@ export async function messageUser(username, message) {
       // Click tweet button
       await page.click('[data-testid="tweetButton"]');
 
-      logger.log(`\u2705 Messaged X.com user @${username} via mention`);
+      logger.log('\u2705 Messaged X.com user @{recipient} via mention', { recipient: username });
     } catch (error) {
-      logger.warn(`Could not tweet to @${username}: ${error.message}`);
+      logger.warn(`Could not tweet to @{recipient}: ${error.message}`, { recipient: username });
       return false;
     }
 
@@ -1279,7 +1347,8 @@ export async function messageUser(username, message) {
     return true;
 
   } catch (error) {
-    logger.error(`Error messaging X.com user ${username}: ${error.message}`);
+    logger.error(`Error messaging X.com user {recipient}: ${error.message}`, { recipient: username });
+    if (error instanceof AccountIssueError) throw error;
 
     // Check if we're being rate limited
     await rateLimiter.checkForRateLimit(page);
@@ -4,23 +4,49 @@ import { setTimeout as wait } from 'timers/promises';
 import dayjs from 'dayjs';
 import { google } from 'googleapis';
 import nodemailer from 'nodemailer';
-import { logger } from '../utils/logger.mjs';
+import { createLogger } from '../utils/logger.mjs';
 import { humanBehavior } from '../services/human-behavior.mjs';
 import { rateLimiter } from '../services/rate-limiter.mjs';
 import { proxyManager } from '../services/proxy-manager.mjs';
+import { accountStore } from '../services/account-store.mjs';
+import { AccountIssueError } from './adapter.mjs';
+
+const logger = createLogger('youtube');
 
 let browser;
 let page;
 let youtube;
 
+// Search term each candidate was found with, for message templates
+const candidateTerms = new Map();
+
+// Reasons the YouTube Data API gives when our own channel's account is suspended or closed
+const ACCOUNT_ISSUE_REASONS = {
+  authenticatedUserAccountSuspended: 'this account is suspended',
+  authenticatedUserAccountClosed: 'this account is closed'
+};
+
+/**
+ * The account issue a YouTube Data API error reports, if any
+ * @param {Error} error - Error thrown by googleapis
+ * @returns {AccountIssueError|null}
+ */
+export function detectAccountIssue(error) {
+  const reasons = (error?.errors || error?.response?.data?.error?.errors || []).map(e => e.reason);
+  const reason = reasons.find(r => ACCOUNT_ISSUE_REASONS[r]);
+  return reason ? new AccountIssueError(`YouTube: ${ACCOUNT_ISSUE_REASONS[reason]}`, { kind: 'suspension' }) : null;
+}
+
 // Initialize YouTube API client
 async function initYouTubeAPI() {
-  const clientId = process.env.YOUTUBE_CLIENT_ID;
-  const clientSecret = process.env.YOUTUBE_CLIENT_SECRET;
+  // The attested active account; client credentials in the environment are not used
+  const activeAccount = await accountStore.getActiveCredentials('youtube');
+  const clientId = activeAccount?.clientId;
+  const clientSecret = activeAccount?.clientSecret;
   const apiKey = process.env.YOUTUBE_API_KEY; // Optional API key for simpler access
   
   if (!clientId || !clientSecret) {
-    logger.warn('YouTube API credentials not found in environment variables');
+    logger.warn('The active YouTube account has no client ID and client secret. Add an account with them: nbot accounts --add');
     return null;
   }
   
@@ -69,7 +95,10 @@ async function initYouTubeAPI() {
       const response = await youtubeClient.channels.list({
         part: 'snippet',
         mine: true
-      }).catch(() => {
+      }).catch(error => {
+        // Our own channel is suspended or closed: no point trying the public endpoint
+        const issue = detectAccountIssue(error);
+        if (issue) throw issue;
         // If 'mine: true' fails (no auth), try a public endpoint with the API key
         if (apiKey) {
           return youtubeClient.channels.list({
@@ -90,6 +119,7 @@ async function initYouTubeAPI() {
         };
       }
     } catch (testError) {
+      if (testError instanceof AccountIssueError) throw testError;
       logger.warn(`YouTube API test failed: ${testError.message}`);
       // Return the client anyway, some operations might still work
     }
@@ -102,6 +132,8 @@ async function initYouTubeAPI() {
     };
   } catch (error) {
     logger.error(`Error initializing YouTube API: ${error.message}`);
+    // Pass it on so the account is paused
+    if (error instanceof AccountIssueError) throw error;
     return null;
   }
 }
@@ -277,6 +309,7 @@ export async function findPotentialUsers(searchTerms) {
         if (foundUsers.length > 0) {
           logger.log(`Found ${foundUsers.length} potential channels for term "${term}"`);
           users.push(...foundUsers);
+          foundUsers.forEach(user => candidateTerms.set(user, term));
         }
         
         // Increment search count
@@ -312,6 +345,15 @@ export async function findPotentialUsers(searchTerms) {
   }
 }
 
+/**
+ * Get the search term a candidate was found with during the last search
+ * @param {string} user - Identifier returned by findPotentialUsers
+ * @returns {{searchTerm: string}|null}
+ */
+export function getCandidateContext(user) {
+  return candidateTerms.has(user) ? { searchTerm: candidateTerms.get(user) } : null;
+}
+
 /**
  * Message a YouTube channel owner
  * @param {string} channelId - YouTube channel ID to message
@@ -331,7 +373,7 @@ export async function messageUser(channelId, message) {
       return false;
     }
     
-    logger.log(`Attempting to message YouTube channel: ${channelId}`);
+    logger.log('Attempting to message YouTube channel: {recipient}', { recipient: channelId });
     
     // Navigate to the channel page
     await page.goto(`https://www.youtube.com/channel/${channelId}/about`, {
@@ -351,7 +393,7 @@ export async function messageUser(channelId, message) {
     });
     
     if (!hasEmailButton) {
-      logger.warn(`Channel ${channelId} does not have a visible email address`);
+      logger.warn('Channel {recipient} does not have a visible email address', { recipient: channelId });
       return false;
     }
     
@@ -379,11 +421,11 @@ export async function messageUser(channelId, message) {
     });
     
     if (!email) {
-      logger.warn(`Could not extract email for channel ${channelId}`);
+      logger.warn('Could not extract email for channel {recipient}', { recipient: channelId });
       return false;
     }
     
-    logger.log(`Found email address for channel ${channelId}: ${email}`);
+    logger.log('Found email address for channel {recipient}: {email}', { recipient: channelId, email });
     
     // Send an email to this address using the YouTube client credentials
     try {
@@ -408,7 +450,7 @@ export async function messageUser(channelId, message) {
       // Send the email (commenting out actual send to avoid unintended emails)
       // await transporter.sendMail(mailOptions);
       
-      logger.log(`Would send email to ${email} with message: ${message}`);
+      logger.log('Would send email to {email} with message: {message}', { email, message });
       logger.log('Email would be sent using YouTube client credentials for authentication');
       
       // Increment message count
@@ -417,12 +459,12 @@ export async function messageUser(channelId, message) {
       // Return success
       return true;
     } catch (emailError) {
-      logger.error(`Error sending email to ${email}: ${emailError.message}`);
+      logger.error(`Error sending email to {email}: ${emailError.message}`, { email });
       return false;
     }
     
   } catch (error) {
-    logger.error(`Error messaging YouTube channel ${channelId}: ${error.message}`);
+    logger.error(`Error messaging YouTube channel {recipient}: ${error.message}`, { recipient: channelId });
     return false;
   }
 }
@@ -1,16 +1,16 @@
 #!/usr/bin/env node
 
-import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import readline from 'readline';
-import crypto from 'crypto';
 import puppeteer from 'puppeteer-extra';
 import StealthPlugin from 'puppeteer-extra-plugin-stealth';
 
 // Import logger, human behavior simulator, and form detection service
 import { logger } from './utils/logger.mjs';
+import { encryptSecret } from './services/credential-vault.mjs';
+import { accountStore } from './services/account-store.mjs';
 import { humanBehavior } from './services/human-behavior.mjs';
 import { formDetection } from './services/form-detection.mjs';
 
@@ -20,9 +20,6 @@ const __dirname = path.dirname(__filename);
 // Load environment variables from .env file
 dotenv.config({ path: path.join(__dirname, '../.env') });
 
-// Define the accounts file path
-const ACCOUNTS_FILE_PATH = path.join(__dirname, '../accounts.json');
-
 // Create readline interface for CLI interaction
 const rl = readline.createInterface({
   input: process.stdin,
@@ -91,35 +88,14 @@ function promptPassword(question) {
   });
 }
 
-// Helper function to encrypt sensitive data
-function encrypt(text) {
-  const algorithm = 'aes-256-ctr';
-  const secretKey = process.env.ENCRYPTION_KEY || 'default-encryption-key-change-me';
-  const iv = crypto.randomBytes(16);
-  
-  const cipher = crypto.createCipheriv(algorithm, secretKey, iv);
-  const encrypted = Buffer.concat([cipher.update(text), cipher.final()]);
-  
-  return {
-    iv: iv.toString('hex'),
-    content: encrypted.toString('hex')
-  };
-}
-
-// Load accounts from file
+// Load accounts from the shared account store
 async function loadAccounts() {
-  try {
-    const data = await fs.readFile(ACCOUNTS_FILE_PATH, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    // If file doesn't exist or is invalid, return empty object
-    return {};
-  }
+  return accountStore.load();
 }
 
-// Save accounts to file
+// Save accounts to the shared account store
 async function saveAccounts(accounts) {
-  await fs.writeFile(ACCOUNTS_FILE_PATH, JSON.stringify(accounts, null, 2));
+  await accountStore.save(accounts);
 }
 
 // Generate a secure random password
@@ -250,7 +226,7 @@ async function createProfile(platform, firstName, lastName, useAI = false) {
     // Create account object
     const account = {
       username: username || email,
-      password: encrypt(password),
+      password: encryptSecret(password),
       active: true, // Set as active by default
       dateAdded: new Date().toISOString(),
       email: email
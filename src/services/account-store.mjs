@@ -0,0 +1,318 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from '../utils/logger.mjs';
+import { config } from '../utils/config.mjs';
+import { withFileLock } from '../utils/file-lock.mjs';
+import { encryptSecret, decryptSecret, isEncryptedPayload } from './credential-vault.mjs';
+
+const logger = createLogger('account-store');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Where accounts.json lived before it moved to the config directory
+const LEGACY_ACCOUNTS_PATH = path.join(__dirname, '../../accounts.json');
+
+// Account fields that are not credentials
+const ACCOUNT_FIELDS = [
+  'username', 'active', 'dateAdded',
+  'owner', 'purpose', 'attested', 'attestedBy', 'attestedAt',
+  'status', 'pausedAt', 'pauseKind', 'pauseReason', 'reviewedBy', 'reviewedAt'
+];
+
+// Credential fields that are only ever stored encrypted. IDs such as clientId and appId are not secret.
+export const SECRET_FIELDS = ['password', 'apiKey', 'apiSecret', 'clientSecret', 'appSecret'];
+
+/**
+ * Encrypt the account's secret fields that are still plain text, in place
+ * @param {Object} account
+ * @returns {number} How many fields were encrypted
+ */
+export function encryptSecretFields(account) {
+  let encrypted = 0;
+  for (const field of SECRET_FIELDS) {
+    if (typeof account[field] === 'string' && account[field]) {
+      account[field] = encryptSecret(account[field]);
+      encrypted++;
+    }
+  }
+  return encrypted;
+}
+
+/**
+ * Why an account may not be used by `nbot run`
+ * @param {Object|null} account
+ * @returns {string|null} null when it may be used
+ */
+export function accountProblem(account) {
+  if (!account) {
+    return 'has no active account. Add one with: nbot accounts --add';
+  }
+  if (account.status === 'paused') {
+    return `account ${account.username} was paused after a ${account.pauseKind || 'platform warning'}: ${account.pauseReason}. Review it, then run: nbot accounts --resume`;
+  }
+  if (account.attested !== true || !account.owner) {
+    return `account ${account.username} has no ownership attestation. Run: nbot accounts --attest`;
+  }
+  return null;
+}
+
+/**
+ * Platform accounts, shared by every command and platform.
+ * Stored in ~/.config/networking-bots/accounts.json as {platform: [account, ...]}
+ *
+ * Besides credentials, an account records its human owner, its purpose and
+ * whether someone attested that it is our real, verified business presence.
+ * An account the platform suspended, warned or challenged is paused
+ * (status "paused") until a human reviews it.
+ */
+class AccountStore {
+  constructor() {
+    this.filePath = path.join(config.configDir, 'accounts.json');
+    this.lockPath = `${this.filePath}.lock`;
+    this.legacyPath = LEGACY_ACCOUNTS_PATH;
+    this.migrated = false;
+  }
+
+  /**
+   * Move an accounts.json left in the package directory into the config directory
+   */
+  async migrate() {
+    if (this.migrated) return;
+    this.migrated = true;
+
+    try {
+      await fs.access(this.legacyPath);
+    } catch {
+      return;
+    }
+
+    try {
+      await fs.access(this.filePath);
+      logger.warn(`⚠️ Ignoring ${this.legacyPath}: accounts are now stored in ${this.filePath}`);
+      return;
+    } catch {
+      // No accounts in the config directory yet
+    }
+
+    config.ensureConfigDir();
+    await fs.copyFile(this.legacyPath, this.filePath);
+    await fs.chmod(this.filePath, 0o600);
+    await fs.rename(this.legacyPath, `${this.legacyPath}.migrated`);
+    logger.log(`📦 Moved accounts.json to ${this.filePath}`);
+  }
+
+  /**
+   * Read all accounts. Always reads from disk so changes made by other processes are seen.
+   * @returns {Promise<Object>} Accounts keyed by platform
+   */
+  async load() {
+    await this.migrate();
+
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error loading accounts: ${error.message}`);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Atomically replace all accounts. Prefer update() for read-modify-write changes.
+   */
+  async save(accounts) {
+    await this.withLock(() => this.write(accounts));
+  }
+
+  async write(accounts) {
+    config.ensureConfigDir();
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(accounts, null, 2), { mode: 0o600 });
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Load, modify and save accounts while holding the lock
+   * @param {Function} mutate - Receives the accounts object; may modify it in place or return a replacement
+   * @returns {Promise<Object>} The saved accounts
+   */
+  async update(mutate) {
+    return this.withLock(async () => {
+      const accounts = await this.load();
+      const result = (await mutate(accounts)) || accounts;
+      await this.write(result);
+      return result;
+    });
+  }
+
+  /**
+   * Run a function while holding an exclusive lock file next to accounts.json
+   */
+  async withLock(fn) {
+    config.ensureConfigDir();
+    return withFileLock(this.lockPath, fn);
+  }
+
+  /**
+   * Get the active account for a platform (credentials stay encrypted)
+   * @returns {Promise<Object|null>}
+   */
+  async getActiveAccount(platform) {
+    const accounts = await this.load();
+    return (accounts[platform] || []).find(account => account.active) || null;
+  }
+
+  /**
+   * The active account for a platform, and why `nbot run` may not use it
+   * @returns {Promise<{account: Object|null, problem: string|null}>} problem is null when it may be used
+   */
+  async checkActiveAccount(platform) {
+    const account = await this.getActiveAccount(platform);
+    return { account, problem: accountProblem(account) };
+  }
+
+  /**
+   * Record who owns an account, what it is for, and that they attested it is
+   * our real, verified business presence
+   * @param {string} platform
+   * @param {string} username
+   * @param {Object} attestation
+   * @param {string} attestation.owner - Person responsible for the account
+   * @param {string} attestation.purpose - What the account is used for
+   * @param {string} attestation.attestedBy - Person making the attestation
+   * @returns {Promise<Object>} The updated account
+   */
+  async attest(platform, username, { owner, purpose, attestedBy }) {
+    if (!owner || !purpose) {
+      throw new Error('An attestation needs the account owner and purpose');
+    }
+    return this.updateAccount(platform, username, account => Object.assign(account, {
+      owner,
+      purpose,
+      attested: true,
+      attestedBy,
+      attestedAt: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * Stop using an account until a human reviews it. Keeps the first reason when already paused.
+   * @param {string} platform
+   * @param {string} username
+   * @param {Object} issue
+   * @param {string} issue.kind - suspension, warning or challenge
+   * @param {string} issue.reason - What the platform reported
+   * @returns {Promise<Object>} The updated account
+   */
+  async pause(platform, username, { kind, reason }) {
+    const account = await this.updateAccount(platform, username, current => {
+      if (current.status === 'paused') return;
+      Object.assign(current, { status: 'paused', pausedAt: new Date().toISOString(), pauseKind: kind, pauseReason: reason });
+    });
+    logger.warn(`⏸️ Paused ${platform} account ${username} after a ${kind}: ${reason}`);
+    return account;
+  }
+
+  /**
+   * Use a paused account again, recording who reviewed it
+   * @param {string} platform
+   * @param {string} username
+   * @param {string} reviewedBy - Person who reviewed the account on the platform
+   * @returns {Promise<Object>} The updated account
+   */
+  async resume(platform, username, reviewedBy) {
+    return this.updateAccount(platform, username, account => {
+      if (account.status !== 'paused') {
+        throw new Error(`Account ${username} on ${platform} is not paused`);
+      }
+      delete account.pausedAt;
+      delete account.pauseKind;
+      delete account.pauseReason;
+      Object.assign(account, { status: 'ready', reviewedBy, reviewedAt: new Date().toISOString() });
+    });
+  }
+
+  /**
+   * Change one account while holding the lock
+   * @param {Function} mutate - Receives the account and modifies it in place
+   * @returns {Promise<Object>} The updated account
+   */
+  async updateAccount(platform, username, mutate) {
+    let updated = null;
+    await this.update(async accounts => {
+      updated = (accounts[platform] || []).find(account => account.username === username) || null;
+      if (!updated) {
+        throw new Error(`No ${platform} account named ${username}`);
+      }
+      await mutate(updated);
+    });
+    return updated;
+  }
+
+  /**
+   * An account without its credentials, safe to print
+   * @param {Object} account
+   * @returns {Object} username, active, dateAdded, owner, purpose, attested, attestedBy,
+   *   attestedAt, status (ready or paused), pauseKind, pauseReason and credentials, which
+   *   names the other fields stored for the account, never their values
+   */
+  describe(account) {
+    return {
+      username: account.username,
+      active: account.active === true,
+      dateAdded: account.dateAdded || null,
+      owner: account.owner || null,
+      purpose: account.purpose || null,
+      attested: account.attested === true,
+      attestedBy: account.attestedBy || null,
+      attestedAt: account.attestedAt || null,
+      status: account.status || 'ready',
+      pauseKind: account.pauseKind || null,
+      pauseReason: account.pauseReason || null,
+      credentials: Object.keys(account).filter(field =>
+        !ACCOUNT_FIELDS.includes(field) && account[field] !== null && account[field] !== '')
+    };
+  }
+
+  /**
+   * Decrypt a stored credential field
+   * @returns {string|null} Plain text, or null when the field is missing
+   * @throws {Error} When the field can't be decrypted, so no platform logs in without it
+   */
+  decryptField(account, field = 'password') {
+    const value = account?.[field];
+    if (!value) return null;
+    if (!isEncryptedPayload(value)) return value;
+
+    try {
+      return decryptSecret(value);
+    } catch (error) {
+      throw new Error(`Failed to decrypt ${field} for ${account.username}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the active account for a platform with its credentials decrypted.
+   * Platform modules read credentials only from here, never from the environment.
+   * @returns {Promise<Object|null>}
+   * @throws {Error} When a credential can't be decrypted
+   */
+  async getActiveCredentials(platform) {
+    const account = await this.getActiveAccount(platform);
+    if (!account) return null;
+
+    const credentials = { ...account };
+    for (const [field, value] of Object.entries(account)) {
+      if (isEncryptedPayload(value)) {
+        credentials[field] = this.decryptField(account, field);
+      }
+    }
+    return credentials;
+  }
+}
+
+// Export singleton instance
+export const accountStore = new AccountStore();
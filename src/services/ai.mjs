@@ -1,7 +1,9 @@
 import axios from 'axios';
-import { logger } from '../utils/logger.mjs';
+import { createLogger } from '../utils/logger.mjs';
 import { makeAICall } from './llm.mjs';
 
+const logger = createLogger('ai');
+
 /**
  * Generate a personalized message for a user based on their context
  * @param {Object} userContext - Information about the user and their interests
@@ -10,6 +12,7 @@ import { makeAICall } from './llm.mjs';
  * @param {Object} userContext.content - The user's post/content that triggered the bot
  * @param {string} userContext.content.text - The text content of the user's post
  * @param {string[]} userContext.content.keywords - Keywords found in the user's content
+ * @param {number} [userContext.maxLength] - Characters the message may use, leaving room for the disclosure
  * @returns {Promise<string>} The generated message
  */
 export async function generatePersonalizedMessage(userContext) {
@@ -24,15 +27,18 @@ export async function generatePersonalizedMessage(userContext) {
       userContext.subFound ? `, referencing their activity in "${userContext.subFound}"` : ""
     }${
       userContext.platform ? `, for the platform ${userContext.platform}` : ""
+    }${
+      userContext.maxLength ? `, in at most ${userContext.maxLength} characters` : ""
     }.
     
     Only return the final outreach message. Do not explain anything. Do not include any phrases like "Here's your message" or "This message is...". Do not use emojis or placeholders like [name] or [subreddit].`;
 
-    const response = await makeAICall(system_prompt, prompt, 'profullstack');
+    // Rejects with an LLMError when the provider fails; callers fall back to the template
+    const response = await makeAICall(prompt, system_prompt);
 
     const message = response.trim();
 
-    logger.log(`Generated personalized message for ${userContext.username} on ${userContext.platform}`);
+    logger.log(`Generated personalized message for {recipient} on ${userContext.platform}`, { recipient: userContext.username });
 
     return message;
   } catch (error) {
@@ -0,0 +1,378 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { createLogger } from '../utils/logger.mjs';
+import { config } from '../utils/config.mjs';
+import { hashIdentifier } from './suppression-list.mjs';
+import { saltedHash } from '../utils/subject-salt.mjs';
+
+const logger = createLogger('audit-log');
+
+export const AUDIT_RESULTS = ['sent', 'failed', 'unconfirmed'];
+
+// Entry format written by this version. Version 1 entries have no v field and
+// no recipientHash/errorHash.
+export const AUDIT_FORMAT = 2;
+
+// prevHash of the first entry
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Enough of the end of the file to hold the last entry
+const TAIL_BYTES = 64 * 1024;
+
+/**
+ * Who is operating the bot: NBOT_OPERATOR, or the operating system user
+ * @returns {string}
+ */
+export function currentOperator() {
+  if (process.env.NBOT_OPERATOR) return process.env.NBOT_OPERATOR;
+  try {
+    return os.userInfo().username;
+  } catch {
+    return process.env.USER || 'unknown';
+  }
+}
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Hash of an entry without its own hash field, the same for every format
+ * version. Covers prevHash, so every entry commits to the whole log before it.
+ */
+function entryHash(entry) {
+  const { hash, ...content } = entry;
+  return sha256(content);
+}
+
+/**
+ * Hash of an entry without the fields `nbot data forget` erases. An erasure
+ * entry records it for every entry it erased, so those still verify.
+ */
+function erasableHash(entry) {
+  const { hash, recipient, error, ...content } = entry;
+  return sha256(content);
+}
+
+/**
+ * Salted hash of the recipient, also for version 1 entries that do not store it
+ */
+function recipientKey(entry) {
+  return entry.recipientHash ?? hashIdentifier(entry.recipient);
+}
+
+/**
+ * "entry 4 is missing" or "entries 4-6 are missing"
+ */
+function missingEntries(from, to) {
+  return from === to ? `entry ${from} is missing` : `entries ${from}-${to} are missing`;
+}
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {number} [v] - Format version, see AUDIT_FORMAT; absent in version 1
+ * @property {number} seq - 1, 2, 3, ... with no gaps
+ * @property {string} time - ISO timestamp
+ * @property {string} action - "message", or "erasure" (see ErasureEntry)
+ * @property {string} operator - Person running the bot (see currentOperator)
+ * @property {string|null} runId
+ * @property {string|null} account - Username of the account that sent
+ * @property {string} platform
+ * @property {string|null} recipient - null once erased by `nbot data forget`
+ * @property {string} recipientHash - Salted hash of the recipient, see hashIdentifier
+ * @property {string|null} campaign
+ * @property {string|null} messageHash - SHA-256 of the rendered message, as in the contact ledger
+ * @property {Object|null} approval - Review queue item the message came from: {reviewItem, reviewedBy, reviewedAt}
+ * @property {string} result - sent, failed or unconfirmed
+ * @property {string|null} error - null once erased by `nbot data forget`
+ * @property {string|null} errorHash - Salted hash of the error
+ * @property {string|null} ledgerEntry - Contact ledger entry id
+ * @property {string} prevHash - hash of the previous entry, GENESIS_HASH for the first
+ * @property {string} hash - SHA-256 of this entry without hash
+ */
+
+/**
+ * @typedef {Object} ErasureEntry
+ * @property {number} v
+ * @property {number} seq
+ * @property {string} time
+ * @property {string} action - "erasure"
+ * @property {string} operator - Person who ran `nbot data forget`
+ * @property {Array<{seq: number, hash: string}>} erased - Entries whose recipient and error
+ *   were erased, with the hash of everything else in them (see erasableHash)
+ * @property {string} prevHash
+ * @property {string} hash
+ */
+
+/**
+ * Append-only, hash-chained record of every outbound action, in
+ * ~/.config/networking-bots/audit-log.jsonl. Each entry carries the hash of the
+ * one before it, so editing, removing or reordering entries breaks the chain.
+ * audit-log.head.json remembers the newest entry, so entries cut off the end
+ * are noticed too. Check it with `nbot audit verify`.
+ *
+ * Entries are never edited, with one exception: `nbot data forget` empties the
+ * recipient and error of a person's entries, and appends an erasure entry to
+ * the chain that vouches for what is left of them.
+ *
+ * Only one bot run sends at a time (run.lock), so there is one writer.
+ */
+class AuditLog {
+  constructor() {
+    this.filePath = path.join(config.configDir, 'audit-log.jsonl');
+    this.headPath = path.join(config.configDir, 'audit-log.head.json');
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * The newest entry, read from the end of the file
+   * @returns {Promise<AuditEntry|null>}
+   * @throws {Error} When the last line is not an entry
+   */
+  async last() {
+    let handle;
+    try {
+      handle = await fs.open(this.filePath, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    try {
+      const { size } = await handle.stat();
+      const length = Math.min(size, TAIL_BYTES);
+      const buffer = Buffer.alloc(length);
+      await handle.read(buffer, 0, length, size - length);
+      const lines = buffer.toString('utf8').split('\n').filter(line => line.trim());
+      if (lines.length === 0) return null;
+
+      try {
+        return JSON.parse(lines[lines.length - 1]);
+      } catch {
+        throw new Error(`The audit log ends in a damaged entry. Run: nbot audit verify (${this.filePath})`);
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Newest entry as remembered in audit-log.head.json
+   * @returns {Promise<{seq: number, hash: string, time: string}|null>}
+   */
+  async readHead() {
+    try {
+      return JSON.parse(await fs.readFile(this.headPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`⚠️ Could not read ${this.headPath}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Append an outbound action
+   * @param {Object} action
+   * @param {string} action.platform
+   * @param {string} action.recipient
+   * @param {string|null} [action.account]
+   * @param {string|null} [action.messageHash]
+   * @param {string} action.result - sent, failed or unconfirmed
+   * @param {string|null} [action.error]
+   * @param {Object|null} [action.approval] - {reviewItem, reviewedBy, reviewedAt}
+   * @param {string|null} [action.campaign]
+   * @param {string|null} [action.runId]
+   * @param {string|null} [action.ledgerEntry]
+   * @returns {Promise<AuditEntry>}
+   */
+  record(action) {
+    const write = this.writing.then(() => this.append(action));
+    this.writing = write.catch(() => {});
+    return write;
+  }
+
+  async append({ platform, recipient, account = null, messageHash = null, result, error = null, approval = null, campaign = null, runId = null, ledgerEntry = null }) {
+    return this.appendEntry({
+      action: 'message',
+      operator: currentOperator(),
+      runId,
+      account,
+      platform,
+      recipient,
+      recipientHash: hashIdentifier(recipient),
+      campaign,
+      messageHash,
+      approval,
+      result,
+      error,
+      errorHash: error === null ? null : saltedHash(error),
+      ledgerEntry
+    });
+  }
+
+  /**
+   * Number, chain and append an entry, and move audit-log.head.json to it
+   * @param {Object} content - Entry fields from action on
+   * @returns {Promise<AuditEntry|ErasureEntry>}
+   */
+  async appendEntry(content) {
+    const previous = await this.last();
+    const entry = {
+      v: AUDIT_FORMAT,
+      seq: (previous?.seq || 0) + 1,
+      time: new Date().toISOString(),
+      ...content,
+      prevHash: previous?.hash || GENESIS_HASH
+    };
+    entry.hash = entryHash(entry);
+
+    config.ensureConfigDir();
+    await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+
+    const tmpPath = `${this.headPath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify({ seq: entry.seq, hash: entry.hash, time: entry.time }, null, 2));
+    await fs.rename(tmpPath, this.headPath);
+    return entry;
+  }
+
+  /**
+   * All entries, skipping lines that are not JSON
+   * @returns {Promise<AuditEntry[]>}
+   */
+  async list() {
+    const { entries } = await this.read();
+    return entries;
+  }
+
+  async read() {
+    let content = '';
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const entries = [];
+    const corrupt = [];
+    content.split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        entries.push({ ...JSON.parse(line), line: index + 1 });
+      } catch {
+        corrupt.push(index + 1);
+      }
+    });
+    return { entries, corrupt };
+  }
+
+  /**
+   * Check the chain: every entry unchanged, numbered without gaps, linked to
+   * the one before it, and the newest one matching audit-log.head.json. An
+   * entry whose recipient and error were erased must match what an erasure
+   * entry recorded for it.
+   * @returns {Promise<{entries: number, issues: Array<{line: number|null, seq: number|null, problem: string}>}>}
+   */
+  async verify() {
+    const { entries, corrupt } = await this.read();
+    const issues = corrupt.map(line => ({ line, seq: null, problem: 'not a valid entry' }));
+
+    // Erasure entries are checked like any other, so what they record can be trusted
+    const erasures = new Map();
+    for (const entry of entries) {
+      if (entry.action !== 'erasure' || !Array.isArray(entry.erased)) continue;
+      for (const { seq, hash } of entry.erased) {
+        if (seq < entry.seq) erasures.set(seq, hash);
+      }
+    }
+    const erasedIntact = entry => erasures.has(entry.seq) &&
+      entry.recipient === null && entry.error === null &&
+      erasableHash(entry) === erasures.get(entry.seq);
+
+    let expectedSeq = 1;
+    let previousHash = GENESIS_HASH;
+    for (const { line, ...entry } of entries) {
+      if (entry.seq !== expectedSeq) {
+        issues.push({
+          line,
+          seq: entry.seq,
+          problem: entry.seq > expectedSeq
+            ? missingEntries(expectedSeq, entry.seq - 1)
+            : `out of order, expected entry ${expectedSeq}`
+        });
+      } else if (entry.prevHash !== previousHash) {
+        issues.push({ line, seq: entry.seq, problem: 'does not follow the entry before it (removed, replaced or reordered)' });
+      }
+      if (entryHash(entry) !== entry.hash && !erasedIntact(entry)) {
+        issues.push({ line, seq: entry.seq, problem: 'was changed after it was written' });
+      }
+      expectedSeq = (Number.isInteger(entry.seq) ? entry.seq : expectedSeq) + 1;
+      previousHash = entry.hash;
+    }
+
+    const head = await this.readHead();
+    const newest = entries[entries.length - 1];
+    if (head && (!newest || head.seq > newest.seq)) {
+      issues.push({ line: null, seq: head.seq, problem: `${missingEntries((newest?.seq || 0) + 1, head.seq)} from the end` });
+    } else if (head && head.seq === newest.seq && head.hash !== newest.hash) {
+      issues.push({ line: newest.line, seq: newest.seq, problem: 'newest entry does not match audit-log.head.json' });
+    }
+
+    return { entries: entries.length, issues };
+  }
+
+  /**
+   * Erase the recipient and error of every entry about a person, recording
+   * the erasure as a new entry in the chain
+   * @param {string[]} identifiers - Handles or profile URLs of the person
+   * @returns {Promise<number>} Number of entries erased
+   */
+  forget(identifiers) {
+    const write = this.writing.then(() => this.erase(identifiers));
+    this.writing = write.catch(() => {});
+    return write;
+  }
+
+  async erase(identifiers) {
+    const hashes = new Set(identifiers.map(hashIdentifier).filter(Boolean));
+    const { entries } = await this.read();
+
+    const erased = [];
+    for (const { line, ...entry } of entries) {
+      if (entry.action !== 'message' || entry.recipient === null || !hashes.has(recipientKey(entry))) continue;
+      // Vouching for a changed entry would hide the change
+      if (entryHash(entry) !== entry.hash) {
+        throw new Error(`Audit log entry ${entry.seq} was changed after it was written, not erasing it. Run: nbot audit verify`);
+      }
+      erased.push({ seq: entry.seq, hash: erasableHash(entry) });
+    }
+    if (erased.length === 0) return 0;
+
+    // Append first: if the rewrite below fails, the erasure can simply be repeated
+    await this.appendEntry({ action: 'erasure', operator: currentOperator(), erased });
+
+    const seqs = new Set(erased.map(item => item.seq));
+    const content = await fs.readFile(this.filePath, 'utf8');
+    const lines = content.split('\n').map(line => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        return line;
+      }
+      return seqs.has(entry.seq) && entry.action === 'message'
+        ? JSON.stringify({ ...entry, recipient: null, error: null })
+        : line;
+    });
+
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, lines.join('\n'), { mode: 0o600 });
+    await fs.rename(tmpPath, this.filePath);
+    return erased.length;
+  }
+}
+
+// Export singleton instance
+export const auditLog = new AuditLog();
@@ -0,0 +1,132 @@
+import dayjs from 'dayjs';
+
+/**
+ * Named outreach campaigns from the `campaigns` section of config.json.
+ *
+ * A campaign runs on top of the platform config: it picks the platforms, search
+ * terms and templates to use, and adds its own daily budget and date window.
+ * Anything a campaign leaves out falls back to the global config.
+ */
+export class Campaign {
+  /**
+   * @param {string} name - Campaign name, the key in config.campaigns
+   * @param {Object} definition
+   * @param {string} [definition.description]
+   * @param {string} [definition.owner] - Who is responsible for the campaign
+   * @param {string[]} [definition.platforms] - Platforms to run; defaults to every enabled platform
+   * @param {string[]|Object<string, string[]>} [definition.searchTerms] - Terms for every platform, or per platform
+   * @param {Object<string, Object>} [definition.templates] - Template settings ({message, messages, personalize})
+   *   per platform, with "default" applying to all of them
+   * @param {number} [definition.maxMessagesPerDay] - Campaign budget, on top of the global one
+   * @param {string} [definition.startDate] - First day the campaign runs (YYYY-MM-DD)
+   * @param {string} [definition.endDate] - Last day the campaign runs (YYYY-MM-DD)
+   * @param {Object} [definition.quietHours] - When the campaign may send, over settings.quietHours
+   *   (see src/services/quiet-hours.mjs)
+   */
+  constructor(name, definition = {}) {
+    this.name = name;
+    this.description = definition.description || '';
+    this.owner = definition.owner || null;
+    this.platforms = Array.isArray(definition.platforms) ? definition.platforms : null;
+    this.searchTerms = definition.searchTerms || null;
+    this.templates = definition.templates || {};
+    this.maxMessagesPerDay = Number.isFinite(definition.maxMessagesPerDay) ? definition.maxMessagesPerDay : null;
+    this.startDate = definition.startDate || null;
+    this.endDate = definition.endDate || null;
+    this.quietHours = definition.quietHours || null;
+  }
+
+  /**
+   * Whether the campaign's date window includes a point in time
+   * @returns {{active: boolean, reason: string|null}}
+   */
+  isActive(now = dayjs()) {
+    if (this.startDate && dayjs(now).isBefore(dayjs(this.startDate).startOf('day'))) {
+      return { active: false, reason: `Campaign ${this.name} starts on ${this.startDate}` };
+    }
+    if (this.endDate && dayjs(now).isAfter(dayjs(this.endDate).endOf('day'))) {
+      return { active: false, reason: `Campaign ${this.name} ended on ${this.endDate}` };
+    }
+    return { active: true, reason: null };
+  }
+
+  includesPlatform(platform) {
+    return !this.platforms || this.platforms.includes(platform);
+  }
+
+  /**
+   * Search terms for a platform, falling back to the global ones
+   * @param {string} platform
+   * @param {string[]} [fallback] - config.searchTerms[platform]
+   * @returns {string[]}
+   */
+  searchTermsFor(platform, fallback = []) {
+    if (Array.isArray(this.searchTerms)) {
+      return this.searchTerms;
+    }
+    return this.searchTerms?.[platform] || fallback;
+  }
+
+  /**
+   * Platform settings with the campaign's templates applied
+   * @param {string} platform
+   * @param {Object} [base] - config.platforms[platform]
+   * @returns {Object}
+   */
+  platformConfig(platform, base = {}) {
+    return { ...base, ...this.templates.default, ...this.templates[platform] };
+  }
+
+  /**
+   * Problems with the definition, e.g. for `nbot config`
+   * @param {string[]} [knownPlatforms] - Platform names that exist
+   * @returns {string[]}
+   */
+  validate(knownPlatforms = []) {
+    const errors = [];
+
+    for (const platform of this.platforms || []) {
+      if (knownPlatforms.length > 0 && !knownPlatforms.includes(platform)) {
+        errors.push(`${this.name}: unknown platform ${platform}`);
+      }
+    }
+    for (const field of ['startDate', 'endDate']) {
+      if (this[field] && !dayjs(this[field]).isValid()) {
+        errors.push(`${this.name}: ${field} is not a valid date (${this[field]})`);
+      }
+    }
+    if (this.startDate && this.endDate && dayjs(this.endDate).isBefore(dayjs(this.startDate))) {
+      errors.push(`${this.name}: endDate is before startDate`);
+    }
+    if (this.maxMessagesPerDay !== null && this.maxMessagesPerDay < 0) {
+      errors.push(`${this.name}: maxMessagesPerDay must not be negative`);
+    }
+
+    return errors;
+  }
+}
+
+/**
+ * All campaigns defined in a config
+ * @param {Object} botConfig - Full config.json contents
+ * @returns {Campaign[]}
+ */
+export function listCampaigns(botConfig) {
+  return Object.entries(botConfig.campaigns || {}).map(([name, definition]) => new Campaign(name, definition));
+}
+
+/**
+ * Look up a campaign by name
+ * @param {Object} botConfig - Full config.json contents
+ * @param {string} name
+ * @returns {Campaign}
+ * @throws {Error} For unknown campaigns
+ */
+export function getCampaign(botConfig, name) {
+  const definition = botConfig.campaigns?.[name];
+  if (!definition) {
+    const available = Object.keys(botConfig.campaigns || {});
+    throw new Error(`Unknown campaign: ${name}. Available: ${available.length > 0 ? available.join(', ') : 'none'}`);
+  }
+  return new Campaign(name, definition);
+}
@@ -0,0 +1,85 @@
+import dayjs from 'dayjs';
+import { contactLedger } from './contact-ledger.mjs';
+import { identityLinks, handleKey, displayNameKey } from './identity-links.mjs';
+import { normalizeIdentifier } from './suppression-list.mjs';
+
+/**
+ * Cross-platform cap on how often the same person is contacted,
+ * e.g. "at most one unsolicited message per person per 90 days".
+ * Configured by settings.contactFrequency in config.json.
+ */
+class ContactFrequencyPolicy {
+  constructor() {
+    this.maxMessages = 1;
+    this.periodDays = 90;
+    this.matchHandles = true;
+    this.matchDisplayNames = true;
+  }
+
+  /**
+   * Apply settings.contactFrequency from config.json
+   */
+  configure(settings = {}) {
+    const rule = settings.contactFrequency || {};
+    if (Number.isFinite(rule.maxMessages)) this.maxMessages = rule.maxMessages;
+    if (Number.isFinite(rule.periodDays)) this.periodDays = rule.periodDays;
+    if (typeof rule.matchHandles === 'boolean') this.matchHandles = rule.matchHandles;
+    if (typeof rule.matchDisplayNames === 'boolean') this.matchDisplayNames = rule.matchDisplayNames;
+  }
+
+  /**
+   * Whether a ledger entry was sent to the same person as the candidate
+   */
+  isSamePerson(entry, candidate) {
+    const entryValue = normalizeIdentifier(entry.recipient)?.value;
+    const linked = candidate.linked.some(identity =>
+      identity.value === entryValue && (!identity.platform || identity.platform === entry.platform)
+    );
+    if (linked) return true;
+
+    if (this.matchHandles && candidate.handle && handleKey(entry.recipient) === candidate.handle) {
+      return true;
+    }
+
+    if (this.matchDisplayNames && candidate.displayName && displayNameKey(entry.displayName) === candidate.displayName) {
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Check whether a recipient may be messaged without exceeding the frequency cap
+   * @param {string} platform - Platform the recipient was found on
+   * @param {string} recipient - Recipient handle or profile URL
+   * @param {Object} [context]
+   * @param {string} [context.displayName] - Recipient display name, when the platform provides it
+   * @returns {Promise<{allowed: boolean, reason: string|null, previous: Object[]}>}
+   */
+  async check(platform, recipient, { displayName = null } = {}) {
+    const since = dayjs().subtract(this.periodDays, 'day');
+    const recent = await contactLedger.getEntries({ outcome: 'sent', since });
+
+    const candidate = {
+      linked: await identityLinks.getLinked(platform, recipient),
+      handle: handleKey(recipient),
+      displayName: displayNameKey(displayName)
+    };
+
+    const previous = recent.filter(entry => this.isSamePerson(entry, candidate));
+
+    if (previous.length >= this.maxMessages) {
+      const last = previous[previous.length - 1];
+      return {
+        allowed: false,
+        reason: `already contacted on ${last.platform} as ${last.recipient} on ${dayjs(last.timestamp).format('YYYY-MM-DD')} (limit ${this.maxMessages} per ${this.periodDays} days)`,
+        previous
+      };
+    }
+
+    return { allowed: true, reason: null, previous };
+  }
+}
+
+// Export singleton instance
+export const contactFrequency = new ContactFrequencyPolicy();
@@ -0,0 +1,214 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import dayjs from 'dayjs';
+import { createLogger } from '../utils/logger.mjs';
+import { config } from '../utils/config.mjs';
+import { withFileLock } from '../utils/file-lock.mjs';
+
+const logger = createLogger('contact-ledger');
+
+export const OUTCOMES = ['sent', 'failed'];
+export const REPLY_STATES = ['none', 'opt-out', 'positive', 'neutral'];
+
+/**
+ * Hash a rendered message so the ledger can prove what was sent without storing it
+ * @param {string} message - Message text
+ * @returns {string|null} Hex-encoded SHA-256 hash
+ */
+export function hashMessage(message) {
+  if (typeof message !== 'string') return null;
+  return crypto.createHash('sha256').update(message).digest('hex');
+}
+
+/**
+ * Timestamped record of every contact attempt.
+ * Stored as JSON lines in ~/.config/networking-bots/contact-ledger.jsonl
+ *
+ * Always read from disk, since `nbot run`, the daemon and `nbot replies` all
+ * write to it. Appends and rewrites hold contact-ledger.jsonl.lock, so an
+ * append is never lost to a concurrent rewrite.
+ */
+class ContactLedger {
+  constructor() {
+    this.filePath = path.join(config.configDir, 'contact-ledger.jsonl');
+    this.lockPath = `${this.filePath}.lock`;
+  }
+
+  /**
+   * Read all entries, oldest first
+   * @returns {Promise<Object[]>}
+   */
+  async load() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error loading contact ledger: ${error.message}`);
+      }
+      return [];
+    }
+
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        logger.warn(`⚠️ Skipping corrupt contact ledger line: ${line.substring(0, 80)}`);
+      }
+    }
+    return entries;
+  }
+
+  withLock(fn) {
+    config.ensureConfigDir();
+    return withFileLock(this.lockPath, fn);
+  }
+
+  /**
+   * Append entries to the ledger. Each entry is a single line written with O_APPEND.
+   */
+  async append(...entries) {
+    await this.withLock(() =>
+      fs.appendFile(this.filePath, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''))
+    );
+  }
+
+  /**
+   * Load, modify and rewrite the whole ledger while holding the lock
+   * (write to a temp file, then rename)
+   * @param {Function} mutate - Receives the entries; may modify them in place or return a replacement
+   * @returns {Promise<Object[]>} The saved entries
+   */
+  async update(mutate) {
+    return this.withLock(async () => {
+      const entries = await this.load();
+      const result = (await mutate(entries)) || entries;
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tmpPath, result.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+      await fs.rename(tmpPath, this.filePath);
+      return result;
+    });
+  }
+
+  /**
+   * Record a contact attempt
+   * @param {Object} contact
+   * @param {string} contact.recipient - Recipient handle or profile URL
+   * @param {string} contact.platform - Platform name
+   * @param {string|null} [contact.account] - Username of the account used to send
+   * @param {string} [contact.message] - Rendered message (only its hash is stored)
+   * @param {string} [contact.outcome] - sent or failed
+   * @param {string} [contact.error] - Failure reason
+   * @param {string} [contact.displayName] - Recipient display name, when known
+   * @param {string} [contact.campaign] - Campaign the message was sent for
+   * @param {boolean} [contact.unconfirmed] - The bot stopped before the platform confirmed delivery.
+   *   Recorded as sent, so the recipient is never messaged twice.
+   * @returns {Promise<Object>} The ledger entry
+   */
+  async record({ recipient, platform, account = null, message = null, outcome = 'sent', error = null, displayName = null, campaign = null, unconfirmed = false }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      recipient,
+      platform,
+      account,
+      timestamp: new Date().toISOString(),
+      messageHash: hashMessage(message),
+      outcome,
+      replyState: 'none'
+    };
+    if (error) {
+      entry.error = error;
+    }
+    if (displayName) {
+      entry.displayName = displayName;
+    }
+    if (campaign) {
+      entry.campaign = campaign;
+    }
+    if (unconfirmed) {
+      entry.unconfirmed = true;
+    }
+
+    await this.append(entry);
+    return entry;
+  }
+
+  /**
+   * Get ledger entries filtered by platform, recipient, outcome, campaign and start time
+   */
+  async getEntries({ platform = null, recipient = null, outcome = null, campaign = null, since = null } = {}) {
+    const sinceTime = since ? dayjs(since).valueOf() : null;
+
+    return (await this.load()).filter(entry =>
+      (!platform || entry.platform === platform) &&
+      (!recipient || entry.recipient === recipient) &&
+      (!outcome || entry.outcome === outcome) &&
+      (!campaign || entry.campaign === campaign) &&
+      (sinceTime === null || dayjs(entry.timestamp).valueOf() >= sinceTime)
+    );
+  }
+
+  /**
+   * Recipients that were successfully messaged on a platform
+   * @returns {Promise<string[]>}
+   */
+  async getContactedRecipients(platform) {
+    const entries = await this.getEntries({ platform, outcome: 'sent' });
+    return [...new Set(entries.map(entry => entry.recipient))];
+  }
+
+  async hasContacted(platform, recipient) {
+    const entries = await this.getEntries({ platform, recipient, outcome: 'sent' });
+    return entries.length > 0;
+  }
+
+  /**
+   * Count successful sends since a point in time
+   */
+  async countSince(since, platform = null, campaign = null) {
+    const entries = await this.getEntries({ platform, campaign, outcome: 'sent', since });
+    return entries.filter(entry => !entry.migrated).length;
+  }
+
+  async countToday(platform = null, campaign = null) {
+    return this.countSince(dayjs().startOf('day'), platform, campaign);
+  }
+
+  async countThisWeek(platform = null, campaign = null) {
+    return this.countSince(dayjs().startOf('week'), platform, campaign);
+  }
+
+  /**
+   * Timestamp of the most recent contact attempt
+   * @returns {Promise<string|null>}
+   */
+  async lastActivity(platform = null) {
+    const entries = await this.getEntries({ platform });
+    const live = entries.filter(entry => !entry.migrated);
+    return live.length > 0 ? live[live.length - 1].timestamp : null;
+  }
+
+  /**
+   * Set the reply state on the latest successful contact with a recipient
+   * @returns {Promise<boolean>} True if a matching entry was found
+   */
+  async updateReplyState(platform, recipient, replyState) {
+    let found = false;
+    await this.update(entries => {
+      const match = [...entries].reverse().find(entry =>
+        entry.platform === platform && entry.recipient === recipient && entry.outcome === 'sent'
+      );
+      if (match) {
+        match.replyState = replyState;
+        found = true;
+      }
+    });
+    return found;
+  }
+}
+
+// Export singleton instance
+export const contactLedger = new ContactLedger();
@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import { readFileSync, existsSync } from 'fs';
+import path from 'path';
+
+/**
+ * Shared encryption for stored credentials.
+ *
+ * Keys are derived with scrypt from a passphrase, secrets are sealed with AES-256-GCM,
+ * and every ciphertext carries a version so the format can evolve. The passphrase comes
+ * from ENCRYPTION_KEY, a file named by ENCRYPTION_KEY_FILE (e.g. a Docker secret), or a
+ * systemd credential named "nbot-encryption-key".
+ */
+
+export const VAULT_VERSION = 2;
+
+// Legacy (v1) ciphertexts used this key when ENCRYPTION_KEY wasn't set
+export const LEGACY_DEFAULT_KEY = 'default-encryption-key-change-me';
+
+const MIN_PASSPHRASE_LENGTH = 16;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const derivedKeys = new Map();
+
+/**
+ * Resolve the passphrase used to protect credentials
+ * @returns {string}
+ * @throws {Error} When no passphrase is configured or it is the insecure default
+ */
+export function getPassphrase() {
+  let passphrase = process.env.ENCRYPTION_KEY;
+
+  if (!passphrase && process.env.ENCRYPTION_KEY_FILE) {
+    passphrase = readFileSync(process.env.ENCRYPTION_KEY_FILE, 'utf8').trim();
+  }
+
+  if (!passphrase && process.env.CREDENTIALS_DIRECTORY) {
+    const credentialPath = path.join(process.env.CREDENTIALS_DIRECTORY, 'nbot-encryption-key');
+    if (existsSync(credentialPath)) {
+      passphrase = readFileSync(credentialPath, 'utf8').trim();
+    }
+  }
+
+  return assertUsablePassphrase(passphrase);
+}
+
+/**
+ * Reject missing, default or too-short passphrases
+ */
+function assertUsablePassphrase(passphrase) {
+  if (!passphrase) {
+    throw new Error('No encryption key configured. Set ENCRYPTION_KEY or ENCRYPTION_KEY_FILE.');
+  }
+  if (passphrase === LEGACY_DEFAULT_KEY) {
+    throw new Error('Refusing to use the default encryption key. Set a unique ENCRYPTION_KEY.');
+  }
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Encryption key must be at least ${MIN_PASSPHRASE_LENGTH} characters long.`);
+  }
+  return passphrase;
+}
+
+/**
+ * Derive (and cache) the AES key for a passphrase and salt
+ */
+function deriveKey(passphrase, salt) {
+  const cacheKey = `${crypto.createHash('sha256').update(passphrase).digest('hex')}:${salt.toString('hex')}`;
+  if (!derivedKeys.has(cacheKey)) {
+    derivedKeys.set(cacheKey, crypto.scryptSync(passphrase, salt, 32, SCRYPT_PARAMS));
+  }
+  return derivedKeys.get(cacheKey);
+}
+
+/**
+ * Whether a value looks like a ciphertext produced by this module or its legacy predecessor
+ */
+export function isEncryptedPayload(value) {
+  return !!value && typeof value === 'object' && typeof value.iv === 'string' && typeof value.content === 'string';
+}
+
+/**
+ * Whether a ciphertext predates the vault (unauthenticated AES-256-CTR)
+ */
+export function isLegacyPayload(value) {
+  return isEncryptedPayload(value) && value.v === undefined;
+}
+
+/**
+ * Encrypt a secret
+ * @param {string} text - Plain-text secret
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - Override the configured passphrase (used when rekeying)
+ * @returns {{v: number, alg: string, kdf: string, salt: string, iv: string, tag: string, content: string}}
+ */
+export function encryptSecret(text, { passphrase = getPassphrase() } = {}) {
+  assertUsablePassphrase(passphrase);
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  const encrypted = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+
+  return {
+    v: VAULT_VERSION,
+    alg: 'aes-256-gcm',
+    kdf: 'scrypt',
+    salt: salt.toString('hex'),
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    content: encrypted.toString('hex')
+  };
+}
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ * @param {Object} payload - Versioned ciphertext
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - Override the configured passphrase (used when rekeying)
+ * @returns {string}
+ * @throws {Error} For legacy ciphertexts, unknown versions, a wrong key or tampered data
+ */
+export function decryptSecret(payload, { passphrase = getPassphrase() } = {}) {
+  if (!isEncryptedPayload(payload)) {
+    throw new Error('Not an encrypted credential');
+  }
+  if (isLegacyPayload(payload)) {
+    throw new Error('Credential uses the legacy unauthenticated format. Run: nbot accounts --rekey');
+  }
+  if (payload.v !== VAULT_VERSION) {
+    throw new Error(`Unsupported credential format version: ${payload.v}`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      deriveKey(passphrase, Buffer.from(payload.salt, 'hex')),
+      Buffer.from(payload.iv, 'hex')
+    );
+    decipher.setAuthTag(Buffer.from(payload.tag, 'hex'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(payload.content, 'hex')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch {
+    throw new Error('Could not decrypt credential: wrong encryption key or the data was modified');
+  }
+}
+
+/**
+ * Decrypt a legacy (v1) AES-256-CTR ciphertext. Only used to migrate old accounts.
+ * CTR has no integrity check, so a wrong key yields garbage rather than an error.
+ * @param {Object} payload - {iv, content} ciphertext
+ * @param {string} [legacyKey] - The ENCRYPTION_KEY in use when the secret was stored
+ * @returns {string}
+ */
+export function decryptLegacySecret(payload, legacyKey = LEGACY_DEFAULT_KEY) {
+  const decipher = crypto.createDecipheriv('aes-256-ctr', legacyKey, Buffer.from(payload.iv, 'hex'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(payload.content, 'hex')),
+    decipher.final()
+  ]).toString();
+}
@@ -0,0 +1,322 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { createLogger, logger as rootLogger, pseudonymize } from '../utils/logger.mjs';
+import { suppressionList, normalizeIdentifier } from './suppression-list.mjs';
+import { identityLinks, parseIdentity } from './identity-links.mjs';
+import { contactLedger } from './contact-ledger.mjs';
+import { reviewQueue } from './review-queue.mjs';
+import { replyMonitor } from './reply-monitor.mjs';
+import { auditLog } from './audit-log.mjs';
+import { runCheckpoint } from './run-checkpoint.mjs';
+import { runHistory } from './run-history.mjs';
+import { runLock } from './run-lock.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const logger = createLogger('data-subjects');
+
+// Replaces the person in text that is kept, such as run errors
+const FORGOTTEN = '[forgotten]';
+
+const LOG_FILE_PATTERN = /^nbot(-\d{8}-\d{6}(-\d+)?)?\.jsonl$/;
+const LEGACY_LOG_PATTERN = /\.log$/;
+const LEGACY_MESSAGED_PATTERN = /^messaged(-([a-z0-9_-]+))?\.json(\.migrated)?$/i;
+
+/**
+ * The unsalted pseudonym log files used before pseudonyms were salted, so
+ * their lines about the person are still found
+ */
+function legacyPseudonym(value) {
+  return `[redacted:${crypto.createHash('sha256').update(String(value)).digest('hex').substring(0, 8)}]`;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Files in a directory whose names match a pattern, or none if it does not exist
+ */
+function listFiles(dir, pattern) {
+  try {
+    return fs.readdirSync(dir)
+      .filter(name => pattern.test(name))
+      .sort()
+      .map(name => path.join(dir, name));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Number of records in each part of an export
+ * @param {Object} records - records of an export bundle
+ * @returns {Object<string, number>}
+ */
+export function countRecords(records) {
+  return Object.fromEntries(Object.entries(records).map(([name, items]) => [
+    name,
+    items.reduce((total, item) => total + (Array.isArray(item.users) ? item.users.length : Array.isArray(item.lines) ? item.lines.length : 1), 0)
+  ]));
+}
+
+/**
+ * Everything stored about one person, for "what do you have on me" and
+ * "delete me" requests (`nbot data export` and `nbot data forget`).
+ *
+ * A person is the subject plus every identity linked to it with
+ * `nbot identities link` or on their suppression entry. Records are found in
+ * the stores in ~/.config/networking-bots, the log files, and the legacy
+ * messaged*.json files and daily logs in the project directory.
+ */
+class DataSubjects {
+  constructor() {
+    this.rootDir = path.join(__dirname, '../..');
+  }
+
+  get logFiles() {
+    return [
+      ...listFiles(path.dirname(rootLogger.filePath), LOG_FILE_PATTERN),
+      ...listFiles(path.join(this.rootDir, 'logs'), LEGACY_LOG_PATTERN)
+    ];
+  }
+
+  /**
+   * The identities of the person behind a subject
+   * @param {string} subject - Handle, platform:handle or profile URL
+   * @returns {Promise<{identities: Array<{platform: string|null, value: string}>, group: Object|null}>}
+   */
+  async resolve(subject) {
+    const identity = parseIdentity(subject);
+    if (!identity) {
+      throw new Error('Provide the subject as a handle, platform:handle or profile URL');
+    }
+
+    const group = await identityLinks.find(identity);
+    const identities = [identity, ...(group?.identities || [])];
+
+    const suppressed = await suppressionList.find(identity.value, identity.platform);
+    if (suppressed && !suppressed.hashes) {
+      identities.push(
+        { platform: suppressed.platform, value: suppressed.value },
+        ...(suppressed.linked || []).map(link => ({ platform: null, value: link.value }))
+      );
+    }
+
+    const unique = new Map(identities.map(item => [`${item.platform || ''}:${item.value}`, item]));
+    return { identities: [...unique.values()], group };
+  }
+
+  /**
+   * Find every record about the person
+   * @param {string} subject - Handle, platform:handle or profile URL
+   * @returns {Promise<{identities: Object[], group: Object|null, pattern: RegExp, records: Object}>}
+   */
+  async collect(subject) {
+    const { identities, group } = await this.resolve(subject);
+    const values = identities.map(identity => identity.value);
+
+    const matches = (recipient, platform = null) => {
+      const normalized = normalizeIdentifier(recipient);
+      return !!normalized && identities.some(identity => identity.value === normalized.value &&
+        (!identity.platform || !platform || identity.platform === platform));
+    };
+
+    const ledger = (await contactLedger.load()).filter(entry => matches(entry.recipient, entry.platform));
+    const reviewItems = (await reviewQueue.load()).filter(item => matches(item.recipient, item.platform));
+    const replies = (await replyMonitor.load()).filter(reply => matches(reply.from, reply.platform));
+    const suppressions = (await suppressionList.load()).filter(entry => !entry.hashes &&
+      [entry.value, ...(entry.linked || []).map(link => link.value)].some(value => values.includes(value)));
+    const audit = (await auditLog.list())
+      .filter(entry => entry.action === 'message' && entry.recipient !== null && matches(entry.recipient, entry.platform))
+      .map(({ line, ...entry }) => entry);
+
+    const checkpoint = runCheckpoint.read();
+    const checkpointSends = checkpoint
+      ? [checkpoint.inFlight, ...checkpoint.delivered, ...checkpoint.failed].filter(send => send && matches(send.recipient, send.platform))
+      : [];
+
+    const legacyMessaged = listFiles(this.rootDir, LEGACY_MESSAGED_PATTERN).map(file => {
+      const platform = path.basename(file).match(LEGACY_MESSAGED_PATTERN)[2] || 'reddit';
+      try {
+        const users = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return { file, users: Array.isArray(users) ? users.filter(user => matches(user, platform)) : [] };
+      } catch {
+        return { file, users: [] };
+      }
+    }).filter(item => item.users.length > 0);
+
+    // Free text (logs, run errors) is searched for every way the person was
+    // written down, and for the pseudonyms the log file uses for them
+    const written = new Set([
+      ...values,
+      ...ledger.map(entry => entry.recipient),
+      ...reviewItems.map(item => item.recipient),
+      ...replies.map(reply => reply.from),
+      ...audit.map(entry => entry.recipient),
+      ...checkpointSends.map(send => send.recipient),
+      ...legacyMessaged.flatMap(item => item.users)
+    ].filter(Boolean));
+    const terms = [...written, ...[...written].map(pseudonymize), ...[...written].map(legacyPseudonym)];
+    const pattern = new RegExp(`(?<![\\w-])(${terms.map(escapeRegExp).join('|')})(?![\\w-])`, 'i');
+
+    const runs = (await runHistory.list()).filter(run => (run.errors || []).some(error => pattern.test(error)));
+
+    await rootLogger.flush();
+    const logs = this.logFiles.map(file => {
+      const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line && pattern.test(line));
+      return { file, lines };
+    }).filter(item => item.lines.length > 0);
+
+    return {
+      identities,
+      group,
+      pattern,
+      records: {
+        contactLedger: ledger,
+        reviewQueue: reviewItems,
+        replies,
+        suppressionList: suppressions,
+        identityLinks: group ? [group] : [],
+        auditLog: audit,
+        runCheckpoint: checkpointSends,
+        runHistory: runs,
+        legacyMessaged,
+        logs
+      }
+    };
+  }
+
+  /**
+   * One bundle with every record about the person
+   * @param {string} subject - Handle, platform:handle or profile URL
+   * @returns {Promise<Object>} {subject, identities, generatedAt, records}
+   */
+  async export(subject) {
+    const { identities, records } = await this.collect(subject);
+    const logs = records.logs.map(({ file, lines }) => ({
+      file,
+      lines: lines.map(line => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return line;
+        }
+      })
+    }));
+
+    return {
+      subject,
+      identities,
+      generatedAt: new Date().toISOString(),
+      records: { ...records, logs }
+    };
+  }
+
+  /**
+   * Erase every record about the person and keep them on the suppression list,
+   * by salted hash only, so they are never contacted again. Audit log entries
+   * keep everything but the recipient and error; an erasure entry appended to
+   * the chain records what is left of them, so the chain still verifies.
+   * Refuses while a run is active, since it could contact the person again
+   * while their records are being erased.
+   * @param {string} subject - Handle, platform:handle or profile URL
+   * @returns {Promise<Object<string, number>>} Records erased per store
+   */
+  async forget(subject) {
+    const lock = runLock.acquire('data forget');
+    if (!lock.acquired) {
+      throw new Error(`A run is in progress (pid ${lock.holder?.pid}, ${lock.holder?.command || 'unknown'}). Try again when it has finished.`);
+    }
+
+    try {
+      const { identities, group, pattern, records } = await this.collect(subject);
+      const counts = countRecords(records);
+
+      // Suppress first: if erasing fails halfway, the person is still never contacted
+      const identifiers = [...new Set([
+        ...identities.map(identity => identity.value),
+        ...records.contactLedger.map(entry => entry.recipient),
+        ...records.reviewQueue.map(item => item.recipient),
+        ...records.replies.map(reply => reply.from)
+      ])];
+      await suppressionList.addHashed(identifiers);
+
+      // The stores are re-read under their locks, so records are matched by key
+      if (records.suppressionList.length > 0) {
+        const erased = new Set(records.suppressionList.map(entry => `${entry.platform || ''}:${entry.value}`));
+        await suppressionList.update(entries =>
+          entries.filter(entry => entry.hashes || !erased.has(`${entry.platform || ''}:${entry.value}`))
+        );
+      }
+      if (group) {
+        await identityLinks.update(groups => groups.filter(candidate => candidate.id !== group.id));
+      }
+      if (records.contactLedger.length > 0) {
+        const erased = new Set(records.contactLedger.map(entry => entry.id));
+        await contactLedger.update(entries => entries.filter(entry => !erased.has(entry.id)));
+      }
+      if (records.reviewQueue.length > 0) {
+        const erased = new Set(records.reviewQueue.map(item => item.id));
+        await reviewQueue.updateItems(items => items.filter(item => !erased.has(item.id)));
+      }
+      if (records.replies.length > 0) {
+        const erased = new Set(records.replies.map(reply => `${reply.platform}:${reply.id}`));
+        await replyMonitor.update(replies => replies.filter(reply => !erased.has(`${reply.platform}:${reply.id}`)));
+      }
+
+      await auditLog.forget([...identifiers, ...records.auditLog.map(entry => entry.recipient)]);
+
+      if (records.runCheckpoint.length > 0) {
+        const checkpoint = runCheckpoint.read();
+        const kept = send => !records.runCheckpoint.some(match => match.recipient === send.recipient && match.platform === send.platform);
+        runCheckpoint.write({
+          ...checkpoint,
+          inFlight: checkpoint.inFlight && kept(checkpoint.inFlight) ? checkpoint.inFlight : null,
+          delivered: checkpoint.delivered.filter(kept),
+          failed: checkpoint.failed.filter(kept)
+        });
+      }
+
+      if (records.runHistory.length > 0) {
+        const replaceAll = new RegExp(pattern.source, 'gi');
+        await runHistory.update(runs => runs.map(run => (run.errors?.length
+          ? { ...run, errors: run.errors.map(error => error.replace(replaceAll, FORGOTTEN)) }
+          : run)));
+      }
+
+      for (const { file, users } of records.legacyMessaged) {
+        const remaining = JSON.parse(fs.readFileSync(file, 'utf8')).filter(user => !users.includes(user));
+        this.rewrite(file, `${JSON.stringify(remaining, null, 2)}\n`);
+      }
+
+      // Synchronous, so the logger cannot append to a file between reading and replacing it
+      await rootLogger.flush();
+      for (const { file } of records.logs) {
+        const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => !pattern.test(line));
+        this.rewrite(file, lines.join('\n'));
+      }
+
+      logger.log(`🧹 Erased ${Object.values(counts).reduce((sum, count) => sum + count, 0)} record(s) about a data subject; they stay suppressed by hash`);
+      return counts;
+    } finally {
+      runLock.release();
+    }
+  }
+
+  /**
+   * Atomically replace a file's content, keeping its permissions
+   */
+  rewrite(file, content) {
+    const { mode } = fs.statSync(file);
+    const tmpPath = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, content, { mode });
+    fs.renameSync(tmpPath, file);
+  }
+}
+
+// Export singleton instance
+export const dataSubjects = new DataSubjects();
@@ -10,11 +10,13 @@ import axios from 'axios';
 import https from 'https';
 import crypto from 'crypto';
 import { setTimeout as wait } from 'timers/promises';
-import { logger } from '../utils/logger.mjs';
+import { createLogger } from '../utils/logger.mjs';
 import { proxyManager } from './proxy-manager.mjs';
 import { rateLimiter } from './rate-limiter.mjs';
 import { humanBehavior } from './human-behavior.mjs';
 
+const logger = createLogger('direct-account-creator');
+
 class DirectAccountCreator {
   constructor() {
     this.userAgents = [
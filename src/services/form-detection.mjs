@@ -1,8 +1,10 @@
-import { logger } from '../utils/logger.mjs';
+import { createLogger } from '../utils/logger.mjs';
 import { makeAICall } from './llm.mjs';
 import puppeteer from 'puppeteer-extra';
 import StealthPlugin from 'puppeteer-extra-plugin-stealth';
 
+const logger = createLogger('form-detection');
+
 // Initialize puppeteer with stealth plugin
 puppeteer.use(StealthPlugin());
 
@@ -173,7 +175,7 @@ class FormDetectionService {
         ]
       }`;
       
-      const response = await makeAICall(system_prompt, prompt, 'profullstack');
+      const response = await makeAICall(prompt, system_prompt);
       
       try {
         // Parse the AI response to get the form structure
@@ -1,4 +1,6 @@
-import { logger } from '../utils/logger.mjs';
+import { createLogger } from '../utils/logger.mjs';
+
+const logger = createLogger('human-behavior');
 
 class HumanBehaviorSimulator {
   constructor() {
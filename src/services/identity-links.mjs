@@ -0,0 +1,203 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { createLogger } from '../utils/logger.mjs';
+import { config } from '../utils/config.mjs';
+import { withFileLock } from '../utils/file-lock.mjs';
+import { normalizeIdentifier, PLATFORM_HOSTS } from './suppression-list.mjs';
+
+const logger = createLogger('identity-links');
+
+/**
+ * Parse "platform:handle" or a profile URL into a platform-qualified identity
+ * @param {string} identifier - e.g. "x:jane", "reddit:u/jane" or "https://www.linkedin.com/in/jane"
+ * @returns {{platform: string|null, value: string}|null}
+ */
+export function parseIdentity(identifier) {
+  if (typeof identifier !== 'string' || !identifier.trim()) return null;
+
+  const prefixed = identifier.trim().match(/^([a-z]+):(?!\/\/)(.+)$/i);
+  if (prefixed) {
+    const normalized = normalizeIdentifier(prefixed[2]);
+    return normalized ? { platform: prefixed[1].toLowerCase(), value: normalized.value } : null;
+  }
+
+  const normalized = normalizeIdentifier(identifier);
+  if (!normalized) return null;
+
+  const host = normalized.type === 'url' ? normalized.value.split('/')[0] : null;
+  return { platform: host ? PLATFORM_HOSTS[host] || null : null, value: normalized.value };
+}
+
+/**
+ * Reduce a handle or profile URL to the bare handle used for cross-platform matching,
+ * e.g. "https://www.linkedin.com/in/Jane-Doe/" → "jane-doe", "@Jane" → "jane"
+ */
+export function handleKey(recipient) {
+  const normalized = normalizeIdentifier(recipient);
+  if (!normalized) return null;
+  if (normalized.type === 'handle') return normalized.value;
+
+  const segments = normalized.value.split('/').slice(1).filter(Boolean);
+  return segments.length > 0 ? segments[segments.length - 1].replace(/^@/, '') : null;
+}
+
+/**
+ * Normalize a display name for comparison
+ */
+export function displayNameKey(displayName) {
+  if (typeof displayName !== 'string') return null;
+  const key = displayName.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  return key || null;
+}
+
+function findGroup(groups, identity) {
+  return groups.find(group =>
+    group.identities.some(member => member.value === identity.value &&
+      (!member.platform || !identity.platform || member.platform === identity.platform))
+  ) || null;
+}
+
+/**
+ * Manual links between accounts that belong to the same person.
+ * Stored in ~/.config/networking-bots/identities.json
+ *
+ * Every call reads the file and every change is made under identities.json.lock,
+ * so links made while a run is in progress are honoured by it.
+ */
+class IdentityLinks {
+  constructor() {
+    this.filePath = path.join(config.configDir, 'identities.json');
+    this.lockPath = `${this.filePath}.lock`;
+  }
+
+  /**
+   * Read all groups. Always reads from disk so changes made by other processes are seen.
+   * @returns {Promise<Object[]>}
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      return Array.isArray(data.groups) ? data.groups : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error loading identity links: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  async write(groups) {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify({ groups }, null, 2));
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Load, modify and save the groups while holding the lock
+   * @param {Function} mutate - Receives the groups; may modify them in place or return a replacement
+   * @returns {Promise<Object[]>} The saved groups
+   */
+  async update(mutate) {
+    config.ensureConfigDir();
+    return withFileLock(this.lockPath, async () => {
+      const groups = await this.load();
+      const result = (await mutate(groups)) || groups;
+      await this.write(result);
+      return result;
+    });
+  }
+
+  /**
+   * The group containing an identity, if any
+   * @param {{platform: string|null, value: string}} identity
+   * @returns {Promise<Object|null>}
+   */
+  async find(identity) {
+    return findGroup(await this.load(), identity);
+  }
+
+  /**
+   * Link two or more identities as the same person. Existing groups are merged.
+   * @param {string[]} identifiers - "platform:handle" strings or profile URLs
+   * @param {string} [note] - Free-form note, e.g. how the link was established
+   * @returns {Promise<Object>} The resulting group
+   */
+  async link(identifiers, note = '') {
+    const identities = identifiers.map(parseIdentity);
+    if (identities.length < 2 || identities.some(identity => !identity)) {
+      throw new Error('Provide at least two identities as platform:handle or profile URLs');
+    }
+
+    let group = null;
+    await this.update(groups => {
+      const existing = [...new Set(identities.map(identity => findGroup(groups, identity)).filter(Boolean))];
+      group = existing[0] || {
+        id: crypto.randomUUID(),
+        identities: [],
+        note,
+        createdAt: new Date().toISOString()
+      };
+
+      for (const other of existing.slice(1)) {
+        group.identities.push(...other.identities);
+      }
+
+      for (const identity of identities) {
+        const known = group.identities.some(member => member.value === identity.value && member.platform === identity.platform);
+        if (!known) group.identities.push(identity);
+      }
+
+      if (note) group.note = note;
+
+      const merged = new Set(existing.slice(1));
+      const remaining = groups.filter(candidate => !merged.has(candidate));
+      if (!existing[0]) remaining.push(group);
+      return remaining;
+    });
+    return group;
+  }
+
+  /**
+   * Remove an identity from whichever group contains it
+   * @returns {Promise<boolean>} True if the identity was linked
+   */
+  async unlink(identifier) {
+    const identity = parseIdentity(identifier);
+    if (!identity) return false;
+
+    let linked = false;
+    await this.update(groups => {
+      const group = findGroup(groups, identity);
+      if (!group) return;
+
+      linked = true;
+      group.identities = group.identities.filter(member => member.value !== identity.value ||
+        (member.platform && identity.platform && member.platform !== identity.platform));
+      if (group.identities.length < 2) {
+        return groups.filter(candidate => candidate !== group);
+      }
+    });
+    return linked;
+  }
+
+  async list() {
+    return this.load();
+  }
+
+  /**
+   * All identities manually linked to a recipient, including the recipient itself
+   * @returns {Promise<Array<{platform: string|null, value: string}>>}
+   */
+  async getLinked(platform, recipient) {
+    const normalized = normalizeIdentifier(recipient);
+    if (!normalized) return [];
+
+    const self = { platform, value: normalized.value };
+    const group = await this.find(self);
+    return group ? [self, ...group.identities] : [self];
+  }
+}
+
+// Export singleton instance
+export const identityLinks = new IdentityLinks();
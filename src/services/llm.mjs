@@ -1,263 +1,291 @@
-export async function makeProfullstackAiCall(prompt, system_prompt, retries = 3) {
-    for (let attempt = 1; attempt <= retries; attempt++) {
-        try {
-            const response = await fetch('https://ai.profullstack.com/ollamaapi/api/chat', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'llama3.1:8b',
-                    messages: [
-                        {
-                            role: 'system',
-                            content: system_prompt
-                        },
-                        {
-                            role: 'user',
-                            content: prompt
-                        }
-                    ],
-                    stream: false,
-                    options: {
-                        temperature: 0.6,
-                        top_p: 0.9,
-                        stop: null
-                    }
-                })
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => null);
-                
-                // For 5xx errors (server issues), retry
-                if (response.status >= 500 && attempt < retries) {
-                    console.warn(`AI API server error (attempt ${attempt}/${retries}): ${response.status} ${response.statusText}. Retrying in ${attempt * 1000}ms...`);
-                    await new Promise(resolve => setTimeout(resolve, attempt * 1000));
-                    continue;
-                }
-                
-                console.error('AI API error:', errorData);
-                throw new Error(`AI API error: ${response.status} ${response.statusText}`);
-            }
-
-            const data = await response.json();
-            if (!data?.message?.content) {
-                console.error('Invalid AI response format:', data);
-                throw new Error('Invalid AI response format');
-            }
-
-            // Directly return the content as an object
-            return data.message.content;
-        } catch (error) {
-            // For network errors, retry
-            if ((error.code === 'ECONNRESET' || error.code === 'ENOTFOUND' || error.message.includes('fetch')) && attempt < retries) {
-                console.warn(`Network error (attempt ${attempt}/${retries}): ${error.message}. Retrying in ${attempt * 1000}ms...`);
-                await new Promise(resolve => setTimeout(resolve, attempt * 1000));
-                continue;
-            }
-            
-            console.error('AI call failed:', error);
-            return {
-                summary: `AI service error: ${error.message}. Please review the events manually.`
-            };
-        }
+import crypto from 'crypto';
+import { setTimeout as wait } from 'timers/promises';
+import { createLogger } from '../utils/logger.mjs';
+import { config } from '../utils/config.mjs';
+
+const logger = createLogger('llm');
+
+/**
+ * LLM provider layer.
+ *
+ * Providers are configured under settings.llm in config.json. Each provider has a
+ * type that decides the wire protocol: "ollama" (/api/chat), "openai" (any
+ * OpenAI-compatible /chat/completions endpoint, including local servers) or "fake"
+ * (deterministic, offline). Every call resolves to a string or rejects with an LLMError.
+ */
+
+export class LLMError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {string} [details.provider] - Provider name
+   * @param {string} [details.code] - not_configured, http, timeout, network or invalid_response
+   * @param {number} [details.status] - HTTP status, when there was a response
+   * @param {boolean} [details.retryable] - Whether the same call may succeed later
+   */
+  constructor(message, { provider = null, code = 'provider_error', status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.provider = provider;
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+// Built-in providers; settings.llm.providers.<name> overrides individual fields
+export const DEFAULT_PROVIDERS = {
+  profullstack: {
+    type: 'ollama',
+    baseUrl: 'https://ai.profullstack.com/ollamaapi',
+    model: 'llama3.1:8b',
+    temperature: 0.6
+  },
+  ollama: {
+    type: 'ollama',
+    baseUrl: 'http://localhost:11434',
+    model: 'llama3.1:8b',
+    temperature: 0.6
+  },
+  openai: {
+    type: 'openai',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    temperature: 0.7,
+    apiKeyEnv: 'OPENAI_API_KEY'
+  },
+  groq: {
+    type: 'openai',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    model: 'llama3-70b-8192',
+    temperature: 1,
+    apiKeyEnv: 'GROQ_API_KEY'
+  },
+  local: {
+    type: 'openai',
+    baseUrl: 'http://localhost:8080/v1',
+    model: 'local-model',
+    temperature: 0.7
+  },
+  fake: {
+    type: 'fake'
+  }
+};
+
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 1000;
+
+// Providers registered from code (e.g. by tests), keyed by name
+const registeredProviders = new Map();
+
+/**
+ * Register a provider implemented in code. Takes precedence over configured providers.
+ * @param {string} name - Provider name
+ * @param {Function} completeFn - async ({prompt, systemPrompt, settings}) => string
+ */
+export function registerProvider(name, completeFn) {
+  registeredProviders.set(name, completeFn);
+}
+
+export function unregisterProvider(name) {
+  registeredProviders.delete(name);
+}
+
+/**
+ * settings.llm from config.json
+ */
+function getLLMSettings() {
+  return config.load().settings?.llm || {};
+}
+
+/**
+ * Resolve the settings for a provider by name
+ * @returns {Object} Provider settings including name and type
+ * @throws {LLMError} For unknown providers
+ */
+export function resolveProvider(name, llmSettings = getLLMSettings()) {
+  const configured = llmSettings.providers?.[name];
+  const builtIn = DEFAULT_PROVIDERS[name];
+
+  if (!configured && !builtIn && !registeredProviders.has(name)) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+
+  return {
+    name,
+    type: registeredProviders.has(name) ? 'registered' : 'openai',
+    timeout: llmSettings.timeout ?? DEFAULT_TIMEOUT,
+    ...builtIn,
+    ...configured
+  };
+}
+
+/**
+ * POST JSON and return the parsed response, mapping failures to LLMError
+ */
+async function postJson(url, body, provider, headers = {}) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(provider.timeout)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      throw new LLMError(`${provider.name} timed out after ${provider.timeout}ms`, { provider: provider.name, code: 'timeout', retryable: true });
     }
+    throw new LLMError(`${provider.name} request failed: ${error.cause?.message || error.message}`, { provider: provider.name, code: 'network', retryable: true });
+  }
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new LLMError(`${provider.name} API error: ${response.status} ${response.statusText} ${detail.substring(0, 200)}`.trim(), {
+      provider: provider.name,
+      code: 'http',
+      status: response.status,
+      retryable: response.status === 429 || response.status >= 500
+    });
+  }
+
+  try {
+    return await response.json();
+  } catch {
+    throw new LLMError(`${provider.name} returned invalid JSON`, { provider: provider.name, code: 'invalid_response' });
+  }
 }
 
-export async function makeGroqAiCall(prompt) {
-    try {
-        const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                Authorization: `Bearer ${process.env.GROQ_API_KEY}`
-            },
-            body: JSON.stringify({
-                messages: [
-                    {
-                        role: 'system',
-                        content:
-                            'You are a helpful assistant in the areas of global threat intelligence and osint. Please only return valid JSON and no other text.'
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                model: 'llama3-70b-8192',
-                temperature: 1,
-                top_p: 1,
-                stream: false,
-                stop: null
-            })
-        });
-
-        if (!response.ok) {
-            console.error(await response.json());
-            return {
-                summary: 'Error calling Groq API. Please review the events manually.'
-            };
-        }
-
-        const data = await response.json();
-        const content = data.choices[0].message?.content;
-        console.log(content, '<---- groq.com api');
-
-        try {
-            if (typeof content === 'object') {
-                return content;
-            }
-
-            const contentStr = content.trim();
-            try {
-                return JSON.parse(contentStr);
-            } catch (parseError) {
-                const cleanContent = contentStr
-                    .replace(/^```json\s*/, '')
-                    .replace(/\s*```$/, '')
-                    .trim();
-
-                return JSON.parse(cleanContent);
-            }
-        } catch (parseError) {
-            console.error('Failed to parse Groq response:', content);
-            return {
-                summary: 'Error parsing Groq response. Please review the events manually.'
-            };
-        }
-    } catch (error) {
-        console.error('Groq call failed:', error);
-        return {
-            summary: `Groq service error: ${error.message}. Please review the events manually.`
-        };
+function chatMessages(prompt, systemPrompt) {
+  return [
+    ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+    { role: 'user', content: prompt }
+  ];
+}
+
+/**
+ * Ollama-style /api/chat
+ */
+async function completeOllama({ prompt, systemPrompt, settings }) {
+  const data = await postJson(`${settings.baseUrl.replace(/\/$/, '')}/api/chat`, {
+    model: settings.model,
+    messages: chatMessages(prompt, systemPrompt),
+    stream: false,
+    options: {
+      temperature: settings.temperature,
+      top_p: settings.topP ?? 0.9
     }
+  }, settings);
+
+  return data?.message?.content;
 }
 
-export async function calculateTokenSize(text) {
-    const response = await fetch('https://api.openai.com/v1/tokens', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bearer ${process.env.OPENAI_API_KEY}`
-        },
-        body: JSON.stringify({ text: text })
-    });
+/**
+ * OpenAI-compatible /chat/completions (OpenAI, Groq, llama.cpp, LM Studio, vLLM, ...)
+ */
+async function completeOpenAI({ prompt, systemPrompt, settings }) {
+  const apiKey = settings.apiKey || (settings.apiKeyEnv ? process.env[settings.apiKeyEnv] : null);
+  if (settings.apiKeyEnv && !apiKey) {
+    throw new LLMError(`${settings.name} needs an API key. Set ${settings.apiKeyEnv}.`, { provider: settings.name, code: 'not_configured' });
+  }
+
+  const data = await postJson(`${settings.baseUrl.replace(/\/$/, '')}/chat/completions`, {
+    model: settings.model,
+    messages: chatMessages(prompt, systemPrompt),
+    temperature: settings.temperature,
+    stream: false
+  }, settings, apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
 
-    const data = await response.json();
-    return data.tokens;
+  return data?.choices?.[0]?.message?.content;
 }
 
-export async function makeOpenaiAiCall(prompt) {
+/**
+ * Deterministic offline provider. Returns settings.response when set,
+ * otherwise a stable string derived from the prompts.
+ */
+async function completeFake({ prompt, systemPrompt, settings }) {
+  if (typeof settings.response === 'string') {
+    return settings.response;
+  }
+
+  const digest = crypto.createHash('sha256').update(`${systemPrompt || ''}\n${prompt}`).digest('hex').substring(0, 12);
+  return `Fake response ${digest}`;
+}
+
+const PROVIDER_TYPES = {
+  ollama: completeOllama,
+  openai: completeOpenAI,
+  fake: completeFake
+};
+
+/**
+ * Run one completion and validate the result
+ */
+async function completeOnce(prompt, systemPrompt, settings) {
+  const completeFn = registeredProviders.get(settings.name) || PROVIDER_TYPES[settings.type];
+  if (!completeFn) {
+    throw new LLMError(`Unknown LLM provider type: ${settings.type}`, { provider: settings.name, code: 'not_configured' });
+  }
+
+  let content;
+  try {
+    content = await completeFn({ prompt, systemPrompt, settings });
+  } catch (error) {
+    if (error instanceof LLMError) throw error;
+    throw new LLMError(`${settings.name} failed: ${error.message}`, { provider: settings.name });
+  }
+
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new LLMError(`${settings.name} returned an empty or invalid response`, { provider: settings.name, code: 'invalid_response' });
+  }
+
+  return content;
+}
+
+/**
+ * Ask the configured LLM for a completion
+ * @param {string} prompt - User prompt
+ * @param {string} [systemPrompt] - System prompt
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Provider name; defaults to AI_PROVIDER, then settings.llm.provider
+ * @returns {Promise<string>} Model output
+ * @throws {LLMError}
+ */
+export async function complete(prompt, systemPrompt = '', { provider = null } = {}) {
+  const llmSettings = getLLMSettings();
+  const name = provider || process.env.AI_PROVIDER || llmSettings.provider || 'profullstack';
+
+  let settings;
+  try {
+    settings = resolveProvider(name, llmSettings);
+  } catch (error) {
+    throw new LLMError(error.message, { provider: name, code: 'not_configured' });
+  }
+
+  const retries = Math.max(1, llmSettings.retries ?? DEFAULT_RETRIES);
+  const retryDelay = llmSettings.retryDelay ?? DEFAULT_RETRY_DELAY;
+
+  for (let attempt = 1; ; attempt++) {
     try {
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                Authorization: `Bearer ${process.env.OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: 'gpt-4-turbo-preview',
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are a helpful assistant in the areas of global threat intelligence and osint. Please only return valid JSON and no other text.'
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                temperature: 0.7,
-                response_format: { "type": "json_object" }
-            })
-        });
-
-        if (!response.ok) {
-            const errorData = await response.text();
-            console.error('OpenAI API error:', errorData);
-            throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
-        }
-
-        const data = await response.json();
-        const content = data.choices[0].message?.content;
-        console.log('OpenAI raw response:', content);
-
-        try {
-            // If content is already an object, return it
-            if (typeof content === 'object') {
-                return content;
-            }
-
-            // Try to parse the content as JSON
-            const contentStr = content.trim();
-            try {
-                return JSON.parse(contentStr);
-            } catch (parseError) {
-                // If there's a parse error, try to clean the string
-                const cleanContent = contentStr
-                    .replace(/^```json\s*/, '')
-                    .replace(/\s*```$/, '')
-                    .trim();
-
-                return JSON.parse(cleanContent);
-            }
-        } catch (parseError) {
-            console.error('Failed to parse OpenAI response:', content);
-            console.error('Parse error:', parseError);
-            return {
-                summary: 'Error parsing OpenAI response. Please review the events manually.',
-                analysis: 'Error parsing OpenAI response. Please review the events manually.'
-            };
-        }
+      return await completeOnce(prompt, systemPrompt, settings);
     } catch (error) {
-        console.error('OpenAI call failed:', error);
-        return {
-            summary: `OpenAI service error: ${error.message}. Please review the events manually.`,
-            analysis: `OpenAI service error: ${error.message}. Please review the events manually.`
-        };
+      if (!error.retryable || attempt >= retries) throw error;
+
+      logger.warn(`⚠️ ${error.message} (attempt ${attempt}/${retries}). Retrying in ${(retryDelay * attempt) / 1000}s...`);
+      await wait(retryDelay * attempt);
     }
+  }
 }
 
+/**
+ * Backwards-compatible entry point used across the codebase
+ * @param {string} prompt - User prompt
+ * @param {string} [system_prompt] - System prompt
+ * @param {string} [aiProvider] - Provider name override
+ * @returns {Promise<string>}
+ * @throws {LLMError}
+ */
 export async function makeAICall(prompt, system_prompt, aiProvider = null) {
-    const provider = aiProvider || process.env.AI_PROVIDER || 'profullstack';
-
-    if (provider === 'profullstack') {
-        return await makeProfullstackAiCall(prompt, system_prompt);
-    } else if (provider === 'groq') {
-        return await makeGroqAiCall(prompt);
-    } else if (provider === 'openai') {
-        return await makeOpenaiAiCall(prompt);
-    }
-
-    return {
-        summary: 'No AI provider configured. Please review the events manually.'
-    };
+  return complete(prompt, system_prompt, { provider: aiProvider });
 }
-
-export function generateCurlCommand(prompt, system_prompt) {
-    const curlCommand = `
-curl -X POST https://ai.profullstack.com/ollamaapi/api/chat \\
--H "Content-Type: application/json" \\
--d '{
-    "model": "llama3.1:8b",
-    "messages": [
-        {
-            "role": "system",
-            "content": "${system_prompt.replace(/"/g, '\\"')}"
-        },
-        {
-            "role": "user",
-            "content": "${prompt.replace(/"/g, '\\"')}"
-        }
-    ],
-    "stream": false,
-    "format": "json",
-    "options": {
-        "temperature": 0.3,
-        "top_p": 0.9,
-        "stop": null
-    }
-}'`;
-    return curlCommand.trim();
-}
\ No newline at end of file
@@ -0,0 +1,153 @@
+import { platformRegistry } from '../platforms/registry.mjs';
+
+/**
+ * Checks every outgoing message before it is sent: leftover template
+ * placeholders, platform length limits, banned claims and model output that
+ * isn't actually a message ("Here's your message: ...").
+ * Configured by settings.guardrails in config.json.
+ */
+
+// Claims and pushy phrases we never want to send, matched case-insensitively
+export const DEFAULT_BANNED_PHRASES = [
+  'guaranteed',
+  'risk-free',
+  'risk free',
+  '100% free',
+  'act now',
+  'limited time offer',
+  'click here',
+  'make money fast',
+  'no obligation',
+  'once in a lifetime'
+];
+
+// Used for platforms that don't declare maxMessageLength
+const DEFAULT_MAX_LENGTH = 2000;
+
+// [topic], {{name}}, {name}, <NAME>
+const PLACEHOLDER_PATTERN = /\[[^\]\n]{1,40}\]|\{\{[^}\n]*\}\}|\{[a-z_][a-z0-9_]*\}|<[A-Z][A-Z_ ]{1,30}>/i;
+
+/**
+ * The first unfilled placeholder in a text, e.g. "<company>" in a disclosure
+ * copied from an example. The guardrails refuse messages that contain one.
+ * @param {string} text
+ * @returns {string|null}
+ */
+export function findPlaceholder(text) {
+  return typeof text === 'string' ? text.match(PLACEHOLDER_PATTERN)?.[0] || null : null;
+}
+
+// Model preambles, refusals and meta commentary instead of the message itself
+const NON_ANSWER_PATTERNS = [
+  /^\s*(here('s| is| are)|below is)\b/i,
+  /^\s*(sure|certainly|of course|absolutely|okay|ok)\s*[,!.:]/i,
+  /^\s*(subject|message|outreach message|dm)\s*:/im,
+  /\bas an ai\b/i,
+  /\b(i can('|no)?t|i am unable to|i'm unable to|i won't) (help|assist|write|create|do that)/i,
+  /\bthis message (is|was|has been)\b/i,
+  /\b(feel free to|let me know if you('d| would) like)\b.*\b(adjust|tweak|modify|change)/i
+];
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+
+/**
+ * @typedef {Object} GuardrailViolation
+ * @property {string} rule - empty, placeholder, too-long, banned-phrase, non-answer, emoji or missing-disclosure
+ * @property {string} message - Human-readable reason
+ */
+
+class MessageGuardrails {
+  constructor() {
+    this.bannedPhrases = [...DEFAULT_BANNED_PHRASES];
+    this.maxLength = {};
+    this.allowEmojis = false;
+  }
+
+  /**
+   * Apply settings.guardrails from config.json
+   */
+  configure(settings = {}) {
+    const rules = settings.guardrails || {};
+    this.bannedPhrases = [
+      ...(rules.useDefaultBannedPhrases === false ? [] : DEFAULT_BANNED_PHRASES),
+      ...(Array.isArray(rules.bannedPhrases) ? rules.bannedPhrases : [])
+    ];
+    this.maxLength = rules.maxLength && typeof rules.maxLength === 'object' ? rules.maxLength : {};
+    this.allowEmojis = rules.allowEmojis === true;
+  }
+
+  /**
+   * Longest message allowed on a platform
+   */
+  maxLengthFor(platform) {
+    if (Number.isFinite(this.maxLength[platform])) {
+      return this.maxLength[platform];
+    }
+    if (platform && platformRegistry.has(platform)) {
+      return platformRegistry.get(platform).maxMessageLength || DEFAULT_MAX_LENGTH;
+    }
+    return DEFAULT_MAX_LENGTH;
+  }
+
+  /**
+   * Run every rule against a message
+   * @param {string} message - Final message text
+   * @param {Object} [context]
+   * @param {string} [context.platform] - Platform the message goes to
+   * @param {string|null} [context.disclosure] - Automation disclosure the message must end with.
+   *   Every automated message needs one, so a message without it is a violation.
+   * @returns {{ok: boolean, violations: GuardrailViolation[]}}
+   */
+  validate(message, { platform = null, disclosure = null } = {}) {
+    const text = typeof message === 'string' ? message.trim() : '';
+    const violations = [];
+
+    if (!text) {
+      return { ok: false, violations: [{ rule: 'empty', message: 'Message is empty' }] };
+    }
+
+    const placeholder = findPlaceholder(text);
+    if (placeholder) {
+      violations.push({ rule: 'placeholder', message: `Unfilled placeholder ${placeholder}` });
+    }
+
+    const maxLength = this.maxLengthFor(platform);
+    if (text.length > maxLength) {
+      violations.push({ rule: 'too-long', message: `${text.length} characters exceeds the ${platform || 'default'} limit of ${maxLength}` });
+    }
+
+    const lower = text.toLowerCase();
+    for (const phrase of this.bannedPhrases) {
+      if (phrase && lower.includes(phrase.toLowerCase())) {
+        violations.push({ rule: 'banned-phrase', message: `Contains banned phrase "${phrase}"` });
+      }
+    }
+
+    if (NON_ANSWER_PATTERNS.some(pattern => pattern.test(text))) {
+      violations.push({ rule: 'non-answer', message: 'Looks like model commentary rather than a message' });
+    }
+
+    if (!this.allowEmojis && EMOJI_PATTERN.test(text)) {
+      violations.push({ rule: 'emoji', message: 'Contains emojis' });
+    }
+
+    if (!disclosure || !disclosure.trim()) {
+      violations.push({ rule: 'missing-disclosure', message: 'No automation disclosure is configured for this platform' });
+    } else if (!text.endsWith(disclosure.trim())) {
+      violations.push({ rule: 'missing-disclosure', message: `Does not end with the automation disclosure "${disclosure.trim()}"` });
+    }
+
+    return { ok: violations.length === 0, violations };
+  }
+}
+
+/**
+ * One-line summary of violations for logs and the review queue
+ * @param {GuardrailViolation[]} violations
+ */
+export function formatViolations(violations = []) {
+  return violations.map(violation => violation.message).join('; ');
+}
+
+// Export singleton instance
+export const messageGuardrails = new MessageGuardrails();
@@ -0,0 +1,239 @@
+import { listCampaigns } from './campaigns.mjs';
+
+/**
+ * Message templates with named variables.
+ *
+ * Variables are written {{name}} or {{name|default}}. The older [name] form is
+ * still understood so existing configs keep working. Values come from the
+ * candidate a message is for. Configured by settings.templates in config.json.
+ */
+
+// Variables a template may use, and where each value comes from
+export const TEMPLATE_VARIABLES = {
+  topic: 'Search term the candidate was found with',
+  searchTerm: 'Same as topic',
+  postTitle: 'Title of the post the candidate was found through',
+  subreddit: 'Subreddit of that post',
+  displayName: 'Display name, when the platform provides one',
+  username: 'Handle or profile URL the message is sent to',
+  platform: 'Platform name'
+};
+
+// {{name}}, {{ name | default }} and the legacy [name]
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w]*)\s*(?:\|([^}]*))?\}\}|\[([A-Za-z_][\w]*)\]/g;
+
+/**
+ * Template variables for a candidate. Missing values are left out.
+ * @param {Candidate} candidate
+ * @returns {Object<string, string>}
+ */
+export function candidateVariables(candidate) {
+  const source = candidate.source || {};
+  const values = {
+    topic: source.searchTerm,
+    searchTerm: source.searchTerm,
+    postTitle: source.title,
+    subreddit: source.subreddit,
+    displayName: candidate.displayName,
+    username: candidate.id,
+    platform: candidate.platform
+  };
+
+  return Object.fromEntries(
+    Object.entries(values).filter(([, value]) => typeof value === 'string' && value.trim())
+  );
+}
+
+/**
+ * List the variables a template uses
+ * @param {string} template
+ * @returns {Array<{name: string, fallback: string|null, token: string}>}
+ */
+export function parseTemplate(template = '') {
+  return [...template.matchAll(VARIABLE_PATTERN)].map(match => ({
+    name: match[1] || match[3],
+    fallback: match[2] !== undefined ? match[2].trim() : null,
+    token: match[0]
+  }));
+}
+
+/**
+ * Append the automation disclosure to a message, unless it already ends with it
+ * @param {string} message
+ * @param {string|null} disclosure - See MessageTemplates.disclosureFor
+ * @returns {string}
+ */
+export function withDisclosure(message, disclosure) {
+  if (!disclosure || message.trimEnd().endsWith(disclosure)) {
+    return message;
+  }
+  return `${message.trimEnd()}\n\n${disclosure}`;
+}
+
+class MessageTemplates {
+  constructor() {
+    this.language = 'en';
+    this.strict = true;
+    this.defaults = {};
+  }
+
+  /**
+   * Apply settings.templates from config.json
+   */
+  configure(settings = {}) {
+    const options = settings.templates || {};
+    this.language = typeof options.language === 'string' ? options.language : 'en';
+    this.strict = options.strict !== false;
+    this.defaults = options.defaults && typeof options.defaults === 'object' ? options.defaults : {};
+  }
+
+  /**
+   * Pick the template for a language: platforms.<name>.messages.<language>,
+   * then the base language (pt for pt-BR), then platforms.<name>.message
+   * @param {Object} platformConfig - Platform settings from config.json
+   * @param {string} [language] - Defaults to settings.templates.language
+   * @returns {string}
+   */
+  select(platformConfig = {}, language = this.language) {
+    const variants = platformConfig.messages || {};
+    const base = language?.split('-')[0];
+    return variants[language] || variants[base] || platformConfig.message || '';
+  }
+
+  /**
+   * Fill in a template
+   * @param {string} template
+   * @param {Object<string, string>} variables - Values by variable name
+   * @returns {{text: string, unresolved: string[]}} In strict mode unresolved variables are
+   *   left in the text; otherwise they are dropped
+   */
+  render(template = '', variables = {}) {
+    const unresolved = [];
+
+    let text = template.replace(VARIABLE_PATTERN, (token, name, fallback, legacyName) => {
+      const key = name || legacyName;
+      const value = variables[key] ?? (fallback !== undefined && fallback.trim() ? fallback.trim() : this.defaults[key]);
+
+      if (typeof value === 'string' && value.trim()) {
+        return value.trim();
+      }
+
+      unresolved.push(key);
+      return this.strict ? token : '';
+    });
+
+    if (!this.strict && unresolved.length > 0) {
+      text = text.replace(/[ \t]{2,}/g, ' ').replace(/ ([,.!?])/g, '$1');
+    }
+
+    return { text: text.trim(), unresolved: [...new Set(unresolved)] };
+  }
+
+  /**
+   * Render the platform template for a candidate
+   * @param {Object} platformConfig - Platform settings from config.json
+   * @param {Candidate} candidate
+   * @returns {{text: string, unresolved: string[]}}
+   */
+  renderFor(platformConfig, candidate) {
+    return this.render(this.select(platformConfig), candidateVariables(candidate));
+  }
+
+  /**
+   * The automation disclosure for a platform (or campaign template), e.g.
+   * "Sent by Acme via automation - reply STOP to opt out". Plain text, no variables.
+   * @param {Object} platformConfig - Platform settings, merged with the campaign's templates
+   * @returns {string|null} null when none is configured
+   */
+  disclosureFor(platformConfig = {}) {
+    const disclosure = typeof platformConfig.disclosure === 'string' ? platformConfig.disclosure.trim() : '';
+    return disclosure || null;
+  }
+
+  /**
+   * Where `nbot run` would skip a platform for lack of an automation disclosure:
+   * each enabled platform, and each enabled platform a campaign runs on
+   * @param {Object} botConfig - Full config.json contents
+   * @returns {{platform: string, campaign: string|null}[]}
+   */
+  missingDisclosures(botConfig) {
+    const platforms = botConfig.platforms || {};
+    const enabled = Object.keys(platforms).filter(name => platforms[name]?.enabled === true);
+    const missing = enabled
+      .filter(name => !this.disclosureFor(platforms[name]))
+      .map(platform => ({ platform, campaign: null }));
+
+    const campaigns = listCampaigns({
+      campaigns: Object.fromEntries(Object.entries(botConfig.campaigns || {}).filter(([, definition]) => definition && typeof definition === 'object'))
+    });
+    for (const campaign of campaigns) {
+      for (const platform of enabled.filter(name => campaign.includesPlatform(name))) {
+        if (!this.disclosureFor(campaign.platformConfig(platform, platforms[platform]))) {
+          missing.push({ platform, campaign: campaign.name });
+        }
+      }
+    }
+
+    return missing;
+  }
+
+  /**
+   * Check a template for unknown variables and stray braces
+   * @param {string} template
+   * @returns {string[]} Problems; empty when the template is valid
+   */
+  validate(template) {
+    if (typeof template !== 'string' || !template.trim()) {
+      return ['Template is empty'];
+    }
+
+    const errors = [];
+    for (const { name, token } of parseTemplate(template)) {
+      if (!(name in TEMPLATE_VARIABLES)) {
+        errors.push(`Unknown variable ${token}. Available: ${Object.keys(TEMPLATE_VARIABLES).join(', ')}`);
+      }
+    }
+
+    const leftover = template.replace(VARIABLE_PATTERN, '');
+    if (leftover.includes('{{') || leftover.includes('}}')) {
+      errors.push('Unbalanced {{ }} in template');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate every platform and campaign template, including language variants
+   * @param {Object} botConfig - Full config.json contents
+   * @returns {string[]} Problems prefixed with the platform or campaign (and language)
+   */
+  validateConfig(botConfig) {
+    const errors = [];
+
+    const check = (label, settings = {}) => {
+      if (settings.message !== undefined) {
+        errors.push(...this.validate(settings.message).map(error => `${label}: ${error}`));
+      }
+      for (const [language, variant] of Object.entries(settings.messages || {})) {
+        errors.push(...this.validate(variant).map(error => `${label} (${language}): ${error}`));
+      }
+      if (typeof settings.disclosure === 'string' && /[{}]/.test(settings.disclosure)) {
+        errors.push(`${label}: disclosure is plain text, variables in it are not filled in`);
+      }
+    };
+
+    for (const [platform, settings] of Object.entries(botConfig.platforms || {})) {
+      check(platform, settings);
+    }
+    for (const [name, campaign] of Object.entries(botConfig.campaigns || {})) {
+      for (const [platform, settings] of Object.entries(campaign.templates || {})) {
+        check(`campaign ${name}/${platform}`, settings);
+      }
+    }
+
+    return errors;
+  }
+}
+
+// Export singleton instance
+export const messageTemplates = new MessageTemplates();
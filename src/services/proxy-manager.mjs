@@ -1,10 +1,12 @@
-import { logger } from '../utils/logger.mjs';
+import { createLogger } from '../utils/logger.mjs';
 import fs from 'fs/promises';
 import path from 'path';
 import https from 'https';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 
+const logger = createLogger('proxy-manager');
+
 dotenv.config({ path: path.join(path.dirname(fileURLToPath(import.meta.url)), '../../.env') });
 
 class ProxyManager {
@@ -0,0 +1,242 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import timezonePlugin from 'dayjs/plugin/timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezonePlugin);
+
+/**
+ * When messages may be sent: outside quiet hours, on allowed weekdays and not
+ * on blackout dates, in a named IANA timezone.
+ *
+ * settings.quietHours holds the rules and settings.respectWorkingHours turns them
+ * on. A campaign with its own `quietHours` always uses them, on top of the global
+ * rules. When a recipient's timezone is known, their local time must be outside
+ * quiet hours too. Closed windows postpone sends; nothing is dropped.
+ */
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export const DEFAULT_QUIET_HOURS = {
+  timezone: null,
+  start: '22:00',
+  end: '08:00',
+  days: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'],
+  blackoutDates: [],
+  recipientTimezone: true
+};
+
+// Locations people put in their profiles, and the timezone they most likely mean
+const LOCATION_TIMEZONES = [
+  [/\b(new york|nyc|brooklyn|boston|philadelphia|washington,? dc|atlanta|miami|florida)\b/i, 'America/New_York'],
+  [/\b(toronto|montreal|ottawa)\b/i, 'America/Toronto'],
+  [/\b(chicago|texas|austin|dallas|houston|minneapolis)\b/i, 'America/Chicago'],
+  [/\b(denver|colorado|salt lake city)\b/i, 'America/Denver'],
+  [/\b(los angeles|san francisco|bay area|silicon valley|seattle|portland|california)\b/i, 'America/Los_Angeles'],
+  [/\b(vancouver)\b/i, 'America/Vancouver'],
+  [/\b(mexico city)\b/i, 'America/Mexico_City'],
+  [/\b(s[aã]o paulo|rio de janeiro|brazil|brasil)\b/i, 'America/Sao_Paulo'],
+  [/\b(london|uk|united kingdom|england|scotland|wales)\b/i, 'Europe/London'],
+  [/\b(dublin|ireland)\b/i, 'Europe/Dublin'],
+  [/\b(paris|france)\b/i, 'Europe/Paris'],
+  [/\b(berlin|munich|hamburg|germany|deutschland)\b/i, 'Europe/Berlin'],
+  [/\b(amsterdam|netherlands)\b/i, 'Europe/Amsterdam'],
+  [/\b(madrid|barcelona|spain)\b/i, 'Europe/Madrid'],
+  [/\b(rome|milan|italy)\b/i, 'Europe/Rome'],
+  [/\b(stockholm|sweden)\b/i, 'Europe/Stockholm'],
+  [/\b(warsaw|poland)\b/i, 'Europe/Warsaw'],
+  [/\b(india|bangalore|bengaluru|mumbai|delhi|hyderabad|pune)\b/i, 'Asia/Kolkata'],
+  [/\b(singapore)\b/i, 'Asia/Singapore'],
+  [/\b(tokyo|japan)\b/i, 'Asia/Tokyo'],
+  [/\b(sydney|melbourne)\b/i, 'Australia/Sydney'],
+  [/\b(auckland|new zealand)\b/i, 'Pacific/Auckland']
+];
+
+/**
+ * Whether a timezone name is known to the runtime, e.g. Europe/Berlin
+ */
+export function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Best guess at a candidate's timezone: an explicit timezone from the platform,
+ * a UTC offset or a well-known place in their profile location
+ * @param {import('../platforms/adapter.mjs').Candidate} candidate
+ * @returns {string|null} IANA timezone name
+ */
+export function inferTimezone(candidate) {
+  if (isValidTimezone(candidate?.timezone)) {
+    return candidate.timezone;
+  }
+
+  const location = candidate?.location?.trim();
+  if (!location) return null;
+  if (isValidTimezone(location)) return location;
+
+  // Etc/GMT names have the sign reversed: UTC+2 is Etc/GMT-2
+  const offset = location.match(/\b(?:UTC|GMT)\s*([+-])\s*(\d{1,2})\b/i);
+  if (offset && Number(offset[2]) <= 14) {
+    const zone = `Etc/GMT${offset[1] === '+' ? '-' : '+'}${Number(offset[2])}`;
+    if (isValidTimezone(zone)) return zone;
+  }
+
+  const match = LOCATION_TIMEZONES.find(([pattern]) => pattern.test(location));
+  return match ? match[1] : null;
+}
+
+function minutesOf(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function nextDate(date) {
+  return dayjs(date).add(1, 'day').format('YYYY-MM-DD');
+}
+
+/**
+ * Rules for when messages may go out
+ */
+export class SendWindow {
+  /**
+   * @param {Object} [rules] - settings.quietHours, optionally merged with a campaign's quietHours
+   * @param {string|null} [rules.timezone] - IANA timezone; the host's when null
+   * @param {string} [rules.start] - Quiet hours start, HH:mm
+   * @param {string} [rules.end] - Quiet hours end, HH:mm; may be earlier than start (overnight)
+   * @param {string[]} [rules.days] - Weekdays messages may go out (sun, mon, ...)
+   * @param {string[]} [rules.blackoutDates] - YYYY-MM-DD, or MM-DD for every year
+   * @param {boolean} [rules.recipientTimezone] - Also respect the recipient's local time when known
+   */
+  constructor(rules = {}) {
+    const merged = { ...DEFAULT_QUIET_HOURS, ...rules };
+    this.timezone = merged.timezone || dayjs.tz.guess();
+    this.start = merged.start;
+    this.end = merged.end;
+    this.days = merged.days;
+    this.blackoutDates = merged.blackoutDates;
+    this.recipientTimezone = merged.recipientTimezone !== false;
+  }
+
+  /**
+   * One line for `nbot status` and `nbot config --show`
+   */
+  describe() {
+    const days = this.days.length === WEEKDAYS.length ? '' : `, ${this.days.join('/')} only`;
+    const blackouts = this.blackoutDates.length > 0 ? `, ${this.blackoutDates.length} blackout date(s)` : '';
+    return `quiet ${this.start}-${this.end} ${this.timezone}${days}${blackouts}`;
+  }
+
+  isQuiet(local) {
+    const start = minutesOf(this.start);
+    const end = minutesOf(this.end);
+    if (start === end) return false;
+
+    const minute = local.hour() * 60 + local.minute();
+    return start < end
+      ? minute >= start && minute < end
+      : minute >= start || minute < end;
+  }
+
+  /**
+   * Why a whole local day is closed, null when messages may go out on it
+   */
+  closedDay(local) {
+    const date = local.format('YYYY-MM-DD');
+    if (this.blackoutDates.some(blackout => blackout === date || blackout === date.substring(5))) {
+      return `${date} is a blackout date`;
+    }
+    if (!this.days.includes(WEEKDAYS[local.day()])) {
+      return `no messages on ${local.format('dddd')}`;
+    }
+    return null;
+  }
+
+  /**
+   * Whether messages may go out at a point in time
+   * @param {Date} [time]
+   * @param {string|null} [timezone] - Local time to check, e.g. the recipient's; the window's own by default
+   * @returns {{open: boolean, reason: string|null, until: Date|null}} until is when the window opens again
+   */
+  check(time = new Date(), timezone = null) {
+    const zone = timezone || this.timezone;
+    const local = dayjs(time).tz(zone);
+    const reason = this.closedDay(local) || (this.isQuiet(local) ? `quiet hours ${this.start}-${this.end}` : null);
+
+    if (!reason) {
+      return { open: true, reason: null, until: null };
+    }
+    return { open: false, reason: `${reason} (${local.format('ddd HH:mm')} ${zone})`, until: this.nextOpen(time, zone) };
+  }
+
+  /**
+   * First time at or after `time` that messages may go out
+   * @param {Date} [time]
+   * @param {string|null} [timezone]
+   * @returns {Date}
+   * @throws {Error} When days and blackout dates leave no day open
+   */
+  nextOpen(time = new Date(), timezone = null) {
+    const zone = timezone || this.timezone;
+    let local = dayjs(time).tz(zone);
+
+    // Two years of closed days means the rules never open
+    for (let step = 0; step < 800; step++) {
+      const date = local.format('YYYY-MM-DD');
+      if (this.closedDay(local)) {
+        local = dayjs.tz(`${nextDate(date)} 00:00`, zone);
+        continue;
+      }
+      if (this.isQuiet(local)) {
+        let opening = dayjs.tz(`${date} ${this.end}`, zone);
+        if (!opening.isAfter(local)) {
+          opening = dayjs.tz(`${nextDate(date)} ${this.end}`, zone);
+        }
+        local = opening;
+        continue;
+      }
+      return local.toDate();
+    }
+
+    throw new Error('Quiet hours never end: check quietHours.days and blackoutDates');
+  }
+}
+
+/**
+ * Quiet hours from config.json: settings.quietHours, switched on by
+ * settings.respectWorkingHours, and campaigns.<name>.quietHours
+ */
+class QuietHours {
+  constructor() {
+    this.enabled = false;
+    this.rules = { ...DEFAULT_QUIET_HOURS };
+  }
+
+  /**
+   * Apply settings.respectWorkingHours and settings.quietHours from config.json
+   */
+  configure(settings = {}) {
+    this.enabled = settings.respectWorkingHours === true;
+    this.rules = { ...DEFAULT_QUIET_HOURS, ...settings.quietHours };
+  }
+
+  /**
+   * Send window for a run
+   * @param {import('./campaigns.mjs').Campaign|null} [campaign]
+   * @returns {SendWindow|null} null when quiet hours are off
+   */
+  windowFor(campaign = null) {
+    if (!this.enabled && !campaign?.quietHours) {
+      return null;
+    }
+    return new SendWindow({ ...this.rules, ...campaign?.quietHours });
+  }
+}
+
+// Export singleton instance
+export const quietHours = new QuietHours();
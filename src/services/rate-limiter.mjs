@@ -1,4 +1,9 @@
-import { logger } from '../utils/logger.mjs';
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from '../utils/logger.mjs';
+import { config } from '../utils/config.mjs';
+
+const logger = createLogger('rate-limiter');
 
 class RateLimiter {
   constructor() {
@@ -7,9 +12,22 @@ class RateLimiter {
       tiktok_search: 20,
       tiktok_message: 15,
       x_search: 25,
-      x_message: 20
+      x_message: 20,
+      youtube_search: 25,
+      youtube_message: 15,
+      facebook_search: 20,
+      facebook_message: 15,
+      reddit_search: 30,
+      reddit_message: 20,
+      linkedin_search: 20,
+      linkedin_message: 15,
+      quora_search: 20,
+      quora_message: 15
     };
     
+    // Counters survive restarts so a crash loop can't reset the daily limits
+    this.statePath = path.join(config.configDir, 'rate-limits.json');
+    
     // More human-like delays with wider variance
     this.minActionDelay = 45000; // 45 seconds minimum
     this.maxActionDelay = 180000; // 3 minutes maximum
@@ -31,12 +49,70 @@ class RateLimiter {
   }
 
   async initialize() {
-    // Reset counters on initialization
+    await this.loadState();
+    // Reset counters if the persisted state is from a previous day
     await this.resetCounters();
     logger.info('Rate limiter initialized');
     return true;
   }
 
+  /**
+   * Restore counters persisted by a previous process
+   */
+  async loadState() {
+    try {
+      const state = JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+      Object.assign(this.actionCounts, state.actionCounts || {});
+      Object.assign(this.lastActionTime, state.lastActionTime || {});
+      this.lastResetDate = state.lastResetDate || this.lastResetDate;
+      this.consecutiveFailures = state.consecutiveFailures || 0;
+      this.backoffMultiplier = state.backoffMultiplier || 1;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not load rate limiter state: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Persist counters so limits hold across process restarts
+   */
+  async saveState() {
+    try {
+      config.ensureConfigDir();
+      const tmpPath = `${this.statePath}.${process.pid}.tmp`;
+      await fs.writeFile(tmpPath, JSON.stringify({
+        actionCounts: this.actionCounts,
+        lastActionTime: this.lastActionTime,
+        lastResetDate: this.lastResetDate,
+        consecutiveFailures: this.consecutiveFailures,
+        backoffMultiplier: this.backoffMultiplier
+      }, null, 2));
+      await fs.rename(tmpPath, this.statePath);
+    } catch (error) {
+      logger.warn(`Could not save rate limiter state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Today's counters against the daily limits, as persisted by the last run.
+   * Read-only: counters from a previous day show as 0 without being reset on disk.
+   * @returns {Promise<{actions: Object<string, {used: number, limit: number}>, consecutiveFailures: number, backoffMultiplier: number}>}
+   */
+  async getState() {
+    await this.loadState();
+    const current = this.lastResetDate === new Date().toDateString();
+
+    return {
+      actions: Object.fromEntries(Object.entries(this.limits).map(([action, limit]) => [
+        action,
+        { used: current ? this.actionCounts[action] || 0 : 0, limit }
+      ])),
+      consecutiveFailures: current ? this.consecutiveFailures : 0,
+      backoffMultiplier: current ? this.backoffMultiplier : 1
+    };
+  }
+
   async resetCounters() {
     const currentDate = new Date().toDateString();
     
@@ -51,7 +127,21 @@ class RateLimiter {
       // Reset backoff on daily reset
       this.consecutiveFailures = 0;
       this.backoffMultiplier = 1;
+      await this.saveState();
+    }
+  }
+
+  /**
+   * Check the limit, wait a human-like delay and count the action in one step
+   * @param {string} actionType - Action key such as linkedin_search
+   * @throws {Error} When the daily limit for the action is reached
+   */
+  async wait(actionType) {
+    if (!(await this.checkActionLimit(actionType))) {
+      throw new Error(`Daily limit reached for ${actionType}`);
     }
+    await this.waitForNextAction();
+    await this.incrementActionCount(actionType);
   }
 
   getRandomDelay() {
@@ -123,6 +213,7 @@ class RateLimiter {
     
     this.actionCounts[actionType]++;
     this.lastActionTime[actionType] = Date.now();
+    await this.saveState();
     
     logger.info(`${actionType} count: ${this.actionCounts[actionType]}/${this.limits[actionType]} daily`);
   }
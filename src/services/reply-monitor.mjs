@@ -0,0 +1,221 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from '../utils/logger.mjs';
+import { config } from '../utils/config.mjs';
+import { withFileLock } from '../utils/file-lock.mjs';
+import { makeAICall } from './llm.mjs';
+import { suppressionList } from './suppression-list.mjs';
+import { contactLedger } from './contact-ledger.mjs';
+import { CAPABILITIES } from '../platforms/adapter.mjs';
+
+const logger = createLogger('reply-monitor');
+
+export const REPLY_CLASSES = ['opt-out', 'positive', 'neutral'];
+
+const OPT_OUT_PATTERNS = [
+  /\bstop\b/i,
+  /\bunsubscribe\b/i,
+  /\bnot interested\b/i,
+  /\bno,? thanks?\b/i,
+  /\b(don'?t|do not|never) (contact|message|dm|email|write to) me\b/i,
+  /\bremove me\b/i,
+  /\bleave me alone\b/i,
+  /\bgo away\b/i,
+  /\bspam(mer|ming)?\b/i,
+  /\breport(ed|ing)? (you|this)\b/i,
+  /\bblock(ed|ing)? you\b/i
+];
+
+const POSITIVE_PATTERNS = [
+  /\binterested\b/i,
+  /\btell me more\b/i,
+  /\bsounds (good|great|interesting)\b/i,
+  /\b(would|i'?d) love to\b/i,
+  /\blet'?s (chat|talk|connect|do it)\b/i,
+  /(?<!not )\bsure\b/i,
+  /\byes\b/i,
+  /\bcount me in\b/i,
+  /\bsign me up\b/i,
+  /\bhow (do|can) i (join|sign up|get started)\b/i
+];
+
+/**
+ * Classify a reply using keyword rules only
+ * @param {string} text - Reply text
+ * @returns {string} opt-out, positive or neutral
+ */
+export function classifyReplyByKeywords(text = '') {
+  if (OPT_OUT_PATTERNS.some(pattern => pattern.test(text))) {
+    return 'opt-out';
+  }
+  if (POSITIVE_PATTERNS.some(pattern => pattern.test(text))) {
+    return 'positive';
+  }
+  return 'neutral';
+}
+
+/**
+ * Classify a reply as opt-out, positive or neutral.
+ * Explicit opt-out keywords always win; otherwise the LLM decides and the
+ * keyword result is used when the LLM is unavailable or answers off-script.
+ * @param {string} text - Reply text
+ * @returns {Promise<{classification: string, method: string}>}
+ */
+export async function classifyReply(text = '') {
+  const keywordClass = classifyReplyByKeywords(text);
+  if (keywordClass === 'opt-out') {
+    return { classification: 'opt-out', method: 'keywords' };
+  }
+
+  try {
+    const system_prompt = 'You classify replies to cold outreach messages. Answer with exactly one word: opt-out, positive or neutral.';
+    const prompt = `Classify this reply. Use "opt-out" if the person does not want further contact, "positive" if they want to continue the conversation, otherwise "neutral".\n\nReply:\n"""${text}"""`;
+
+    const response = await makeAICall(prompt, system_prompt);
+
+    if (typeof response === 'string') {
+      const answer = response.trim().toLowerCase();
+      const match = REPLY_CLASSES.find(cls => answer.startsWith(cls) || answer === cls.replace('-', ''));
+      if (match) {
+        return { classification: match, method: 'llm' };
+      }
+    }
+  } catch (error) {
+    logger.warn(`⚠️ Reply classification via LLM failed: ${error.message}`);
+  }
+
+  return { classification: keywordClass, method: 'keywords' };
+}
+
+/**
+ * Polls platform inboxes, classifies replies and records opt-outs.
+ * Replies are stored in ~/.config/networking-bots/replies.json, which is
+ * always read from disk and changed under replies.json.lock.
+ */
+class ReplyMonitor {
+  constructor() {
+    this.filePath = path.join(config.configDir, 'replies.json');
+    this.lockPath = `${this.filePath}.lock`;
+  }
+
+  /**
+   * Read all recorded replies
+   * @returns {Promise<Object[]>}
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      return Array.isArray(data.replies) ? data.replies : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error loading replies: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  async write(replies) {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify({ replies }, null, 2));
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Load, modify and save the replies while holding the lock
+   * @param {Function} mutate - Receives the replies; may modify them in place or return a replacement
+   * @returns {Promise<Object[]>} The saved replies
+   */
+  async update(mutate) {
+    config.ensureConfigDir();
+    return withFileLock(this.lockPath, async () => {
+      const replies = await this.load();
+      const result = (await mutate(replies)) || replies;
+      await this.write(result);
+      return result;
+    });
+  }
+
+  /**
+   * Fetch new replies for a platform and process them. Replies are acknowledged
+   * to the platform only once they are saved; if processing stops partway, the
+   * rest stay unread and are fetched again on the next poll.
+   * @param {string} platformName - Platform name
+   * @param {PlatformAdapter} platform - Platform adapter; replies are only read if it supports them
+   * @returns {Promise<Object[]>} Newly recorded replies
+   */
+  async poll(platformName, platform) {
+    if (!platform.supports(CAPABILITIES.READ_REPLIES)) {
+      return [];
+    }
+
+    const incoming = await platform.fetchReplies();
+    const known = new Set((await this.load()).map(reply => `${reply.platform}:${reply.id}`));
+    const recorded = [];
+    // Replies stored by an earlier poll are acknowledged again, in case that acknowledgement failed
+    const saved = incoming.filter(message => known.has(`${platformName}:${message.id}`));
+    let failure = null;
+
+    try {
+      for (const message of incoming) {
+        if (known.has(`${platformName}:${message.id}`)) continue;
+
+        const { classification, method } = await classifyReply(message.text);
+        const reply = {
+          id: message.id,
+          platform: platformName,
+          from: message.from,
+          subject: message.subject || '',
+          text: message.text,
+          receivedAt: message.receivedAt || new Date().toISOString(),
+          classification,
+          classifiedBy: method
+        };
+
+        await contactLedger.updateReplyState(platformName, message.from, classification);
+
+        if (classification === 'opt-out') {
+          await suppressionList.add(message.from, {
+            reason: 'Opted out by reply',
+            source: 'reply'
+          });
+          logger.log(`🚫 {from} opted out on ${platformName}, added to suppression list`, { from: message.from });
+        } else if (classification === 'positive') {
+          logger.log(`🎉 Positive reply from {from} on ${platformName}`, { from: message.from });
+        }
+
+        recorded.push(reply);
+        saved.push(message);
+      }
+    } catch (error) {
+      failure = error;
+    }
+
+    if (recorded.length > 0) {
+      await this.update(replies => {
+        const stored = new Set(replies.map(reply => `${reply.platform}:${reply.id}`));
+        replies.push(...recorded.filter(reply => !stored.has(`${reply.platform}:${reply.id}`)));
+      });
+    }
+    await platform.acknowledgeReplies(saved.map(message => message.id));
+
+    if (failure) {
+      throw failure;
+    }
+
+    logger.log(`📬 ${recorded.length} new repl${recorded.length === 1 ? 'y' : 'ies'} on ${platformName}`);
+    return recorded;
+  }
+
+  /**
+   * Get recorded replies, optionally filtered by platform and classification
+   */
+  async getReplies({ platform = null, classification = null } = {}) {
+    return (await this.load()).filter(reply =>
+      (!platform || reply.platform === platform) &&
+      (!classification || reply.classification === classification)
+    );
+  }
+}
+
+// Export singleton instance
+export const replyMonitor = new ReplyMonitor();
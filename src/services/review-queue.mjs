@@ -0,0 +1,180 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { createLogger } from '../utils/logger.mjs';
+import { config } from '../utils/config.mjs';
+import { withFileLock } from '../utils/file-lock.mjs';
+import { currentOperator } from './audit-log.mjs';
+
+const logger = createLogger('review-queue');
+
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'sent', 'failed'];
+
+/**
+ * Queue of proposed messages that a human must approve before delivery.
+ * Stored in ~/.config/networking-bots/review-queue.json
+ *
+ * The reviewer (`nbot review`) and the sender (`nbot run` or the daemon) are
+ * separate processes, so every call reads the file and every change is made
+ * under review-queue.json.lock.
+ */
+class ReviewQueue {
+  constructor() {
+    this.filePath = path.join(config.configDir, 'review-queue.json');
+    this.lockPath = `${this.filePath}.lock`;
+  }
+
+  /**
+   * Read all items. Always reads from disk so changes made by other processes are seen.
+   * @returns {Promise<Object[]>}
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      return Array.isArray(data.items) ? data.items : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error loading review queue: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  async write(items) {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify({ items }, null, 2));
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Load, modify and save the items while holding the lock
+   * @param {Function} mutate - Receives the items; may modify them in place or return a replacement
+   * @returns {Promise<Object[]>} The saved items
+   */
+  async updateItems(mutate) {
+    config.ensureConfigDir();
+    return withFileLock(this.lockPath, async () => {
+      const items = await this.load();
+      const result = (await mutate(items)) || items;
+      await this.write(result);
+      return result;
+    });
+  }
+
+  /**
+   * Propose a message for review
+   * @param {Object} proposal
+   * @param {string} proposal.platform - Platform name
+   * @param {string} proposal.recipient - Recipient handle or profile URL
+   * @param {string} proposal.message - Rendered message text
+   * @param {Object|null} [proposal.sourcePost] - Post or content the recipient was found through
+   * @param {Object[]} [proposal.violations] - Guardrail violations that sent the message to review
+   * @param {string|null} [proposal.campaign] - Campaign the message was drafted for
+   * @param {string|null} [proposal.timezone] - Recipient timezone, so delivery respects their quiet hours
+   * @param {string|null} [proposal.disclosure] - Automation disclosure the message ends with
+   * @returns {Promise<Object>} The queued item
+   */
+  async enqueue({ platform, recipient, message, sourcePost = null, violations = [], campaign = null, timezone = null, disclosure = null }) {
+    const item = {
+      id: crypto.randomUUID(),
+      platform,
+      recipient,
+      message,
+      originalMessage: message,
+      sourcePost,
+      violations,
+      campaign,
+      timezone,
+      disclosure,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      reviewedAt: null,
+      sentAt: null,
+      error: null
+    };
+
+    await this.updateItems(items => {
+      items.push(item);
+    });
+    return item;
+  }
+
+  /**
+   * Whether a recipient already has an open (pending or approved) item
+   */
+  async hasOpenItem(platform, recipient) {
+    return (await this.load()).some(item =>
+      item.platform === platform &&
+      item.recipient === recipient &&
+      (item.status === 'pending' || item.status === 'approved')
+    );
+  }
+
+  /**
+   * List queued items, optionally filtered by status and platform
+   */
+  async list({ status = null, platform = null } = {}) {
+    return (await this.load()).filter(item =>
+      (!status || item.status === status) &&
+      (!platform || item.platform === platform)
+    );
+  }
+
+  async update(id, changes) {
+    let item = null;
+    await this.updateItems(items => {
+      item = items.find(entry => entry.id === id);
+      if (!item) {
+        throw new Error(`Review item not found: ${id}`);
+      }
+      Object.assign(item, changes);
+    });
+    return item;
+  }
+
+  /**
+   * Approve an item, optionally replacing its message with an edited version.
+   * The reviewer is recorded, and appears in the audit log when the message is sent.
+   */
+  async approve(id, editedMessage = null) {
+    const changes = { status: 'approved', reviewedAt: new Date().toISOString(), reviewedBy: currentOperator() };
+    if (editedMessage) {
+      changes.message = editedMessage;
+    }
+    return this.update(id, changes);
+  }
+
+  /**
+   * Queue a message that needs no review but may not go out before a given time,
+   * e.g. because it is night where the recipient lives
+   * @param {Object} proposal - As for enqueue
+   * @param {Date} sendAfter - Earliest delivery time
+   * @returns {Promise<Object>} The queued item
+   */
+  async postpone(proposal, sendAfter) {
+    const item = await this.enqueue(proposal);
+    return this.update(item.id, { status: 'approved', sendAfter: sendAfter.toISOString() });
+  }
+
+  /**
+   * Hold an approved item back until a given time
+   */
+  async deferUntil(id, sendAfter) {
+    return this.update(id, { sendAfter: sendAfter.toISOString() });
+  }
+
+  async reject(id) {
+    return this.update(id, { status: 'rejected', reviewedAt: new Date().toISOString(), reviewedBy: currentOperator() });
+  }
+
+  async markSent(id) {
+    return this.update(id, { status: 'sent', sentAt: new Date().toISOString(), error: null });
+  }
+
+  async markFailed(id, error) {
+    return this.update(id, { status: 'failed', error });
+  }
+}
+
+// Export singleton instance
+export const reviewQueue = new ReviewQueue();
@@ -0,0 +1,143 @@
+import { readFileSync, writeFileSync, renameSync } from 'fs';
+import path from 'path';
+import { createLogger } from '../utils/logger.mjs';
+import { config } from '../utils/config.mjs';
+
+const logger = createLogger('run-checkpoint');
+
+/**
+ * @typedef {Object} Checkpoint
+ * @property {string} runId
+ * @property {string} job - As in the run history
+ * @property {string|null} campaign
+ * @property {string} status - running, completed, interrupted, failed or recovered. A
+ *   checkpoint still "running" when the next run starts belongs to a process that died.
+ * @property {number} pid - Process that wrote it
+ * @property {string} startedAt
+ * @property {string} updatedAt
+ * @property {Object<string, string>} platforms - pending, running, done or skipped per platform
+ * @property {Object|null} inFlight - Send that had started but not finished: {platform, recipient, campaign, account, messageHash, startedAt}
+ * @property {Object[]} delivered - Confirmed sends: {platform, recipient, at}
+ * @property {Object[]} failed - Failed sends: {platform, recipient, at, error}
+ */
+
+/**
+ * Progress of the current bot run, in ~/.config/networking-bots/run-checkpoint.json.
+ * Written synchronously at every step, so it is accurate even when the process is
+ * killed, and the next run knows exactly what was and wasn't delivered.
+ * Only the most recent run is kept.
+ */
+class RunCheckpoint {
+  constructor() {
+    this.filePath = path.join(config.configDir, 'run-checkpoint.json');
+    this.state = null;
+  }
+
+  /**
+   * Checkpoint left by the previous run
+   * @returns {Checkpoint|null}
+   */
+  read() {
+    try {
+      return JSON.parse(readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`⚠️ Ignoring unreadable run checkpoint: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  write(state = this.state) {
+    if (!state) return;
+    config.ensureConfigDir();
+    state.updatedAt = new Date().toISOString();
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Mark the previous run's checkpoint as dealt with, so it is recovered only once
+   * @param {Checkpoint} checkpoint
+   */
+  acknowledge(checkpoint) {
+    this.write({ ...checkpoint, status: 'recovered' });
+  }
+
+  /**
+   * Start checkpointing a run
+   * @param {Object} run - Run record (id, job, campaign, startedAt)
+   * @param {string[]} platforms - Platforms the run will go through
+   */
+  begin(run, platforms) {
+    this.state = {
+      runId: run.id,
+      job: run.job,
+      campaign: run.campaign,
+      status: 'running',
+      pid: process.pid,
+      startedAt: run.startedAt,
+      updatedAt: null,
+      platforms: Object.fromEntries(platforms.map(name => [name, 'pending'])),
+      inFlight: null,
+      delivered: [],
+      failed: []
+    };
+    this.write();
+  }
+
+  /**
+   * @param {string} platform
+   * @param {string} status - running, done or skipped
+   */
+  setPlatform(platform, status) {
+    if (!this.state) return;
+    this.state.platforms[platform] = status;
+    this.write();
+  }
+
+  /**
+   * A send is about to start; recorded first so a crash mid-send is noticed
+   */
+  sendStarted({ platform, recipient, campaign = null, account = null, messageHash = null }) {
+    if (!this.state) return;
+    this.state.inFlight = { platform, recipient, campaign, account, messageHash, startedAt: new Date().toISOString() };
+    this.write();
+  }
+
+  /**
+   * The in-flight send finished and is in the contact ledger
+   * @param {{ok: boolean, error: string|null}} result
+   */
+  sendFinished(result) {
+    if (!this.state?.inFlight) return;
+    const { platform, recipient } = this.state.inFlight;
+    const at = new Date().toISOString();
+
+    if (result.ok) {
+      this.state.delivered.push({ platform, recipient, at });
+    } else {
+      this.state.failed.push({ platform, recipient, at, error: result.error });
+    }
+    this.state.inFlight = null;
+    this.write();
+  }
+
+  /**
+   * Stop checkpointing
+   * @param {string} status - completed, interrupted or failed
+   * @returns {Checkpoint|null} The final checkpoint
+   */
+  finish(status) {
+    if (!this.state) return null;
+    const state = this.state;
+    state.status = status;
+    this.write();
+    this.state = null;
+    return state;
+  }
+}
+
+// Export singleton instance
+export const runCheckpoint = new RunCheckpoint();
@@ -0,0 +1,115 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from '../utils/logger.mjs';
+import { config } from '../utils/config.mjs';
+import { withFileLock } from '../utils/file-lock.mjs';
+
+const logger = createLogger('run-history');
+
+/**
+ * @typedef {Object} RunRecord
+ * @property {string} id - Run id, also attached to every log entry of the run
+ * @property {string} job - Scheduled job name ("default", "campaign:<name>"), or "manual" for `nbot run`
+ * @property {string|null} campaign
+ * @property {string} status - completed, failed, skipped or interrupted
+ * @property {string} startedAt - ISO timestamp
+ * @property {string} endedAt - ISO timestamp
+ * @property {string[]} platforms - Platforms that were run
+ * @property {number} sent
+ * @property {number} failed
+ * @property {number} queued - Messages put in the review queue
+ * @property {number} postponed - Platforms or messages held back by quiet hours
+ * @property {string[]} errors
+ * @property {boolean} [dryRun]
+ * @property {string} [reason] - Why the run was skipped or interrupted
+ * @property {string} [resumedFrom] - Interrupted run this one picked up from
+ */
+
+/**
+ * One record per bot run, from `nbot run` and `nbot daemon`.
+ * Stored as JSON lines in ~/.config/networking-bots/run-history.jsonl.
+ * Always read from disk, since the daemon and `nbot run` both append to it.
+ * Appends and rewrites hold run-history.jsonl.lock.
+ */
+class RunHistory {
+  constructor() {
+    this.filePath = path.join(config.configDir, 'run-history.jsonl');
+    this.lockPath = `${this.filePath}.lock`;
+  }
+
+  withLock(fn) {
+    config.ensureConfigDir();
+    return withFileLock(this.lockPath, fn);
+  }
+
+  /**
+   * Append a finished run
+   * @param {RunRecord} run
+   * @returns {Promise<RunRecord>}
+   */
+  async record(run) {
+    await this.withLock(() => fs.appendFile(this.filePath, `${JSON.stringify(run)}\n`));
+    return run;
+  }
+
+  /**
+   * Load, modify and rewrite the whole history while holding the lock
+   * (write to a temp file, then rename)
+   * @param {Function} mutate - Receives the runs, oldest first; may modify them in place or return a replacement
+   * @returns {Promise<RunRecord[]>} The saved runs
+   */
+  async update(mutate) {
+    return this.withLock(async () => {
+      const runs = await this.list();
+      const result = (await mutate(runs)) || runs;
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tmpPath, result.map(run => `${JSON.stringify(run)}\n`).join(''));
+      await fs.rename(tmpPath, this.filePath);
+      return result;
+    });
+  }
+
+  /**
+   * Runs, oldest first
+   * @param {Object} [filter]
+   * @param {string} [filter.job] - Only runs of this job
+   * @param {number} [filter.limit] - Only the most recent runs
+   * @returns {Promise<RunRecord[]>}
+   */
+  async list({ job = null, limit = null } = {}) {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error loading run history: ${error.message}`);
+      }
+      return [];
+    }
+
+    const runs = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        runs.push(JSON.parse(line));
+      } catch {
+        logger.warn(`⚠️ Skipping corrupt run history line: ${line.substring(0, 80)}`);
+      }
+    }
+
+    const matching = job ? runs.filter(run => run.job === job) : runs;
+    return limit ? matching.slice(-limit) : matching;
+  }
+
+  /**
+   * Most recent run of a job
+   * @returns {Promise<RunRecord|null>}
+   */
+  async lastRun(job = null) {
+    const [run] = await this.list({ job, limit: 1 });
+    return run || null;
+  }
+}
+
+// Export singleton instance
+export const runHistory = new RunHistory();
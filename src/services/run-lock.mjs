@@ -0,0 +1,97 @@
+import { openSync, writeSync, closeSync, readFileSync, rmSync } from 'fs';
+import path from 'path';
+import { createLogger } from '../utils/logger.mjs';
+import { config } from '../utils/config.mjs';
+
+const logger = createLogger('run-lock');
+
+/**
+ * Whether a process with this id is still running
+ */
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to someone else
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * PID file that only one process can hold at a time. A lock left behind by a
+ * process that no longer exists is taken over. Released automatically on exit.
+ */
+export class PidLock {
+  /**
+   * @param {string} fileName - File in the config directory, e.g. run.lock
+   * @param {string} purpose - Shown when the lock is held, e.g. "bot run"
+   */
+  constructor(fileName, purpose) {
+    this.filePath = path.join(config.configDir, fileName);
+    this.purpose = purpose;
+    this.held = false;
+
+    process.on('exit', () => this.release());
+  }
+
+  /**
+   * Who holds the lock
+   * @returns {{pid: number, startedAt: string, command: string}|null} null when free
+   */
+  holder() {
+    try {
+      const info = JSON.parse(readFileSync(this.filePath, 'utf8'));
+      return Number.isInteger(info.pid) && isAlive(info.pid) ? info : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Take the lock if nobody else has it
+   * @param {string} [command] - What this process is doing, shown to others
+   * @returns {{acquired: boolean, holder: Object|null}} holder is the process that has it
+   */
+  acquire(command = process.argv.slice(2).join(' ')) {
+    if (this.held) {
+      return { acquired: false, holder: this.info };
+    }
+    config.ensureConfigDir();
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const info = { pid: process.pid, startedAt: new Date().toISOString(), command };
+        const fd = openSync(this.filePath, 'wx', 0o600);
+        writeSync(fd, JSON.stringify(info));
+        closeSync(fd);
+        this.held = true;
+        this.info = info;
+        return { acquired: true, holder: null };
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        const holder = this.holder();
+        if (holder) {
+          return { acquired: false, holder };
+        }
+        logger.warn(`⚠️ Removing stale ${this.purpose} lock: ${this.filePath}`);
+        rmSync(this.filePath, { force: true });
+      }
+    }
+
+    return { acquired: false, holder: this.holder() };
+  }
+
+  release() {
+    if (!this.held) return;
+    rmSync(this.filePath, { force: true });
+    this.held = false;
+  }
+}
+
+// Held for the duration of each bot run, by `nbot run` and by the daemon
+export const runLock = new PidLock('run.lock', 'bot run');
+
+// Held for as long as `nbot daemon` is running
+export const daemonLock = new PidLock('daemon.pid', 'daemon');
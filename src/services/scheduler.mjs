@@ -0,0 +1,193 @@
+import dayjs from 'dayjs';
+
+/**
+ * When `nbot daemon` runs the bot.
+ *
+ * A schedule is either a cron expression ("0 9-17 * * 1-5": minute, hour, day of
+ * month, month, day of week, in local time) or an interval ("90m", "2h") with
+ * optional random jitter added to each wait. settings.schedule is the default
+ * job; a campaign with its own `schedule` becomes a job of its own.
+ */
+
+// Used when settings.schedule is missing; matches the old hourly loop
+export const DEFAULT_SCHEDULE = { enabled: true, interval: '60m', jitter: '30m' };
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration such as "90m", "2h", "1.5h" or a number of milliseconds
+ * @param {string|number} value
+ * @returns {number} Milliseconds
+ * @throws {Error} For anything else
+ */
+export function parseDuration(value) {
+  if (Number.isFinite(value) && value >= 0) {
+    return value;
+  }
+
+  const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*([smhd])$/);
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}. Use a number followed by s, m, h or d, e.g. 90m`);
+  }
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2]]);
+}
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: ${text}`);
+    }
+
+    let [start, end] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+    if (end === undefined) end = match[2] ? max : start;
+    const step = match[2] ? Number(match[2]) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name}: ${text} (allowed ${min}-${max})`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression - e.g. "30 9 * * 1-5" or "@daily"
+ * @returns {{minutes: Set, hours: Set, days: Set, months: Set, weekdays: Set, anyDay: boolean, anyWeekday: boolean}}
+ * @throws {Error} For invalid expressions
+ */
+export function parseCron(expression) {
+  const text = CRON_ALIASES[expression?.trim()] || expression?.trim() || '';
+  const fields = text.split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Invalid cron expression: "${expression}". Expected 5 fields: minute hour day month weekday`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return { minutes, hours, days, months, weekdays, anyDay: fields[2] === '*', anyWeekday: fields[4] === '*' };
+}
+
+function cronDayMatches(cron, time) {
+  const dayMatches = cron.days.has(time.date());
+  const weekdayMatches = cron.weekdays.has(time.day());
+  // Like cron: when both are restricted, either one matching is enough
+  if (!cron.anyDay && !cron.anyWeekday) return dayMatches || weekdayMatches;
+  return dayMatches && weekdayMatches;
+}
+
+/**
+ * First time after `from` that a cron expression matches
+ * @param {string} expression
+ * @param {Date|dayjs.Dayjs} [from]
+ * @returns {Date}
+ */
+export function nextCronTime(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  let time = dayjs(from).second(0).millisecond(0).add(1, 'minute');
+  const limit = time.add(5, 'year');
+
+  while (time.isBefore(limit)) {
+    if (!cron.months.has(time.month() + 1)) {
+      time = time.add(1, 'month').startOf('month');
+    } else if (!cronDayMatches(cron, time)) {
+      time = time.add(1, 'day').startOf('day');
+    } else if (!cron.hours.has(time.hour())) {
+      time = time.add(1, 'hour').startOf('hour');
+    } else if (!cron.minutes.has(time.minute())) {
+      time = time.add(1, 'minute');
+    } else {
+      return time.toDate();
+    }
+  }
+
+  throw new Error(`Cron expression never matches: ${expression}`);
+}
+
+/**
+ * A schedule the daemon runs the bot on
+ */
+export class ScheduledJob {
+  /**
+   * @param {string} name - "default", or "campaign:<name>"
+   * @param {Object} schedule - {enabled, cron, interval, jitter}
+   * @param {string|null} [campaign] - Campaign to run, null for every enabled platform
+   */
+  constructor(name, schedule, campaign = null) {
+    this.name = name;
+    this.campaign = campaign;
+    this.enabled = schedule.enabled !== false;
+    this.cron = schedule.cron || null;
+    this.interval = this.cron ? null : parseDuration(schedule.interval ?? DEFAULT_SCHEDULE.interval);
+    this.jitter = schedule.jitter !== undefined ? parseDuration(schedule.jitter) : 0;
+
+    if (this.interval === 0) {
+      throw new Error(`Schedule ${name}: interval must be longer than 0`);
+    }
+  }
+
+  describe() {
+    if (this.cron) return `cron "${this.cron}"`;
+    const minutes = value => `${Math.round(value / 60000)}m`;
+    return `every ${minutes(this.interval)}${this.jitter ? ` (+ up to ${minutes(this.jitter)})` : ''}`;
+  }
+
+  /**
+   * When to run next, after a run that started at `from`
+   * @param {Date} [from]
+   * @returns {Date}
+   */
+  nextRun(from = new Date()) {
+    const jitter = this.jitter ? Math.floor(Math.random() * this.jitter) : 0;
+    if (this.cron) {
+      return new Date(nextCronTime(this.cron, from).getTime() + jitter);
+    }
+    return new Date(new Date(from).getTime() + this.interval + jitter);
+  }
+}
+
+/**
+ * Jobs defined in a config: settings.schedule (unless disabled) plus every campaign
+ * with a schedule of its own
+ * @param {Object} botConfig - Full config.json contents
+ * @returns {ScheduledJob[]}
+ */
+export function listJobs(botConfig) {
+  const jobs = [];
+
+  const defaultJob = new ScheduledJob('default', botConfig.settings?.schedule || DEFAULT_SCHEDULE);
+  if (defaultJob.enabled) {
+    jobs.push(defaultJob);
+  }
+
+  for (const [name, campaign] of Object.entries(botConfig.campaigns || {})) {
+    if (campaign?.schedule) {
+      const job = new ScheduledJob(`campaign:${name}`, campaign.schedule, name);
+      if (job.enabled) jobs.push(job);
+    }
+  }
+
+  return jobs;
+}
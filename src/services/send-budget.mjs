@@ -0,0 +1,142 @@
+import dayjs from 'dayjs';
+import { createLogger } from '../utils/logger.mjs';
+import { contactLedger } from './contact-ledger.mjs';
+import { rateLimiter } from './rate-limiter.mjs';
+import { shutdown } from './shutdown.mjs';
+
+const logger = createLogger('send-budget');
+
+/**
+ * Central send-budget policy.
+ * Reads settings.maxMessagesPerDay, settings.delayBetweenMessages and settings.retryAttempts
+ * and enforces them for every platform. Counts come from the contact ledger, so they
+ * survive process restarts.
+ */
+class SendBudget {
+  constructor() {
+    this.maxMessagesPerDay = 10;
+    this.delayBetweenMessages = 300000;
+    this.retryAttempts = 3;
+    this.retryDelay = 30000;
+  }
+
+  /**
+   * Apply the general settings from config.json
+   * @param {Object} settings - config.settings
+   */
+  configure(settings = {}) {
+    if (Number.isFinite(settings.maxMessagesPerDay)) {
+      this.maxMessagesPerDay = settings.maxMessagesPerDay;
+    }
+    if (Number.isFinite(settings.delayBetweenMessages)) {
+      this.delayBetweenMessages = settings.delayBetweenMessages;
+    }
+    if (Number.isFinite(settings.retryAttempts)) {
+      this.retryAttempts = Math.max(1, settings.retryAttempts);
+    }
+  }
+
+  /**
+   * Messages left today across all platforms
+   */
+  async remainingToday() {
+    const sentToday = await contactLedger.countToday();
+    return Math.max(0, this.maxMessagesPerDay - sentToday);
+  }
+
+  /**
+   * Whether the global daily budget is spent
+   */
+  async isExhausted() {
+    return (await this.remainingToday()) === 0;
+  }
+
+  /**
+   * Check whether one more message may be sent on a platform
+   * @param {string} platform - Platform name
+   * @param {Campaign} [campaign] - Campaign being run, whose own daily budget also applies
+   * @returns {Promise<{allowed: boolean, reason: string|null}>}
+   */
+  async check(platform, campaign = null) {
+    const sentToday = await contactLedger.countToday();
+    if (sentToday >= this.maxMessagesPerDay) {
+      return {
+        allowed: false,
+        reason: `Daily message budget spent (${sentToday}/${this.maxMessagesPerDay})`
+      };
+    }
+
+    const platformLimit = rateLimiter.limits[`${platform}_message`];
+    if (platformLimit !== undefined) {
+      const platformSentToday = await contactLedger.countToday(platform);
+      if (platformSentToday >= platformLimit) {
+        return {
+          allowed: false,
+          reason: `Daily ${platform} message limit reached (${platformSentToday}/${platformLimit})`
+        };
+      }
+    }
+
+    if (Number.isFinite(campaign?.maxMessagesPerDay)) {
+      const campaignSentToday = await contactLedger.countToday(null, campaign.name);
+      if (campaignSentToday >= campaign.maxMessagesPerDay) {
+        return {
+          allowed: false,
+          reason: `Daily budget for campaign ${campaign.name} spent (${campaignSentToday}/${campaign.maxMessagesPerDay})`
+        };
+      }
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Milliseconds until delayBetweenMessages has passed since the last send attempt
+   */
+  async msUntilNextSend() {
+    const lastActivity = await contactLedger.lastActivity();
+    if (!lastActivity) return 0;
+
+    const elapsed = Date.now() - dayjs(lastActivity).valueOf();
+    return Math.max(0, this.delayBetweenMessages - elapsed);
+  }
+
+  /**
+   * Wait until the next message may be sent
+   * @returns {Promise<boolean>} False when shutdown started during the wait
+   */
+  async waitForNextSend() {
+    const waitTime = await this.msUntilNextSend();
+    if (waitTime > 0) {
+      logger.log(`⏱️ Waiting ${Math.ceil(waitTime / 1000)} seconds between messages...`);
+      return shutdown.sleep(waitTime);
+    }
+    return !shutdown.requested;
+  }
+
+  /**
+   * Run a send function up to retryAttempts times in total, retrying only failures
+   * the platform adapter marked as retryable.
+   * @param {Function} send - Async function performing one send attempt and returning a SendResult
+   * @returns {Promise<{ok: boolean, error: string|null, retryable: boolean}>} Result of the last attempt
+   */
+  async withRetries(send) {
+    let result;
+
+    for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+      result = await send();
+      if (result.ok || !result.retryable) break;
+
+      if (attempt < this.retryAttempts) {
+        const delay = this.retryDelay * attempt;
+        logger.warn(`⚠️ Send attempt ${attempt}/${this.retryAttempts} failed: ${result.error}. Retrying in ${delay / 1000}s...`);
+        if (!(await shutdown.sleep(delay))) break;
+      }
+    }
+
+    return result;
+  }
+}
+
+// Export singleton instance
+export const sendBudget = new SendBudget();
@@ -0,0 +1,155 @@
+import { setTimeout as wait } from 'timers/promises';
+import { createLogger } from '../utils/logger.mjs';
+
+const logger = createLogger('shutdown');
+
+// How long in-flight work may take to finish before shutdown hooks run anyway
+const GRACE_PERIOD = 30000;
+
+// Each shutdown hook gets this long before the next one runs
+const HOOK_TIMEOUT = 10000;
+
+/**
+ * One coordinated shutdown for SIGINT and SIGTERM.
+ *
+ * On the first signal no new work starts: waits end early and callers check
+ * `requested` before starting anything. Tracked work, such as a bot run with a
+ * send in flight, gets the grace period to finish. Then the shutdown hooks run
+ * (roll back what did not finish, close browsers, flush state) and the process
+ * exits. A second signal exits immediately.
+ */
+class Shutdown {
+  constructor() {
+    this.controller = new AbortController();
+    this.tasks = new Set();
+    this.hooks = [];
+    this.closing = null;
+    this.installed = false;
+    this.gracePeriod = GRACE_PERIOD;
+  }
+
+  get requested() {
+    return this.controller.signal.aborted;
+  }
+
+  /**
+   * Aborted when shutdown starts
+   * @returns {AbortSignal}
+   */
+  get signal() {
+    return this.controller.signal;
+  }
+
+  /**
+   * Handle SIGINT and SIGTERM. Safe to call more than once.
+   */
+  install() {
+    if (this.installed) return;
+    this.installed = true;
+
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.on(signal, () => this.handleSignal(signal));
+    }
+  }
+
+  async handleSignal(signal) {
+    if (this.closing) {
+      logger.warn(`⚠️ ${signal} received again. Exiting now.`);
+      process.exit(1);
+    }
+
+    try {
+      await this.shutdown(signal);
+    } finally {
+      process.exit(0);
+    }
+  }
+
+  /**
+   * Run work that should finish rather than be cut off by a shutdown
+   * @param {string} name - Shown while shutdown waits for it
+   * @param {Function} work - Async function
+   * @returns {Promise<*>} Whatever work returns
+   */
+  async track(name, work) {
+    const task = { name, promise: Promise.resolve().then(work) };
+    this.tasks.add(task);
+    try {
+      return await task.promise;
+    } finally {
+      this.tasks.delete(task);
+    }
+  }
+
+  /**
+   * Register a function to run during shutdown, after tracked work is done or has timed out.
+   * Hooks run in reverse order of registration.
+   * @param {string} name
+   * @param {Function} hook - Async function
+   * @returns {Function} Removes the hook
+   */
+  onShutdown(name, hook) {
+    const entry = { name, hook };
+    this.hooks.push(entry);
+    return () => {
+      this.hooks = this.hooks.filter(item => item !== entry);
+    };
+  }
+
+  /**
+   * Sleep unless shutdown starts first
+   * @param {number} ms
+   * @returns {Promise<boolean>} False when the wait was cut short by shutdown
+   */
+  async sleep(ms) {
+    if (this.requested) return false;
+    try {
+      await wait(ms, undefined, { signal: this.signal });
+      return true;
+    } catch (error) {
+      if (error.name === 'AbortError') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Stop new work, let tracked work finish, then run the shutdown hooks
+   * @param {string} [reason] - e.g. the signal name
+   */
+  shutdown(reason = 'shutdown') {
+    if (!this.closing) {
+      this.closing = this.close(reason);
+    }
+    return this.closing;
+  }
+
+  async close(reason) {
+    this.controller.abort();
+
+    if (this.tasks.size > 0) {
+      const names = [...this.tasks].map(task => task.name).join(', ');
+      logger.log(`\n👋 ${reason} received. Finishing ${names} before shutting down...`);
+
+      const finished = Promise.allSettled([...this.tasks].map(task => task.promise)).then(() => true);
+      const timedOut = wait(this.gracePeriod, false, { ref: false });
+      if (!(await Promise.race([finished, timedOut]))) {
+        logger.warn(`⚠️ Still busy after ${this.gracePeriod / 1000}s. Rolling back unfinished work.`);
+      }
+    } else {
+      logger.log(`\n👋 ${reason} received. Shutting down...`);
+    }
+
+    for (const { name, hook } of [...this.hooks].reverse()) {
+      try {
+        await Promise.race([hook(), wait(HOOK_TIMEOUT, undefined, { ref: false })]);
+      } catch (error) {
+        logger.error(`❌ Shutdown step "${name}" failed: ${error.message}`);
+      }
+    }
+
+    await logger.flush();
+  }
+}
+
+// Export singleton instance
+export const shutdown = new Shutdown();
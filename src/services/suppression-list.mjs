@@ -0,0 +1,326 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from '../utils/logger.mjs';
+import { config } from '../utils/config.mjs';
+import { withFileLock } from '../utils/file-lock.mjs';
+import { saltedHash } from '../utils/subject-salt.mjs';
+
+const logger = createLogger('suppression-list');
+
+// Hosts used to infer the platform of a profile URL
+export const PLATFORM_HOSTS = {
+  'linkedin.com': 'linkedin',
+  'x.com': 'x',
+  'twitter.com': 'x',
+  'reddit.com': 'reddit',
+  'old.reddit.com': 'reddit',
+  'tiktok.com': 'tiktok',
+  'youtube.com': 'youtube',
+  'facebook.com': 'facebook',
+  'quora.com': 'quora'
+};
+
+/**
+ * Normalize a handle or profile URL so the same person always maps to the same key
+ * @param {string} identifier - A handle (e.g. "@jane", "u/jane") or profile URL
+ * @returns {{type: string, value: string}|null} Normalized identifier
+ */
+export function normalizeIdentifier(identifier) {
+  if (typeof identifier !== 'string') return null;
+
+  const raw = identifier.trim();
+  if (!raw) return null;
+
+  if (/^https?:\/\//i.test(raw) || /^(www\.)?[a-z0-9-]+\.[a-z]{2,}\//i.test(raw)) {
+    try {
+      const url = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+      const host = url.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+      const pathname = decodeURIComponent(url.pathname).replace(/\/+$/, '').toLowerCase();
+      return { type: 'url', value: `${host}${pathname}` };
+    } catch {
+      // Fall through and treat it as a handle
+    }
+  }
+
+  const handle = raw.toLowerCase().replace(/^@/, '').replace(/^\/?u\//, '');
+  return { type: 'handle', value: handle };
+}
+
+/**
+ * Salted hash of a normalized handle or profile URL. Identifies a person
+ * without storing who they are.
+ * @param {string} identifier - Handle or profile URL
+ * @returns {string|null} Hex-encoded hash
+ */
+export function hashIdentifier(identifier) {
+  const normalized = normalizeIdentifier(identifier);
+  return normalized ? saltedHash(normalized.value) : null;
+}
+
+/**
+ * The handle a normalized identifier stands for on a platform: the handle itself,
+ * or the last path segment of a profile URL on that platform (x.com/jane → jane)
+ * @returns {string|null}
+ */
+function handleOn(normalized, platform) {
+  if (normalized.type === 'handle') return normalized.value;
+
+  const [host, ...segments] = normalized.value.split('/');
+  if (!platform || PLATFORM_HOSTS[host] !== platform) return null;
+  const last = segments.filter(Boolean).pop();
+  return last ? last.replace(/^@/, '') : null;
+}
+
+/**
+ * The entry whose identifier or linked identities match any of the recipient's
+ * identifiers. A profile URL and the handle it ends in match each other on the
+ * URL's platform. Entries of forgotten people hold only hashes (see SuppressionList.addHashed).
+ * @param {string|string[]} identifiers - Handles or profile URLs of one recipient
+ */
+function findEntry(entries, identifiers, platform = null) {
+  const recipient = [identifiers].flat().map(normalizeIdentifier).filter(Boolean);
+  if (recipient.length === 0) return null;
+
+  const values = new Set(recipient.map(normalized => normalized.value));
+  const handles = new Set(recipient.map(normalized => handleOn(normalized, platform)).filter(Boolean));
+  let hashes = null;
+
+  return entries.find(entry => {
+    if (entry.platform && platform && entry.platform !== platform) {
+      return false;
+    }
+    if (entry.hashes) {
+      hashes = hashes || [...values, ...handles].map(saltedHash);
+      return hashes.some(hash => entry.hashes.includes(hash));
+    }
+    const keys = [{ type: entry.type, value: entry.value }, ...(entry.linked || [])];
+    return keys.some(key => values.has(key.value) || handles.has(handleOn(key, platform)));
+  }) || null;
+}
+
+/**
+ * Persistent, cross-platform "never contact again" list.
+ * Stored in ~/.config/networking-bots/suppression.json
+ *
+ * Every call reads the file, and every change is a read-modify-write under
+ * suppression.json.lock, so `nbot suppress`, `nbot run` and the daemon all see
+ * and keep each other's entries.
+ */
+class SuppressionList {
+  constructor() {
+    this.filePath = path.join(config.configDir, 'suppression.json');
+    this.lockPath = `${this.filePath}.lock`;
+  }
+
+  /**
+   * Read all entries. Always reads from disk so changes made by other processes are seen.
+   * @returns {Promise<Object[]>}
+   */
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      return Array.isArray(data.entries) ? data.entries : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error loading suppression list: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  async write(entries) {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify({ entries }, null, 2));
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Load, modify and save the entries while holding the lock
+   * @param {Function} mutate - Receives the entries; may modify them in place or return a replacement
+   * @returns {Promise<Object[]>} The saved entries
+   */
+  async update(mutate) {
+    config.ensureConfigDir();
+    return withFileLock(this.lockPath, async () => {
+      const entries = await this.load();
+      const result = (await mutate(entries)) || entries;
+      await this.write(result);
+      return result;
+    });
+  }
+
+  /**
+   * The entry that suppresses a recipient, if any
+   * @param {string|string[]} identifier - Handle or profile URL, or several of the same recipient
+   * @param {string} [platform]
+   * @returns {Promise<Object|null>}
+   */
+  async find(identifier, platform = null) {
+    return findEntry(await this.load(), identifier, platform);
+  }
+
+  /**
+   * Check whether a recipient must never be contacted
+   * @param {string|string[]} identifier - Handle or profile URL of the recipient, or several
+   *   of them (e.g. a candidate's id and profile URL)
+   * @param {string} [platform] - Platform the recipient was found on
+   * @returns {Promise<boolean>}
+   */
+  async isSuppressed(identifier, platform = null) {
+    return !!(await this.find(identifier, platform));
+  }
+
+  /**
+   * Add a recipient to the suppression list
+   * @param {string} identifier - Handle or profile URL
+   * @param {Object} [options]
+   * @param {string} [options.platform] - Limit the entry to one platform (default: all platforms)
+   * @param {string} [options.reason] - Why this person was suppressed
+   * @param {string} [options.source] - Where the request came from (manual, import, reply)
+   * @param {string[]} [options.linked] - Other handles/URLs belonging to the same person
+   * @returns {Promise<Object|null>} The new or updated entry
+   */
+  async add(identifier, options = {}) {
+    const { platform = null, reason = '', source = 'manual', linked = [] } = options;
+
+    const normalized = normalizeIdentifier(identifier);
+    if (!normalized) return null;
+
+    const linkedIdentities = linked
+      .map(normalizeIdentifier)
+      .filter(Boolean);
+
+    let saved = null;
+    await this.update(entries => {
+      const existing = entries.find(entry =>
+        entry.value === normalized.value && (entry.platform || null) === platform
+      );
+
+      if (existing) {
+        const known = new Set((existing.linked || []).map(link => link.value));
+        existing.linked = [
+          ...(existing.linked || []),
+          ...linkedIdentities.filter(link => !known.has(link.value) && link.value !== existing.value)
+        ];
+        if (reason) existing.reason = reason;
+        saved = existing;
+        return;
+      }
+
+      saved = {
+        type: normalized.type,
+        value: normalized.value,
+        identifier: identifier.trim(),
+        platform,
+        reason,
+        source,
+        linked: linkedIdentities,
+        addedAt: new Date().toISOString()
+      };
+      entries.push(saved);
+    });
+    return saved;
+  }
+
+  /**
+   * Suppress a person on all platforms by the hashes of their identities only,
+   * for people whose data was erased with `nbot data forget`
+   * @param {string[]} identifiers - Handles or profile URLs of the person
+   * @param {string} [reason]
+   * @returns {Promise<Object|null>} The new entry
+   */
+  async addHashed(identifiers, reason = 'forgotten') {
+    // A profile URL also suppresses the handle it ends in, as findEntry matches both
+    const handles = identifiers
+      .map(normalizeIdentifier)
+      .filter(Boolean)
+      .map(normalized => handleOn(normalized, PLATFORM_HOSTS[normalized.value.split('/')[0]]))
+      .filter(Boolean);
+    const hashes = [...new Set([...identifiers.map(hashIdentifier), ...handles.map(saltedHash)].filter(Boolean))];
+    if (hashes.length === 0) return null;
+
+    const entry = {
+      hashes,
+      platform: null,
+      reason,
+      source: 'forget',
+      addedAt: new Date().toISOString()
+    };
+
+    await this.update(entries => {
+      entries.push(entry);
+    });
+    return entry;
+  }
+
+  /**
+   * Remove a recipient from the suppression list
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async remove(identifier, platform = null) {
+    const normalized = normalizeIdentifier(identifier);
+    if (!normalized) return 0;
+
+    let removed = 0;
+    await this.update(entries => {
+      const remaining = entries.filter(entry =>
+        !(entry.value === normalized.value && (!platform || entry.platform === platform))
+      );
+      removed = entries.length - remaining.length;
+      return remaining;
+    });
+    return removed;
+  }
+
+  /**
+   * List suppression entries, optionally for a single platform
+   */
+  async list(platform = null) {
+    return (await this.load()).filter(entry => !platform || !entry.platform || entry.platform === platform);
+  }
+
+  /**
+   * Import identifiers from a file: either a JSON array (strings or entry objects)
+   * or plain text with one handle/URL per line (# starts a comment)
+   * @returns {Promise<number>} Number of identifiers imported
+   */
+  async importFile(filePath, options = {}) {
+    const content = await fs.readFile(filePath, 'utf8');
+    let items;
+
+    try {
+      items = JSON.parse(content);
+      if (!Array.isArray(items)) {
+        throw new Error('Expected a JSON array');
+      }
+    } catch {
+      items = content
+        .split('\n')
+        .map(line => line.split('#')[0].trim())
+        .filter(Boolean);
+    }
+
+    let imported = 0;
+    for (const item of items) {
+      const entryOptions = typeof item === 'string'
+        ? { ...options, source: 'import' }
+        : {
+          ...options,
+          platform: item.platform || options.platform || null,
+          reason: item.reason || options.reason || '',
+          linked: item.linked || [],
+          source: 'import'
+        };
+
+      const identifier = typeof item === 'string' ? item : item.identifier;
+      if (await this.add(identifier, entryOptions)) {
+        imported++;
+      }
+    }
+
+    return imported;
+  }
+}
+
+// Export singleton instance
+export const suppressionList = new SuppressionList();
@@ -9,7 +9,9 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
-import { logger } from '../utils/logger.mjs';
+import { createLogger } from '../utils/logger.mjs';
+
+const logger = createLogger('synthetic-profile-generator');
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -1,54 +1,86 @@
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { contactLedger } from './services/contact-ledger.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
- * Load messaged users for a specific platform
+ * Load messaged users for a specific platform from the contact ledger
  * @param {string} platform - The platform name (reddit, bluesky, nostr, x)
  * @returns {Promise<string[]>} Array of user identifiers who have been messaged
  */
 export async function loadMessagedUsers(platform) {
-  const messagedFile = path.join(__dirname, `../messaged-${platform}.json`);
-  
-  try {
-    return JSON.parse(await fs.readFile(messagedFile));
-  } catch {
-    return [];
-  }
+  return contactLedger.getContactedRecipients(platform);
 }
 
 /**
- * Save messaged users for a specific platform
- * @param {string} platform - The platform name (reddit, bluesky, nostr, x)
- * @param {string[]} users - Array of user identifiers who have been messaged
+ * Import a legacy flat array of usernames into the contact ledger
+ * @param {string} platform - The platform the users were messaged on
+ * @param {string} filePath - Path to the legacy JSON file
+ * @returns {Promise<number>} Number of users imported
  */
-export async function saveMessagedUsers(platform, users) {
-  const messagedFile = path.join(__dirname, `../messaged-${platform}.json`);
-  await fs.writeFile(messagedFile, JSON.stringify(users, null, 2));
+async function importLegacyFile(platform, filePath) {
+  const users = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  if (!Array.isArray(users)) {
+    throw new Error(`${path.basename(filePath)} is not an array of usernames`);
+  }
+
+  // The legacy files have no per-user timestamps; the file's mtime is the best we have
+  const { mtime } = await fs.stat(filePath);
+  const known = new Set(await contactLedger.getContactedRecipients(platform));
+
+  const entries = users
+    .filter(user => typeof user === 'string' && !known.has(user))
+    .filter((user, index, list) => list.indexOf(user) === index)
+    .map(user => ({
+      id: crypto.randomUUID(),
+      recipient: user,
+      platform,
+      account: null,
+      timestamp: mtime.toISOString(),
+      messageHash: null,
+      outcome: 'sent',
+      replyState: 'none',
+      migrated: true
+    }));
+
+  if (entries.length > 0) {
+    await contactLedger.append(...entries);
+  }
+
+  // Keep the old file around, but out of the way so it is never imported twice
+  await fs.rename(filePath, `${filePath}.migrated`);
+  return entries.length;
 }
 
 /**
- * Migrate existing messaged.json to platform-specific file
+ * Migrate legacy messaged.json (Reddit) and messaged-<platform>.json files into the contact ledger
  * @returns {Promise<void>}
  */
 export async function migrateMessagedUsers() {
-  const oldMessagedFile = path.join(__dirname, '../messaged.json');
-  
+  const rootDir = path.join(__dirname, '..');
+  let files;
+
   try {
-    const oldMessaged = JSON.parse(await fs.readFile(oldMessagedFile));
-    
-    if (Array.isArray(oldMessaged) && oldMessaged.length > 0) {
-      // Migrate to reddit-specific file
-      await saveMessagedUsers('reddit', oldMessaged);
-      console.log(`Migrated ${oldMessaged.length} messaged users to reddit-specific file`);
-    }
+    files = await fs.readdir(rootDir);
   } catch (error) {
-    // If file doesn't exist or is invalid, just ignore
-    if (error.code !== 'ENOENT') {
-      console.error('Error migrating messaged users:', error.message);
+    console.error('Error migrating messaged users:', error.message);
+    return;
+  }
+
+  for (const file of files) {
+    const match = file === 'messaged.json' ? [file, 'reddit'] : file.match(/^messaged-([a-z0-9_-]+)\.json$/i);
+    if (!match) continue;
+
+    const platform = match[1];
+    try {
+      const imported = await importLegacyFile(platform, path.join(rootDir, file));
+      console.log(`Migrated ${imported} messaged users from ${file} to the contact ledger`);
+    } catch (error) {
+      console.error(`Error migrating ${file}:`, error.message);
     }
   }
 }
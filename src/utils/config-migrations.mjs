@@ -0,0 +1,79 @@
+/**
+ * Versioned migrations for config.json.
+ *
+ * config.json carries a `version`. Files without one are version 0. Each
+ * migration upgrades a config from `version - 1` to `version`; they run in
+ * order until the config is current. To change the config format, add a
+ * migration to the end of the list; CONFIG_VERSION follows from it.
+ */
+
+// Legacy [name] template variables, but not markdown links like [here](https://...)
+const LEGACY_VARIABLE_PATTERN = /\[([A-Za-z_]\w*)\](?!\()/g;
+
+function upgradeTemplate(template) {
+  return template.replace(LEGACY_VARIABLE_PATTERN, '{{$1}}');
+}
+
+function upgradeTemplateSettings(settings) {
+  if (!settings || typeof settings !== 'object') return;
+
+  if (typeof settings.message === 'string') {
+    settings.message = upgradeTemplate(settings.message);
+  }
+  for (const [language, template] of Object.entries(settings.messages || {})) {
+    if (typeof template === 'string') {
+      settings.messages[language] = upgradeTemplate(template);
+    }
+  }
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Rewrite [topic]-style template variables as {{topic}}',
+    migrate(botConfig) {
+      Object.values(botConfig.platforms || {}).forEach(upgradeTemplateSettings);
+      for (const campaign of Object.values(botConfig.campaigns || {})) {
+        Object.values(campaign?.templates || {}).forEach(upgradeTemplateSettings);
+      }
+      return botConfig;
+    }
+  }
+];
+
+// Version written by this build
+export const CONFIG_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Version of a parsed config.json
+ */
+export function configVersion(botConfig) {
+  return Number.isInteger(botConfig?.version) ? botConfig.version : 0;
+}
+
+/**
+ * Upgrade a parsed config.json to CONFIG_VERSION
+ * @param {Object} botConfig - Parsed config.json; not modified
+ * @returns {{config: Object, from: number, applied: string[]}} The migrated config and what was done
+ * @throws {Error} When the config was written by a newer version
+ */
+export function migrateConfig(botConfig) {
+  const from = configVersion(botConfig);
+
+  if (from > CONFIG_VERSION) {
+    throw new Error(`config.json is version ${from}, but this version of nbot only understands up to ${CONFIG_VERSION}. Upgrade nbot.`);
+  }
+
+  let migrated = structuredClone(botConfig);
+  const applied = [];
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version > from) {
+      migrated = migration.migrate(migrated);
+      migrated.version = migration.version;
+      applied.push(`v${migration.version}: ${migration.description}`);
+    }
+  }
+
+  return { config: migrated, from, applied };
+}
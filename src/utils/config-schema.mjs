@@ -0,0 +1,381 @@
+import dayjs from 'dayjs';
+import { platformRegistry } from '../platforms/registry.mjs';
+import { COMPLIANCE_MODES } from '../platforms/adapter.mjs';
+import { LEVELS } from './logger.mjs';
+import { parseCron } from '../services/scheduler.mjs';
+import { WEEKDAYS, isValidTimezone } from '../services/quiet-hours.mjs';
+import { findPlaceholder } from '../services/message-guardrails.mjs';
+import { messageTemplates } from '../services/message-templates.mjs';
+
+/**
+ * Declared shape of config.json and env.json.
+ *
+ * A schema node has a `type` (string, number, integer, boolean, array, object or
+ * map) and optional rules: min/max, enum, pattern, nullable, items for arrays,
+ * properties for objects (any other key is an error), keys/values for maps whose
+ * keys the user chooses, and anyOf for values that may take more than one shape.
+ */
+
+const string = (rules = {}) => ({ type: 'string', ...rules });
+const integer = (rules = {}) => ({ type: 'integer', ...rules });
+const number = (rules = {}) => ({ type: 'number', ...rules });
+const boolean = () => ({ type: 'boolean' });
+const array = (items, rules = {}) => ({ type: 'array', items, ...rules });
+const object = (properties, rules = {}) => ({ type: 'object', properties, ...rules });
+const map = (values, rules = {}) => ({ type: 'map', values, ...rules });
+
+const date = () => string({
+  pattern: /^\d{4}-\d{2}-\d{2}$/,
+  patternHint: 'a date like 2024-06-30',
+  check: value => (dayjs(value).isValid() ? null : `${value} is not a valid date`)
+});
+
+const searchTermList = () => array(string({ minLength: 1 }));
+
+const duration = () => ({
+  anyOf: [integer({ min: 0 }), string({ pattern: /^\d+(\.\d+)?\s*[smhd]$/ })],
+  hint: 'a duration like 90m or 2h, or a number of milliseconds'
+});
+
+const clockTime = () => string({ pattern: /^([01]\d|2[0-3]):[0-5]\d$/, patternHint: 'a time like 08:00' });
+
+/**
+ * When messages may go out, in settings.quietHours and campaigns.<name>.quietHours
+ */
+const quietHours = () => object({
+  timezone: string({
+    nullable: true,
+    check: value => (isValidTimezone(value) ? null : `unknown timezone "${value}". Use an IANA name like Europe/Berlin`)
+  }),
+  start: clockTime(),
+  end: clockTime(),
+  days: array(string({ enum: WEEKDAYS })),
+  blackoutDates: array(string({
+    pattern: /^(\d{4}-)?\d{2}-\d{2}$/,
+    patternHint: 'a date like 2026-12-24, or 12-25 for every year'
+  })),
+  recipientTimezone: boolean()
+});
+
+/**
+ * When `nbot daemon` runs the bot, in settings.schedule and campaigns.<name>.schedule
+ */
+const schedule = () => object({
+  enabled: boolean(),
+  cron: string({ check: expression => {
+    try {
+      parseCron(expression);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  } }),
+  interval: duration(),
+  jitter: duration()
+}, { check: value => (value.cron && value.interval ? 'use either cron or interval, not both' : null) });
+
+/**
+ * Settings a platform template accepts, in platforms.<name> and campaign templates
+ */
+const templateProperties = () => ({
+  message: string(),
+  messages: map(string(), { keyName: 'language' }),
+  personalize: boolean(),
+  // The guardrails refuse messages with a leftover placeholder, so catch one copied from an example here
+  disclosure: string({ check: value => {
+    const placeholder = findPlaceholder(value);
+    return placeholder ? `contains the placeholder ${placeholder}; replace it with your own text` : null;
+  } })
+});
+
+/**
+ * Schema for config.json. Built on demand because the platform list comes from the registry.
+ */
+export function configSchema() {
+  const platforms = platformRegistry.names();
+  const platformKeys = { keys: platforms, keyName: 'platform' };
+
+  return object({
+    version: integer({ min: 0 }),
+    platforms: map(object({ enabled: boolean(), ...templateProperties() }), platformKeys),
+    searchTerms: map(searchTermList(), platformKeys),
+    campaigns: map(object({
+      description: string(),
+      owner: string(),
+      platforms: array(string({ enum: platforms })),
+      searchTerms: { anyOf: [searchTermList(), map(searchTermList(), platformKeys)], hint: 'a list of terms, or lists per platform' },
+      templates: map(object(templateProperties()), { keys: ['default', ...platforms], keyName: 'platform' }),
+      maxMessagesPerDay: integer({ min: 0 }),
+      startDate: date(),
+      endDate: date(),
+      quietHours: quietHours(),
+      schedule: schedule()
+    }), { keyName: 'campaign' }),
+    settings: object({
+      respectWorkingHours: boolean(),
+      maxMessagesPerDay: integer({ min: 0, max: 1000 }),
+      delayBetweenMessages: integer({ min: 0, unit: 'ms' }),
+      retryAttempts: integer({ min: 1, max: 10 }),
+      complianceMode: string({ enum: COMPLIANCE_MODES }),
+      llm: object({
+        provider: string({ minLength: 1 }),
+        timeout: integer({ min: 1000, unit: 'ms' }),
+        retries: integer({ min: 1, max: 10 }),
+        retryDelay: integer({ min: 0, unit: 'ms' }),
+        providers: map(object({
+          type: string({ enum: ['openai', 'ollama', 'fake'] }),
+          baseUrl: string({ pattern: /^https?:\/\/\S+$/, patternHint: 'an http(s) URL' }),
+          model: string({ minLength: 1 }),
+          temperature: number({ min: 0, max: 2 }),
+          topP: number({ min: 0, max: 1 }),
+          timeout: integer({ min: 1000, unit: 'ms' }),
+          apiKey: string(),
+          apiKeyEnv: string({ pattern: /^[A-Z_][A-Z0-9_]*$/, patternHint: 'an environment variable name' }),
+          response: string()
+        }), { keyName: 'provider' })
+      }),
+      contactFrequency: object({
+        maxMessages: integer({ min: 0 }),
+        periodDays: integer({ min: 0 }),
+        matchHandles: boolean(),
+        matchDisplayNames: boolean()
+      }),
+      templates: object({
+        language: string({ pattern: /^[a-z]{2,3}(-[A-Za-z0-9]+)?$/, patternHint: 'a language code like en or pt-BR' }),
+        strict: boolean(),
+        defaults: map(string(), { keyName: 'variable' })
+      }),
+      logging: object({
+        level: string({ enum: Object.keys(LEVELS) }),
+        dir: string({ nullable: true }),
+        maxSizeMB: number({ min: 0.01 }),
+        maxAgeDays: integer({ min: 0 }),
+        maxFiles: integer({ min: 0 }),
+        redactFields: array(string({ minLength: 1 }))
+      }),
+      schedule: schedule(),
+      quietHours: quietHours(),
+      guardrails: object({
+        bannedPhrases: array(string({ minLength: 1 })),
+        useDefaultBannedPhrases: boolean(),
+        maxLength: map(integer({ min: 1 }), platformKeys),
+        allowEmojis: boolean()
+      })
+    })
+  });
+}
+
+/**
+ * Schema for env.json: environment variable names with string values
+ */
+export function envSchema() {
+  return map(string(), {
+    keyPattern: /^[A-Z_][A-Z0-9_]*$/,
+    keyName: 'environment variable',
+    known: {
+      HEADLESS: string({ enum: ['true', 'false'] }),
+      PROXY_LIST_PATH: string({ minLength: 1 }),
+      USER_AGENT: string({ minLength: 1 })
+    }
+  });
+}
+
+/**
+ * @typedef {Object} ConfigIssue
+ * @property {string} path - Dotted path, e.g. settings.maxMessagesPerDay
+ * @property {string} message - What is wrong
+ * @property {string} level - error or warning
+ */
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'a list';
+  if (typeof value === 'string') return `"${value}"`;
+  if (typeof value === 'object') return 'an object';
+  return String(value);
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Closest known key to a misspelled one, if any is close enough
+ */
+function suggest(key, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(key.length / 4)) ? best : null;
+}
+
+function unknownKeyMessage(kind, key, candidates) {
+  const suggestion = suggest(key, candidates);
+  return suggestion
+    ? `unknown ${kind}. Did you mean "${suggestion}"?`
+    : `unknown ${kind}. Expected one of: ${candidates.join(', ')}`;
+}
+
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Check a value against a schema node, adding problems to issues
+ */
+function check(schema, value, path, issues) {
+  const fail = message => issues.push({ path: path || '(root)', message, level: 'error' });
+
+  if (value === null && schema.nullable) return;
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => {
+      const optionIssues = [];
+      check(option, value, path, optionIssues);
+      return optionIssues.length === 0;
+    });
+    if (!matches) fail(`must be ${schema.hint} (got ${describe(value)})`);
+    return;
+  }
+
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') return fail(`must be text (got ${describe(value)})`);
+      if (schema.minLength && value.trim().length < schema.minLength) return fail('must not be empty');
+      if (schema.enum && !schema.enum.includes(value)) {
+        const suggestion = suggest(value, schema.enum);
+        return fail(`must be one of ${schema.enum.join(', ')} (got "${value}")${suggestion ? `. Did you mean "${suggestion}"?` : ''}`);
+      }
+      if (schema.pattern && !schema.pattern.test(value)) return fail(`must be ${schema.patternHint} (got "${value}")`);
+      break;
+    case 'number':
+    case 'integer': {
+      const unit = schema.unit ? ` ${schema.unit}` : '';
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail(`must be a number (got ${describe(value)})`);
+      if (schema.type === 'integer' && !Number.isInteger(value)) return fail(`must be a whole number (got ${value})`);
+      if (schema.min !== undefined && value < schema.min) return fail(`must be at least ${schema.min}${unit} (got ${value})`);
+      if (schema.max !== undefined && value > schema.max) return fail(`must be at most ${schema.max}${unit} (got ${value})`);
+      break;
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail(`must be true or false (got ${describe(value)})`);
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return fail(`must be a list (got ${describe(value)})`);
+      value.forEach((item, index) => check(schema.items, item, `${path}[${index}]`, issues));
+      break;
+    case 'object':
+      if (!isPlainObject(value)) return fail(`must be an object (got ${describe(value)})`);
+      for (const [key, item] of Object.entries(value)) {
+        const keyPath = joinPath(path, key);
+        if (schema.properties[key]) {
+          check(schema.properties[key], item, keyPath, issues);
+        } else {
+          issues.push({ path: keyPath, message: unknownKeyMessage('setting', key, Object.keys(schema.properties)), level: 'error' });
+        }
+      }
+      break;
+    case 'map':
+      if (!isPlainObject(value)) return fail(`must be an object (got ${describe(value)})`);
+      for (const [key, item] of Object.entries(value)) {
+        const keyPath = joinPath(path, key);
+        if (schema.keys && !schema.keys.includes(key)) {
+          issues.push({ path: keyPath, message: unknownKeyMessage(schema.keyName, key, schema.keys), level: 'error' });
+          continue;
+        }
+        if (schema.keyPattern && !schema.keyPattern.test(key)) {
+          issues.push({ path: keyPath, message: `not a valid ${schema.keyName} name`, level: 'error' });
+          continue;
+        }
+        check(schema.known?.[key] || schema.values, item, keyPath, issues);
+      }
+      break;
+  }
+
+  if (schema.check) {
+    const problem = schema.check(value);
+    if (problem) fail(problem);
+  }
+}
+
+/**
+ * Checks that span more than one field
+ */
+function crossChecks(botConfig, issues) {
+  for (const [name, campaign] of Object.entries(botConfig.campaigns || {})) {
+    if (isPlainObject(campaign) && campaign.startDate && campaign.endDate && dayjs(campaign.endDate).isBefore(dayjs(campaign.startDate))) {
+      issues.push({ path: `campaigns.${name}.endDate`, message: 'is before startDate', level: 'error' });
+    }
+  }
+
+  for (const [platform, settings] of Object.entries(botConfig.platforms || {})) {
+    if (settings?.enabled === true && !(botConfig.searchTerms?.[platform]?.length > 0)) {
+      issues.push({ path: `searchTerms.${platform}`, message: `${platform} is enabled but has no search terms`, level: 'warning' });
+    }
+  }
+
+  for (const { platform, campaign } of messageTemplates.missingDisclosures(botConfig)) {
+    issues.push(campaign
+      ? { path: `campaigns.${campaign}.templates`, message: `no automation disclosure for ${platform}, so the campaign sends nothing there`, level: 'error' }
+      : { path: `platforms.${platform}.disclosure`, message: `${platform} is enabled but has no automation disclosure, so nbot run sends nothing there`, level: 'error' });
+  }
+
+  for (const [name, provider] of Object.entries(botConfig.settings?.llm?.providers || {})) {
+    if (isPlainObject(provider) && provider.apiKey) {
+      issues.push({ path: `settings.llm.providers.${name}.apiKey`, message: 'is stored in plain text; prefer apiKeyEnv', level: 'warning' });
+    }
+  }
+}
+
+/**
+ * Validate config.json contents
+ * @param {Object} botConfig - Parsed config.json
+ * @returns {ConfigIssue[]}
+ */
+export function validateConfig(botConfig) {
+  const issues = [];
+  check(configSchema(), botConfig, '', issues);
+  if (isPlainObject(botConfig)) {
+    crossChecks(botConfig, issues);
+  }
+  return issues;
+}
+
+/**
+ * Validate env.json contents
+ * @param {Object} env - Parsed env.json
+ * @returns {ConfigIssue[]}
+ */
+export function validateEnv(env) {
+  const issues = [];
+  check(envSchema(), env, '', issues);
+  return issues;
+}
+
+/**
+ * One line per issue, e.g. `settings.maxMesagesPerDay: unknown setting. Did you mean "maxMessagesPerDay"?`
+ * @param {ConfigIssue} issue
+ */
+export function formatIssue(issue) {
+  return `${issue.path}: ${issue.message}`;
+}
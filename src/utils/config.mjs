@@ -1,12 +1,20 @@
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, copyFileSync } from 'fs';
 import { join } from 'path';
 import { homedir } from 'os';
-import { logger } from './logger.mjs';
+import { logger, DEFAULT_LOG_SETTINGS } from './logger.mjs';
+import { platformRegistry } from '../platforms/registry.mjs';
+import { validateConfig, validateEnv, formatIssue } from './config-schema.mjs';
+import { migrateConfig, CONFIG_VERSION } from './config-migrations.mjs';
+import { DEFAULT_SCHEDULE } from '../services/scheduler.mjs';
+import { DEFAULT_QUIET_HOURS } from '../services/quiet-hours.mjs';
 
 /**
  * Configuration manager for networking-bots CLI
  * Handles user-specific config stored in ~/.config/networking-bots/config.json
  * Also manages environment variables in ~/.config/networking-bots/env.json
+ *
+ * config.json is versioned: older files are migrated when loaded (see
+ * config-migrations.mjs) and checked against the schema in config-schema.mjs.
  */
 class ConfigManager {
   constructor() {
@@ -15,45 +23,53 @@ class ConfigManager {
     this.envPath = join(this.configDir, 'env.json');
     this.proxiesPath = join(this.configDir, 'proxies.txt');
     this.defaultConfig = {
-      platforms: {
-        tiktok: {
-          enabled: true,
-          message: "Hi! I noticed your interest in [topic]. I'd love to connect and share some insights!"
-        },
-        x: {
-          enabled: true,
-          message: "Hey! Saw your post about [topic]. Would love to connect and discuss further!"
-        },
-        youtube: {
-          enabled: true,
-          message: "Great content on [topic]! I'd love to connect and share some related insights."
-        },
-        facebook: {
-          enabled: true,
-          message: "Hi! I found your post about [topic] really interesting. Let's connect!"
-        },
-        reddit: {
-          enabled: true,
-          message: "Great point about [topic]! I'd love to discuss this further with you."
-        },
-        linkedin: {
-          enabled: true,
-          message: "Hi! I noticed your expertise in [topic]. I'd love to connect and share insights!"
-        }
-      },
+      version: CONFIG_VERSION,
+      // Defaults for every registered platform adapter
+      platforms: platformRegistry.defaultPlatformConfig(),
       searchTerms: {
         tiktok: ["plex"],
         x: ["plex"],
         youtube: ["plex", "emby"],
         facebook: ["plex", "emby"],
         reddit: ["plex", "emby"],
-        linkedin: ["plex", "emby"]
+        linkedin: ["plex", "emby"],
+        quora: ["plex", "emby"]
       },
+      // Named campaigns; see src/services/campaigns.mjs
+      campaigns: {},
       settings: {
         respectWorkingHours: false,
         maxMessagesPerDay: 10,
         delayBetweenMessages: 300000,
-        retryAttempts: 3
+        retryAttempts: 3,
+        // "official-api-only" refuses to start platforms driven through a browser
+        complianceMode: 'off',
+        llm: {
+          provider: 'profullstack',
+          timeout: 30000,
+          retries: 3,
+          providers: {}
+        },
+        contactFrequency: {
+          maxMessages: 1,
+          periodDays: 90,
+          matchHandles: true,
+          matchDisplayNames: true
+        },
+        templates: {
+          language: 'en',
+          strict: true,
+          defaults: {}
+        },
+        logging: { ...DEFAULT_LOG_SETTINGS },
+        schedule: { ...DEFAULT_SCHEDULE },
+        quietHours: { ...DEFAULT_QUIET_HOURS },
+        guardrails: {
+          bannedPhrases: [],
+          useDefaultBannedPhrases: true,
+          maxLength: {},
+          allowEmojis: false
+        }
       }
     };
     
@@ -64,25 +80,8 @@ class ConfigManager {
       
       // Browser configuration
       HEADLESS: 'true',
-      USER_AGENT: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
-      
-      // X.com credentials
-      X_USERNAME: '',
-      X_PASSWORD: '',
-      
-      // TikTok credentials
-      TIKTOK_USERNAME: '',
-      TIKTOK_PASSWORD: '',
-      TIKTOK_CLIENT_ID: '',
-      TIKTOK_CLIENT_SECRET: '',
-      
-      // YouTube API credentials
-      YOUTUBE_CLIENT_ID: '',
-      YOUTUBE_CLIENT_SECRET: '',
-      
-      // Facebook API credentials
-      FACEBOOK_APP_ID: '',
-      FACEBOOK_APP_SECRET: ''
+      USER_AGENT: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36'
+      // Platform credentials are not read from the environment: add them with `nbot accounts --add`
     };
   }
 
@@ -111,17 +110,11 @@ class ConfigManager {
       }
 
       const configData = readFileSync(this.configPath, 'utf8');
-      const config = JSON.parse(configData);
-      
-      // Merge with default config to ensure all properties exist
-      const mergedConfig = this.mergeWithDefaults(config);
-      
-      // Save merged config back to ensure it's up to date
-      if (JSON.stringify(config) !== JSON.stringify(mergedConfig)) {
-        this.save(mergedConfig);
-      }
+      const config = this.migrate(JSON.parse(configData));
+      this.reportIssues(config);
       
-      return mergedConfig;
+      // Fill in defaults for anything the file leaves out
+      return this.mergeWithDefaults(config);
     } catch (error) {
       logger.error(`Error loading config: ${error.message}`);
       logger.log('Using default configuration...');
@@ -129,6 +122,86 @@ class ConfigManager {
     }
   }
 
+  /**
+   * Upgrade a config read from disk to the current version. The file is rewritten
+   * only when a migration ran, and the old one is kept as config.json.v<version>.bak.
+   */
+  migrate(userConfig) {
+    const { config: migrated, from, applied } = migrateConfig(userConfig);
+    if (applied.length === 0) {
+      return migrated;
+    }
+
+    const backupPath = `${this.configPath}.v${from}.bak`;
+    copyFileSync(this.configPath, backupPath);
+    this.save(migrated);
+    logger.log(`🔄 Migrated config.json from version ${from} to ${migrated.version} (backup: ${backupPath})`);
+    applied.forEach(step => logger.log(`   ${step}`));
+    return migrated;
+  }
+
+  /**
+   * Warn about schema problems in a loaded config, once per distinct set of problems
+   */
+  reportIssues(userConfig) {
+    const issues = validateConfig(userConfig);
+    const key = JSON.stringify(issues);
+    if (issues.length === 0 || key === this.reportedIssues) {
+      return;
+    }
+
+    this.reportedIssues = key;
+    logger.warn(`⚠️ ${this.configPath} has ${issues.length} problem(s):`);
+    issues.forEach(issue => logger.warn(`   ${issue.level === 'error' ? '❌' : '⚠️'} ${formatIssue(issue)}`));
+    logger.log('💡 Use: nbot config validate');
+  }
+
+  /**
+   * Check config.json and env.json against the schema without changing them
+   * @param {Object} [paths]
+   * @param {string} [paths.configPath] - Defaults to the user's config.json
+   * @param {string} [paths.envPath] - Defaults to the user's env.json
+   * @returns {{config: ConfigIssue[], env: ConfigIssue[]|null, botConfig: Object|null}} env is null
+   *   when there is no env.json; botConfig is the migrated config, or null when it could not be read
+   */
+  validateFiles({ configPath = this.configPath, envPath = this.envPath } = {}) {
+    const readJson = (path, issues) => {
+      try {
+        return JSON.parse(readFileSync(path, 'utf8'));
+      } catch (error) {
+        issues.push({ path, message: error.code === 'ENOENT' ? 'file not found' : `not valid JSON: ${error.message}`, level: 'error' });
+        return undefined;
+      }
+    };
+
+    const configIssues = [];
+    const userConfig = readJson(configPath, configIssues);
+    let botConfig = null;
+    if (userConfig !== undefined) {
+      try {
+        const { config: migrated, from, applied } = migrateConfig(userConfig);
+        botConfig = migrated;
+        if (applied.length > 0) {
+          configIssues.push({ path: 'version', message: `is ${from}; will be migrated to ${migrated.version} on next load`, level: 'warning' });
+        }
+        configIssues.push(...validateConfig(migrated));
+      } catch (error) {
+        configIssues.push({ path: 'version', message: error.message, level: 'error' });
+      }
+    }
+
+    let envIssues = null;
+    if (existsSync(envPath)) {
+      envIssues = [];
+      const env = readJson(envPath, envIssues);
+      if (env !== undefined) {
+        envIssues.push(...validateEnv(env));
+      }
+    }
+
+    return { config: configIssues, env: envIssues, botConfig };
+  }
+
   /**
    * Save configuration to user's config file
    */
@@ -153,7 +226,10 @@ class ConfigManager {
     if (userConfig.platforms) {
       for (const [platform, settings] of Object.entries(userConfig.platforms)) {
         if (merged.platforms[platform]) {
-          merged.platforms[platform] = { ...merged.platforms[platform], ...settings };
+          // The default disclosure is only for new configs. A platform saved without
+          // one is reported by nbot config validate, not given wording nobody chose.
+          const { disclosure, ...defaults } = merged.platforms[platform];
+          merged.platforms[platform] = { ...defaults, ...settings };
         } else {
           merged.platforms[platform] = settings;
         }
@@ -165,6 +241,11 @@ class ConfigManager {
       merged.searchTerms = { ...merged.searchTerms, ...userConfig.searchTerms };
     }
 
+    // Campaigns are user-defined, so there is nothing to merge them with
+    if (userConfig.campaigns) {
+      merged.campaigns = userConfig.campaigns;
+    }
+
     // Merge settings
     if (userConfig.settings) {
       merged.settings = { ...merged.settings, ...userConfig.settings };
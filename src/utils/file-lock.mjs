@@ -0,0 +1,53 @@
+import fs from 'fs/promises';
+import { setTimeout as wait } from 'timers/promises';
+import { createLogger } from './logger.mjs';
+
+const logger = createLogger('file-lock');
+
+const LOCK_TIMEOUT = 10000;
+const LOCK_STALE_AFTER = 30000;
+
+/**
+ * Run a function while holding an exclusive lock file. Used by every store in
+ * the config directory for read-modify-write changes, so the CLI, `nbot run`
+ * and the daemon never overwrite each other's changes.
+ *
+ * A lock left behind by a process that died is removed once it is older than
+ * 30 seconds; locks are only held for the length of one file write.
+ * @param {string} lockPath - Lock file, usually `<store file>.lock`; its directory must exist
+ * @param {Function} fn - Async function to run while holding the lock
+ * @returns {Promise<*>} What fn returns
+ * @throws {Error} When the lock can't be taken within 10 seconds
+ */
+export async function withFileLock(lockPath, fn) {
+  const startTime = Date.now();
+
+  while (true) {
+    try {
+      const handle = await fs.open(lockPath, 'wx');
+      await handle.writeFile(String(process.pid));
+      await handle.close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      const stat = await fs.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_AFTER) {
+        logger.warn(`⚠️ Removing stale lock ${lockPath}`);
+        await fs.rm(lockPath, { force: true });
+        continue;
+      }
+
+      if (Date.now() - startTime > LOCK_TIMEOUT) {
+        throw new Error(`Timed out waiting for lock: ${lockPath}`);
+      }
+      await wait(100);
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.rm(lockPath, { force: true });
+  }
+}
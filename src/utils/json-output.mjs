@@ -0,0 +1,47 @@
+/**
+ * Machine-readable output for `--json` (nbot status, nbot accounts --list, nbot config --show).
+ *
+ * Every report is one JSON object on stdout with schemaVersion, command and
+ * generatedAt, plus the command's own fields (documented in CLI_USAGE.md).
+ * Human-readable logging goes to stderr while --json is on. Fields are only
+ * ever added within a schema version; renaming or removing one bumps it.
+ */
+
+export const JSON_SCHEMA_VERSION = 1;
+
+/**
+ * Exit codes of commands run with --json
+ */
+export const EXIT_CODES = {
+  ok: 0,
+  error: 1,
+  warnings: 2
+};
+
+/**
+ * Print a report and pick the exit code for it
+ * @param {string} command - e.g. "status"
+ * @param {Object} report - The command's fields; a non-empty `warnings` array means exit code 2
+ * @returns {number} Exit code
+ */
+export function printJson(command, report) {
+  const output = {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    command,
+    generatedAt: new Date().toISOString(),
+    ...report
+  };
+  process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+  return report.warnings?.length > 0 ? EXIT_CODES.warnings : EXIT_CODES.ok;
+}
+
+/**
+ * Print a failed command as {schemaVersion, command, generatedAt, error}
+ * @param {string} command
+ * @param {Error} error
+ * @returns {number} Exit code
+ */
+export function printJsonError(command, error) {
+  printJson(command, { error: error.message });
+  return EXIT_CODES.error;
+}
@@ -1,65 +1,402 @@
 import fs from 'fs';
 import path from 'path';
+import { homedir } from 'os';
+import { AsyncLocalStorage } from 'async_hooks';
 import dayjs from 'dayjs';
+import { saltedHash } from './subject-salt.mjs';
 
-// Ensure logs directory exists
-const logsDir = path.resolve(process.cwd(), 'logs');
-if (!fs.existsSync(logsDir)) {
-  fs.mkdirSync(logsDir, { recursive: true });
-}
+/**
+ * Logger used across the CLI.
+ *
+ * The console gets the familiar human-readable lines. The log file gets one JSON
+ * object per line with level, module, platform, campaign and run id, with secrets
+ * and configured PII fields redacted. Files live in ~/.config/networking-bots/logs
+ * and are rotated by size and by day. Configured by settings.logging in config.json.
+ *
+ * A trailing plain object argument is treated as structured fields. {name} in the
+ * message is replaced by that field: the console shows the value, the file shows
+ * it redacted.
+ *   logger.log('📤 Messaging {recipient}', { recipient: 'jane' })
+ */
 
-// Get current date for log filename
-const getLogFilename = () => {
-  const date = dayjs().format('YYYY-MM-DD');
-  return path.join(logsDir, `${date}.log`);
-};
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
 
-// Write to log file
-const writeToLogFile = (message) => {
-  const timestamp = dayjs().format('YYYY-MM-DD HH:mm:ss');
-  const logMessage = `[${timestamp}] ${message}\n`;
-  
-  fs.appendFileSync(getLogFilename(), logMessage);
+export const DEFAULT_LOG_SETTINGS = {
+  level: 'info',
+  dir: null,
+  maxSizeMB: 10,
+  maxAgeDays: 14,
+  maxFiles: 20,
+  redactFields: ['recipient', 'from', 'displayName', 'email', 'phone', 'message', 'text']
 };
 
-// Custom logger that writes to both console and file
-export const logger = {
-  log: (message, ...args) => {
-    console.log(message, ...args);
-    writeToLogFile(typeof message === 'string' ? 
-      args.length ? `${message} ${args.map(a => JSON.stringify(a)).join(' ')}` : message :
-      JSON.stringify(message));
-  },
-  
-  error: (message, ...args) => {
-    console.error(message, ...args);
-    writeToLogFile(`ERROR: ${typeof message === 'string' ? 
-      args.length ? `${message} ${args.map(a => JSON.stringify(a)).join(' ')}` : message :
-      JSON.stringify(message)}`);
-  },
-  
-  warn: (message, ...args) => {
-    console.warn(message, ...args);
-    writeToLogFile(`WARNING: ${typeof message === 'string' ? 
-      args.length ? `${message} ${args.map(a => JSON.stringify(a)).join(' ')}` : message :
-      JSON.stringify(message)}`);
-  },
-  
-  info: (message, ...args) => {
-    console.info(message, ...args);
-    writeToLogFile(`INFO: ${typeof message === 'string' ? 
-      args.length ? `${message} ${args.map(a => JSON.stringify(a)).join(' ')}` : message :
-      JSON.stringify(message)}`);
-  },
-  
-  debug: (message, ...args) => {
-    if (process.env.DEBUG) {
-      console.debug(message, ...args);
-      writeToLogFile(`DEBUG: ${typeof message === 'string' ? 
-        args.length ? `${message} ${args.map(a => JSON.stringify(a)).join(' ')}` : message :
-        JSON.stringify(message)}`);
+const LOG_FILE = 'nbot.jsonl';
+const ROTATED_FILE_PATTERN = /^nbot-\d{8}-\d{6}(-\d+)?\.jsonl$/;
+
+// Object keys whose values are always secrets
+const SECRET_KEY_PATTERN = /pass(word|wd)?$|secret|token|api[-_]?key|authorization|cookie|credential|private[-_]?key|encryption[-_]?key/i;
+
+// Secrets inside free text
+const SECRET_TEXT_PATTERNS = [
+  [/(bearer\s+)[\w.~+/=-]+/gi, '$1[REDACTED]'],
+  [/((?:password|passwd|pwd|secret|token|api[-_]?key|access[-_]?token|client[-_]?secret)["']?\s*[=:]\s*)("[^"]*"|'[^']*'|[^\s,;&]+)/gi, '$1[REDACTED]'],
+  [/(\/\/[^:/\s@]+:)[^@/\s]+@/g, '$1[REDACTED]@'],
+  [/\bsk-[\w-]{16,}/g, '[REDACTED]'],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, '[REDACTED]']
+];
+
+// Fields set by withContext()/child() that every entry carries
+const CONTEXT_FIELDS = ['module', 'platform', 'campaign', 'runId'];
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Short, stable stand-in for a PII value so entries about the same person can be
+ * correlated. Salted per installation, so it can't be reversed by hashing likely handles.
+ */
+export function pseudonymize(value) {
+  return `[redacted:${saltedHash(value).substring(0, 8)}]`;
+}
+
+/**
+ * Values of environment variables that hold secrets, so they can be scrubbed from text
+ */
+function secretEnvValues() {
+  return Object.entries(process.env)
+    .filter(([key, value]) => SECRET_KEY_PATTERN.test(key) && typeof value === 'string' && value.length >= 6)
+    .map(([, value]) => value);
+}
+
+/**
+ * Shared log settings and the log file. Every Logger writes through one sink.
+ */
+class LogSink {
+  constructor() {
+    this.pending = [];
+    this.flushScheduled = false;
+    this.flushing = null;
+    this.size = null;
+    this.fileDay = null;
+    this.stderrOnly = false;
+    this.applySettings({});
+
+    process.on('exit', () => this.flushSync());
+  }
+
+  /**
+   * Apply settings.logging. LOG_LEVEL and DEBUG override the level; NBOT_LOG_DIR the directory.
+   */
+  applySettings(settings = {}) {
+    const options = { ...DEFAULT_LOG_SETTINGS, ...settings };
+    const level = process.env.LOG_LEVEL || (process.env.DEBUG ? 'debug' : options.level);
+
+    this.level = LEVELS[level] ?? LEVELS.info;
+    this.dir = process.env.NBOT_LOG_DIR || options.dir || path.join(homedir(), '.config', 'networking-bots', 'logs');
+    this.maxSize = Math.max(1, options.maxSizeMB * 1024 * 1024);
+    this.maxAgeDays = options.maxAgeDays;
+    this.maxFiles = options.maxFiles;
+    this.redactFields = new Set(options.redactFields);
+    this.secretValues = secretEnvValues();
+
+    const filePath = path.join(this.dir, LOG_FILE);
+    if (filePath !== this.filePath) {
+      this.filePath = filePath;
+      this.size = null;
+    }
+  }
+
+  enabled(level) {
+    return LEVELS[level] >= this.level;
+  }
+
+  redactText(text) {
+    let result = String(text);
+    for (const [pattern, replacement] of SECRET_TEXT_PATTERNS) {
+      result = result.replace(pattern, replacement);
+    }
+    for (const secret of this.secretValues) {
+      result = result.split(secret).join('[REDACTED]');
+    }
+    return result;
+  }
+
+  /**
+   * Redact secrets everywhere and PII fields by name, recursively
+   * @param {*} value
+   * @param {boolean} [pii] - Also pseudonymize fields listed in redactFields
+   */
+  redact(value, pii = true, depth = 0) {
+    if (typeof value === 'string') return this.redactText(value);
+    if (value instanceof Error) return this.redactText(value.message);
+    if (value === null || typeof value !== 'object' || depth > 5) return value;
+    if (Array.isArray(value)) return value.map(item => this.redact(item, pii, depth + 1));
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+      if (SECRET_KEY_PATTERN.test(key) && item !== null && item !== undefined && item !== '') {
+        return [key, '[REDACTED]'];
+      }
+      if (pii && this.redactFields.has(key) && item !== null && item !== undefined) {
+        return [key, pseudonymize(typeof item === 'string' ? item : JSON.stringify(item))];
+      }
+      return [key, this.redact(item, pii, depth + 1)];
+    }));
+  }
+
+  write(entry) {
+    this.pending.push(`${JSON.stringify(entry)}\n`);
+    if (!this.flushScheduled) {
+      this.flushScheduled = true;
+      setImmediate(() => this.flush());
+    }
+  }
+
+  /**
+   * Write pending entries to disk
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    this.flushScheduled = false;
+    await this.flushing;
+    if (this.pending.length === 0) return;
+
+    const chunk = this.pending.splice(0).join('');
+    this.flushing = (async () => {
+      try {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        this.rotateIfNeeded(Buffer.byteLength(chunk));
+        await fs.promises.appendFile(this.filePath, chunk, { mode: 0o600 });
+        this.size += Buffer.byteLength(chunk);
+      } catch (error) {
+        console.error(`Could not write log file: ${error.message}`);
+      }
+    })();
+    await this.flushing;
+    this.flushing = null;
+  }
+
+  /**
+   * Write whatever is pending before the process exits
+   */
+  flushSync() {
+    if (this.pending.length === 0) return;
+
+    const chunk = this.pending.splice(0).join('');
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      this.rotateIfNeeded(Buffer.byteLength(chunk));
+      fs.appendFileSync(this.filePath, chunk, { mode: 0o600 });
+    } catch {
+      // Nothing sensible to do this late
+    }
+  }
+
+  /**
+   * Start a new file when the current one would grow past maxSize or was started on an earlier day
+   */
+  rotateIfNeeded(incomingBytes) {
+    if (this.size !== null && !fs.existsSync(this.filePath)) {
+      this.size = 0;
+    }
+
+    if (this.size === null) {
+      try {
+        const stat = fs.statSync(this.filePath);
+        this.size = stat.size;
+        this.fileDay = dayjs(stat.mtime).format('YYYY-MM-DD');
+      } catch {
+        this.size = 0;
+        this.fileDay = dayjs().format('YYYY-MM-DD');
+      }
+      this.prune();
+    }
+
+    const today = dayjs().format('YYYY-MM-DD');
+    if (this.size === 0 || (this.size + incomingBytes <= this.maxSize && this.fileDay === today)) {
+      this.fileDay = today;
+      return;
     }
+
+    const stamp = dayjs().format('YYYYMMDD-HHmmss');
+    let rotatedPath = path.join(this.dir, `nbot-${stamp}.jsonl`);
+    for (let i = 1; fs.existsSync(rotatedPath); i++) {
+      rotatedPath = path.join(this.dir, `nbot-${stamp}-${i}.jsonl`);
+    }
+
+    fs.renameSync(this.filePath, rotatedPath);
+    this.size = 0;
+    this.fileDay = today;
+    this.prune();
   }
+
+  /**
+   * Delete rotated files older than maxAgeDays, and the oldest beyond maxFiles
+   */
+  prune() {
+    let files;
+    try {
+      files = fs.readdirSync(this.dir)
+        .filter(name => ROTATED_FILE_PATTERN.test(name))
+        .map(name => {
+          const filePath = path.join(this.dir, name);
+          return { filePath, mtime: fs.statSync(filePath).mtimeMs };
+        })
+        .sort((a, b) => b.mtime - a.mtime);
+    } catch {
+      return;
+    }
+
+    const cutoff = dayjs().subtract(this.maxAgeDays, 'day').valueOf();
+    files.forEach((file, index) => {
+      if (file.mtime < cutoff || index >= this.maxFiles) {
+        fs.rmSync(file.filePath, { force: true });
+      }
+    });
+  }
+}
+
+const sink = new LogSink();
+
+const CONSOLE_METHODS = {
+  debug: 'debug',
+  info: 'log',
+  warn: 'warn',
+  error: 'error'
 };
 
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Replace {name} in a message with fields[name]
+ */
+function interpolate(message, fields) {
+  if (!fields || typeof message !== 'string') return message;
+  return message.replace(/\{(\w+)\}/g, (token, name) => (
+    name in fields ? (typeof fields[name] === 'string' ? fields[name] : JSON.stringify(fields[name])) : token
+  ));
+}
+
+class Logger {
+  /**
+   * @param {Object} [bindings] - Fields added to every entry (e.g. {module: 'reddit'})
+   */
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+  }
+
+  /**
+   * Logger that adds fields to every entry
+   * @param {Object} bindings - e.g. {module: 'reddit'}
+   * @returns {Logger}
+   */
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+
+  /**
+   * Run fn with fields (platform, campaign, runId, ...) attached to everything it logs
+   * @param {Object} fields
+   * @param {Function} fn
+   * @returns {*} Whatever fn returns
+   */
+  withContext(fields, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+  }
+
+  /**
+   * Apply settings.logging from config.json
+   */
+  configure(settings = {}) {
+    sink.applySettings(settings);
+  }
+
+  /**
+   * Send all console output to stderr, leaving stdout for machine-readable output (--json)
+   */
+  useStderr() {
+    sink.stderrOnly = true;
+  }
+
+  /**
+   * Wait until everything logged so far is on disk
+   */
+  flush() {
+    return sink.flush();
+  }
+
+  get filePath() {
+    return sink.filePath;
+  }
+
+  write(level, consoleMethod, message, args) {
+    if (!sink.enabled(level)) return;
+
+    const fields = args.length > 0 && isPlainObject(args[args.length - 1]) ? args[args.length - 1] : null;
+    const extra = fields ? args.slice(0, -1) : args;
+
+    // The console is the operator's own terminal: show values, but never secrets
+    const consoleParts = [interpolate(message, fields), ...extra]
+      .map(part => (typeof part === 'string' ? sink.redactText(part) : sink.redact(part, false)));
+    console[sink.stderrOnly ? 'error' : consoleMethod](...consoleParts);
+
+    const redactedFields = fields ? sink.redact(fields) : null;
+    const text = [interpolate(message, redactedFields), ...extra]
+      .map(part => (typeof part === 'string' ? part : part instanceof Error ? part.message : JSON.stringify(part)))
+      .join(' ');
+    const context = { ...this.bindings, ...contextStorage.getStore() };
+
+    const entry = { time: new Date().toISOString(), level, msg: sink.redactText(text) };
+    for (const field of CONTEXT_FIELDS) {
+      if (context[field]) entry[field] = context[field];
+    }
+    if (redactedFields) {
+      Object.assign(entry, redactedFields);
+    }
+
+    sink.write(entry);
+  }
+
+  log(message, ...args) {
+    this.write('info', CONSOLE_METHODS.info, message, args);
+  }
+
+  info(message, ...args) {
+    this.write('info', 'info', message, args);
+  }
+
+  warn(message, ...args) {
+    this.write('warn', CONSOLE_METHODS.warn, message, args);
+  }
+
+  error(message, ...args) {
+    this.write('error', CONSOLE_METHODS.error, message, args);
+  }
+
+  debug(message, ...args) {
+    this.write('debug', CONSOLE_METHODS.debug, message, args);
+  }
+}
+
+/**
+ * Logger for one module, e.g. createLogger('reddit')
+ * @param {string} module
+ * @returns {Logger}
+ */
+export function createLogger(module) {
+  return logger.child({ module });
+}
+
+/**
+ * Redact secrets and PII fields the same way the log file does
+ * @param {*} value
+ * @param {boolean} [pii] - Also pseudonymize PII fields; false redacts secrets only
+ * @returns {*}
+ */
+export function redact(value, pii = true) {
+  return sink.redact(value, pii);
+}
+
+export const logger = new Logger();
+
 export default logger;
@@ -0,0 +1,38 @@
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { homedir } from 'os';
+
+let salt = null;
+
+/**
+ * Random per-installation salt for hashes of personal data, created on first use in
+ * ~/.config/networking-bots/subject-salt. Without it, a hash of a handle could be
+ * reversed by hashing likely handles.
+ *
+ * Kept out of the services so the logger can use it for its pseudonyms.
+ */
+function subjectSalt() {
+  const configDir = path.join(homedir(), '.config', 'networking-bots');
+  const saltPath = path.join(configDir, 'subject-salt');
+  if (salt && existsSync(saltPath)) return salt;
+
+  try {
+    salt = readFileSync(saltPath, 'utf8').trim();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    mkdirSync(configDir, { recursive: true });
+    salt = crypto.randomBytes(32).toString('hex');
+    writeFileSync(saltPath, salt, { mode: 0o600 });
+  }
+  return salt;
+}
+
+/**
+ * Salted SHA-256 (HMAC) of a value
+ * @param {string} value
+ * @returns {string} Hex-encoded hash
+ */
+export function saltedHash(value) {
+  return crypto.createHmac('sha256', subjectSalt()).update(String(value)).digest('hex');
+}
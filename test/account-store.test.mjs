@@ -0,0 +1,38 @@
+import './helpers/home.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { accountStore, encryptSecretFields } from '../src/services/account-store.mjs';
+import { isEncryptedPayload } from '../src/services/credential-vault.mjs';
+import { resetState, attestedAccount } from './helpers/state.mjs';
+
+beforeEach(() => {
+  resetState();
+});
+
+test('every secret field is stored encrypted, and IDs are left readable', async () => {
+  const account = attestedAccount({ password: 'hunter22', apiKey: 'key-123', apiSecret: 'secret-456', clientId: 'client-789', appSecret: '' });
+
+  assert.equal(encryptSecretFields(account), 3);
+  for (const field of ['password', 'apiKey', 'apiSecret']) {
+    assert.ok(isEncryptedPayload(account[field]), field);
+  }
+  assert.equal(account.clientId, 'client-789');
+  assert.equal(account.appSecret, '');
+  assert.equal(encryptSecretFields(account), 0, 'encrypted fields are not encrypted twice');
+
+  await accountStore.save({ x: [account] });
+  const credentials = await accountStore.getActiveCredentials('x');
+  assert.equal(credentials.apiKey, 'key-123');
+  assert.equal(accountStore.decryptField(account, 'apiSecret'), 'secret-456');
+});
+
+test('a credential that can not be decrypted is an error, not a missing value', async () => {
+  const account = attestedAccount({ password: 'hunter22' });
+  encryptSecretFields(account);
+  account.password = { ...account.password, tag: '00'.repeat(16) };
+  await accountStore.save({ x: [account] });
+
+  assert.throws(() => accountStore.decryptField(account, 'password'), /Failed to decrypt password/);
+  await assert.rejects(accountStore.getActiveCredentials('x'), /Failed to decrypt password/);
+  assert.equal(accountStore.decryptField(account, 'apiKey'), null, 'a missing field is still null');
+});
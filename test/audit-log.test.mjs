@@ -0,0 +1,211 @@
+import './helpers/home.mjs';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { auditLog, GENESIS_HASH, AUDIT_FORMAT } from '../src/services/audit-log.mjs';
+import { hashMessage, contactLedger } from '../src/services/contact-ledger.mjs';
+import { reviewQueue } from '../src/services/review-queue.mjs';
+import { runNetworkingBot } from '../src/commands/run.mjs';
+import { platformRegistry } from '../src/platforms/registry.mjs';
+import { createMockPlatform } from './helpers/mock-platform.mjs';
+import { resetState, writeConfig, DISCLOSURE } from './helpers/state.mjs';
+
+let mock;
+
+beforeEach(async () => {
+  resetState();
+  process.env.NBOT_OPERATOR = 'dana';
+  mock = createMockPlatform({ candidates: ['alice'], failures: { bob: new Error('blocked') } });
+  platformRegistry.register(mock);
+  writeConfig(['mock']);
+});
+
+afterEach(() => {
+  platformRegistry.unregister('mock');
+  delete process.env.NBOT_OPERATOR;
+});
+
+/**
+ * Hash an entry the way both format versions do
+ */
+function hashOf(entry) {
+  const { hash, ...content } = entry;
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Write a log in the version 1 format, without v, recipientHash or errorHash
+ */
+function writeVersion1Log(recipients) {
+  let prevHash = GENESIS_HASH;
+  const lines = recipients.map((recipient, index) => {
+    const entry = {
+      seq: index + 1,
+      time: new Date(Date.UTC(2026, 8, 1, 10, index)).toISOString(),
+      action: 'message',
+      operator: 'dana',
+      runId: null,
+      account: 'outreach',
+      platform: 'mock',
+      recipient,
+      campaign: null,
+      messageHash: null,
+      approval: null,
+      result: 'failed',
+      error: `${recipient} has blocked us`,
+      ledgerEntry: null,
+      prevHash
+    };
+    entry.hash = hashOf(entry);
+    prevHash = entry.hash;
+    return JSON.stringify(entry);
+  });
+  fs.mkdirSync(path.dirname(auditLog.filePath), { recursive: true });
+  fs.writeFileSync(auditLog.filePath, `${lines.join('\n')}\n`);
+  const newest = JSON.parse(lines[lines.length - 1]);
+  fs.writeFileSync(auditLog.headPath, JSON.stringify({ seq: newest.seq, hash: newest.hash, time: newest.time }));
+}
+
+/**
+ * Write three chained entries and return the file's lines
+ */
+async function writeEntries() {
+  for (const recipient of ['alice', 'bob', 'carol']) {
+    await auditLog.record({ platform: 'mock', recipient, result: 'sent' });
+  }
+  return fs.readFileSync(auditLog.filePath, 'utf8').trim().split('\n');
+}
+
+test('records who sent what to whom, chained to the entry before', async () => {
+  const run = await runNetworkingBot({ job: 'default' });
+
+  const [entry] = await auditLog.list();
+  const [ledgerEntry] = await contactLedger.getEntries({ recipient: 'alice' });
+  assert.equal(entry.seq, 1);
+  assert.equal(entry.operator, 'dana');
+  assert.equal(entry.account, 'outreach');
+  assert.equal(entry.platform, 'mock');
+  assert.equal(entry.recipient, 'alice');
+  assert.equal(entry.messageHash, hashMessage(mock.sent[0].message));
+  assert.equal(entry.result, 'sent');
+  assert.equal(entry.approval, null);
+  assert.equal(entry.runId, run.id);
+  assert.equal(entry.ledgerEntry, ledgerEntry.id);
+  assert.equal(entry.prevHash, GENESIS_HASH);
+  assert.match(entry.hash, /^[0-9a-f]{64}$/);
+
+  assert.deepEqual(await auditLog.verify(), { entries: 1, issues: [] });
+});
+
+test('approved messages carry the review item and reviewer, failures are recorded too', async () => {
+  const message = `Hi Bob\n\n${DISCLOSURE}`;
+  const item = await reviewQueue.enqueue({ platform: 'mock', recipient: 'bob', message, disclosure: DISCLOSURE });
+  await reviewQueue.approve(item.id);
+
+  await runNetworkingBot({ job: 'default' });
+
+  const [entry] = await auditLog.list();
+  assert.equal(entry.result, 'failed');
+  assert.match(entry.error, /blocked/);
+  assert.equal(entry.messageHash, hashMessage(message));
+  assert.deepEqual(entry.approval, { reviewItem: item.id, reviewedBy: 'dana', reviewedAt: entry.approval.reviewedAt });
+  assert.ok(entry.approval.reviewedAt);
+});
+
+test('verify detects edited entries', async () => {
+  const lines = await writeEntries();
+  lines[1] = lines[1].replace('"recipient":"bob"', '"recipient":"mallory"');
+  fs.writeFileSync(auditLog.filePath, `${lines.join('\n')}\n`);
+
+  const { issues } = await auditLog.verify();
+  assert.deepEqual(issues, [{ line: 2, seq: 2, problem: 'was changed after it was written' }]);
+});
+
+test('verify detects removed entries, in the middle and at the end', async () => {
+  const lines = await writeEntries();
+  fs.writeFileSync(auditLog.filePath, `${[lines[0], lines[2]].join('\n')}\n`);
+  assert.deepEqual((await auditLog.verify()).issues, [{ line: 2, seq: 3, problem: 'entry 2 is missing' }]);
+
+  fs.writeFileSync(auditLog.filePath, `${lines.slice(0, 2).join('\n')}\n`);
+  assert.deepEqual((await auditLog.verify()).issues, [{ line: null, seq: 3, problem: 'entry 3 is missing from the end' }]);
+
+  fs.writeFileSync(auditLog.filePath, `${[lines[0], '{not json', lines[1], lines[2]].join('\n')}\n`);
+  assert.deepEqual((await auditLog.verify()).issues, [{ line: 2, seq: null, problem: 'not a valid entry' }]);
+});
+
+test('verify detects a forged entry with a valid hash that does not follow the chain', async () => {
+  const lines = await writeEntries();
+  const forged = JSON.parse(lines[1]);
+  forged.recipient = 'mallory';
+  forged.prevHash = GENESIS_HASH;
+  const { hash, ...content } = forged;
+  forged.hash = crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+  lines[1] = JSON.stringify(forged);
+  fs.writeFileSync(auditLog.filePath, `${lines.join('\n')}\n`);
+
+  const { issues } = await auditLog.verify();
+  assert.deepEqual(issues.map(issue => [issue.seq, issue.problem]), [
+    [2, 'does not follow the entry before it (removed, replaced or reordered)'],
+    [3, 'does not follow the entry before it (removed, replaced or reordered)']
+  ]);
+});
+
+test('a log written before entries had a format version still verifies and grows', async () => {
+  writeVersion1Log(['alice', 'bob']);
+  assert.deepEqual(await auditLog.verify(), { entries: 2, issues: [] });
+
+  const entry = await auditLog.record({ platform: 'mock', recipient: 'carol', result: 'sent' });
+  assert.equal(entry.v, AUDIT_FORMAT);
+  assert.equal(entry.seq, 3);
+  assert.deepEqual(await auditLog.verify(), { entries: 3, issues: [] });
+
+  const lines = fs.readFileSync(auditLog.filePath, 'utf8').trim().split('\n');
+  lines[0] = lines[0].replace('"recipient":"alice"', '"recipient":"mallory"');
+  fs.writeFileSync(auditLog.filePath, `${lines.join('\n')}\n`);
+  assert.deepEqual((await auditLog.verify()).issues, [{ line: 1, seq: 1, problem: 'was changed after it was written' }]);
+});
+
+test('forgetting a person appends an erasure entry that vouches for the emptied entries', async () => {
+  writeVersion1Log(['alice', 'bob']);
+  await writeEntries();
+
+  assert.equal(await auditLog.forget(['bob']), 2);
+
+  const entries = await auditLog.list();
+  assert.deepEqual(entries.map(entry => [entry.seq, entry.recipient, entry.error]), [
+    [1, 'alice', 'alice has blocked us'],
+    [2, null, null],
+    [3, 'alice', null],
+    [4, null, null],
+    [5, 'carol', null],
+    [6, undefined, undefined]
+  ]);
+  const erasure = entries[5];
+  assert.equal(erasure.action, 'erasure');
+  assert.equal(erasure.operator, 'dana');
+  assert.deepEqual(erasure.erased.map(item => item.seq), [2, 4]);
+  assert.equal(erasure.prevHash, entries[4].hash);
+  assert.doesNotMatch(fs.readFileSync(auditLog.filePath, 'utf8'), /bob/);
+  assert.deepEqual(await auditLog.verify(), { entries: 6, issues: [] });
+
+  assert.equal(await auditLog.forget(['bob']), 0, 'nothing left to erase');
+});
+
+test('verify detects a recipient emptied without an erasure entry', async () => {
+  const lines = await writeEntries();
+  lines[1] = lines[1].replace('"recipient":"bob"', '"recipient":null');
+  fs.writeFileSync(auditLog.filePath, `${lines.join('\n')}\n`);
+
+  assert.deepEqual((await auditLog.verify()).issues, [{ line: 2, seq: 2, problem: 'was changed after it was written' }]);
+});
+
+test('forget refuses to vouch for an entry that was changed', async () => {
+  const lines = await writeEntries();
+  lines[1] = lines[1].replace('"result":"sent"', '"result":"failed"');
+  fs.writeFileSync(auditLog.filePath, `${lines.join('\n')}\n`);
+
+  await assert.rejects(auditLog.forget(['bob']), /entry 2 was changed after it was written/);
+  assert.equal((await auditLog.list()).length, 3);
+});
@@ -0,0 +1,159 @@
+import './helpers/home.mjs';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import dayjs from 'dayjs';
+import { Campaign, getCampaign } from '../src/services/campaigns.mjs';
+import { runNetworkingBot } from '../src/commands/run.mjs';
+import { platformRegistry } from '../src/platforms/registry.mjs';
+import { contactLedger } from '../src/services/contact-ledger.mjs';
+import { reviewQueue } from '../src/services/review-queue.mjs';
+import { config } from '../src/utils/config.mjs';
+import { createMockPlatform } from './helpers/mock-platform.mjs';
+import { resetState, writeConfig, DISCLOSURE } from './helpers/state.mjs';
+
+let mock;
+
+function useMock(script) {
+  mock = createMockPlatform(script);
+  platformRegistry.register(mock);
+  return mock;
+}
+
+function addCampaigns(campaigns) {
+  const botConfig = config.load();
+  botConfig.campaigns = campaigns;
+  config.save(botConfig);
+}
+
+beforeEach(() => {
+  resetState();
+  writeConfig(['mock']);
+});
+
+afterEach(() => {
+  platformRegistry.unregister('mock');
+});
+
+test('campaigns override search terms and templates, falling back to the global config', () => {
+  const campaign = new Campaign('emby', {
+    searchTerms: { reddit: ['emby'] },
+    templates: { default: { message: 'Hi from emby' }, x: { message: 'Hi X', personalize: true } }
+  });
+
+  assert.deepEqual(campaign.searchTermsFor('reddit', ['plex']), ['emby']);
+  assert.deepEqual(campaign.searchTermsFor('x', ['plex']), ['plex']);
+  assert.deepEqual(campaign.platformConfig('reddit', { enabled: true, message: 'global' }), { enabled: true, message: 'Hi from emby' });
+  assert.deepEqual(campaign.platformConfig('x', { enabled: true }), { enabled: true, message: 'Hi X', personalize: true });
+  assert.deepEqual(new Campaign('all', { searchTerms: ['jellyfin'] }).searchTermsFor('x'), ['jellyfin']);
+});
+
+test('a campaign can set its own disclosure', async () => {
+  useMock({ candidates: ['alice'] });
+  writeConfig(['mock'], {}, { disclosure: 'Sent by Acme via automation' });
+  addCampaigns({
+    emby: { searchTerms: ['emby'], templates: { default: { message: 'Hi, fellow emby user' }, mock: { disclosure: 'Sent by Acme Emby team via automation' } } }
+  });
+
+  await runNetworkingBot({ platform: 'mock', campaign: 'emby' });
+
+  assert.equal(mock.sent[0].message, 'Hi, fellow emby user\n\nSent by Acme Emby team via automation');
+});
+
+test('campaigns are only active within their date window', () => {
+  const campaign = new Campaign('q4', { startDate: '2026-10-01', endDate: '2026-12-31' });
+
+  assert.equal(campaign.isActive(dayjs('2026-10-01T00:00:00')).active, true);
+  assert.equal(campaign.isActive(dayjs('2026-12-31T23:00:00')).active, true);
+  assert.match(campaign.isActive(dayjs('2026-09-30')).reason, /starts on 2026-10-01/);
+  assert.match(campaign.isActive(dayjs('2027-01-01')).reason, /ended on 2026-12-31/);
+});
+
+test('validate reports bad definitions', () => {
+  const errors = new Campaign('bad', { platforms: ['myspace'], startDate: '2026-12-01', endDate: '2026-11-01' })
+    .validate(['x', 'reddit']);
+
+  assert.deepEqual(errors, ['bad: unknown platform myspace', 'bad: endDate is before startDate']);
+});
+
+test('getCampaign rejects unknown names', () => {
+  assert.throws(() => getCampaign({ campaigns: { plex: {} } }, 'emby'), /Unknown campaign: emby. Available: plex/);
+});
+
+test('--campaign uses the campaign search terms and template and records the campaign', async () => {
+  useMock({ candidates: [{ id: 'alice', source: { searchTerm: 'emby' } }] });
+  addCampaigns({
+    emby: { owner: 'sam', searchTerms: ['emby'], templates: { default: { message: 'Hi, fellow {{topic}} user' } } }
+  });
+
+  await runNetworkingBot({ platform: 'mock', campaign: 'emby' });
+
+  assert.deepEqual(mock.searches, [['emby']]);
+  assert.equal(mock.sent[0].message, `Hi, fellow emby user\n\n${DISCLOSURE}`);
+  const [entry] = await contactLedger.getEntries({ campaign: 'emby' });
+  assert.equal(entry.recipient, 'alice');
+});
+
+test('enforces the campaign daily budget', async () => {
+  useMock({ candidates: ['alice', 'bob'] });
+  addCampaigns({ plex: { maxMessagesPerDay: 1 } });
+
+  await runNetworkingBot({ platform: 'mock', campaign: 'plex' });
+  await runNetworkingBot({ platform: 'mock', campaign: 'plex' });
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.deepEqual(mock.sent.map(send => send.recipient), ['alice', 'bob']);
+  assert.equal(await contactLedger.countToday(null, 'plex'), 1);
+});
+
+test('does nothing outside the campaign date window', async () => {
+  useMock({ candidates: ['alice'] });
+  addCampaigns({ old: { endDate: '2020-01-31' } });
+
+  await runNetworkingBot({ platform: 'mock', campaign: 'old' });
+
+  assert.equal(mock.calls.initialize, 0);
+  assert.equal(mock.attempts.length, 0);
+});
+
+test('only runs the platforms the campaign lists', async () => {
+  useMock({ candidates: ['alice'] });
+  addCampaigns({ elsewhere: { platforms: ['reddit'] } });
+
+  await runNetworkingBot({ platform: 'mock', campaign: 'elsewhere' });
+
+  assert.equal(mock.calls.initialize, 0);
+});
+
+test('review items remember their campaign and are delivered by that campaign only', async () => {
+  useMock({ candidates: [] });
+  addCampaigns({ plex: {} });
+  const item = await reviewQueue.enqueue({ platform: 'mock', recipient: 'alice', message: `Hi Alice\n\n${DISCLOSURE}`, campaign: 'plex', disclosure: DISCLOSURE });
+  await reviewQueue.approve(item.id);
+
+  await runNetworkingBot({ platform: 'mock' });
+  assert.equal(mock.sent.length, 0);
+
+  await runNetworkingBot({ platform: 'mock', campaign: 'plex' });
+  assert.deepEqual(mock.sent.map(send => send.recipient), ['alice']);
+  assert.equal((await contactLedger.getEntries({ campaign: 'plex' })).length, 1);
+});
+
+test('a campaign sends nothing when neither it nor the platform has a disclosure', async () => {
+  useMock({ candidates: ['alice'] });
+  writeConfig(['mock'], {}, { disclosure: undefined });
+  addCampaigns({
+    emby: { searchTerms: ['emby'], templates: { default: { message: 'Hi, fellow emby user' } } },
+    plex: { searchTerms: ['plex'], templates: { mock: { disclosure: 'Sent by Acme Plex team via automation' } } }
+  });
+
+  const run = await runNetworkingBot({ platform: 'mock', campaign: 'emby' });
+  assert.equal(mock.attempts.length, 0);
+  assert.deepEqual(run.errors, ['mock: no automation disclosure configured']);
+
+  await runNetworkingBot({ platform: 'mock', campaign: 'plex' });
+  assert.equal(mock.sent[0].message, 'Hello from mock\n\nSent by Acme Plex team via automation');
+});
+
+test('rejects unknown campaigns', async () => {
+  await assert.rejects(runNetworkingBot({ platform: 'mock', campaign: 'nope' }), /Unknown campaign: nope/);
+});
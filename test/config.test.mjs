@@ -0,0 +1,136 @@
+import { testHome } from './helpers/home.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { config } from '../src/utils/config.mjs';
+import { validateConfig, validateEnv, formatIssue } from '../src/utils/config-schema.mjs';
+import { migrateConfig, CONFIG_VERSION } from '../src/utils/config-migrations.mjs';
+import { validateConfigFiles } from '../src/commands/config.mjs';
+import { resetState } from './helpers/state.mjs';
+
+function writeRaw(data, file = config.configPath) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+const messages = issues => issues.map(formatIssue);
+
+beforeEach(() => {
+  resetState();
+  config.reportedIssues = null;
+});
+
+test('the default config is valid', () => {
+  assert.deepEqual(validateConfig(config.defaultConfig).filter(issue => issue.level === 'error'), []);
+  assert.deepEqual(validateEnv(config.defaultEnv), []);
+});
+
+test('new configs get a disclosure, saved platforms without one are reported', () => {
+  assert.ok(Object.values(config.defaultConfig.platforms).every(platform => platform.disclosure));
+
+  const saved = { version: CONFIG_VERSION, platforms: { reddit: { enabled: true, message: 'Hi {{topic}}' } }, searchTerms: { reddit: ['plex'] } };
+  assert.equal(config.mergeWithDefaults(saved).platforms.reddit.disclosure, undefined);
+  assert.deepEqual(messages(validateConfig(saved).filter(issue => issue.level === 'error')), [
+    'platforms.reddit.disclosure: reddit is enabled but has no automation disclosure, so nbot run sends nothing there'
+  ]);
+
+  saved.platforms.reddit.disclosure = 'Sent via automation';
+  saved.campaigns = { spring: { platforms: ['reddit'], templates: { reddit: { disclosure: '' } } } };
+  assert.deepEqual(messages(validateConfig(saved).filter(issue => issue.level === 'error')), [
+    'campaigns.spring.templates: no automation disclosure for reddit, so the campaign sends nothing there'
+  ]);
+});
+
+test('rejects a disclosure that still has a placeholder', () => {
+  const issues = messages(validateConfig({
+    platforms: { x: { enabled: false, disclosure: 'Sent by <company> via automation - reply STOP to opt out' } }
+  }));
+  assert.ok(issues.includes('platforms.x.disclosure: contains the placeholder <company>; replace it with your own text'));
+});
+
+test('suggests the intended name for misspelled settings', () => {
+  assert.deepEqual(messages(validateConfig({ settings: { maxMesagesPerDay: 5 } })), [
+    'settings.maxMesagesPerDay: unknown setting. Did you mean "maxMessagesPerDay"?'
+  ]);
+});
+
+test('rejects unsupported platforms, wrong types and out-of-range values', () => {
+  const issues = messages(validateConfig({
+    platforms: { myspace: { enabled: true } },
+    settings: { maxMessagesPerDay: '10', retryAttempts: 0, logging: { level: 'loud' } },
+    campaigns: { spring: { platforms: ['tiktk'], startDate: '2024-05-01', endDate: '2024-04-01' } }
+  }));
+
+  assert.ok(issues.some(issue => issue.startsWith('platforms.myspace: unknown platform')));
+  assert.ok(issues.includes('settings.maxMessagesPerDay: must be a number (got "10")'));
+  assert.ok(issues.includes('settings.retryAttempts: must be at least 1 (got 0)'));
+  assert.ok(issues.some(issue => issue.startsWith('settings.logging.level: must be one of')));
+  assert.ok(issues.some(issue => issue.includes('(got "tiktk"). Did you mean "tiktok"?')));
+  assert.ok(issues.includes('campaigns.spring.endDate: is before startDate'));
+});
+
+test('env.json holds string values under variable names', () => {
+  assert.deepEqual(messages(validateEnv({ HEADLESS: 'yes', 'bad-key': 'x', RETRIES: 3, CUSTOM_TOKEN: 'abc' })), [
+    'HEADLESS: must be one of true, false (got "yes")',
+    'bad-key: not a valid environment variable name',
+    'RETRIES: must be text (got 3)'
+  ]);
+});
+
+test('migrates legacy [topic] templates and keeps a backup', () => {
+  writeRaw({ platforms: { reddit: { enabled: true, message: 'Great point about [topic]! See [docs](https://example.com)' } } });
+
+  const loaded = config.load();
+
+  assert.equal(loaded.version, CONFIG_VERSION);
+  assert.equal(loaded.platforms.reddit.message, 'Great point about {{topic}}! See [docs](https://example.com)');
+
+  const onDisk = JSON.parse(fs.readFileSync(config.configPath, 'utf8'));
+  assert.equal(onDisk.version, CONFIG_VERSION);
+  assert.equal(onDisk.settings, undefined, 'defaults are not written back into the file');
+
+  const backup = JSON.parse(fs.readFileSync(`${config.configPath}.v0.bak`, 'utf8'));
+  assert.equal(backup.platforms.reddit.message, 'Great point about [topic]! See [docs](https://example.com)');
+});
+
+test('loading a current config does not rewrite it', () => {
+  writeRaw({ version: CONFIG_VERSION, platforms: { reddit: { enabled: true } } });
+  const before = fs.readFileSync(config.configPath, 'utf8');
+
+  config.load();
+
+  assert.equal(fs.readFileSync(config.configPath, 'utf8'), before);
+});
+
+test('refuses configs written by a newer version', () => {
+  assert.throws(() => migrateConfig({ version: CONFIG_VERSION + 1 }), /only understands up to/);
+});
+
+test('config validate fails on errors without touching the file', async () => {
+  const file = path.join(testHome, 'deploy-config.json');
+  writeRaw({ settings: { maxMesagesPerDay: 5 }, platforms: { reddit: { message: 'Hi [topic]' } } }, file);
+  const before = fs.readFileSync(file, 'utf8');
+
+  assert.equal(await validateConfigFiles({ file }), false);
+  assert.equal(fs.readFileSync(file, 'utf8'), before);
+
+  const result = config.validateFiles({ configPath: file });
+  assert.ok(result.config.some(issue => issue.path === 'version' && issue.level === 'warning'));
+  assert.equal(result.botConfig.platforms.reddit.message, 'Hi {{topic}}');
+});
+
+test('config validate passes a valid config and reports template and provider problems', async () => {
+  writeRaw({ version: CONFIG_VERSION, platforms: { reddit: { enabled: false, message: 'Hi {{topic}}' } } });
+  assert.equal(await validateConfigFiles(), true);
+
+  writeRaw({ version: CONFIG_VERSION, platforms: { reddit: { message: 'Hi {{topc}}' } }, settings: { llm: { provider: 'nope' } } });
+  assert.equal(await validateConfigFiles(), false);
+});
+
+test('--strict treats warnings as errors', async () => {
+  writeRaw({ version: CONFIG_VERSION, platforms: { reddit: { enabled: true, message: 'Hi {{topic}}', disclosure: 'Sent via automation' } } });
+
+  assert.equal(await validateConfigFiles(), true);
+  assert.equal(await validateConfigFiles({ strict: true }), false);
+});
@@ -0,0 +1,145 @@
+import { testHome } from './helpers/home.mjs';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { dataSubjects, countRecords } from '../src/services/data-subjects.mjs';
+import { suppressionList } from '../src/services/suppression-list.mjs';
+import { identityLinks } from '../src/services/identity-links.mjs';
+import { contactLedger } from '../src/services/contact-ledger.mjs';
+import { reviewQueue } from '../src/services/review-queue.mjs';
+import { replyMonitor } from '../src/services/reply-monitor.mjs';
+import { auditLog } from '../src/services/audit-log.mjs';
+import { runLock } from '../src/services/run-lock.mjs';
+import { runNetworkingBot } from '../src/commands/run.mjs';
+import { logger, pseudonymize } from '../src/utils/logger.mjs';
+import { config } from '../src/utils/config.mjs';
+import { platformRegistry } from '../src/platforms/registry.mjs';
+import { createMockPlatform } from './helpers/mock-platform.mjs';
+import { resetState, writeConfig } from './helpers/state.mjs';
+
+let mock;
+let projectDir;
+
+// How log files written before pseudonyms were salted name jane
+const legacyPseudonym = `[redacted:${crypto.createHash('sha256').update('jane').digest('hex').substring(0, 8)}]`;
+
+beforeEach(async () => {
+  resetState();
+  projectDir = fs.mkdtempSync(path.join(testHome, 'project-'));
+  dataSubjects.rootDir = projectDir;
+
+  mock = createMockPlatform({ candidates: ['jane'], failures: { jane: [new Error('jane has blocked us')] } });
+  platformRegistry.register(mock);
+  writeConfig(['mock']);
+});
+
+afterEach(() => {
+  platformRegistry.unregister('mock');
+});
+
+/**
+ * Leave records about jane (also x:jane_doe) and bob in every store and log
+ */
+async function recordJaneAndBob() {
+  await identityLinks.link(['mock:jane', 'x:jane_doe']);
+
+  // A failed send, whose error names her, then a successful one
+  await runNetworkingBot({ job: 'default' });
+  await runNetworkingBot({ job: 'default' });
+
+  await reviewQueue.enqueue({ platform: 'x', recipient: '@Jane_Doe', message: 'Hi Jane' });
+  await replyMonitor.update(replies => {
+    replies.push({ id: 'r1', platform: 'mock', from: 'jane', text: 'Who is this?', classification: 'neutral' });
+  });
+  await contactLedger.record({ recipient: 'bob', platform: 'mock', message: 'Hi Bob' });
+
+  fs.writeFileSync(path.join(projectDir, 'messaged-mock.json.migrated'), JSON.stringify(['jane', 'bob']));
+  fs.mkdirSync(path.join(projectDir, 'logs'));
+  fs.writeFileSync(path.join(projectDir, 'logs', '2026-01-01.log'), '[2026-01-01 10:00:00] Messaged jane\n[2026-01-01 10:01:00] Messaged bob\n');
+  await logger.flush();
+  fs.writeFileSync(path.join(path.dirname(logger.filePath), 'nbot-20260101-100000.jsonl'),
+    `${JSON.stringify({ level: 'info', msg: `Messaged ${legacyPseudonym}`, recipient: legacyPseudonym })}\n`);
+}
+
+/**
+ * Every file under a directory, with its content
+ */
+function readAll(dir) {
+  return fs.readdirSync(dir, { recursive: true })
+    .map(name => path.join(dir, name))
+    .filter(file => fs.statSync(file).isFile())
+    .map(file => ({ file, content: fs.readFileSync(file, 'utf8') }));
+}
+
+test('export collects every record about a person and their linked identities', async () => {
+  await recordJaneAndBob();
+
+  const bundle = await dataSubjects.export('mock:jane');
+
+  assert.deepEqual(bundle.identities, [{ platform: 'mock', value: 'jane' }, { platform: 'x', value: 'jane_doe' }]);
+  const { records } = bundle;
+  assert.deepEqual(records.contactLedger.map(entry => entry.outcome), ['failed', 'sent']);
+  assert.equal(records.reviewQueue[0].recipient, '@Jane_Doe');
+  assert.equal(records.replies[0].text, 'Who is this?');
+  assert.equal(records.identityLinks.length, 1);
+  assert.deepEqual(records.auditLog.map(entry => entry.result), ['failed', 'sent']);
+  assert.equal(records.runHistory.length, 1);
+  assert.match(records.runHistory[0].errors[0], /jane has blocked us/);
+  assert.deepEqual(records.legacyMessaged.map(item => item.users), [['jane']]);
+
+  const legacyLog = records.logs.find(item => item.file.endsWith('2026-01-01.log'));
+  assert.deepEqual(legacyLog.lines, ['[2026-01-01 10:00:00] Messaged jane']);
+  const logFile = records.logs.find(item => item.file === logger.filePath);
+  assert.ok(logFile.lines.some(entry => entry.msg.includes('jane has blocked us')));
+  assert.ok(logFile.lines.some(entry => entry.recipient === pseudonymize('jane')), 'pseudonymized lines are hers too');
+  assert.ok(records.logs.some(item => item.lines.some(entry => entry.recipient === legacyPseudonym)), 'and lines from before pseudonyms were salted');
+
+  assert.ok(!JSON.stringify(records).includes('bob'), 'nothing about anyone else');
+});
+
+test('forget erases the person everywhere, keeps the audit chain intact and keeps them suppressed', async () => {
+  await recordJaneAndBob();
+
+  const counts = await dataSubjects.forget('@Jane');
+  assert.equal(counts.contactLedger, 2);
+  assert.equal(counts.auditLog, 2);
+
+  const after = await dataSubjects.export('jane');
+  assert.ok(Object.values(countRecords(after.records)).every(count => count === 0));
+
+  const files = [...readAll(config.configDir), ...readAll(path.dirname(logger.filePath)), ...readAll(projectDir)];
+  for (const { file, content } of files) {
+    assert.ok(!/jane/i.test(content), `${file} still mentions her`);
+    assert.ok(!content.includes(pseudonymize('jane')), `${file} still has her pseudonym`);
+    assert.ok(!content.includes(legacyPseudonym), `${file} still has her unsalted pseudonym`);
+  }
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(projectDir, 'messaged-mock.json.migrated'), 'utf8')), ['bob']);
+  assert.equal((await contactLedger.getEntries({ recipient: 'bob' })).length, 1);
+
+  const audit = await auditLog.list();
+  assert.deepEqual(audit.map(entry => [entry.action, entry.recipient, entry.error]), [
+    ['message', null, null],
+    ['message', null, null],
+    ['erasure', undefined, undefined]
+  ]);
+  assert.deepEqual(await auditLog.verify(), { entries: 3, issues: [] });
+
+  assert.ok(await suppressionList.isSuppressed('jane', 'mock'));
+  assert.ok(await suppressionList.isSuppressed('@jane_doe', 'x'));
+  assert.ok(!(await suppressionList.isSuppressed('bob', 'mock')));
+
+  mock.script.candidates = ['jane', 'carol'];
+  await runNetworkingBot({ job: 'default' });
+  assert.deepEqual(mock.sent.map(send => send.recipient), ['jane', 'carol'], 'messaged once before, never again');
+});
+
+test('forget refuses while a run is in progress', async () => {
+  runLock.acquire('test run');
+  try {
+    await assert.rejects(dataSubjects.forget('jane'), /A run is in progress/);
+  } finally {
+    runLock.release();
+  }
+});
@@ -0,0 +1,28 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Point HOME at a throwaway directory so tests never read or write the real
+ * ~/.config/networking-bots. Import this before any module from src/.
+ */
+export const testHome = fs.mkdtempSync(path.join(os.tmpdir(), 'nbot-test-'));
+
+process.env.HOME = testHome;
+process.env.PROXY_LIST_PATH = path.join(testHome, 'proxies.txt');
+process.env.ENCRYPTION_KEY = 'test-encryption-key-0123456789';
+process.env.AI_PROVIDER = 'fake';
+// Outside the config dir, which tests wipe while log writes may be in flight
+process.env.NBOT_LOG_DIR = path.join(testHome, 'logs');
+delete process.env.WEBSHARE_API_TOKEN;
+
+// The bot logs every step; keep test output readable unless asked otherwise
+if (!process.env.NBOT_TEST_VERBOSE) {
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    console[method] = () => {};
+  }
+}
+
+process.on('exit', () => {
+  fs.rmSync(testHome, { recursive: true, force: true });
+});
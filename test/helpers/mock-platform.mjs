@@ -0,0 +1,99 @@
+import { PlatformAdapter, CAPABILITIES } from '../../src/platforms/adapter.mjs';
+
+/**
+ * In-memory platform adapter for tests. Nothing touches the network.
+ *
+ * The script controls what the platform does:
+ *   candidates     - search results: strings or {id, displayName, source}
+ *   failures       - per recipient: an Error (thrown by messageUser) or false (delivery not confirmed).
+ *                    An array is consumed one entry per attempt, so [new Error('x')] fails once then succeeds.
+ *   replies        - inbox messages returned by fetchReplies until acknowledgeReplies is called with their id: {id, from, text}
+ *   beforeSend     - async function(recipient) awaited by messageUser before it delivers, e.g. to stop the bot mid-send
+ *   initializeError - Error thrown by initialize(); false makes initialize() return false
+ * integration (INTEGRATIONS) is passed to the adapter; by default the mock counts as browser automation.
+ */
+export class MockPlatformAdapter extends PlatformAdapter {
+  constructor(script = {}) {
+    const {
+      name = 'mock',
+      capabilities = Object.values(CAPABILITIES),
+      integration,
+      ...rest
+    } = script;
+
+    super({
+      name,
+      label: 'Mock',
+      capabilities,
+      integration,
+      load: async () => this.createModule(),
+      defaults: { enabled: true, message: 'Hi [topic] fan!' }
+    });
+
+    this.script = { candidates: [], failures: {}, replies: [], ...rest };
+    this.sent = [];
+    this.attempts = [];
+    this.searches = [];
+    this.acknowledged = [];
+    this.calls = { initialize: 0, cleanup: 0, fetchReplies: 0 };
+  }
+
+  createModule() {
+    return {
+      initialize: async () => {
+        this.calls.initialize++;
+        const { initializeError } = this.script;
+        if (initializeError instanceof Error) throw initializeError;
+        return initializeError !== false;
+      },
+
+      findPotentialUsers: async (searchTerms) => {
+        this.searches.push(searchTerms);
+        return this.script.candidates;
+      },
+
+      messageUser: async (recipient, message, options = {}) => {
+        this.attempts.push({ recipient, message, options });
+        await this.script.beforeSend?.(recipient);
+
+        let failure = this.script.failures[recipient];
+        if (Array.isArray(failure)) {
+          failure = failure.shift();
+        }
+        if (failure instanceof Error) throw failure;
+        if (failure === false) return false;
+
+        this.sent.push({ recipient, message, options });
+        return true;
+      },
+
+      fetchReplies: async () => {
+        this.calls.fetchReplies++;
+        const replies = this.script.replies.map(reply => ({
+          subject: 'Re: hello',
+          receivedAt: new Date().toISOString(),
+          ...reply
+        }));
+        return replies;
+      },
+
+      acknowledgeReplies: async (ids) => {
+        this.acknowledged.push(...ids);
+        this.script.replies = this.script.replies.filter(reply => !ids.includes(reply.id));
+      },
+
+      cleanup: async () => {
+        this.calls.cleanup++;
+      }
+    };
+  }
+}
+
+/**
+ * Create a mock platform from a script
+ * @param {Object} [script] - See MockPlatformAdapter
+ * @returns {MockPlatformAdapter}
+ */
+export function createMockPlatform(script = {}) {
+  return new MockPlatformAdapter(script);
+}
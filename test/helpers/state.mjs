@@ -0,0 +1,78 @@
+import fs from 'fs';
+import { config } from '../../src/utils/config.mjs';
+import { platformRegistry } from '../../src/platforms/registry.mjs';
+import { rateLimiter } from '../../src/services/rate-limiter.mjs';
+import { sendBudget } from '../../src/services/send-budget.mjs';
+import { messageGuardrails } from '../../src/services/message-guardrails.mjs';
+import { runCheckpoint } from '../../src/services/run-checkpoint.mjs';
+import { shutdown } from '../../src/services/shutdown.mjs';
+import { accountStore } from '../../src/services/account-store.mjs';
+
+// Automation disclosure writeConfig gives every platform, since nothing is sent without one
+export const DISCLOSURE = 'Sent via automation';
+
+/**
+ * Remove everything under the test config directory and drop cached state
+ * held by the service singletons.
+ */
+export function resetState() {
+  fs.rmSync(config.configDir, { recursive: true, force: true });
+
+  for (const action of Object.keys(rateLimiter.actionCounts)) {
+    rateLimiter.actionCounts[action] = 0;
+    rateLimiter.lastActionTime[action] = 0;
+  }
+
+  sendBudget.retryDelay = 0;
+  messageGuardrails.configure({});
+  runCheckpoint.state = null;
+
+  // Undo a shutdown started by a previous test
+  shutdown.controller = new AbortController();
+  shutdown.closing = null;
+}
+
+/**
+ * An active account with an ownership attestation, which `nbot run` needs
+ * @param {Object} [fields] - Overrides, e.g. {status: 'paused'}
+ */
+export function attestedAccount(fields = {}) {
+  return {
+    username: 'outreach',
+    active: true,
+    owner: 'Sam Rivera',
+    purpose: 'Company outreach',
+    attested: true,
+    attestedBy: 'sam',
+    attestedAt: '2026-10-01T00:00:00.000Z',
+    ...fields
+  };
+}
+
+/**
+ * Write a config.json that enables only the given platforms, and an attested
+ * account for each of them
+ * @param {string[]} enabled - Platform names to enable
+ * @param {Object} [settings] - Overrides for config.settings
+ * @param {Object} [platformSettings] - Overrides for each enabled platform (e.g. {message, disclosure})
+ */
+export function writeConfig(enabled, settings = {}, platformSettings = {}) {
+  const platforms = {};
+  for (const name of new Set([...platformRegistry.names(), ...enabled])) {
+    platforms[name] = { enabled: enabled.includes(name), message: `Hello from ${name}`, disclosure: DISCLOSURE };
+    if (enabled.includes(name)) Object.assign(platforms[name], platformSettings);
+  }
+
+  config.save({
+    platforms,
+    searchTerms: Object.fromEntries(enabled.map(name => [name, ['plex']])),
+    settings: {
+      respectWorkingHours: false,
+      maxMessagesPerDay: 10,
+      delayBetweenMessages: 0,
+      retryAttempts: 1,
+      ...settings
+    }
+  });
+  fs.writeFileSync(accountStore.filePath, JSON.stringify(Object.fromEntries(enabled.map(name => [name, [attestedAccount()]]))));
+}
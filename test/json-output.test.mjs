@@ -0,0 +1,145 @@
+import './helpers/home.mjs';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getStatusReport } from '../src/commands/status.mjs';
+import { getAccountsReport } from '../src/commands/accounts.mjs';
+import { getConfigReport } from '../src/commands/config.mjs';
+import { runNetworkingBot } from '../src/commands/run.mjs';
+import { printJson, printJsonError, EXIT_CODES, JSON_SCHEMA_VERSION } from '../src/utils/json-output.mjs';
+import { accountStore } from '../src/services/account-store.mjs';
+import { encryptSecret } from '../src/services/credential-vault.mjs';
+import { config } from '../src/utils/config.mjs';
+import { platformRegistry } from '../src/platforms/registry.mjs';
+import { createMockPlatform } from './helpers/mock-platform.mjs';
+import { resetState, writeConfig, attestedAccount } from './helpers/state.mjs';
+
+/**
+ * Run fn and return what it wrote to stdout
+ */
+function captureStdout(fn) {
+  const write = process.stdout.write;
+  let output = '';
+  process.stdout.write = chunk => {
+    output += chunk;
+    return true;
+  };
+  try {
+    return { result: fn(), output };
+  } finally {
+    process.stdout.write = write;
+  }
+}
+
+beforeEach(async () => {
+  resetState();
+  platformRegistry.register(createMockPlatform({ candidates: ['alice'] }));
+  writeConfig(['mock']);
+  await accountStore.save({
+    mock: [attestedAccount({ password: encryptSecret('hunter22'), apiKey: 'mock-api-key-123', dateAdded: '2026-10-01T00:00:00.000Z' })]
+  });
+});
+
+afterEach(() => {
+  platformRegistry.unregister('mock');
+});
+
+test('status reports each platform, the budget and the last run', async () => {
+  await runNetworkingBot({ job: 'default' });
+
+  const report = await getStatusReport();
+  const mock = report.platforms.find(platform => platform.name === 'mock');
+
+  assert.deepEqual(mock, {
+    name: 'mock',
+    enabled: true,
+    integration: 'browser-automation',
+    allowedByComplianceMode: true,
+    activeAccount: 'outreach',
+    accountStatus: 'ready',
+    accountProblem: null,
+    accounts: 1,
+    sends: { today: 1, thisWeek: 1, total: 1 },
+    lastActivity: mock.lastActivity,
+    rateLimits: { search: null, message: null }
+  });
+  assert.ok(mock.lastActivity);
+  assert.equal(report.platforms.find(platform => platform.name === 'reddit').rateLimits.message.limit, 20);
+  assert.deepEqual(report.sends, { today: 1, thisWeek: 1, dailyLimit: 10, remainingToday: 9, lastActivity: mock.lastActivity });
+  assert.equal(report.complianceMode, 'off');
+  assert.equal(report.lastRun.status, 'completed');
+  assert.equal(report.lastRun.sent, 1);
+  assert.deepEqual(report.warnings, []);
+
+  const { result, output } = captureStdout(() => printJson('status', report));
+  assert.equal(result, EXIT_CODES.ok);
+  const parsed = JSON.parse(output);
+  assert.equal(parsed.schemaVersion, JSON_SCHEMA_VERSION);
+  assert.equal(parsed.command, 'status');
+  assert.deepEqual(parsed.platforms, report.platforms);
+});
+
+test('status warnings mean exit code 2, and an unknown platform is an error', async () => {
+  await accountStore.save({});
+
+  const report = await getStatusReport({ platform: 'mock' });
+  assert.equal(report.platforms.length, 1);
+  assert.deepEqual(report.warnings, ['No active account for mock']);
+  assert.equal(captureStdout(() => printJson('status', report)).result, EXIT_CODES.warnings);
+
+  writeConfig(['mock'], { complianceMode: 'official-api-only' });
+  const blocked = await getStatusReport({ platform: 'mock' });
+  assert.equal(blocked.platforms[0].allowedByComplianceMode, false);
+  assert.ok(blocked.warnings.includes('mock is enabled but compliance mode official-api-only will not start it'));
+
+  writeConfig(['mock'], {}, { disclosure: '' });
+  const undisclosed = await getStatusReport({ platform: 'mock' });
+  assert.ok(undisclosed.warnings.includes('No automation disclosure for mock, so nbot run sends nothing there'));
+
+  const error = await getStatusReport({ platform: 'myspace' }).catch(caught => caught);
+  assert.match(error.message, /Invalid platform: myspace/);
+  const { result, output } = captureStdout(() => printJsonError('status', error));
+  assert.equal(result, EXIT_CODES.error);
+  assert.match(JSON.parse(output).error, /Invalid platform/);
+});
+
+test('accounts never include credentials', async () => {
+  const report = await getAccountsReport();
+  const mock = report.platforms.find(platform => platform.name === 'mock');
+
+  assert.deepEqual(mock, {
+    name: 'mock',
+    enabled: true,
+    activeAccount: 'outreach',
+    accounts: [{
+      username: 'outreach',
+      active: true,
+      dateAdded: '2026-10-01T00:00:00.000Z',
+      owner: 'Sam Rivera',
+      purpose: 'Company outreach',
+      attested: true,
+      attestedBy: 'sam',
+      attestedAt: '2026-10-01T00:00:00.000Z',
+      status: 'ready',
+      pauseKind: null,
+      pauseReason: null,
+      credentials: ['password', 'apiKey']
+    }]
+  });
+  const output = JSON.stringify(report);
+  assert.ok(!output.includes('mock-api-key-123'));
+  assert.ok(!output.includes('hunter22'));
+});
+
+test('config is reported with secrets redacted and schema issues as warnings', () => {
+  const botConfig = config.load();
+  botConfig.settings.llm.providers = { openai: { apiKey: 'sk-live-abcdefghijklmnopqrstuvwxyz' } };
+  botConfig.settings.maxMesagesPerDay = 5;
+  config.save(botConfig);
+
+  const report = getConfigReport();
+
+  assert.equal(report.config.settings.llm.providers.openai.apiKey, '[REDACTED]');
+  assert.equal(report.config.platforms.mock.message, 'Hello from mock', 'messages are not secrets');
+  assert.deepEqual(report.platforms.find(platform => platform.name === 'mock').searchTerms, ['plex']);
+  assert.ok(report.warnings.some(warning => warning.includes('maxMesagesPerDay')));
+});
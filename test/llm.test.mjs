@@ -0,0 +1,189 @@
+import './helpers/home.mjs';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { complete, LLMError, registerProvider, unregisterProvider } from '../src/services/llm.mjs';
+import { generatePersonalizedMessage } from '../src/services/ai.mjs';
+import { classifyReply } from '../src/services/reply-monitor.mjs';
+import { resetState, writeConfig } from './helpers/state.mjs';
+
+let server;
+let baseUrl;
+let requests = [];
+let respond;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      respond(req, res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  resetState();
+  requests = [];
+  respond = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: 'Hello from the local model' } }] }));
+  };
+});
+
+function useLocalProvider(overrides = {}, llm = {}) {
+  writeConfig([], {
+    llm: {
+      provider: 'local',
+      retries: 1,
+      retryDelay: 0,
+      providers: { local: { baseUrl: `${baseUrl}/v1`, model: 'test-model', ...overrides } },
+      ...llm
+    }
+  });
+}
+
+test('fake provider is deterministic and offline', async () => {
+  const first = await complete('Write a greeting', 'Be brief');
+  const second = await complete('Write a greeting', 'Be brief');
+  const other = await complete('Write a farewell', 'Be brief');
+
+  assert.equal(first, second);
+  assert.notEqual(first, other);
+  assert.match(first, /^Fake response [0-9a-f]{12}$/);
+});
+
+test('fake provider returns a configured response', async () => {
+  writeConfig([], { llm: { providers: { fake: { response: 'neutral' } } } });
+
+  assert.equal(await complete('anything', '', { provider: 'fake' }), 'neutral');
+});
+
+test('calls an OpenAI-compatible local endpoint with the configured model', async () => {
+  useLocalProvider({ temperature: 0.2 });
+
+  const content = await complete('Say hi', 'You are terse', { provider: 'local' });
+
+  assert.equal(content, 'Hello from the local model');
+  assert.equal(requests[0].url, '/v1/chat/completions');
+  assert.equal(requests[0].body.model, 'test-model');
+  assert.equal(requests[0].body.temperature, 0.2);
+  assert.deepEqual(requests[0].body.messages, [
+    { role: 'system', content: 'You are terse' },
+    { role: 'user', content: 'Say hi' }
+  ]);
+  assert.equal(requests[0].headers.authorization, undefined);
+});
+
+test('custom providers default to the OpenAI-compatible protocol', async () => {
+  writeConfig([], { llm: { retries: 1, providers: { lmstudio: { baseUrl, model: 'm', apiKey: 'secret' } } } });
+
+  assert.equal(await complete('hi', '', { provider: 'lmstudio' }), 'Hello from the local model');
+  assert.equal(requests[0].url, '/chat/completions');
+  assert.equal(requests[0].headers.authorization, 'Bearer secret');
+});
+
+test('ollama providers use /api/chat', async () => {
+  respond = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ message: { content: 'ollama says hi' } }));
+  };
+  writeConfig([], { llm: { retries: 1, providers: { ollama: { baseUrl } } } });
+
+  assert.equal(await complete('hi', '', { provider: 'ollama' }), 'ollama says hi');
+  assert.equal(requests[0].url, '/api/chat');
+  assert.equal(requests[0].body.model, 'llama3.1:8b');
+});
+
+test('HTTP errors reject with a typed error', async () => {
+  respond = (req, res) => {
+    res.writeHead(401);
+    res.end('bad key');
+  };
+  useLocalProvider();
+
+  await assert.rejects(complete('hi', '', { provider: 'local' }), error => {
+    assert.ok(error instanceof LLMError);
+    assert.equal(error.code, 'http');
+    assert.equal(error.status, 401);
+    assert.equal(error.retryable, false);
+    return true;
+  });
+});
+
+test('server errors are retried', async () => {
+  let calls = 0;
+  respond = (req, res) => {
+    calls++;
+    if (calls === 1) {
+      res.writeHead(503);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [{ message: { content: 'second time lucky' } }] }));
+  };
+  useLocalProvider({}, { retries: 2 });
+
+  assert.equal(await complete('hi', '', { provider: 'local' }), 'second time lucky');
+  assert.equal(calls, 2);
+});
+
+test('slow providers time out', async () => {
+  respond = () => {};
+  useLocalProvider({ timeout: 50 });
+
+  await assert.rejects(complete('hi', '', { provider: 'local' }), { name: 'LLMError', code: 'timeout' });
+});
+
+test('empty responses are rejected', async () => {
+  respond = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ choices: [] }));
+  };
+  useLocalProvider();
+
+  await assert.rejects(complete('hi', '', { provider: 'local' }), { code: 'invalid_response' });
+});
+
+test('missing API keys are reported before any request', async () => {
+  delete process.env.OPENAI_API_KEY;
+
+  await assert.rejects(complete('hi', '', { provider: 'openai' }), { code: 'not_configured' });
+  await assert.rejects(complete('hi', '', { provider: 'nope' }), { code: 'not_configured' });
+  assert.equal(requests.length, 0);
+});
+
+test('generatePersonalizedMessage rejects instead of crashing on provider errors', async () => {
+  registerProvider('broken', async () => {
+    throw new Error('model unavailable');
+  });
+
+  process.env.AI_PROVIDER = 'broken';
+
+  try {
+    await assert.rejects(generatePersonalizedMessage({ username: 'jane', seedPrompt: 'hi' }), { name: 'LLMError' });
+  } finally {
+    process.env.AI_PROVIDER = 'fake';
+    unregisterProvider('broken');
+  }
+});
+
+test('reply classification uses the provider answer', async () => {
+  registerProvider('classifier', async () => 'positive');
+  process.env.AI_PROVIDER = 'classifier';
+
+  try {
+    assert.deepEqual(await classifyReply('Sounds great, tell me more'), { classification: 'positive', method: 'llm' });
+  } finally {
+    process.env.AI_PROVIDER = 'fake';
+    unregisterProvider('classifier');
+  }
+});
@@ -0,0 +1,144 @@
+import { testHome } from './helpers/home.mjs';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger, createLogger, redact, pseudonymize, DEFAULT_LOG_SETTINGS } from '../src/utils/logger.mjs';
+
+let logDir;
+let run = 0;
+
+async function readEntries() {
+  await logger.flush();
+  return fs.readFileSync(path.join(logDir, 'nbot.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+function rotatedFiles() {
+  return fs.readdirSync(logDir).filter(name => name !== 'nbot.jsonl');
+}
+
+beforeEach(() => {
+  logDir = path.join(testHome, `logs-${++run}`);
+  process.env.NBOT_LOG_DIR = logDir;
+  logger.configure({});
+});
+
+afterEach(async () => {
+  await logger.flush();
+  process.env.NBOT_LOG_DIR = path.join(testHome, 'logs');
+  logger.configure({});
+});
+
+test('writes one JSON object per line with module and run context', async () => {
+  const log = createLogger('reddit');
+
+  await logger.withContext({ runId: 'abc123', campaign: 'spring' }, () =>
+    logger.withContext({ platform: 'reddit' }, async () => {
+      log.log('🔍 Found 3 potential users');
+    })
+  );
+  log.warn('outside the run');
+
+  const [inside, outside] = await readEntries();
+  assert.equal(inside.level, 'info');
+  assert.equal(inside.msg, '🔍 Found 3 potential users');
+  assert.equal(inside.module, 'reddit');
+  assert.equal(inside.platform, 'reddit');
+  assert.equal(inside.campaign, 'spring');
+  assert.equal(inside.runId, 'abc123');
+  assert.ok(!Number.isNaN(Date.parse(inside.time)));
+
+  assert.equal(outside.level, 'warn');
+  assert.equal(outside.runId, undefined);
+});
+
+test('drops entries below the configured level', async () => {
+  logger.configure({ level: 'warn' });
+
+  logger.debug('debug detail');
+  logger.log('routine progress');
+  logger.error('something broke');
+
+  assert.deepEqual((await readEntries()).map(entry => entry.msg), ['something broke']);
+});
+
+test('redacts passwords, tokens and API keys', async () => {
+  logger.log('Logging in with password=hunter2 and Authorization: Bearer abc.def.ghi', {
+    apiKey: 'sk-1234567890abcdefghij',
+    account: { username: 'bot', password: 'hunter2' }
+  });
+
+  const [entry] = await readEntries();
+  const line = JSON.stringify(entry);
+  assert.ok(!line.includes('hunter2'));
+  assert.ok(!line.includes('abc.def.ghi'));
+  assert.ok(!line.includes('sk-1234567890'));
+  assert.equal(entry.apiKey, '[REDACTED]');
+  assert.equal(entry.account.username, 'bot');
+  assert.equal(entry.account.password, '[REDACTED]');
+});
+
+test('hashes PII fields in the file but shows them on the console', async () => {
+  const printed = [];
+  const originalLog = console.log;
+  console.log = (...args) => printed.push(args.join(' '));
+
+  try {
+    logger.log('Messaging {recipient}: {message}', { recipient: 'jane_doe', message: 'Hi Jane!' });
+    logger.log('Messaging {recipient} again', { recipient: 'jane_doe' });
+  } finally {
+    console.log = originalLog;
+  }
+
+  const [first, second] = await readEntries();
+  assert.equal(printed[0], 'Messaging jane_doe: Hi Jane!');
+  assert.ok(!JSON.stringify(first).includes('jane'));
+  assert.match(first.recipient, /^\[redacted:[0-9a-f]{8}\]$/);
+  assert.equal(first.msg, `Messaging ${first.recipient}: ${first.message}`);
+  assert.equal(second.recipient, first.recipient);
+});
+
+test('pseudonyms are salted, so hashing a likely handle does not reveal them', () => {
+  const unsalted = crypto.createHash('sha256').update('jane_doe').digest('hex').substring(0, 8);
+
+  assert.match(pseudonymize('jane_doe'), /^\[redacted:[0-9a-f]{8}\]$/);
+  assert.notEqual(pseudonymize('jane_doe'), `[redacted:${unsalted}]`);
+  assert.equal(pseudonymize('jane_doe'), pseudonymize('jane_doe'));
+});
+
+test('redactFields can be configured', () => {
+  assert.deepEqual(redact({ phone: '555-1234', note: 'ok' }).note, 'ok');
+  assert.match(redact({ phone: '555-1234' }).phone, /^\[redacted:/);
+
+  logger.configure({ redactFields: ['note'] });
+  assert.equal(redact({ phone: '555-1234' }).phone, '555-1234');
+  assert.match(redact({ note: 'ok' }).note, /^\[redacted:/);
+});
+
+test('rotates by size and keeps at most maxFiles rotated files', async () => {
+  logger.configure({ maxSizeMB: 200 / (1024 * 1024), maxFiles: 2 });
+
+  for (let i = 0; i < 6; i++) {
+    logger.log(`entry ${i} ${'x'.repeat(150)}`);
+    await logger.flush();
+  }
+
+  const rotated = rotatedFiles();
+  assert.equal(rotated.length, 2);
+  assert.ok(rotated.every(name => /^nbot-\d{8}-\d{6}(-\d+)?\.jsonl$/.test(name)));
+  assert.match((await readEntries())[0].msg, /^entry 5/);
+});
+
+test('deletes rotated files older than maxAgeDays', async () => {
+  fs.mkdirSync(logDir, { recursive: true });
+  const old = path.join(logDir, 'nbot-20200101-000000.jsonl');
+  fs.writeFileSync(old, '{}\n');
+  fs.utimesSync(old, new Date('2020-01-01'), new Date('2020-01-01'));
+
+  logger.configure({ maxAgeDays: DEFAULT_LOG_SETTINGS.maxAgeDays });
+  logger.log('first entry in a fresh process');
+  await logger.flush();
+
+  assert.equal(fs.existsSync(old), false);
+});
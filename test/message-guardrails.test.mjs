@@ -0,0 +1,105 @@
+import './helpers/home.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { messageGuardrails, formatViolations } from '../src/services/message-guardrails.mjs';
+import { platformRegistry } from '../src/platforms/registry.mjs';
+import { DISCLOSURE } from './helpers/state.mjs';
+
+const check = (message, platform = 'reddit') => messageGuardrails.validate(message, { platform, disclosure: DISCLOSURE });
+
+// Rules broken by a message, sent as the bot sends it: ending with the disclosure
+const rules = message => check(`${message}\n\n${DISCLOSURE}`).violations.map(v => v.rule);
+
+beforeEach(() => {
+  messageGuardrails.configure({});
+});
+
+test('accepts a plain message', () => {
+  assert.deepEqual(check(`Hi Jane, I liked your post on media servers. Happy to compare notes.\n\n${DISCLOSURE}`, 'x'), {
+    ok: true,
+    violations: []
+  });
+});
+
+test('rejects empty messages', () => {
+  assert.deepEqual(check('   ').violations.map(v => v.rule), ['empty']);
+  assert.deepEqual(check(undefined).violations.map(v => v.rule), ['empty']);
+});
+
+test('rejects leftover placeholders', () => {
+  for (const message of ['Great point about [topic]!', 'Hi {{name}}, welcome', 'Hi {first_name}', 'Dear <NAME>, hello']) {
+    assert.deepEqual(rules(message), ['placeholder'], message);
+  }
+});
+
+test('every default template is caught by the placeholder rule', () => {
+  for (const adapter of platformRegistry.list()) {
+    assert.ok(rules(adapter.defaults.message).includes('placeholder'), adapter.name);
+  }
+});
+
+test('enforces per-platform length limits', () => {
+  const message = 'a'.repeat(3000);
+
+  assert.deepEqual(rules(message), []);
+  assert.deepEqual(check(`${message}\n\n${DISCLOSURE}`, 'quora').violations.map(v => v.rule), ['too-long']);
+
+  messageGuardrails.configure({ guardrails: { maxLength: { reddit: 100 } } });
+  assert.deepEqual(rules(message), ['too-long']);
+});
+
+test('blocks banned phrases, including configured ones', () => {
+  assert.deepEqual(rules('Results are GUARANTEED within a week'), ['banned-phrase']);
+  assert.equal(rules('Try our free trial').length, 0);
+
+  messageGuardrails.configure({ guardrails: { bannedPhrases: ['free trial'] } });
+  assert.deepEqual(rules('Try our free trial'), ['banned-phrase']);
+
+  messageGuardrails.configure({ guardrails: { useDefaultBannedPhrases: false } });
+  assert.equal(rules('Results are guaranteed').length, 0);
+});
+
+test('detects model commentary instead of a message', () => {
+  for (const message of [
+    "Here's your message: Hi Jane, let's connect.",
+    'Sure! Hi Jane, let us connect.',
+    'Subject: Networking\n\nHi Jane',
+    "As an AI, I can't know your interests, but let's connect.",
+    "I'm sorry, I can't help with that."
+  ]) {
+    assert.ok(rules(message).includes('non-answer'), message);
+  }
+});
+
+test('rejects emojis unless allowed', () => {
+  assert.deepEqual(rules('Hi Jane 🚀 let us connect'), ['emoji']);
+
+  messageGuardrails.configure({ guardrails: { allowEmojis: true } });
+  assert.deepEqual(rules('Hi Jane 🚀 let us connect'), []);
+});
+
+test('requires the automation disclosure at the end of the message', () => {
+  const disclosure = 'Sent by Acme via automation - reply STOP to opt out';
+  const check = message => messageGuardrails.validate(message, { platform: 'reddit', disclosure }).violations.map(v => v.rule);
+
+  assert.deepEqual(check(`Hi Jane, let us connect.\n\n${disclosure}`), []);
+  assert.deepEqual(check('Hi Jane, let us connect.'), ['missing-disclosure']);
+  assert.deepEqual(check(`${disclosure}\n\nHi Jane, let us connect.`), ['missing-disclosure']);
+
+  messageGuardrails.configure({ guardrails: { maxLength: { reddit: 60 } } });
+  assert.deepEqual(check(`Hi Jane, let us connect.\n\n${disclosure}`), ['too-long'], 'the disclosure counts toward the limit');
+});
+
+test('a message is rejected when no disclosure is configured', () => {
+  for (const disclosure of [null, '', '   ']) {
+    const { ok, violations } = messageGuardrails.validate('Hi Jane, let us connect.', { platform: 'reddit', disclosure });
+    assert.equal(ok, false);
+    assert.deepEqual(violations, [{ rule: 'missing-disclosure', message: 'No automation disclosure is configured for this platform' }]);
+  }
+  assert.deepEqual(messageGuardrails.validate('Hi Jane, let us connect.', { platform: 'reddit' }).violations.map(v => v.rule), ['missing-disclosure']);
+});
+
+test('formatViolations joins the reasons', () => {
+  const { violations } = check(`Act now about [topic]\n\n${DISCLOSURE}`);
+  assert.equal(formatViolations(violations), 'Unfilled placeholder [topic]; Contains banned phrase "act now"');
+});
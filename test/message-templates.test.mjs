@@ -0,0 +1,111 @@
+import './helpers/home.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { messageTemplates, candidateVariables, parseTemplate } from '../src/services/message-templates.mjs';
+import { createCandidate } from '../src/platforms/adapter.mjs';
+import { platformRegistry } from '../src/platforms/registry.mjs';
+
+const candidate = createCandidate('reddit', {
+  id: 'jane',
+  displayName: 'Jane',
+  source: { searchTerm: 'plex', title: 'Best Plex client?', subreddit: 'PleX' }
+});
+
+beforeEach(() => {
+  messageTemplates.configure({});
+});
+
+test('collects variables from the candidate', () => {
+  assert.deepEqual(candidateVariables(candidate), {
+    topic: 'plex',
+    searchTerm: 'plex',
+    postTitle: 'Best Plex client?',
+    subreddit: 'PleX',
+    displayName: 'Jane',
+    username: 'jane',
+    platform: 'reddit'
+  });
+});
+
+test('renders named variables, defaults and the legacy bracket form', () => {
+  const { text, unresolved } = messageTemplates.render(
+    'Hi {{ displayName }}! Saw r/{{subreddit}} talk about [topic], {{missing|friend}}.',
+    candidateVariables(candidate)
+  );
+
+  assert.equal(text, 'Hi Jane! Saw r/PleX talk about plex, friend.');
+  assert.deepEqual(unresolved, []);
+});
+
+test('configured defaults fill variables the candidate lacks', () => {
+  messageTemplates.configure({ templates: { defaults: { topic: 'home media' } } });
+
+  assert.equal(messageTemplates.render('About {{topic}}', {}).text, 'About home media');
+});
+
+test('strict mode leaves unresolved variables in place and reports them', () => {
+  const { text, unresolved } = messageTemplates.render('Hi {{displayName}}, about [topic]', {});
+
+  assert.equal(text, 'Hi {{displayName}}, about [topic]');
+  assert.deepEqual(unresolved, ['displayName', 'topic']);
+});
+
+test('non-strict mode drops unresolved variables', () => {
+  messageTemplates.configure({ templates: { strict: false } });
+
+  const { text, unresolved } = messageTemplates.render('Hi {{displayName}}, great post!', {});
+
+  assert.equal(text, 'Hi, great post!');
+  assert.deepEqual(unresolved, ['displayName']);
+});
+
+test('selects language variants with fallbacks', () => {
+  const platformConfig = { message: 'Hello', messages: { de: 'Hallo', pt: 'Olá' } };
+
+  assert.equal(messageTemplates.select(platformConfig), 'Hello');
+  assert.equal(messageTemplates.select(platformConfig, 'de'), 'Hallo');
+  assert.equal(messageTemplates.select(platformConfig, 'pt-BR'), 'Olá');
+  assert.equal(messageTemplates.select(platformConfig, 'fr'), 'Hello');
+});
+
+test('validation reports unknown variables and stray braces', () => {
+  assert.deepEqual(messageTemplates.validate('Hi {{displayName|there}}'), []);
+  assert.match(messageTemplates.validate('Hi {{firstName}}')[0], /Unknown variable \{\{firstName\}\}/);
+  assert.match(messageTemplates.validate('Hi [name]')[0], /Unknown variable \[name\]/);
+  assert.deepEqual(messageTemplates.validate('Hi {{displayName'), ['Unbalanced {{ }} in template']);
+  assert.deepEqual(messageTemplates.validate(''), ['Template is empty']);
+});
+
+test('validateConfig checks every platform and language variant', () => {
+  const errors = messageTemplates.validateConfig({
+    platforms: {
+      x: { message: 'Hi {{topic}}' },
+      reddit: { message: 'Hi', messages: { de: 'Hallo {{vorname}}' } }
+    }
+  });
+
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^reddit \(de\): Unknown variable/);
+});
+
+test('default platform templates are valid', () => {
+  for (const adapter of platformRegistry.list()) {
+    assert.deepEqual(messageTemplates.validate(adapter.defaults.message), [], adapter.name);
+    assert.deepEqual(parseTemplate(adapter.defaults.message).map(variable => variable.name), ['topic'], adapter.name);
+  }
+});
+
+test('default platform templates send in strict mode even without a search term', () => {
+  for (const adapter of platformRegistry.list()) {
+    const rendered = messageTemplates.renderFor(adapter.defaults, createCandidate(adapter.name, { id: 'jane' }));
+    assert.deepEqual(rendered.unresolved, [], adapter.name);
+    assert.doesNotMatch(rendered.text, /[{}]/, adapter.name);
+  }
+});
+
+test('every built-in platform reports the search term a candidate was found with', async () => {
+  for (const name of ['tiktok', 'x', 'youtube', 'facebook', 'reddit', 'linkedin', 'quora']) {
+    const module = await platformRegistry.get(name).getModule();
+    assert.equal(typeof module.getCandidateContext, 'function', name);
+  }
+});
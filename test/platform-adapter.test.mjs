@@ -0,0 +1,202 @@
+import './helpers/home.mjs';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PlatformAdapter, CAPABILITIES, INTEGRATIONS, createCandidate, sendFailed, accountIssue, AccountIssueError } from '../src/platforms/adapter.mjs';
+import { detectAccountIssue as detectXAccountIssue, checkAccountStatus as checkXAccountStatus } from '../src/platforms/x.mjs';
+import { detectAccountIssue as detectLinkedInAccountIssue } from '../src/platforms/linkedin.mjs';
+import { detectAccountIssue as detectRedditAccountIssue } from '../src/platforms/reddit.mjs';
+import { detectAccountIssue as detectFacebookAccountIssue } from '../src/platforms/facebook.mjs';
+import { detectAccountIssue as detectYouTubeAccountIssue } from '../src/platforms/youtube.mjs';
+import { platformRegistry } from '../src/platforms/registry.mjs';
+import { createMockPlatform } from './helpers/mock-platform.mjs';
+
+test('registry lists every built-in platform with its capabilities', () => {
+  for (const name of ['tiktok', 'x', 'youtube', 'facebook', 'reddit', 'linkedin', 'quora']) {
+    assert.ok(platformRegistry.has(name), `${name} is registered`);
+    assert.ok(platformRegistry.get(name).supports(CAPABILITIES.SEARCH));
+  }
+  assert.ok(platformRegistry.get('reddit').supports(CAPABILITIES.READ_REPLIES));
+  assert.equal(platformRegistry.get('x').supports(CAPABILITIES.READ_REPLIES), false);
+});
+
+test('every built-in platform declares how it is integrated', () => {
+  assert.equal(platformRegistry.get('reddit').integration, INTEGRATIONS.OFFICIAL_API);
+  assert.equal(platformRegistry.get('youtube').integration, INTEGRATIONS.MIXED, 'messages through a browser session');
+  for (const name of ['tiktok', 'x', 'facebook', 'linkedin', 'quora']) {
+    assert.equal(platformRegistry.get(name).integration, INTEGRATIONS.BROWSER, name);
+  }
+
+  const undeclared = new PlatformAdapter({ name: 'undeclared', load: async () => ({}) });
+  assert.equal(undeclared.integration, INTEGRATIONS.BROWSER);
+  assert.equal(undeclared.allowedIn('off'), true);
+  assert.equal(undeclared.allowedIn('official-api-only'), false);
+});
+
+test('initialize refuses non-official platforms in official-api-only mode before loading them', async () => {
+  let loaded = 0;
+  const browser = new PlatformAdapter({
+    name: 'scripted',
+    label: 'Scripted',
+    load: async () => {
+      loaded++;
+      return { initialize: async () => true };
+    }
+  });
+
+  await assert.rejects(browser.initialize({ complianceMode: 'official-api-only' }), /Scripted is not backed only by an official API/);
+  assert.equal(loaded, 0);
+
+  await browser.initialize({ complianceMode: 'off' });
+  assert.equal(loaded, 1);
+
+  const official = new PlatformAdapter({ name: 'api', integration: INTEGRATIONS.OFFICIAL_API, load: async () => ({ initialize: async () => true }) });
+  await assert.doesNotReject(official.initialize({ complianceMode: 'official-api-only' }));
+});
+
+test('registry only accepts PlatformAdapter instances', () => {
+  assert.throws(() => platformRegistry.register({ name: 'raw' }), /PlatformAdapter/);
+  assert.throws(() => platformRegistry.get('missing'), /Unknown platform: missing/);
+});
+
+test('string search results become candidates with context', async () => {
+  const adapter = new PlatformAdapter({
+    name: 'scripted',
+    capabilities: [CAPABILITIES.SEARCH],
+    load: async () => ({
+      initialize: async () => true,
+      findPotentialUsers: async () => ['jane', null, 'https://example.com/in/joe'],
+      getCandidateContext: user => (user === 'jane' ? { displayName: 'Jane', location: 'Berlin', title: 'A post' } : null)
+    })
+  });
+
+  const candidates = await adapter.findCandidates(['term']);
+
+  assert.deepEqual(candidates, [
+    { id: 'jane', platform: 'scripted', displayName: 'Jane', profileUrl: null, source: { title: 'A post' }, timezone: null, location: 'Berlin' },
+    {
+      id: 'https://example.com/in/joe',
+      platform: 'scripted',
+      displayName: null,
+      profileUrl: 'https://example.com/in/joe',
+      source: null,
+      timezone: null,
+      location: null
+    }
+  ]);
+});
+
+test('sendMessage normalizes every outcome', async () => {
+  const mock = createMockPlatform({
+    failures: {
+      unconfirmed: false,
+      flaky: new Error('ETIMEDOUT'),
+      limited: new Error('Daily limit reached for mock_message')
+    }
+  });
+
+  assert.deepEqual(await mock.sendMessage('ok', 'hi'), { ok: true, error: null, retryable: false, accountIssue: null });
+  assert.deepEqual(await mock.sendMessage('unconfirmed', 'hi'), {
+    ok: false,
+    error: 'Platform did not confirm delivery',
+    retryable: false,
+    accountIssue: null
+  });
+  assert.equal((await mock.sendMessage('flaky', 'hi')).retryable, true);
+  assert.equal((await mock.sendMessage('limited', 'hi')).retryable, false);
+  assert.deepEqual(mock.sent.map(send => send.recipient), ['ok']);
+});
+
+test('sendMessage refuses platforms without direct messages', async () => {
+  const mock = createMockPlatform({ capabilities: [CAPABILITIES.SEARCH] });
+
+  const result = await mock.sendMessage('someone', 'hi');
+
+  assert.equal(result.ok, false);
+  assert.equal(mock.attempts.length, 0);
+});
+
+test('errors can mark themselves as retryable', () => {
+  const error = Object.assign(new Error('rate limit, but try again'), { retryable: true });
+  assert.equal(sendFailed(error).retryable, true);
+});
+
+test('only an AccountIssueError from the platform module is an account issue', () => {
+  const suspended = new AccountIssueError('Your account has been suspended', { kind: 'suspension' });
+  assert.deepEqual(accountIssue(suspended), { kind: 'suspension', reason: 'Your account has been suspended' });
+  assert.deepEqual(sendFailed(suspended).accountIssue, { kind: 'suspension', reason: 'Your account has been suspended' });
+  assert.equal(sendFailed(suspended).retryable, false);
+
+  // Text about the recipient, or text that only sounds alarming
+  for (const error of [
+    new Error('This account is suspended'),
+    new Error('Verification email sent'),
+    'Please complete the captcha to continue',
+    'Warning: message may be filtered',
+    'jane has blocked us'
+  ]) {
+    assert.equal(accountIssue(error), null, String(error));
+    assert.equal(sendFailed(error).accountIssue, null, String(error));
+  }
+
+  assert.throws(() => new AccountIssueError('Odd page', { kind: 'other' }), /Unknown account issue kind/);
+});
+
+test('X and LinkedIn recognize notices about our account on our own pages', () => {
+  assert.equal(detectXAccountIssue('https://x.com/account/suspended', '').kind, 'suspension');
+  assert.equal(detectXAccountIssue('https://x.com/account/access', '').kind, 'challenge');
+  assert.equal(detectXAccountIssue('https://x.com/home', 'X has temporarily limited some of your account features').kind, 'warning');
+  assert.equal(detectLinkedInAccountIssue('https://www.linkedin.com/checkpoint/challenge/abc', '').kind, 'challenge');
+  assert.equal(detectLinkedInAccountIssue('https://www.linkedin.com/checkpoint/lg/login-submit', 'Your account has been restricted').kind, 'suspension');
+
+  // A recipient's profile is checked by URL only, so what it says about them does not count
+  assert.equal(detectXAccountIssue('https://x.com/jane', ''), null);
+  assert.equal(detectXAccountIssue('https://x.com/home', 'Please verify your email'), null);
+  assert.equal(detectLinkedInAccountIssue('https://www.linkedin.com/in/jane', ''), null);
+});
+
+test('X reads only its account notices on the timeline, not the tweets', async () => {
+  const fakePage = (url, { body = '', notices = '' }) => ({
+    url: () => url,
+    evaluate: async (fn, selector) => (selector ? notices : body)
+  });
+  const quoted = 'lol "X has temporarily limited some of your account features" again';
+
+  await checkXAccountStatus(fakePage('https://x.com/home', { body: quoted }));
+  await checkXAccountStatus(fakePage('https://x.com/compose/post', { body: quoted }));
+  await assert.rejects(
+    checkXAccountStatus(fakePage('https://x.com/home', { body: quoted, notices: 'X has temporarily limited some of your account features' })),
+    { name: 'AccountIssueError', kind: 'warning' }
+  );
+  await assert.rejects(
+    checkXAccountStatus(fakePage('https://x.com/i/flow/login', { body: 'There was unusual login activity on your account' })),
+    { name: 'AccountIssueError', kind: 'challenge' }
+  );
+});
+
+test('Reddit, Facebook and YouTube recognize what their APIs report about our account', () => {
+  assert.equal(detectRedditAccountIssue({ name: 'me', is_suspended: true }).kind, 'suspension');
+  assert.equal(detectRedditAccountIssue({ name: 'me', is_suspended: false }), null);
+
+  const graphError = (code, subcode) => Object.assign(new Error('Request failed'), { response: { data: { error: { code, error_subcode: subcode } } } });
+  assert.equal(detectFacebookAccountIssue(graphError(368)).kind, 'warning');
+  assert.equal(detectFacebookAccountIssue(graphError(190, 459)).kind, 'challenge');
+  assert.equal(detectFacebookAccountIssue(graphError(190, 463)), null, 'an expired token is not an account issue');
+  assert.equal(detectFacebookAccountIssue(new Error('socket hang up')), null);
+
+  const youtubeError = reason => Object.assign(new Error('Forbidden'), { errors: [{ reason }] });
+  assert.equal(detectYouTubeAccountIssue(youtubeError('authenticatedUserAccountSuspended')).kind, 'suspension');
+  assert.equal(detectYouTubeAccountIssue(youtubeError('authenticatedUserAccountClosed')).kind, 'suspension');
+  assert.equal(detectYouTubeAccountIssue(youtubeError('quotaExceeded')), null);
+});
+
+test('createCandidate accepts partial candidates', () => {
+  assert.deepEqual(createCandidate('x', { id: 'jane', displayName: 'Jane' }), {
+    id: 'jane',
+    platform: 'x',
+    displayName: 'Jane',
+    profileUrl: null,
+    source: null,
+    timezone: null,
+    location: null
+  });
+});
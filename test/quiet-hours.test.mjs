@@ -0,0 +1,116 @@
+import './helpers/home.mjs';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import dayjs from 'dayjs';
+import { SendWindow, inferTimezone } from '../src/services/quiet-hours.mjs';
+import { runNetworkingBot } from '../src/commands/run.mjs';
+import { platformRegistry } from '../src/platforms/registry.mjs';
+import { reviewQueue } from '../src/services/review-queue.mjs';
+import { validateConfig, formatIssue } from '../src/utils/config-schema.mjs';
+import { createMockPlatform } from './helpers/mock-platform.mjs';
+import { resetState, writeConfig } from './helpers/state.mjs';
+
+let mock;
+
+beforeEach(() => {
+  resetState();
+  mock = createMockPlatform({ candidates: [{ id: 'kenji', location: 'Tokyo, Japan' }] });
+  platformRegistry.register(mock);
+});
+
+afterEach(() => {
+  platformRegistry.unregister('mock');
+});
+
+test('quiet hours, weekdays and blackout dates close the window in its own timezone', () => {
+  const window = new SendWindow({
+    timezone: 'America/New_York',
+    days: ['mon', 'tue', 'wed', 'thu', 'fri'],
+    blackoutDates: ['12-25', '2026-11-26']
+  });
+
+  // Monday 03:00 in New York
+  const night = window.check(new Date('2026-10-19T07:00:00Z'));
+  assert.equal(night.open, false);
+  assert.match(night.reason, /quiet hours 22:00-08:00 \(Mon 03:00 America\/New_York\)/);
+  assert.deepEqual(night.until, new Date('2026-10-19T12:00:00Z'));
+
+  assert.equal(window.check(new Date('2026-10-19T15:00:00Z')).open, true);
+  assert.deepEqual(window.check(new Date('2026-10-24T15:00:00Z')).until, new Date('2026-10-26T12:00:00Z'), 'Saturday waits for Monday');
+  assert.match(window.check(new Date('2026-12-25T15:00:00Z')).reason, /blackout date/);
+  assert.match(window.check(new Date('2026-11-26T15:00:00Z')).reason, /blackout date/);
+
+  // Daylight saving time ends on 2026-11-01: 08:00 is then 13:00 UTC
+  assert.deepEqual(window.nextOpen(new Date('2026-10-31T03:30:00Z')), new Date('2026-11-02T13:00:00Z'));
+});
+
+test('checks the same rules in the recipient\'s timezone', () => {
+  const window = new SendWindow({ timezone: 'Europe/Berlin' });
+  const berlinAfternoon = new Date('2026-10-19T14:00:00Z');
+
+  assert.equal(window.check(berlinAfternoon).open, true);
+  const tokyo = window.check(berlinAfternoon, 'Asia/Tokyo');
+  assert.equal(tokyo.open, false);
+  assert.deepEqual(tokyo.until, new Date('2026-10-19T23:00:00Z'));
+});
+
+test('infers timezones from profile locations', () => {
+  assert.equal(inferTimezone({ timezone: 'Europe/Paris', location: 'Tokyo' }), 'Europe/Paris');
+  assert.equal(inferTimezone({ location: 'Berlin, Germany' }), 'Europe/Berlin');
+  assert.equal(inferTimezone({ location: 'Remote (UTC+5)' }), 'Etc/GMT-5');
+  assert.equal(inferTimezone({ location: 'America/Denver' }), 'America/Denver');
+  assert.equal(inferTimezone({ location: 'Somewhere nice' }), null);
+  assert.equal(inferTimezone({}), null);
+});
+
+test('quiet hours settings are validated', () => {
+  const issues = validateConfig({
+    settings: { quietHours: { timezone: 'Mars/Olympus', start: '9am', days: ['monday'], blackoutDates: ['Dec 25'] } }
+  }).map(formatIssue);
+
+  assert.ok(issues.some(issue => issue.startsWith('settings.quietHours.timezone: unknown timezone "Mars/Olympus"')));
+  assert.ok(issues.includes('settings.quietHours.start: must be a time like 08:00 (got "9am")'));
+  assert.ok(issues.some(issue => issue.startsWith('settings.quietHours.days[0]: must be one of sun, mon')));
+  assert.ok(issues.some(issue => issue.startsWith('settings.quietHours.blackoutDates[0]: must be a date like')));
+});
+
+test('postpones the run while the window is closed', async () => {
+  const today = dayjs().format('YYYY-MM-DD');
+  writeConfig(['mock'], { respectWorkingHours: true, quietHours: { blackoutDates: [today] } });
+
+  const run = await runNetworkingBot({ platform: 'mock' });
+
+  assert.equal(run.postponed, 1);
+  assert.deepEqual(mock.searches, [], 'candidates are left for a later run');
+  assert.equal(mock.attempts.length, 0);
+});
+
+test('postpones messages to recipients for whom it is night, and sends them later', async () => {
+  // Quiet for two hours from now in Tokyo, which is 13 or 14 hours ahead of New York
+  const tokyoHour = dayjs().tz('Asia/Tokyo').hour();
+  const hour = value => `${String(value % 24).padStart(2, '0')}:00`;
+  writeConfig(['mock'], {
+    respectWorkingHours: true,
+    quietHours: { timezone: 'America/New_York', start: hour(tokyoHour), end: hour(tokyoHour + 2) }
+  });
+
+  const run = await runNetworkingBot({ platform: 'mock' });
+
+  assert.equal(run.postponed, 1);
+  assert.equal(mock.attempts.length, 0);
+  const [item] = await reviewQueue.list({ status: 'approved' });
+  assert.equal(item.recipient, 'kenji');
+  assert.equal(item.timezone, 'Asia/Tokyo');
+  assert.ok(new Date(item.sendAfter) > new Date());
+
+  // Not delivered before its time
+  await runNetworkingBot({ platform: 'mock' });
+  assert.equal(mock.attempts.length, 0);
+
+  // Delivered by the first run after it
+  await reviewQueue.deferUntil(item.id, new Date(Date.now() - 1000));
+  writeConfig(['mock'], { respectWorkingHours: false });
+  await runNetworkingBot({ platform: 'mock' });
+  assert.deepEqual(mock.sent.map(send => send.recipient), ['kenji']);
+  assert.equal((await reviewQueue.list({ status: 'sent' })).length, 1);
+});
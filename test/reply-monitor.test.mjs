@@ -0,0 +1,44 @@
+import './helpers/home.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { replyMonitor } from '../src/services/reply-monitor.mjs';
+import { suppressionList } from '../src/services/suppression-list.mjs';
+import { contactLedger } from '../src/services/contact-ledger.mjs';
+import { createMockPlatform } from './helpers/mock-platform.mjs';
+import { resetState, writeConfig } from './helpers/state.mjs';
+
+beforeEach(() => {
+  resetState();
+  writeConfig([]);
+});
+
+test('replies are acknowledged only once they are saved', async () => {
+  const mock = createMockPlatform({
+    replies: [
+      { id: 'r1', from: 'alice', text: 'Please stop messaging me' },
+      { id: 'r2', from: 'bob', text: 'Unsubscribe' }
+    ]
+  });
+
+  // Fail while processing the second reply
+  const updateReplyState = contactLedger.updateReplyState;
+  contactLedger.updateReplyState = async (platform, recipient, state) => {
+    if (recipient === 'bob') throw new Error('disk full');
+    return updateReplyState.call(contactLedger, platform, recipient, state);
+  };
+  try {
+    await assert.rejects(replyMonitor.poll('mock', mock), /disk full/);
+  } finally {
+    contactLedger.updateReplyState = updateReplyState;
+  }
+
+  assert.deepEqual(mock.acknowledged, ['r1']);
+  assert.deepEqual((await replyMonitor.getReplies()).map(reply => reply.id), ['r1']);
+
+  // The reply that was not saved is fetched again, and its opt-out is not lost
+  const recorded = await replyMonitor.poll('mock', mock);
+  assert.deepEqual(recorded.map(reply => reply.id), ['r2']);
+  assert.deepEqual(mock.acknowledged, ['r1', 'r2']);
+  assert.ok(await suppressionList.isSuppressed('bob', 'mock'));
+  assert.deepEqual(await replyMonitor.poll('mock', mock), []);
+});
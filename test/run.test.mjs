@@ -0,0 +1,400 @@
+import './helpers/home.mjs';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { runNetworkingBot } from '../src/commands/run.mjs';
+import { platformRegistry } from '../src/platforms/registry.mjs';
+import { contactLedger } from '../src/services/contact-ledger.mjs';
+import { suppressionList } from '../src/services/suppression-list.mjs';
+import { rateLimiter } from '../src/services/rate-limiter.mjs';
+import { reviewQueue } from '../src/services/review-queue.mjs';
+import { accountStore } from '../src/services/account-store.mjs';
+import { INTEGRATIONS, AccountIssueError } from '../src/platforms/adapter.mjs';
+import { createMockPlatform } from './helpers/mock-platform.mjs';
+import { resetState, writeConfig, attestedAccount, DISCLOSURE } from './helpers/state.mjs';
+
+let mock;
+
+function useMock(script) {
+  mock = createMockPlatform(script);
+  platformRegistry.register(mock);
+  return mock;
+}
+
+beforeEach(() => {
+  resetState();
+  writeConfig(['mock']);
+});
+
+afterEach(() => {
+  platformRegistry.unregister('mock');
+  delete rateLimiter.limits.mock_message;
+});
+
+test('dry run searches but sends nothing and records nothing', async () => {
+  useMock({ candidates: ['alice', 'bob'] });
+
+  await runNetworkingBot({ dryRun: true });
+
+  assert.equal(mock.calls.initialize, 1);
+  assert.deepEqual(mock.searches, [['plex']]);
+  assert.equal(mock.attempts.length, 0);
+  assert.equal((await contactLedger.getEntries()).length, 0);
+});
+
+test('sends the configured message to the first new candidate and records it', async () => {
+  useMock({ candidates: ['alice', 'bob'] });
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.deepEqual(mock.sent.map(send => send.recipient), ['alice']);
+  assert.equal(mock.sent[0].message, `Hello from mock\n\n${DISCLOSURE}`);
+
+  const entries = await contactLedger.getEntries({ platform: 'mock' });
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].recipient, 'alice');
+  assert.equal(entries[0].outcome, 'sent');
+});
+
+test('skips users who were already messaged', async () => {
+  useMock({ candidates: ['alice', 'bob'] });
+  await contactLedger.record({ recipient: 'alice', platform: 'mock' });
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.deepEqual(mock.sent.map(send => send.recipient), ['bob']);
+});
+
+test('skips suppressed users', async () => {
+  useMock({ candidates: ['alice', 'bob'] });
+  await suppressionList.add('alice', { reason: 'test' });
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.deepEqual(mock.sent.map(send => send.recipient), ['bob']);
+});
+
+test('matches opt-outs by profile URL as well as by handle', async () => {
+  useMock({ candidates: [{ id: 'bob', profileUrl: 'https://example.com/people/bob' }, 'alice'] });
+  await suppressionList.add('https://example.com/people/bob/');
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.deepEqual(mock.sent.map(send => send.recipient), ['alice']);
+
+  // On a known platform, a profile URL and the handle it ends in are the same person
+  await suppressionList.add('https://x.com/Foo');
+  await suppressionList.add('bar', { platform: 'x' });
+  assert.equal(await suppressionList.isSuppressed('foo', 'x'), true);
+  assert.equal(await suppressionList.isSuppressed('@foo', 'x'), true);
+  assert.equal(await suppressionList.isSuppressed('https://twitter.com/bar', 'x'), true);
+  assert.equal(await suppressionList.isSuppressed('foo', 'reddit'), false);
+  assert.equal(await suppressionList.isSuppressed('https://www.reddit.com/user/bar', 'reddit'), false);
+});
+
+test('honors opt-out replies before choosing who to message', async () => {
+  useMock({
+    candidates: ['alice', 'bob'],
+    replies: [{ id: 'r1', from: 'alice', text: 'Please stop messaging me' }]
+  });
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.equal(mock.calls.fetchReplies, 1);
+  assert.equal(await suppressionList.isSuppressed('alice', 'mock'), true);
+  assert.deepEqual(mock.sent.map(send => send.recipient), ['bob']);
+});
+
+test('stops sending once the daily budget is spent', async () => {
+  useMock({ candidates: ['alice', 'bob', 'carol'] });
+  writeConfig(['mock'], { maxMessagesPerDay: 1 });
+
+  await runNetworkingBot({ platform: 'mock' });
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.deepEqual(mock.sent.map(send => send.recipient), ['alice']);
+  assert.equal(await contactLedger.countToday(), 1);
+});
+
+test('enforces the per-platform daily message limit', async () => {
+  useMock({ candidates: ['alice', 'bob'] });
+  rateLimiter.limits.mock_message = 1;
+
+  await runNetworkingBot({ platform: 'mock' });
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.equal(mock.sent.length, 1);
+  assert.equal(mock.searches.length, 1);
+});
+
+test('does not search or send when initialize fails', async () => {
+  useMock({ candidates: ['alice'], initializeError: new Error('login rejected') });
+
+  await assert.doesNotReject(runNetworkingBot({ platform: 'mock' }));
+
+  assert.equal(mock.calls.initialize, 1);
+  assert.equal(mock.searches.length, 0);
+  assert.equal(mock.attempts.length, 0);
+});
+
+test('official-api-only compliance mode never starts a browser-driven platform', async () => {
+  writeConfig(['mock'], { complianceMode: 'official-api-only' });
+  useMock({ candidates: ['alice'], integration: INTEGRATIONS.BROWSER });
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.equal(mock.calls.initialize, 0);
+  assert.equal(mock.attempts.length, 0);
+  await assert.rejects(mock.initialize(), /not backed only by an official API/, 'read from config.json when not passed');
+
+  useMock({ candidates: ['alice'], integration: INTEGRATIONS.OFFICIAL_API });
+  await runNetworkingBot({ platform: 'mock' });
+  assert.deepEqual(mock.sent.map(send => send.recipient), ['alice']);
+});
+
+test('does not start a platform whose account is missing or has no attestation', async () => {
+  useMock({ candidates: ['alice'] });
+
+  for (const accounts of [{}, { mock: [attestedAccount({ attested: false })] }]) {
+    await accountStore.save(accounts);
+    await runNetworkingBot({ platform: 'mock' });
+  }
+
+  assert.equal(mock.calls.initialize, 0);
+  assert.equal(mock.attempts.length, 0);
+
+  await accountStore.attest('mock', 'outreach', { owner: 'Sam Rivera', purpose: 'Company outreach', attestedBy: 'sam' });
+  await runNetworkingBot({ platform: 'mock' });
+  assert.deepEqual(mock.sent.map(send => send.recipient), ['alice']);
+});
+
+test('pauses the account when the platform suspends it, until a human resumes it', async () => {
+  useMock({
+    candidates: ['alice', 'bob'],
+    failures: { alice: [new AccountIssueError('Your account has been suspended', { kind: 'suspension' })] }
+  });
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  const paused = await accountStore.getActiveAccount('mock');
+  assert.equal(paused.status, 'paused');
+  assert.equal(paused.pauseKind, 'suspension');
+  assert.equal(mock.attempts.length, 1, 'not retried');
+
+  await runNetworkingBot({ platform: 'mock' });
+  assert.equal(mock.calls.initialize, 1, 'a paused account is not started again');
+
+  await accountStore.resume('mock', 'outreach', 'sam');
+  await runNetworkingBot({ platform: 'mock' });
+  assert.deepEqual(mock.sent.map(send => send.recipient), ['alice']);
+  assert.equal((await accountStore.getActiveAccount('mock')).reviewedBy, 'sam');
+});
+
+test('pauses the account when logging in hits a verification challenge', async () => {
+  useMock({ candidates: ['alice'], initializeError: new AccountIssueError('Verification code required to log in', { kind: 'challenge' }) });
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.equal((await accountStore.getActiveAccount('mock')).pauseKind, 'challenge');
+  assert.equal(mock.searches.length, 0);
+});
+
+test('does not pause the account when a recipient is suspended', async () => {
+  useMock({ candidates: ['alice', 'bob'], failures: { alice: [new Error('This account is suspended')] } });
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.notEqual((await accountStore.getActiveAccount('mock')).status, 'paused');
+  assert.deepEqual(mock.sent, []);
+
+  await runNetworkingBot({ platform: 'mock' });
+  assert.deepEqual(mock.sent.map(send => send.recipient), ['alice'], 'the account keeps sending');
+});
+
+test('does not pause the account on errors that only mention verification or warnings', async () => {
+  for (const initializeError of [new Error('Verification code required to log in'), new Error('Warning: slow network'), false]) {
+    resetState();
+    writeConfig(['mock']);
+    platformRegistry.unregister('mock');
+    useMock({ candidates: ['alice'], initializeError });
+
+    await runNetworkingBot({ platform: 'mock' });
+
+    assert.notEqual((await accountStore.getActiveAccount('mock')).status, 'paused', String(initializeError));
+  }
+});
+
+test('treats initialize returning false as a failure', async () => {
+  useMock({ candidates: ['alice'], initializeError: false });
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.equal(mock.searches.length, 0);
+});
+
+test('records a failed send without throwing', async () => {
+  useMock({ candidates: ['alice'], failures: { alice: new Error('Recipient not found') } });
+
+  await assert.doesNotReject(runNetworkingBot({ platform: 'mock' }));
+
+  const [entry] = await contactLedger.getEntries({ platform: 'mock' });
+  assert.equal(entry.outcome, 'failed');
+  assert.equal(entry.error, 'Recipient not found');
+  assert.equal(await contactLedger.hasContacted('mock', 'alice'), false);
+});
+
+test('retries temporary failures up to retryAttempts', async () => {
+  useMock({ candidates: ['alice'], failures: { alice: [new Error('socket hang up')] } });
+  writeConfig(['mock'], { retryAttempts: 2 });
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.equal(mock.attempts.length, 2);
+  assert.deepEqual(mock.sent.map(send => send.recipient), ['alice']);
+});
+
+test('does not retry permanent failures', async () => {
+  useMock({ candidates: ['alice'], failures: { alice: [new Error('Daily limit reached for mock_message')] } });
+  writeConfig(['mock'], { retryAttempts: 3 });
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.equal(mock.attempts.length, 1);
+  assert.equal(mock.sent.length, 0);
+});
+
+test('sends a personalized message when the platform asks for one', async () => {
+  useMock({ candidates: ['alice'] });
+  writeConfig(['mock'], { llm: { providers: { fake: { response: 'Hi Alice, enjoyed your Plex setup post.' } } } }, { personalize: true });
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.equal(mock.sent[0].message, `Hi Alice, enjoyed your Plex setup post.\n\n${DISCLOSURE}`);
+});
+
+test('falls back to the template when the generated message fails the guardrails', async () => {
+  useMock({ candidates: ['alice'] });
+  writeConfig(['mock'], { llm: { providers: { fake: { response: "Here's your message: Hi [name]!" } } } }, { personalize: true });
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.equal(mock.sent[0].message, `Hello from mock\n\n${DISCLOSURE}`);
+});
+
+test('queues a message for review instead of sending when the template fails the guardrails', async () => {
+  useMock({ candidates: ['alice'] });
+  writeConfig(['mock'], {}, { message: 'Guaranteed results for your server!' });
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.equal(mock.attempts.length, 0);
+  assert.equal((await contactLedger.getEntries()).length, 0);
+
+  const [item] = await reviewQueue.list({ status: 'pending' });
+  assert.equal(item.recipient, 'alice');
+  assert.deepEqual(item.violations.map(violation => violation.rule), ['banned-phrase']);
+});
+
+test('fills template variables from the candidate', async () => {
+  useMock({
+    candidates: [{ id: 'alice', displayName: 'Alice', source: { searchTerm: 'plex', title: 'My Plex setup' } }]
+  });
+  writeConfig(['mock'], {}, { message: 'Hi {{displayName}}, loved "{{postTitle}}" and your take on [topic].' });
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.equal(mock.sent[0].message, `Hi Alice, loved "My Plex setup" and your take on plex.\n\n${DISCLOSURE}`);
+});
+
+test('strict templates refuse to send with an unresolved variable', async () => {
+  useMock({ candidates: ['alice'] });
+  writeConfig(['mock'], {}, { message: 'Saw your post about {{topic}}!' });
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.equal(mock.attempts.length, 0);
+  const [item] = await reviewQueue.list({ status: 'pending' });
+  assert.equal(item.message, `Saw your post about {{topic}}!\n\n${DISCLOSURE}`);
+  assert.deepEqual(item.violations.map(violation => violation.rule), ['unresolved-variable']);
+});
+
+test('uses the language variant chosen in settings', async () => {
+  useMock({ candidates: [{ id: 'alice', source: { searchTerm: 'plex' } }] });
+  writeConfig(['mock'], { templates: { language: 'de' } }, {
+    message: 'Hi, about {{topic}}',
+    messages: { de: 'Hallo, zum Thema {{topic}}' }
+  });
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.equal(mock.sent[0].message, `Hallo, zum Thema plex\n\n${DISCLOSURE}`);
+});
+
+test('appends the disclosure after the personalized message', async () => {
+  useMock({ candidates: ['alice'] });
+  writeConfig(['mock'], { llm: { providers: { fake: { response: 'Hi Alice, enjoyed your Plex setup post.' } } } }, {
+    personalize: true,
+    disclosure: 'Sent by Acme via automation - reply STOP to opt out'
+  });
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.equal(mock.sent[0].message, 'Hi Alice, enjoyed your Plex setup post.\n\nSent by Acme via automation - reply STOP to opt out');
+});
+
+test('queues a message for review when the disclosure pushes it over the length limit', async () => {
+  useMock({ candidates: ['alice'] });
+  writeConfig(['mock'], { guardrails: { maxLength: { mock: 40 } } }, {
+    message: 'Hi, saw your Plex post.',
+    disclosure: 'Sent by Acme via automation'
+  });
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.equal(mock.attempts.length, 0);
+  const [item] = await reviewQueue.list({ status: 'pending' });
+  assert.equal(item.disclosure, 'Sent by Acme via automation');
+  assert.deepEqual(item.violations.map(violation => violation.rule), ['too-long']);
+});
+
+test('does not deliver approved messages without the disclosure', async () => {
+  useMock({ candidates: [] });
+  writeConfig(['mock'], {}, { disclosure: 'Sent by Acme via automation' });
+  const item = await reviewQueue.enqueue({ platform: 'mock', recipient: 'alice', message: 'Hi there' });
+  await reviewQueue.approve(item.id);
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.equal(mock.attempts.length, 0);
+  const [failed] = await reviewQueue.list({ status: 'failed' });
+  assert.match(failed.error, /automation disclosure/);
+});
+
+test('sends nothing on a platform without an automation disclosure', async () => {
+  useMock({ candidates: ['alice'] });
+  writeConfig(['mock'], {}, { disclosure: undefined });
+  const item = await reviewQueue.enqueue({ platform: 'mock', recipient: 'bob', message: 'Hi Bob' });
+  await reviewQueue.approve(item.id);
+
+  const run = await runNetworkingBot({ platform: 'mock' });
+
+  assert.equal(mock.attempts.length, 0);
+  assert.deepEqual(run.errors, ['mock: no automation disclosure configured']);
+  assert.equal((await reviewQueue.list({ status: 'approved' })).length, 1, 'the approved message waits for a disclosure');
+  assert.equal((await reviewQueue.list({ status: 'pending' })).length, 0, 'no message is drafted that could never be approved');
+});
+
+test('does not deliver approved messages that fail the guardrails', async () => {
+  useMock({ candidates: [] });
+  const item = await reviewQueue.enqueue({ platform: 'mock', recipient: 'alice', message: 'Hi there' });
+  await reviewQueue.approve(item.id, 'Guaranteed results, act now!');
+
+  await runNetworkingBot({ platform: 'mock' });
+
+  assert.equal(mock.attempts.length, 0);
+  const [failed] = await reviewQueue.list({ status: 'failed' });
+  assert.match(failed.error, /Blocked by message guardrails/);
+});
+
+test('rejects unknown platforms', async () => {
+  await assert.rejects(runNetworkingBot({ platform: 'nope' }), /Unknown platform: nope/);
+});
@@ -0,0 +1,129 @@
+import './helpers/home.mjs';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { parseCron, nextCronTime, parseDuration, listJobs, ScheduledJob } from '../src/services/scheduler.mjs';
+import { runHistory } from '../src/services/run-history.mjs';
+import { runLock, daemonLock } from '../src/services/run-lock.mjs';
+import { runNetworkingBot } from '../src/commands/run.mjs';
+import { startDaemon, planJobs } from '../src/commands/daemon.mjs';
+import { config } from '../src/utils/config.mjs';
+import { validateConfig, formatIssue } from '../src/utils/config-schema.mjs';
+import { platformRegistry } from '../src/platforms/registry.mjs';
+import { createMockPlatform } from './helpers/mock-platform.mjs';
+import { resetState, writeConfig } from './helpers/state.mjs';
+
+let mock;
+
+beforeEach(() => {
+  resetState();
+  mock = createMockPlatform({ candidates: ['alice', 'bob'], failures: { alice: new Error('blocked') } });
+  platformRegistry.register(mock);
+  writeConfig(['mock'], { maxMessagesPerDay: 1, schedule: { interval: '2h' } });
+});
+
+afterEach(() => {
+  platformRegistry.unregister('mock');
+  runLock.release();
+  daemonLock.release();
+});
+
+test('parses cron expressions and finds the next matching time', () => {
+  const cron = parseCron('*/15 9-17 * * 1-5');
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+
+  // Friday 17:50 -> Monday 09:00
+  assert.deepEqual(nextCronTime('*/15 9-17 * * 1-5', new Date(2026, 9, 16, 17, 50)), new Date(2026, 9, 19, 9, 0));
+  assert.deepEqual(nextCronTime('@daily', new Date(2026, 9, 19, 0, 0)), new Date(2026, 9, 20, 0, 0));
+  assert.deepEqual(nextCronTime('0 12 * * 7', new Date(2026, 9, 19, 8, 0)), new Date(2026, 9, 25, 12, 0));
+
+  assert.throws(() => parseCron('0 9 * *'), /Expected 5 fields/);
+  assert.throws(() => parseCron('0 25 * * *'), /Invalid cron hour/);
+});
+
+test('parses durations', () => {
+  assert.equal(parseDuration('90m'), 90 * 60 * 1000);
+  assert.equal(parseDuration('1.5h'), 90 * 60 * 1000);
+  assert.equal(parseDuration(5000), 5000);
+  assert.throws(() => parseDuration('soon'), /Invalid duration/);
+});
+
+test('lists the default job and campaigns with their own schedule', () => {
+  const jobs = listJobs({
+    settings: { schedule: { cron: '0 9 * * 1-5' } },
+    campaigns: { spring: { schedule: { interval: '30m' } }, plain: {}, paused: { schedule: { enabled: false, interval: '1h' } } }
+  });
+
+  assert.deepEqual(jobs.map(job => [job.name, job.campaign, job.describe()]), [
+    ['default', null, 'cron "0 9 * * 1-5"'],
+    ['campaign:spring', 'spring', 'every 30m']
+  ]);
+  assert.deepEqual(listJobs({ settings: { schedule: { enabled: false } } }), []);
+});
+
+test('schedules are validated with the rest of the config', () => {
+  const issues = validateConfig({
+    settings: { schedule: { cron: '0 9 * * mon', interval: 'often' } },
+    campaigns: { spring: { schedule: { jitter: '10m' } } }
+  }).map(formatIssue);
+
+  assert.ok(issues.some(issue => issue.startsWith('settings.schedule.cron: Invalid cron day of week')));
+  assert.ok(issues.includes('settings.schedule.interval: must be a duration like 90m or 2h, or a number of milliseconds (got "often")'));
+  assert.ok(issues.includes('settings.schedule: use either cron or interval, not both'));
+  assert.ok(!issues.some(issue => issue.startsWith('campaigns.spring')));
+});
+
+test('records each run with its platforms, sends and errors', async () => {
+  const run = await runNetworkingBot({ job: 'default' });
+
+  assert.equal(run.status, 'completed');
+  assert.deepEqual(run.platforms, ['mock']);
+  assert.equal(run.sent, 0);
+  assert.equal(run.failed, 1);
+  assert.equal(run.errors.length, 1);
+  assert.match(run.errors[0], /^mock: .*blocked/);
+  assert.ok(run.startedAt <= run.endedAt);
+  assert.deepEqual(await runHistory.list(), [run]);
+  assert.equal(fs.existsSync(runLock.filePath), false, 'the run lock is released');
+});
+
+test('skips a run while another process holds the run lock', async () => {
+  // A live process that is not this one: the parent
+  config.ensureConfigDir();
+  fs.writeFileSync(runLock.filePath, JSON.stringify({ pid: process.ppid, startedAt: new Date().toISOString(), command: 'run' }));
+
+  const run = await runNetworkingBot({});
+
+  assert.equal(run.status, 'skipped');
+  assert.match(run.reason, new RegExp(`pid ${process.ppid}`));
+  assert.equal(mock.attempts.length, 0);
+});
+
+test('takes over a lock left behind by a process that has exited', async () => {
+  config.ensureConfigDir();
+  fs.writeFileSync(runLock.filePath, JSON.stringify({ pid: 2 ** 22 + 1, startedAt: new Date().toISOString(), command: 'run' }));
+
+  const run = await runNetworkingBot({});
+
+  assert.equal(run.status, 'completed');
+  assert.equal(mock.attempts.length, 1);
+});
+
+test('daemon --once runs due jobs and resumes the schedule from the run history', async () => {
+  await startDaemon({ once: true });
+  await startDaemon({ once: true });
+
+  const runs = await runHistory.list({ job: 'default' });
+  assert.equal(runs.length, 1, 'the second start waits for the next interval');
+  assert.equal(mock.attempts.length, 1);
+
+  const [{ due }] = await planJobs([new ScheduledJob('default', { interval: '2h' })], config.load());
+  assert.equal(due.getTime(), new Date(runs[0].startedAt).getTime() + 2 * 60 * 60 * 1000);
+  assert.equal(fs.existsSync(daemonLock.filePath), false, 'the daemon lock is released');
+});
+
+test('a second daemon refuses to start', async () => {
+  daemonLock.acquire('nbot daemon');
+  await assert.rejects(startDaemon({ once: true }), /already running/);
+});
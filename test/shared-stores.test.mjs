@@ -0,0 +1,80 @@
+import './helpers/home.mjs';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { suppressionList } from '../src/services/suppression-list.mjs';
+import { reviewQueue } from '../src/services/review-queue.mjs';
+import { contactLedger } from '../src/services/contact-ledger.mjs';
+import { resetState } from './helpers/state.mjs';
+
+const run = promisify(execFile);
+
+/**
+ * Run a snippet in a separate node process against the same config directory,
+ * as `nbot suppress` or `nbot review` would while a run is in progress
+ * @param {string} module - Service module under src/services, e.g. "suppression-list"
+ * @param {string} name - Exported singleton, e.g. "suppressionList"
+ * @param {string} body - Code to run with the singleton in scope
+ */
+function otherProcess(module, name, body) {
+  const url = new URL(`../src/services/${module}.mjs`, import.meta.url).href;
+  return run(process.execPath, ['--input-type=module', '-e', `import { ${name} } from '${url}';\n${body}`], {
+    env: process.env,
+    timeout: 30000
+  });
+}
+
+beforeEach(() => {
+  resetState();
+});
+
+test('a suppression added by another process is honoured and kept', async () => {
+  await suppressionList.add('alice');
+  assert.equal(await suppressionList.isSuppressed('bob'), false);
+
+  await otherProcess('suppression-list', 'suppressionList', "await suppressionList.add('bob', { reason: 'Asked by email' });");
+
+  assert.equal(await suppressionList.isSuppressed('bob'), true);
+
+  await suppressionList.add('carol');
+  const values = (await suppressionList.list()).map(entry => entry.value).sort();
+  assert.deepEqual(values, ['alice', 'bob', 'carol']);
+});
+
+test('concurrent writers in several processes lose no suppressions', async () => {
+  const writers = ['a', 'b', 'c'].map(prefix => otherProcess('suppression-list', 'suppressionList',
+    `for (let i = 0; i < 5; i++) await suppressionList.add('${prefix}' + i);`));
+  const local = (async () => {
+    for (let i = 0; i < 5; i++) await suppressionList.add(`local${i}`);
+  })();
+
+  await Promise.all([...writers, local]);
+
+  assert.equal((await suppressionList.list()).length, 20);
+});
+
+test('an approval made while the sender updates the queue is not overwritten', async () => {
+  const sent = await reviewQueue.enqueue({ platform: 'mock', recipient: 'jane', message: 'Hi Jane' });
+  const pending = await reviewQueue.enqueue({ platform: 'mock', recipient: 'bob', message: 'Hi Bob' });
+  await reviewQueue.list();
+
+  await otherProcess('review-queue', 'reviewQueue', `await reviewQueue.approve('${pending.id}');`);
+  await reviewQueue.markSent(sent.id);
+
+  const items = await reviewQueue.list();
+  assert.equal(items.find(item => item.id === sent.id).status, 'sent');
+  assert.equal(items.find(item => item.id === pending.id).status, 'approved');
+});
+
+test('contacts recorded by another process survive a reply state update', async () => {
+  await contactLedger.record({ recipient: 'jane', platform: 'mock', message: 'Hi Jane' });
+  await contactLedger.getEntries();
+
+  await otherProcess('contact-ledger', 'contactLedger', "await contactLedger.record({ recipient: 'bob', platform: 'mock', message: 'Hi Bob' });");
+  await contactLedger.updateReplyState('mock', 'jane', 'positive');
+
+  const entries = await contactLedger.getEntries();
+  assert.deepEqual(entries.map(entry => [entry.recipient, entry.replyState]), [['jane', 'positive'], ['bob', 'none']]);
+  assert.equal(await contactLedger.hasContacted('mock', 'bob'), true);
+});
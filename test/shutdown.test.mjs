@@ -0,0 +1,157 @@
+import './helpers/home.mjs';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { shutdown } from '../src/services/shutdown.mjs';
+import { runCheckpoint } from '../src/services/run-checkpoint.mjs';
+import { runHistory } from '../src/services/run-history.mjs';
+import { contactLedger } from '../src/services/contact-ledger.mjs';
+import { runNetworkingBot } from '../src/commands/run.mjs';
+import { planJobs } from '../src/commands/daemon.mjs';
+import { ScheduledJob } from '../src/services/scheduler.mjs';
+import { config } from '../src/utils/config.mjs';
+import { logger } from '../src/utils/logger.mjs';
+import { platformRegistry } from '../src/platforms/registry.mjs';
+import { createMockPlatform } from './helpers/mock-platform.mjs';
+import { resetState, writeConfig } from './helpers/state.mjs';
+
+let mock;
+
+beforeEach(() => {
+  resetState();
+  mock = createMockPlatform({ candidates: ['alice', 'bob'] });
+  platformRegistry.register(mock);
+  writeConfig(['mock']);
+});
+
+afterEach(() => {
+  platformRegistry.unregister('mock');
+  platformRegistry.unregister('other');
+});
+
+test('shutdown cuts waits short and runs hooks last-registered first', async () => {
+  const order = [];
+  const removeFirst = shutdown.onShutdown('first', async () => order.push('first'));
+  const removeSecond = shutdown.onShutdown('second', async () => order.push('second'));
+
+  const sleeping = shutdown.sleep(60000);
+  await shutdown.shutdown('SIGTERM');
+  removeFirst();
+  removeSecond();
+
+  assert.equal(await sleeping, false);
+  assert.equal(await shutdown.sleep(10), false);
+  assert.deepEqual(order, ['second', 'first']);
+});
+
+test('a signal mid-send lets the send finish, then stops the run', async () => {
+  const other = createMockPlatform({ name: 'other', candidates: ['carol'] });
+  platformRegistry.register(other);
+  writeConfig(['mock', 'other']);
+
+  let stopping;
+  mock.script.beforeSend = () => {
+    stopping ??= shutdown.shutdown('SIGINT');
+  };
+
+  const run = await runNetworkingBot({ job: 'default' });
+  await stopping;
+
+  assert.equal(run.status, 'interrupted');
+  assert.deepEqual(mock.sent.map(send => send.recipient), ['alice']);
+  assert.deepEqual(other.searches, [], 'nothing new starts');
+  assert.ok(mock.calls.cleanup > 0, 'browsers are closed');
+  assert.equal((await contactLedger.getEntries({ recipient: 'alice', outcome: 'sent' })).length, 1);
+  assert.equal((await runHistory.lastRun('default')).status, 'interrupted');
+
+  const checkpoint = runCheckpoint.read();
+  assert.equal(checkpoint.status, 'interrupted');
+  assert.deepEqual(checkpoint.delivered.map(send => send.recipient), ['alice']);
+  assert.equal(checkpoint.inFlight, null);
+  assert.deepEqual(checkpoint.platforms, { mock: 'done', other: 'pending' });
+
+  // The daemon picks the job up again right away
+  const now = new Date();
+  const [{ due }] = await planJobs([new ScheduledJob('default', { interval: '2h' })], config.load(), now);
+  assert.equal(due.getTime(), now.getTime());
+});
+
+test('the next run settles a send left in flight by a process that died', async () => {
+  const startedAt = new Date(Date.now() - 60000).toISOString();
+  runCheckpoint.write({
+    runId: 'crashed1',
+    job: 'default',
+    campaign: null,
+    status: 'running',
+    pid: 2 ** 22 + 1,
+    startedAt,
+    platforms: { mock: 'running' },
+    inFlight: { platform: 'mock', recipient: 'alice', campaign: null, startedAt },
+    delivered: [],
+    failed: []
+  });
+
+  await runNetworkingBot({ job: 'default' });
+
+  assert.deepEqual(mock.sent.map(send => send.recipient), ['bob'], 'alice is not messaged twice');
+  const [entry] = await contactLedger.getEntries({ recipient: 'alice' });
+  assert.equal(entry.outcome, 'sent');
+  assert.equal(entry.unconfirmed, true);
+
+  const crashed = (await runHistory.list()).find(record => record.id === 'crashed1');
+  assert.equal(crashed.status, 'interrupted');
+  assert.equal(crashed.reason, 'The process stopped during the run');
+  assert.equal(runCheckpoint.read().status, 'completed');
+});
+
+test('reports what an interrupted run delivered without logging the recipients', async () => {
+  const startedAt = new Date(Date.now() - 60000).toISOString();
+  runCheckpoint.write({
+    runId: 'stopped1',
+    job: 'default',
+    campaign: null,
+    status: 'interrupted',
+    pid: process.pid,
+    startedAt,
+    platforms: { mock: 'interrupted', other: 'done' },
+    inFlight: null,
+    delivered: [
+      { platform: 'mock', recipient: 'carol_private', campaign: null },
+      { platform: 'mock', recipient: 'dave_private', campaign: null },
+      { platform: 'other', recipient: 'erin_private', campaign: null }
+    ],
+    failed: []
+  });
+
+  await runNetworkingBot({ job: 'default' });
+  await logger.flush();
+
+  const log = fs.readFileSync(logger.filePath, 'utf8');
+  assert.match(log, /Delivered: 2 on mock, 1 on other/);
+  assert.doesNotMatch(log, /carol_private|dave_private|erin_private/);
+});
+
+test('resumes an interrupted run with the platforms that were not done', async () => {
+  const other = createMockPlatform({ name: 'other', candidates: ['carol'] });
+  platformRegistry.register(other);
+  writeConfig(['mock', 'other']);
+  runCheckpoint.write({
+    runId: 'stopped1',
+    job: 'default',
+    campaign: null,
+    status: 'interrupted',
+    pid: process.pid,
+    startedAt: new Date().toISOString(),
+    platforms: { mock: 'done', other: 'running' },
+    inFlight: null,
+    delivered: [{ platform: 'mock', recipient: 'alice', at: new Date().toISOString() }],
+    failed: []
+  });
+
+  const run = await runNetworkingBot({ job: 'default' });
+
+  assert.equal(run.resumedFrom, 'stopped1');
+  assert.deepEqual(run.platforms, ['other']);
+  assert.deepEqual(mock.searches, []);
+  assert.deepEqual(other.sent.map(send => send.recipient), ['carol']);
+});